@@ -0,0 +1,386 @@
+// os-transform-controls.js v0.5.0
+// Map controls showing the cursor position (latlng, easting + northing and grid reference) with a "go to grid
+// reference" search box, for Leaflet, OpenLayers and MapLibre. Requires os-transform.js.
+
+window.os = window.os || {};
+
+os.TransformControl = {
+    /**
+     * Default configuration options.
+     */
+    options: {
+        // Values shown in the readout [latlng | en | gridref].
+        fields: [ 'latlng', 'en', 'gridref' ],
+        // Labels of the values.
+        labels: { latlng: 'Lat/Lng', en: 'E/N', gridref: 'Grid ref' },
+        // Decimal places of the latlng + easting/northing.
+        decimals: { latlng: 5, en: 0 },
+        // Grid reference precision (as for os.Transform.toGridRef).
+        precision: 10,
+        // Show the "go to grid reference" search box.
+        search: true,
+        placeholder: 'Go to grid reference',
+        // Maximum zoom level when going to a grid reference (so that small squares aren't zoomed in on too far).
+        maxZoom: 16,
+        // Position of the control on the map (named as by the map library), or null for the bottom-left corner.
+        position: null,
+        // Text shown in place of a value when the cursor is off the map or outside the extent of GB.
+        empty: '–',
+        // Called with { gridref, precision, centre, bbox } (centre + bbox in latlng) when a grid reference is searched for.
+        onSearch: null,
+        // Minimum interval (ms) between the positions transformed with the ostn15-cgi transformation type, each of
+        // which is a request to GIQTrans: the latest position moved to in between is shown once it has passed.
+        throttle: 250
+    },
+
+    /**
+     * Default styles, added to the page once.
+     */
+    _style: `
+        .os-transform-control { background: rgba(255, 255, 255, 0.9); padding: 4px 6px; font: 12px/1.5 sans-serif; border-radius: 4px; box-shadow: 0 1px 4px rgba(0, 0, 0, 0.3); }
+        .os-transform-control-row { display: flex; gap: 6px; }
+        .os-transform-control-label { min-width: 56px; color: #666; }
+        .os-transform-control-value { border: 0; padding: 0; background: none; font: inherit; font-family: monospace; cursor: copy; text-align: left; }
+        .os-transform-control-value.copied { color: #2a7a2a; }
+        .os-transform-control-search { display: flex; gap: 4px; margin-top: 4px; }
+        .os-transform-control-search input { flex: 1; min-width: 0; font: inherit; }
+        .os-transform-control-search input[aria-invalid="true"] { outline: 1px solid #c00; }
+        .os-transform-control.ol-control { position: absolute; left: 0.5em; bottom: 0.5em; }
+    `,
+
+    /**
+     * Add the default styles to the page (unless they have already been added).
+     */
+    _addStyle: function() {
+        if( document.getElementById('os-transform-control-style') ) {
+            return;
+        }
+        const style = document.createElement('style');
+        style.id = 'os-transform-control-style';
+        style.textContent = this._style;
+        document.head.appendChild(style);
+    },
+
+    /**
+     * Return (or resolve to) the values shown for a latlng, or null if it is outside the extent of GB (which is
+     * tested first, so that moving the cursor over the rest of the world doesn't log a failure for every position).
+     * @param {object} latlng - The latlng of the cursor.
+     * @param {object} options - The control options.
+     */
+    _getValues: function(latlng, options) {
+        const bounds = os.Transform.options.maxBounds.geographic;
+        if( ! latlng || latlng.lng < bounds[0][0] || latlng.lng > bounds[1][0] || latlng.lat < bounds[0][1] || latlng.lat > bounds[1][1]
+            || os.Transform.getCoverage(latlng) === 'outside' ) {
+            return null;
+        }
+
+        const toValues = point => {
+            if( Object.keys(point).length === 0 ) {
+                return null;
+            }
+            const gridref = os.Transform.toGridRef({ ea: point.ea, no: point.no }, options.precision);
+            return {
+                latlng: `${latlng.lat.toFixed(options.decimals.latlng)}, ${latlng.lng.toFixed(options.decimals.latlng)}`,
+                en: `${point.ea.toFixed(options.decimals.en)}, ${point.no.toFixed(options.decimals.en)}`,
+                gridref: gridref.text || options.empty
+            };
+        };
+
+        // Easting + northing to the nearest millimetre, so that the grid reference isn't rounded up into the next square
+        const point = os.Transform.fromLatLng({ lat: latlng.lat, lng: latlng.lng }, 3);
+        return point instanceof Promise ? point.then(toValues) : toValues(point);
+    },
+
+    /**
+     * Create a control, independent of any map library: returns { element, update(latlng), search(gridref) }, where
+     * `element` is the control's HTML element, update() shows the values for a latlng (or clears them, given null),
+     * and search() goes to a grid reference as if it had been typed in the search box. Each value can be clicked to
+     * copy it. Create the control once os.Transform has been initialised (see os.Transform.init).
+     * @param {object} options - [optional] Options to merge into the defaults (see above), including the `onSearch`
+     * callback.
+     */
+    create: function(options = {}) {
+        options = {
+            ...this.options,
+            ...options,
+            labels: { ...this.options.labels, ...options.labels },
+            decimals: { ...this.options.decimals, ...options.decimals }
+        };
+
+        this._addStyle();
+
+        const element = document.createElement('div');
+        element.className = 'os-transform-control';
+
+        const values = {};
+        for( const field of options.fields ) {
+            const row = document.createElement('div');
+            row.className = 'os-transform-control-row';
+
+            const label = document.createElement('span');
+            label.className = 'os-transform-control-label';
+            label.textContent = options.labels[field];
+
+            const value = document.createElement('button');
+            value.type = 'button';
+            value.className = 'os-transform-control-value';
+            value.title = 'Click to copy';
+            value.textContent = options.empty;
+            value.addEventListener('click', () => {
+                if( value.textContent === options.empty || ! navigator.clipboard ) {
+                    return;
+                }
+                navigator.clipboard.writeText(value.textContent).then(() => {
+                    value.classList.add('copied');
+                    value.title = 'Copied';
+                    setTimeout(() => {
+                        value.classList.remove('copied');
+                        value.title = 'Click to copy';
+                    }, 1000);
+                }, () => {});
+            });
+
+            row.append(label, value);
+            element.appendChild(row);
+            values[field] = value;
+        }
+
+        const show = (result) => {
+            for( const field of options.fields ) {
+                values[field].textContent = result ? result[field] : options.empty;
+            }
+        };
+
+        // Only the latest position is shown (results for the ostn15-cgi transformation type may arrive out of order)
+        let count = 0;
+
+        // Positions which cannot be transformed (which throw, in strict mode) are shown as empty
+        const showValues = (latlng) => {
+            const id = ++count;
+            let result;
+            try {
+                result = this._getValues(latlng, options);
+            }
+            catch(error) {
+                show(null);
+                return;
+            }
+            if( result instanceof Promise ) {
+                result.then(result => id === count && show(result), () => id === count && show(null));
+            }
+            else {
+                show(result);
+            }
+        };
+
+        // Mouse movements are only throttled for ostn15-cgi, as the other transformation types don't make requests
+        let latest = null;
+        let last = 0;
+        let timer = null;
+
+        const update = (latlng) => {
+            if( os.Transform.options.type !== 'ostn15-cgi' || ! latlng ) {
+                clearTimeout(timer);
+                timer = null;
+                showValues(latlng);
+                return;
+            }
+
+            latest = latlng;
+            if( timer !== null ) {
+                return;
+            }
+            const wait = last + options.throttle - Date.now();
+            if( wait <= 0 ) {
+                last = Date.now();
+                showValues(latlng);
+                return;
+            }
+            timer = setTimeout(() => {
+                timer = null;
+                last = Date.now();
+                showValues(latest);
+            }, wait);
+        };
+
+        const input = document.createElement('input');
+
+        // Grid references which cannot be found (or which throw, in strict mode) mark the input as invalid
+        const invalid = () => {
+            input.setAttribute('aria-invalid', 'true');
+            return null;
+        };
+
+        const search = (gridref) => {
+            let square, centre, bounds;
+            try {
+                square = os.Transform.fromGridRef(gridref, true);
+                if( Object.keys(square).length === 0 ) {
+                    return Promise.resolve(invalid());
+                }
+                input.removeAttribute('aria-invalid');
+
+                const srid = square.srid || 27700;
+                centre = os.Transform.toLatLng({ ea: square.centre.ea, no: square.centre.no, ...(srid === 27700 ? {} : { srid: srid }) });
+                bounds = os.Transform.transformBounds(square.bbox, 'toLatLng', { srid: srid });
+            }
+            catch(error) {
+                return Promise.resolve(invalid());
+            }
+
+            return Promise.all([ centre, bounds ]).catch(() => null).then(results => {
+                const [ centre, bounds ] = results || [ {}, {} ];
+                if( Object.keys(centre).length === 0 || Object.keys(bounds).length === 0 ) {
+                    return invalid();
+                }
+                const result = {
+                    gridref: String(gridref).trim().toUpperCase(),
+                    precision: square.precision,
+                    centre: { lat: centre.lat, lng: centre.lng },
+                    bbox: bounds.bbox
+                };
+                if( options.onSearch ) {
+                    options.onSearch(result);
+                }
+                return result;
+            });
+        };
+
+        if( options.search ) {
+            const form = document.createElement('form');
+            form.className = 'os-transform-control-search';
+
+            input.type = 'search';
+            input.placeholder = options.placeholder;
+            input.setAttribute('aria-label', options.placeholder);
+            input.addEventListener('input', () => input.removeAttribute('aria-invalid'));
+
+            const button = document.createElement('button');
+            button.type = 'submit';
+            button.textContent = 'Go';
+
+            form.append(input, button);
+            form.addEventListener('submit', event => {
+                event.preventDefault();
+                search(input.value);
+            });
+            element.appendChild(form);
+        }
+
+        return { element: element, update: update, search: search };
+    },
+
+    /**
+     * Add a control to a Leaflet map, showing the position of the mouse and zooming to searched grid references.
+     * Returns the Leaflet control (which can be removed with its remove() method).
+     * @param {object} map - The Leaflet map.
+     * @param {object} options - [optional] The control options (see above), plus the Leaflet namespace (`L`) if it
+     * is not a global.
+     */
+    leaflet: function(map, options = {}) {
+        const L = options.L || window.L;
+
+        const control = this.create({
+            ...options,
+            onSearch: result => {
+                const [ west, south, east, north ] = result.bbox;
+                map.fitBounds([ [ south, west ], [ north, east ] ], { maxZoom: options.maxZoom ?? this.options.maxZoom });
+                if( options.onSearch ) {
+                    options.onSearch(result);
+                }
+            }
+        });
+
+        const onMove = event => control.update({ lat: event.latlng.lat, lng: event.latlng.lng });
+
+        const leafletControl = L.control({ position: options.position || 'bottomleft' });
+        leafletControl.onAdd = () => {
+            L.DomEvent.disableClickPropagation(control.element);
+            L.DomEvent.disableScrollPropagation(control.element);
+            map.on('mousemove', onMove);
+            return control.element;
+        };
+        leafletControl.onRemove = () => map.off('mousemove', onMove);
+
+        return leafletControl.addTo(map);
+    },
+
+    /**
+     * Add a control to an OpenLayers map, showing the position of the pointer and zooming to searched grid
+     * references. Returns the OpenLayers control (which can be removed with map.removeControl()).
+     * @param {object} map - The OpenLayers map.
+     * @param {object} options - [optional] The control options (see above), plus the OpenLayers namespace (`ol`) if
+     * it is not a global, or an object with its `control.Control` class and `proj` module.
+     */
+    openlayers: function(map, options = {}) {
+        const ol = options.ol || window.ol;
+
+        const control = this.create({
+            ...options,
+            onSearch: result => {
+                const view = map.getView();
+                view.fit(ol.proj.transformExtent(result.bbox, 'EPSG:4326', view.getProjection()), { maxZoom: options.maxZoom ?? this.options.maxZoom });
+                if( options.onSearch ) {
+                    options.onSearch(result);
+                }
+            }
+        });
+        control.element.classList.add('ol-unselectable', 'ol-control');
+        if( options.position ) {
+            control.element.classList.add(options.position);
+        }
+
+        const olControl = new ol.control.Control({ element: control.element });
+
+        const onMove = event => {
+            if( olControl.getMap() !== map ) {
+                map.un('pointermove', onMove);
+                return;
+            }
+            const [ lng, lat ] = ol.proj.toLonLat(event.coordinate, map.getView().getProjection());
+            control.update({ lat: lat, lng: lng });
+        };
+
+        map.addControl(olControl);
+        map.on('pointermove', onMove);
+
+        return olControl;
+    },
+
+    /**
+     * Add a control to a MapLibre GL (or Mapbox GL) map, showing the position of the mouse and zooming to searched
+     * grid references. Returns the control (which can be removed with map.removeControl()).
+     * @param {object} map - The MapLibre map.
+     * @param {object} options - [optional] The control options (see above).
+     */
+    maplibre: function(map, options = {}) {
+        const control = this.create({
+            ...options,
+            onSearch: result => {
+                const [ west, south, east, north ] = result.bbox;
+                map.fitBounds([ [ west, south ], [ east, north ] ], { maxZoom: options.maxZoom ?? this.options.maxZoom });
+                if( options.onSearch ) {
+                    options.onSearch(result);
+                }
+            }
+        });
+        control.element.classList.add('maplibregl-ctrl', 'maplibregl-ctrl-group');
+
+        const onMove = event => control.update({ lat: event.lngLat.lat, lng: event.lngLat.lng });
+
+        const maplibreControl = {
+            onAdd: () => {
+                map.on('mousemove', onMove);
+                return control.element;
+            },
+            onRemove: () => {
+                map.off('mousemove', onMove);
+                control.element.remove();
+            }
+        };
+
+        map.addControl(maplibreControl, options.position || 'bottom-left');
+
+        return maplibreControl;
+    }
+};
@@ -2,6 +2,18 @@
 
 window.os = window.os || {};
 
+/**
+ * Error thrown by os.Transform in strict mode, carrying a machine-readable code:
+ * OUT_OF_BOUNDS | INVALID_GRIDREF | INVALID_INPUT | GRID_NOT_LOADED | CGI_FAILURE.
+ */
+os.TransformError = class extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'TransformError';
+        this.code = code;
+    }
+};
+
 os.Transform = {
     /**
      * Default configuration options.
@@ -11,17 +23,34 @@ os.Transform = {
         // # ostn15-cgi - [default] OSTN15 Transformation via Common Gateway Interface (CGI) request to GIQTrans.
         // # ostn15-gsb - OSTN15 Transformation using Grid Based Datum Adjustments (NTv2 `.gsb` file).
         // # ostn15-tif - OSTN15 Transformation using Grid Based Datum Adjustments (GeoTIFF `.tif` file).
+        // # ostn15-js - OSTN15 Transformation with the built-in Transverse Mercator + grid shift implementation (reads
+        //   the `.gsb` or `.tif` file directly, without Proj4js or geotiff.js; see loadGrid).
         // # simple-towgs84 - Simple seven-parameter geodetic transformation.
         type: 'ostn15-cgi',
+        // Error handling:
+        // # false - [default] Failures are logged to the console and an empty object is returned (or resolved).
+        // # true - Failures throw (or reject with) an os.TransformError, which has a machine-readable code.
+        strict: false,
         //
         gsbPath: 'resources/OSTN15_NTv2_OSGBtoETRS.gsb',
         tifPath: 'resources/uk_os_OSTN15_NTv2_OSGBtoETRS.tif',
+        // OSGM15 geoid model (used for heights), provided as part of the OSTN15/OSGM15 data file from Ordnance Survey.
+        osgm15Path: 'resources/OSTN15_OSGM15_DataFile.txt',
         //
         proj4: {
             nadgrid: 'OSTN15_NTv2_OSGBtoETRS',
             defs: {
                 towgs84: '+proj=tmerc +lat_0=49 +lon_0=-2 +k=0.9996012717 +x_0=400000 +y_0=-100000 +ellps=airy +towgs84=446.448,-125.157,542.06,0.15,0.247,0.842,-20.489 +units=m +no_defs',
-                ostn15: '+proj=tmerc +lat_0=49 +lon_0=-2 +k=0.9996012717 +x_0=400000 +y_0=-100000 +ellps=airy +nadgrids=OSTN15_NTv2_OSGBtoETRS +units=m +no_defs +type=crs'
+                ostn15: '+proj=tmerc +lat_0=49 +lon_0=-2 +k=0.9996012717 +x_0=400000 +y_0=-100000 +ellps=airy +nadgrids=OSTN15_NTv2_OSGBtoETRS +units=m +no_defs +type=crs',
+                // Irish Grid (EPSG:29903) + Irish Transverse Mercator (EPSG:2157).
+                irishGrid: '+proj=tmerc +lat_0=53.5 +lon_0=-8 +k=1.000035 +x_0=200000 +y_0=250000 +ellps=mod_airy +towgs84=482.5,-130.6,564.6,-1.042,-0.214,-0.631,8.15 +units=m +no_defs +type=crs',
+                itm: '+proj=tmerc +lat_0=53.5 +lon_0=-8 +k=0.99982 +x_0=600000 +y_0=750000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs +type=crs',
+                // ETRS89 / UTM zones 29N, 30N + 31N (EPSG:25829-25831).
+                utm29: '+proj=utm +zone=29 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs +type=crs',
+                utm30: '+proj=utm +zone=30 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs +type=crs',
+                utm31: '+proj=utm +zone=31 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs +type=crs',
+                // ETRS89 coordinates projected with the National Grid parameters (used to look up the OSGM15 geoid model).
+                etrs89tm: '+proj=tmerc +lat_0=49 +lon_0=-2 +k=0.9996012717 +x_0=400000 +y_0=-100000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs +type=crs'
             }
         },
         //
@@ -30,9 +59,130 @@ os.Transform = {
         maxBounds: {
             projected: [[ 0.0, 0.0 ], [ 699999.9, 1299999.9 ]],
             geographic: [[ -8.74, 49.84 ], [ 1.96, 60.9 ]]
+        },
+        // Bounds object (projected coordinates keyed by SRID [Irish Grid | ITM] and geographic coordinates) for extent of Ireland.
+        maxBoundsIreland: {
+            projected: {
+                29903: [[ 0.0, 0.0 ], [ 499999.9, 499999.9 ]],
+                2157: [[ 400000.0, 500000.0 ], [ 899999.9, 999999.9 ]]
+            },
+            geographic: [[ -10.56, 51.39 ], [ -5.34, 55.43 ]]
+        },
+        // Maximum number of lines + cells returned by getGrid().
+        maxGridFeatures: 10000,
+        // Scripts loaded by the Web Worker created with createWorker() (found from the <script> tags of the page if
+        // not given), and the number of points it transforms between progress reports.
+        workerScripts: { proj4: null, geotiff: null, osTransform: null },
+        workerChunkSize: 1000
+    },
+
+    /**
+     * Vertical datums, indexed by OSGM15 height datum flag.
+     */
+    _verticalDatums: [
+        null, 'Newlyn', 'St Marys', 'Douglas02', 'Stornoway', 'St Kilda', 'Lerwick', 'Newlyn (Orkney)', 'Fair Isle',
+        'Flannan Isles', 'North Rona', 'Sule Skerry', 'Foula', 'Malin Head', 'Belfast', 'Offshore'
+    ],
+
+    /**
+     * OSGM15 geoid model (once loaded via loadGeoid).
+     */
+    _geoid: null,
+
+    /**
+     * OSTN15 grid (once loaded via loadGrid), as latitude + longitude shifts in arc-seconds (positive north + east).
+     */
+    _grid: null,
+
+    /**
+     * Extent [west, south, east, north] (in OSGB36 degrees) of the OSTN15 grid registered with Proj4js by init, for
+     * the ostn15-gsb + ostn15-tif transformation types (which do not keep the grid itself).
+     */
+    _gridExtent: null,
+
+    /**
+     * Initialisation state [idle | loading | ready | failed] of the transformation type last passed to init, along
+     * with its pending Promise (or error).
+     */
+    _status: { type: null, state: 'idle', promise: null, error: null },
+
+    /**
+     * URL of this script (loaded again by the Web Worker created with createWorker).
+     */
+    _scriptPath: typeof document !== 'undefined' && document.currentScript ? document.currentScript.src : null,
+
+    /**
+     * Ellipsoids (semi-major + semi-minor axes).
+     */
+    _ellipsoids: {
+        airy: { a: 6377563.396, b: 6356256.909 },
+        modAiry: { a: 6377340.189, b: 6356034.447 },
+        grs80: { a: 6378137.0, b: 6356752.314140356 }
+    },
+
+    /**
+     * Transverse Mercator projections keyed by SRID (used by the ostn15-js transformation type), plus the Helmert
+     * parameters (in the Proj4js `+towgs84` form) for those which are not on ETRS89 or shifted with OSTN15.
+     */
+    _projections: {
+        27700: { ellipsoid: 'airy', lat0: 49, lng0: -2, k0: 0.9996012717, e0: 400000, n0: -100000 },
+        29903: {
+            ellipsoid: 'modAiry', lat0: 53.5, lng0: -8, k0: 1.000035, e0: 200000, n0: 250000,
+            towgs84: [ 482.5, -130.6, 564.6, -1.042, -0.214, -0.631, 8.15 ]
+        },
+        2157: { ellipsoid: 'grs80', lat0: 53.5, lng0: -8, k0: 0.99982, e0: 600000, n0: 750000 },
+        25829: { ellipsoid: 'grs80', lat0: 0, lng0: -9, k0: 0.9996, e0: 500000, n0: 0 },
+        25830: { ellipsoid: 'grs80', lat0: 0, lng0: -3, k0: 0.9996, e0: 500000, n0: 0 },
+        25831: { ellipsoid: 'grs80', lat0: 0, lng0: 3, k0: 0.9996, e0: 500000, n0: 0 },
+        'ETRS89-TM': { ellipsoid: 'grs80', lat0: 49, lng0: -2, k0: 0.9996012717, e0: 400000, n0: -100000 },
+        'OSGB36-Helmert': {
+            ellipsoid: 'airy', lat0: 49, lng0: -2, k0: 0.9996012717, e0: 400000, n0: -100000,
+            towgs84: [ 446.448, -125.157, 542.06, 0.15, 0.247, 0.842, -20.489 ]
         }
     },
 
+    /**
+     * Methods used to transform between ETRS89 and each national grid, with their nominal accuracy (metres), plus the
+     * seven-parameter Helmert transformation (used for British National Grid by the simple-towgs84 transformation
+     * type). ITM is defined on ETRS89, so needs no transformation.
+     */
+    _transformationMethods: {
+        27700: { method: 'OSTN15', accuracy: 0.1 },
+        29903: { method: 'Helmert', accuracy: 1 },
+        2157: { method: 'none', accuracy: 0 },
+        'OSGB36-Helmert': { method: 'Helmert', accuracy: 3.5 }
+    },
+
+    /**
+     * Rates of rotation (milliarcseconds per year, from epoch 1989.0) of each ITRF realisation relative to its ETRF
+     * (EUREF Technical Note 1), whose translations and scale are zero. The WGS84 realisations are aligned with the
+     * ITRF of the same period.
+     */
+    _frames: {
+        'ITRF2014': [ 0.085, 0.531, -0.770 ],
+        'ITRF2020': [ 0.086, 0.519, -0.753 ],
+        'WGS84(G2139)': [ 0.085, 0.531, -0.770 ],
+        'WGS84(G2296)': [ 0.086, 0.519, -0.753 ]
+    },
+
+    /**
+     * Coordinate systems supported by transform(), keyed by SRID. WGS84 is treated as equivalent to ETRS89, points on
+     * the national grids (`grid`) are transformed with toLatLng() + fromLatLng(), and `maxLat` limits the latitudes
+     * which can be projected.
+     */
+    _coordinateSystems: {
+        4326: { name: 'WGS 84', geographic: true },
+        4258: { name: 'ETRS89', geographic: true },
+        4937: { name: 'ETRS89 (3D)', geographic: true },
+        3857: { name: 'WGS 84 / Pseudo-Mercator', geographic: false, maxLat: 85.0511287798 },
+        25829: { name: 'ETRS89 / UTM zone 29N', geographic: false },
+        25830: { name: 'ETRS89 / UTM zone 30N', geographic: false },
+        25831: { name: 'ETRS89 / UTM zone 31N', geographic: false },
+        27700: { name: 'OSGB36 / British National Grid', geographic: false, grid: true },
+        29903: { name: 'TM75 / Irish Grid', geographic: false, grid: true },
+        2157: { name: 'IRENET95 / Irish Transverse Mercator', geographic: false, grid: true }
+    },
+
     /**
      * Test whether Proj4js has been installed in the browser application.
      */
@@ -47,44 +197,293 @@ os.Transform = {
         return typeof GeoTIFF !== 'undefined' ? GeoTIFF : 'GeoTIFF is not defined. Please ensure you have installed geotiff.js in your browser application (see https://geotiffjs.github.io/geotiff.js/).';
     },
 
+    /**
+     * Report a failure: throw an os.TransformError in strict mode, otherwise log it and return an empty object.
+     * @param {string} message - The error message.
+     * @param {string} code - The error code [OUT_OF_BOUNDS | INVALID_GRIDREF | INVALID_INPUT | GRID_NOT_LOADED | CGI_FAILURE].
+     */
+    _fail: function(message, code) {
+        if( this.options.strict ) {
+            throw new os.TransformError(message, code);
+        }
+
+        console.log(message);
+        return {};
+    },
+
+    /**
+     * Test whether the configured transformation type has been initialised (see init). The CGI request needs no
+     * initialisation; neither does ostn15-js once a grid has been loaded with loadGrid.
+     */
+    _checkReady: function() {
+        const type = this.options.type;
+        const status = this._status.type === type ? this._status : { state: 'idle' };
+
+        if( type === 'ostn15-cgi' || status.state === 'ready' || (type === 'ostn15-js' && this._grid !== null) ) {
+            return { valid: true, message: '' };
+        }
+        if( status.state === 'loading' ) {
+            return { valid: false, message: '', pending: status.promise };
+        }
+
+        const message = status.state === 'failed'
+            ? `Transformation (${type}) failed to initialise: ${status.error.message}`
+            : `Transformation (${type}) has not been initialised. Please call (and await) os.Transform.init() first.`;
+
+        return { valid: false, message: message, code: 'GRID_NOT_LOADED' };
+    },
+
+    /**
+     * Return the Proj4js projection name for an SRID, registering the Irish + UTM definitions on first use.
+     * @param {integer} srid - The projected coordinate system [27700 | 29903 | 2157 | 25829 | 25830 | 25831 | 3857].
+     */
+    _getProjection: function(srid) {
+        const defs = {
+            29903: this.options.proj4.defs.irishGrid, 2157: this.options.proj4.defs.itm,
+            25829: this.options.proj4.defs.utm29, 25830: this.options.proj4.defs.utm30, 25831: this.options.proj4.defs.utm31
+        };
+        if( defs[srid] && ! proj4.defs(`EPSG:${srid}`) ) {
+            proj4.defs(`EPSG:${srid}`, defs[srid]);
+        }
+        return `EPSG:${srid}`;
+    },
+
     /**
      * Test whether coordinates are within the permitted bounds.
      * @param {object} coordinates - The easting + northing or latlng to be validated.
+     * @param {integer} srid - [optional] The projected coordinate system [27700 | 29903 | 2157] the bounds apply to.
      */
-    _checkBounds: function(coordinates) {
-        const isValid = true;
+    _checkBounds: function(coordinates, srid = coordinates.srid || 27700) {
+        const bounds = srid === 27700 ? {
+            projected: this.options.maxBounds.projected,
+            geographic: this.options.maxBounds.geographic
+        } : {
+            projected: this.options.maxBoundsIreland.projected[srid],
+            geographic: this.options.maxBoundsIreland.geographic
+        };
+
+        if(! bounds.projected ) {
+            return { valid: false, message: 'Unsupported coordinate system.', code: 'INVALID_INPUT' };
+        }
+
+        const values = coordinates.hasOwnProperty('ea') ? [ coordinates.ea, coordinates.no ] : [ coordinates.lat, coordinates.lng ];
+        if(! values.every(Number.isFinite) ) {
+            return { valid: false, message: 'Invalid coordinates.', code: 'INVALID_INPUT' };
+        }
+
+        let isValid = true;
         if( coordinates.hasOwnProperty('ea') && coordinates.hasOwnProperty('no') ) {
-            if( (coordinates.ea < this.options.maxBounds.projected[0][0] || coordinates.ea > this.options.maxBounds.projected[1][0])
-                || (coordinates.no < this.options.maxBounds.projected[0][1] || coordinates.no > this.options.maxBounds.projected[1][1]) ) {
+            if( (coordinates.ea < bounds.projected[0][0] || coordinates.ea > bounds.projected[1][0])
+                || (coordinates.no < bounds.projected[0][1] || coordinates.no > bounds.projected[1][1]) ) {
                 isValid = false;
             }
         }
         else if( coordinates.hasOwnProperty('lat') && coordinates.hasOwnProperty('lng') ) {
-            if( (coordinates.lng < this.options.maxBounds.geographic[0][0] || coordinates.lng > this.options.maxBounds.geographic[1][0])
-                || (coordinates.lat < this.options.maxBounds.geographic[0][1] || coordinates.lat > this.options.maxBounds.geographic[1][1]) ) {
+            if( (coordinates.lng < bounds.geographic[0][0] || coordinates.lng > bounds.geographic[1][0])
+                || (coordinates.lat < bounds.geographic[0][1] || coordinates.lat > bounds.geographic[1][1]) ) {
                 isValid = false;
             }
         }
 
         const message = isValid ? '' : 'Coordinates out of range.';
 
-        return { valid: isValid, message: message };
+        return { valid: isValid, message: message, ...(isValid ? {} : { code: 'OUT_OF_BOUNDS' }) };
     },
 
     /**
-     * Test whether a standard grid reference with a valid format has been provided.
+     * Test whether a grid reference with a valid format has been provided (0 to 10-figure, hectad, quadrant or
+     * tetrad), detect which grid [British National Grid (27700) | Irish Grid (29903)] it belongs to, and return
+     * its components.
      * param {string} gridref - The grid reference to be validated.
      */
     _validateGridRef: function(gridref) {
-        const regex = /^[THJONS][VWXYZQRSTULMNOPFGHJKABCDE] ?[0-9]{1,5} ?[0-9]{1,5}$/;
-        const match = Array.isArray(gridref.toUpperCase().match(regex)) ? true : false;
+        const regexGB = /^([THJONS][VWXYZQRSTULMNOPFGHJKABCDE]) ?([0-9]{0,5}) ?([0-9]{0,5})(?: ?(NE|NW|SE|SW|[A-NP-Z]))?$/;
+        const regexIE = /^([VWXYZQRSTULMNOPFGHJKABCDE]) ?([0-9]{0,5}) ?([0-9]{0,5})(?: ?(NE|NW|SE|SW|[A-NP-Z]))?$/;
+
+        const matchGB = gridref.toUpperCase().match(regexGB);
+        const match = matchGB || gridref.toUpperCase().match(regexIE);
+
+        const digits = match ? match[2] + match[3] : '';
+        const suffix = match && match[4] ? match[4] : '';
 
-        const isValid = (gridref.replace(/ /g, '').length % 2 === 0) && match ? true: false;
+        // Quadrant + tetrad suffixes are only valid after a hectad (2-figure) reference
+        const isValid = match && digits.length % 2 === 0 && (suffix === '' || digits.length === 2) ? true: false;
         const message = isValid ? '' : 'Invalid grid reference.';
 
-        return { valid: isValid, message: message };
+        if(! isValid ) {
+            return { valid: false, message: message, code: 'INVALID_GRIDREF', srid: null };
+        }
+
+        return { valid: true, message: message, srid: matchGB ? 27700 : 29903, letters: match[1], digits: digits, suffix: suffix };
+    },
+
+    /**
+     * Return the square a grid reference refers to: its size in metres (precision), centre, bounding box and GeoJSON
+     * polygon, in the coordinates of its grid.
+     * @param {object} test - The components of a valid grid reference (from _validateGridRef()).
+     * @param {array} corner - The south-west corner of the square [easting, northing].
+     */
+    _getSquare: function(test, corner) {
+        const size = { 2: 5000, 1: 2000 }[test.suffix.length] || Math.pow(10, 5 - test.digits.length / 2);
+        const [ e, n ] = corner;
+
+        return {
+            precision: size,
+            centre: { ea: e + size / 2, no: n + size / 2 },
+            bbox: [ e, n, e + size, n + size ],
+            geometry: { type: 'Polygon', coordinates: [[ [ e, n ], [ e + size, n ], [ e + size, n + size ], [ e, n + size ], [ e, n ] ]] }
+        };
+    },
+
+    /**
+     * Return a grid reference written with any mix of case, spaces, hyphens, dots or slashes (e.g. ny-3729-0369) as
+     * { value, precision, srid }, or null if it is not recognised.
+     * @param {string} text - The text to be parsed.
+     */
+    _parseGridRef: function(text) {
+        const match = text.toUpperCase().match(/^([A-Z]{1,2})[\s\-_./]*([0-9]*)(?:[\s\-_./]+([0-9]+))?(?:[\s\-_./]*([A-Z]{1,2}))?$/);
+
+        // Separate eastings + northings must have the same number of figures
+        if( ! match || (match[3] !== undefined && match[2].length !== match[3].length) ) {
+            return null;
+        }
+
+        const test = this._validateGridRef(match[1] + match[2] + (match[3] || '') + (match[4] || ''));
+        if(! test.valid ) {
+            return null;
+        }
+
+        const i = test.digits.length / 2;
+        const eastings = test.digits.substring(0, i);
+        const northings = test.digits.substring(i);
+
+        // Ecological formats (and hectads written as such) are kept without spaces, e.g. NY30, NY30NE, NY30X
+        if( test.suffix || (i === 1 && match[3] === undefined && !/\s/.test(text)) ) {
+            const precision = { 2: 'quadrant', 1: 'tetrad', 0: 'hectad' }[test.suffix.length];
+            return { value: test.letters + test.digits + test.suffix, precision: precision, srid: test.srid };
+        }
+
+        return { value: [test.letters, eastings, northings].filter(Boolean).join(' '), precision: i * 2, srid: test.srid };
+    },
+
+    /**
+     * Return a latlng written in decimal degrees, degrees + decimal minutes or degrees, minutes + seconds (with
+     * hemisphere letters or signed values, in either order) as { lat, lng, format, precision }, where precision is
+     * the number of decimal places of degrees it resolves (lat + lng are not rounded to it), or null if it is not
+     * recognised.
+     * @param {string} text - The text to be parsed, e.g. 54°25'29.3"N 2°58'04.6"W or 54.42481, -2.9679374.
+     */
+    _parseLatLng: function(text) {
+        const regex = /^([NSEW])?\s*([-+]?[0-9]+(?:\.[0-9]+)?)\s*(?:[°º˚:]\s*)?(?:([0-9]+(?:\.[0-9]+)?)\s*(?:['′’:]\s*)?)?(?:([0-9]+(?:\.[0-9]+)?)\s*(?:''|["″”])?\s*)?([NSEW])?$/;
+        const decimals = (value) => value && value.includes('.') ? value.split('.')[1].length : 0;
+
+        const parseCoordinate = (part) => {
+            const match = part.match(regex);
+            if( ! match || (match[1] && match[5]) ) {
+                return null;
+            }
+
+            const [ , , degrees, minutes, seconds ] = match;
+            const hemisphere = match[1] || match[5];
+
+            // Only the last component may have decimals, and minutes + seconds must be less than 60
+            if( (minutes !== undefined && degrees.includes('.')) || (seconds !== undefined && minutes.includes('.'))
+                || Number(minutes || 0) >= 60 || Number(seconds || 0) >= 60 || (hemisphere && /^[-+]/.test(degrees)) ) {
+                return null;
+            }
+
+            const sign = degrees.startsWith('-') || hemisphere === 'S' || hemisphere === 'W' ? -1 : 1;
+            return {
+                value: sign * (Math.abs(Number(degrees)) + Number(minutes || 0) / 60 + Number(seconds || 0) / 3600),
+                axis: hemisphere ? (/[NS]/.test(hemisphere) ? 'lat' : 'lng') : null,
+                format: seconds !== undefined ? 'dms' : minutes !== undefined ? 'ddm' : 'decimal',
+                precision: seconds !== undefined ? decimals(seconds) + 4 : minutes !== undefined ? decimals(minutes) + 2 : decimals(degrees)
+            };
+        };
+
+        // Try each separator between the two coordinates, for a split which gives both in the same format
+        const upper = text.toUpperCase();
+        let pair = null;
+        for (const separator of upper.matchAll(/\s*[,;/]\s*|\s+/g)) {
+            const first = parseCoordinate(upper.substring(0, separator.index));
+            const second = parseCoordinate(upper.substring(separator.index + separator[0].length));
+            if( first && second && first.format === second.format && (first.axis === null || first.axis !== second.axis) ) {
+                pair = [first, second];
+                break;
+            }
+        }
+
+        if(! pair ) {
+            return null;
+        }
+
+        const [ lat, lng ] = pair[0].axis === 'lng' || pair[1].axis === 'lat' ? [ pair[1], pair[0] ] : pair;
+        if( Math.abs(lat.value) > 90 || Math.abs(lng.value) > 180 ) {
+            return null;
+        }
+
+        return { lat: lat.value, lng: lng.value, format: lat.format, precision: Math.max(lat.precision, lng.precision) };
+    },
+
+    /**
+     * Test whether a latlng format has been provided: decimal | ddm | dms, or an object with the format type plus
+     * optional hemisphere and precision options.
+     * @param {string|object} format - The format to be validated.
+     */
+    _checkFormat: function(format) {
+        const options = typeof format === 'string' ? { type: format } : format;
+
+        const isValid = options !== null && typeof options === 'object' && [ 'decimal', 'ddm', 'dms' ].includes(options.type)
+            && (options.precision === undefined || (Number.isInteger(options.precision) && options.precision >= 0 && options.precision <= 10));
+        const message = isValid ? '' : 'Invalid latlng format.';
+
+        return { valid: isValid, message: message, ...(isValid ? {} : { code: 'INVALID_INPUT' }) };
+    },
+
+    /**
+     * Return a latlng written as text in decimal degrees, degrees + decimal minutes (ddm) or degrees, minutes +
+     * seconds (dms), e.g. { lat: '54°25\'29.3"N', lng: '2°58\'04.6"W', text: '54°25\'29.3"N 2°58\'04.6"W' }.
+     * @param {array} point - The latlng in XY order.
+     * @param {string|object} format - The format [decimal | ddm | dms], or an object with the format type plus
+     * hemisphere [true (letters, default) | false (signed values)] and precision (decimal places of the last
+     * component: degrees, minutes or seconds) options.
+     * @param {integer} decimals - The precision of the decimal format, unless given in the format options.
+     */
+    _formatLatLng: function(point, format, decimals) {
+        const options = typeof format === 'string' ? { type: format } : format;
+        const { type, hemisphere = true } = options;
+        const precision = options.precision ?? { decimal: decimals, ddm: 3, dms: 1 }[type];
+
+        const formatValue = (value, letters) => {
+            // Round in the smallest unit first, so that e.g. 59.96 seconds carries into the minutes
+            const units = Number((Math.abs(value) * { decimal: 1, ddm: 60, dms: 3600 }[type]).toFixed(precision));
+            const pad = (number) => number.toFixed(precision).padStart(precision > 0 ? precision + 3 : 2, '0');
+
+            let text;
+            if( type === 'dms' ) {
+                const degrees = Math.floor(units / 3600);
+                const minutes = Math.floor((units - degrees * 3600) / 60);
+                text = `${degrees}°${String(minutes).padStart(2, '0')}'${pad(units - degrees * 3600 - minutes * 60)}"`;
+            }
+            else if( type === 'ddm' ) {
+                const degrees = Math.floor(units / 60);
+                text = `${degrees}°${pad(units - degrees * 60)}'`;
+            }
+            else {
+                text = `${units.toFixed(precision)}°`;
+            }
+
+            const negative = value < 0 && units > 0;
+            return hemisphere ? text + letters[negative ? 1 : 0] : (negative ? '-' : '') + text;
+        };
+
+        const lat = formatValue(point[1], 'NS');
+        const lng = formatValue(point[0], 'EW');
+
+        return { lat: lat, lng: lng, text: hemisphere ? `${lat} ${lng}` : `${lat}, ${lng}` };
     },
 
+
     /**
     * Return transformed point geometry in GeoJSON format via Common Gateway Interface (CGI)
     * request to GIQTrans.
@@ -93,145 +492,2423 @@ os.Transform = {
     * @param {array} coordinates - The input coordinates in XY order.
     */
     _makeRequest: async function(source, target, coordinates) {
-        const response = await fetch(this.options.cgiPath, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded'
-            },
-            body: `SourceSRID=${source}&TargetSRID=${target}&Geometry={"type":"Point","coordinates":[${coordinates}]}`
-        });
-        const data = await response.json();
+        let data;
+        try {
+            const response = await fetch(this.options.cgiPath, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                },
+                body: `SourceSRID=${source}&TargetSRID=${target}&Geometry={"type":"Point","coordinates":[${coordinates}]}`
+            });
+            if(! response.ok ) {
+                throw new Error(`${response.status} ${response.statusText}`);
+            }
+            data = await response.json();
+        }
+        catch(error) {
+            throw new os.TransformError(`GIQTrans request failed: ${error.message}`, 'CGI_FAILURE');
+        }
+
+        if(! data || ! Array.isArray(data.coordinates) || ! data.coordinates.every(Number.isFinite) ) {
+            throw new os.TransformError('GIQTrans did not return a transformed point.', 'CGI_FAILURE');
+        }
 
         return data.coordinates;
     },
 
     /**
-     * Return latlng from an input easting + northing.
-     * @param {object} coordinates - The easting + northing to be transformed.
-     * @param {integer} decimals - [optional] The specified number of decimal places.
+     * Return ETRS89 latlng from a latlng given as numbers or as text (see fromLatLng()), converted from ITRF or WGS84
+     * first where it has an `epoch` or `frame`, as { valid, coordinates }.
+     * @param {object|string} coordinates - The latlng to be read.
      */
-    toLatLng: function(coordinates, decimals = 7) {
-        const test = this._checkBounds(coordinates)
-        if(! test.valid ) {
-           console.log(test.message);
-           return {};
+    _readLatLng: function(coordinates) {
+        if( typeof coordinates === 'string' || typeof coordinates.lat === 'string' || typeof coordinates.lng === 'string' ) {
+            const latlng = this._parseLatLng(typeof coordinates === 'string' ? coordinates.trim() : `${coordinates.lat}, ${coordinates.lng}`);
+            if( latlng === null ) {
+                return { valid: false, message: 'Invalid latlng.', code: 'INVALID_INPUT' };
+            }
+            coordinates = { ...(typeof coordinates === 'string' ? {} : coordinates), lat: latlng.lat, lng: latlng.lng };
         }
 
-        if( this.options.type === 'ostn15-cgi' ) {
-           return this._makeRequest(27700, 4937, [ coordinates.ea, coordinates.no ]).then(data => ({
-                lat: Number(data[1].toFixed(decimals)),
-                lng: Number(data[0].toFixed(decimals))
-            }));
+        if( coordinates.epoch !== undefined || coordinates.frame !== undefined ) {
+            const etrs89 = Number.isFinite(coordinates.lat) && Number.isFinite(coordinates.lng)
+                ? this._toETRS89(coordinates)
+                : { valid: false, message: 'Invalid coordinates.', code: 'INVALID_INPUT' };
+            if(! etrs89.valid ) {
+                return etrs89;
+            }
+            coordinates = etrs89.coordinates;
         }
-        else {
-            const point = proj4('EPSG:27700', 'EPSG:4326', [ coordinates.ea, coordinates.no ]);
-            return {
-                lat: Number(point[1].toFixed(decimals)),
-                lng: Number(point[0].toFixed(decimals))
-            };
+
+        return { valid: true, coordinates: coordinates };
+    },
+
+    /**
+     * Return how a point was transformed between ETRS89 and a national grid: the method [OSTN15 | Helmert | none],
+     * the transformation type, the nominal accuracy of the method (metres) and, on British National Grid, the shift
+     * (metres) from the ETRS89 latlng projected with the National Grid parameters to the easting + northing.
+     * @param {integer} srid - The national grid [27700 | 29903 | 2157].
+     * @param {array} point - The easting + northing.
+     * @param {array} latlng - The ETRS89 longitude + latitude.
+     */
+    _getTransformation: function(srid, point, latlng) {
+        const key = srid === 27700 && this.options.type === 'simple-towgs84' ? 'OSGB36-Helmert' : srid;
+        const { method, accuracy } = this._transformationMethods[key];
+        const transformation = { method: method, type: this.options.type, accuracy: accuracy };
+        if( srid !== 27700 ) {
+            return transformation;
         }
+
+        const projected = this._toProjected(latlng, this._projections['ETRS89-TM']);
+        return {
+            ...transformation,
+            shift: { ea: Number((point[0] - projected[0]).toFixed(3)), no: Number((point[1] - projected[1]).toFixed(3)) }
+        };
     },
 
     /**
-     * Return easting + northing from an input latlng.
-     * @param {object} coordinates - The latlng to be transformed.
-     * @param {integer} decimals - [optional] The specified number of decimal places.
+     * Return the transformation of a point transformed from one national grid to another via ETRS89 (the methods of
+     * both, with the sum of their accuracies), or of the one national grid involved.
+     * @param {object} source - [optional] The transformation from the source national grid.
+     * @param {object} target - [optional] The transformation to the target national grid.
      */
-    fromLatLng: function(coordinates, decimals = 2) {
-        const test = this._checkBounds(coordinates)
-        if(! test.valid ) {
-           console.log(test.message);
-           return {};
+    _combineTransformations: function(source, target) {
+        if(! source || ! target ) {
+            return source ?? target;
         }
+        return {
+            method: `${source.method} + ${target.method}`,
+            type: source.type,
+            accuracy: Number((source.accuracy + target.accuracy).toFixed(3)),
+            ...(source.shift || target.shift ? { shift: source.shift ?? target.shift } : {})
+        };
+    },
 
-        if( this.options.type === 'ostn15-cgi' ) {
-            return this._makeRequest(4937, 27700, [ coordinates.lng, coordinates.lat ]).then(data => ({
-                ea: Number(data[0].toFixed(decimals)),
-                no: Number(data[1].toFixed(decimals))
-            }));
+    /**
+     * Return the extent [west, south, east, north] (in OSGB36 degrees) of the loaded OSTN15 grid, or null if none has
+     * been loaded (as for the ostn15-cgi transformation type, where the grid is applied by OS's service).
+     */
+    _getGridExtent: function() {
+        const grid = this._grid;
+        if( grid !== null ) {
+            return [ grid.west, grid.south, grid.west + (grid.columns - 1) * grid.lngInterval, grid.south + (grid.rows - 1) * grid.latInterval ];
         }
-        else {
-            const point = proj4('EPSG:4326', 'EPSG:27700', [ coordinates.lng, coordinates.lat ]);
-            return {
-                ea: Number(point[0].toFixed(decimals)),
-                no: Number(point[1].toFixed(decimals))
-            };
+        return this._gridExtent;
+    },
+
+    /**
+     * Test whether an ETRS89 latlng is covered by OSTN15: inside the transformation area, in its offshore extension,
+     * or outside (beyond the loaded grid, or in one of the no-data cells of the OSTN15/OSGM15 data file). The offshore
+     * extension + no-data cells are only known once the data file has been loaded (see loadGeoid): until then, points
+     * within the grid are `unknown` rather than claimed to be inside.
+     * @param {object} coordinates - The latlng to be tested.
+     */
+    _checkCoverage: function(coordinates) {
+        const geoid = this._geoid;
+        const extent = this._getGridExtent();
+
+        // The grid is indexed by OSGB36 latlng, which the Helmert transformation gives to within a few metres
+        let coverage = 'inside';
+        if( extent !== null ) {
+            const [ lng, lat ] = this._helmert([ coordinates.lng, coordinates.lat ], this._projections['OSGB36-Helmert'], true);
+            coverage = lng >= extent[0] && lat >= extent[1] && lng <= extent[2] && lat <= extent[3] ? 'inside' : 'outside';
+        }
+
+        if( coverage === 'inside' && geoid === null ) {
+            coverage = 'unknown';
+        }
+        else if( coverage === 'inside' ) {
+            const [ e, n ] = this._transform(4326, 'ETRS89-TM', [ coordinates.lng, coordinates.lat ]).map(value => value / 1000);
+            const x = Math.min(Math.floor(e), geoid.columns - 2);
+            const y = Math.min(Math.floor(n), geoid.rows - 2);
+
+            // Grid nodes [SW, SE, NE, NW] surrounding the point (a shift interpolated from any no-data node is unusable)
+            const nodes = [ y * geoid.columns + x, y * geoid.columns + x + 1, (y + 1) * geoid.columns + x + 1, (y + 1) * geoid.columns + x ];
+            const nearest = nodes[(e - x < 0.5 ? (n - y < 0.5 ? 0 : 3) : (n - y < 0.5 ? 1 : 2))];
+
+            if( ! (e >= 0 && e <= geoid.columns - 1 && n >= 0 && n <= geoid.rows - 1) || nodes.some(node => geoid.flags[node] === 0) ) {
+                coverage = 'outside';
+            }
+            else if( geoid.flags[nearest] === this._verticalDatums.indexOf('Offshore') ) {
+                coverage = 'offshore';
+            }
         }
+
+        const isValid = coverage !== 'outside';
+        const message = isValid ? '' : 'Coordinates outside the OSTN15 transformation area.';
+
+        return { valid: isValid, message: message, coverage: coverage, ...(isValid ? {} : { code: 'OUT_OF_BOUNDS' }) };
     },
 
     /**
-     * Return grid reference [plain | encoded | components] from an input easting + northing.
-     * @param {object} coordinates - The easting + northing to be converted.
+     * Test whether the OSTN15 grid shift was applied to a point: whether the OSGB36 latlng of its British National
+     * Grid easting + northing falls within the loaded grid (or, for the ostn15-cgi type, OS's service applied it).
+     * @param {integer} srid - The national grid [27700 | 29903 | 2157].
+     * @param {array} point - The easting + northing.
      */
-    toGridRef: function(coordinates) {
-        const test = this._checkBounds(coordinates)
-        if(! test.valid ) {
-           console.log(test.message);
-           return {};
+    _isShifted: function(srid, point) {
+        if( srid !== 27700 || this.options.type === 'simple-towgs84' ) {
+            return false;
+        }
+        if( this.options.type === 'ostn15-cgi' ) {
+            return true;
         }
 
-        const prefixes = [
-            [ 'SV', 'SW', 'SX', 'SY', 'SZ', 'TV', 'TW' ],
-            [ 'SQ', 'SR', 'SS', 'ST', 'SU', 'TQ', 'TR' ],
-            [ 'SL', 'SM', 'SN', 'SO', 'SP', 'TL', 'TM' ],
-            [ 'SF', 'SG', 'SH', 'SJ', 'SK', 'TF', 'TG' ],
-            [ 'SA', 'SB', 'SC', 'SD', 'SE', 'TA', 'TB' ],
-            [ 'NV', 'NW', 'NX', 'NY', 'NZ', 'OV', 'OW' ],
-            [ 'NQ', 'NR', 'NS', 'NT', 'NU', 'OQ', 'OR' ],
-            [ 'NL', 'NM', 'NN', 'NO', 'NP', 'OL', 'OM' ],
-            [ 'NF', 'NG', 'NH', 'NJ', 'NK', 'OF', 'OG' ],
-            [ 'NA', 'NB', 'NC', 'ND', 'NE', 'OA', 'OB' ],
-            [ 'HV', 'HW', 'HX', 'HY', 'HZ', 'JV', 'JW' ],
-            [ 'HQ', 'HR', 'HS', 'HT', 'HU', 'JQ', 'JR' ],
-            [ 'HL', 'HM', 'HN', 'HO', 'HP', 'JL', 'JM' ]
-        ];
+        const extent = this._getGridExtent();
+        const [ lng, lat ] = this._toGeographic(point, this._projections[27700]);
+        return extent !== null && lng >= extent[0] && lat >= extent[1] && lng <= extent[2] && lat <= extent[3];
+    },
 
-        const x = Math.floor(coordinates.ea / 100000);
-        const y = Math.floor(coordinates.no / 100000);
+    /**
+     * Return the OSGM15 geoid-ellipsoid separation (bilinearly interpolated from the 1km grid) and the vertical
+     * datum which applies at an ETRS89 latlng.
+     * @param {object} coordinates - The latlng at which the geoid height is required.
+     */
+    _getGeoidHeight: function(coordinates) {
+        const geoid = this._geoid;
+        if( geoid === null ) {
+            return { valid: false, message: 'OSGM15 geoid model has not been loaded.', code: 'GRID_NOT_LOADED' };
+        }
+
+        // The model is gridded on ETRS89 coordinates projected with the National Grid parameters
+        const [ e, n ] = this._transform(4326, 'ETRS89-TM', [ coordinates.lng, coordinates.lat ]);
 
-        const prefix = prefixes[y][x];
+        const x = Math.floor(e / 1000);
+        const y = Math.floor(n / 1000);
 
-        let e = Math.floor(coordinates.ea % 100000);
-        let n = Math.floor(coordinates.no % 100000);
+        if( x < 0 || x >= geoid.columns - 1 || y < 0 || y >= geoid.rows - 1 ) {
+            return { valid: false, message: 'Coordinates outside the OSGM15 geoid model.', code: 'OUT_OF_BOUNDS' };
+        }
+
+        // Grid nodes [SW, SE, NE, NW] surrounding the point
+        const nodes = [ y * geoid.columns + x, y * geoid.columns + x + 1, (y + 1) * geoid.columns + x + 1, (y + 1) * geoid.columns + x ];
+        if( nodes.some(node => geoid.flags[node] === 0) ) {
+            return { valid: false, message: 'Coordinates outside the OSGM15 geoid model.', code: 'OUT_OF_BOUNDS' };
+        }
 
-        e = String(e).padStart(5, '0');
-        n = String(n).padStart(5, '0');
+        const t = e / 1000 - x;
+        const u = n / 1000 - y;
 
-        const text = `${prefix} ${e} ${n}`;
-        const html = `${prefix}&thinsp;${e}&thinsp;${n}`;
+        const shift = (1 - t) * (1 - u) * geoid.heights[nodes[0]] + t * (1 - u) * geoid.heights[nodes[1]]
+            + t * u * geoid.heights[nodes[2]] + (1 - t) * u * geoid.heights[nodes[3]];
 
-        return { text: text, html: html, letters: prefix, eastings: e, northings: n };
+        // The vertical datum is taken from the nearest grid node
+        const nearest = nodes[(t < 0.5 ? (u < 0.5 ? 0 : 3) : (u < 0.5 ? 1 : 2))];
+
+        return { valid: true, message: '', shift: shift, datum: this._verticalDatums[geoid.flags[nearest]] };
     },
 
     /**
-     * Return easting + northing from an input grid reference.
-     * @param {string} gridref - The grid reference to be converted.
+     * Test whether a GeoJSON object (Geometry, Feature or FeatureCollection) is well formed: features in an array,
+     * each with a geometry object (or null), and positions nested to the depth of each geometry type.
+     * @param {object} geojson - The GeoJSON object to be validated.
      */
-    fromGridRef: function(gridref) {
-        gridref = String(gridref).trim();
+    _checkGeoJSON: function(geojson) {
+        const depths = { Point: 0, MultiPoint: 1, LineString: 1, MultiLineString: 2, Polygon: 2, MultiPolygon: 3 };
 
-        const test = this._validateGridRef(gridref)
-        if(! test.valid ) {
-           console.log(test.message);
-           return {};
+        const isPositions = (coordinates, depth) => Array.isArray(coordinates) && (depth === 0
+            ? coordinates.length >= 2 && coordinates.every(value => typeof value === 'number')
+            : coordinates.every(item => isPositions(item, depth - 1)));
+
+        const isGeometry = (geometry) => {
+            if( geometry === null || typeof geometry !== 'object' ) {
+                return false;
+            }
+            if( geometry.type === 'GeometryCollection' ) {
+                return Array.isArray(geometry.geometries) && geometry.geometries.every(isGeometry);
+            }
+            return depths.hasOwnProperty(geometry.type) && isPositions(geometry.coordinates, depths[geometry.type]);
+        };
+
+        const isFeature = (feature) => feature !== null && typeof feature === 'object' && feature.type === 'Feature'
+            && (feature.geometry === null || isGeometry(feature.geometry));
+
+        const isValid = geojson.type === 'FeatureCollection' ? Array.isArray(geojson.features) && geojson.features.every(isFeature)
+            : geojson.type === 'Feature' ? isFeature(geojson)
+            : isGeometry(geojson);
+
+        if(! isValid ) {
+            return { valid: false, message: 'Invalid GeoJSON: features, geometries or coordinates are missing or malformed.', code: 'INVALID_INPUT' };
         }
 
-        const gridLetters = 'VWXYZQRSTULMNOPFGHJKABCDE';
+        return { valid: true, message: '' };
+    },
 
-        const ref = gridref.toUpperCase().replace(/ /g, '');
+    /**
+     * Return a transformed GeoJSON position (or a Promise of one), or null if the position is out of bounds.
+     * @param {array} position - The GeoJSON position [x, y, (z)] to be transformed.
+     * @param {string} direction - The transformation direction [toLatLng | fromLatLng].
+     * @param {integer} decimals - [optional] The specified number of decimal places.
+     */
+    _transformPosition: function(position, direction, decimals) {
+        const coordinates = direction === 'toLatLng'
+            ? { ea: position[0], no: position[1] }
+            : { lat: position[1], lng: position[0] };
 
-        const majorEasting = gridLetters.indexOf(ref[0]) % 5  * 500000 - 1000000;
-        const majorNorthing = Math.floor(gridLetters.indexOf(ref[0]) / 5) * 500000 - 500000;
+        if( ! Number.isFinite(position[0]) || ! Number.isFinite(position[1]) || ! this._checkBounds(coordinates).valid ) {
+            return null;
+        }
 
-        const minorEasting = gridLetters.indexOf(ref[1]) % 5  * 100000;
-        const minorNorthing = Math.floor(gridLetters.indexOf(ref[1]) / 5) * 100000;
+        // Positions which fail to transform are treated as out of bounds (whether or not in strict mode)
+        const toPosition = point => {
+            if( Object.keys(point).length === 0 ) {
+                return null;
+            }
+            return direction === 'toLatLng'
+                ? [ point.lng, point.lat, ...position.slice(2) ]
+                : [ point.ea, point.no, ...position.slice(2) ];
+        };
+        const toNull = error => {
+            if( error instanceof os.TransformError ) {
+                return null;
+            }
+            throw error;
+        };
 
-        const i = (ref.length-2) / 2;
-        const m = Math.pow(10, 5-i);
+        let point;
+        try {
+            point = direction === 'toLatLng' ? this.toLatLng(coordinates, decimals) : this.fromLatLng(coordinates, decimals);
+        }
+        catch(error) {
+            return toNull(error);
+        }
+
+        return point instanceof Promise ? point.then(toPosition, toNull) : toPosition(point);
+    },
+
+    /**
+     * Return a copy of a GeoJSON object with every position replaced, along with the index of any feature which
+     * could not be transformed (the geometry of which is set to null).
+     * @param {object} geojson - The GeoJSON object (Geometry, Feature or FeatureCollection, checked by _checkGeoJSON()) to be mapped.
+     * @param {function} transform - The function returning a replacement position (or null) for each position.
+     */
+    _mapGeoJSON: function(geojson, transform) {
+        const outOfBounds = [];
+
+        const mapPositions = (coordinates) => {
+            if( typeof coordinates[0] === 'number' ) {
+                return transform(coordinates);
+            }
+            const mapped = coordinates.map(mapPositions);
+            return mapped.includes(null) ? null : mapped;
+        };
+
+        const mapGeometry = (geometry) => {
+            if( geometry === null ) {
+                return null;
+            }
+            const mapped = geometry.type === 'GeometryCollection'
+                ? { ...geometry, geometries: geometry.geometries.map(mapGeometry) }
+                : { ...geometry, coordinates: mapPositions(geometry.coordinates) };
+            if( mapped.coordinates === null || (mapped.geometries && mapped.geometries.includes(null)) ) {
+                return null;
+            }
+            return this._setBBox(mapped);
+        };
+
+        const mapFeature = (feature, index) => {
+            const geometry = mapGeometry(feature.geometry);
+            if( feature.geometry !== null && geometry === null ) {
+                outOfBounds.push({ index: index, id: feature.id, message: 'Coordinates out of range.' });
+            }
+            return this._setBBox({ ...feature, geometry: geometry });
+        };
+
+        let mapped;
+        if( geojson.type === 'FeatureCollection' ) {
+            mapped = this._setBBox({ ...geojson, features: geojson.features.map(mapFeature) });
+        }
+        else if( geojson.type === 'Feature' ) {
+            mapped = mapFeature(geojson, 0);
+        }
+        else {
+            mapped = mapGeometry(geojson);
+            if( mapped === null ) {
+                outOfBounds.push({ index: null, message: 'Coordinates out of range.' });
+            }
+        }
 
-        const e = majorEasting + minorEasting + (ref.substring(2, i+2) * m);
-        const n = majorNorthing + minorNorthing + (ref.substring(i+2) * m);
+        return { geojson: mapped, outOfBounds: outOfBounds };
+    },
 
-        return { ea: e, no: n };
+    /**
+     * Return a GeoJSON object with its bbox (if it has one) recomputed from its positions.
+     * @param {object} geojson - The GeoJSON object (Geometry, Feature or FeatureCollection).
+     */
+    _setBBox: function(geojson) {
+        if(! geojson.hasOwnProperty('bbox') ) {
+            return geojson;
+        }
+
+        const bbox = [ Infinity, Infinity, -Infinity, -Infinity ];
+        const extend = (coordinates) => {
+            if( typeof coordinates[0] === 'number' ) {
+                bbox[0] = Math.min(bbox[0], coordinates[0]);
+                bbox[1] = Math.min(bbox[1], coordinates[1]);
+                bbox[2] = Math.max(bbox[2], coordinates[0]);
+                bbox[3] = Math.max(bbox[3], coordinates[1]);
+            }
+            else {
+                coordinates.forEach(extend);
+            }
+        };
+        const visit = (object) => {
+            if( object === null ) {
+                return;
+            }
+            if( object.type === 'FeatureCollection' ) {
+                object.features.forEach(visit);
+            }
+            else if( object.type === 'Feature' ) {
+                visit(object.geometry);
+            }
+            else if( object.type === 'GeometryCollection' ) {
+                object.geometries.forEach(visit);
+            }
+            else {
+                extend(object.coordinates);
+            }
+        };
+        visit(geojson);
+
+        if( bbox[0] === Infinity ) {
+            const { bbox: _, ...rest } = geojson;
+            return rest;
+        }
+
+        return { ...geojson, bbox: bbox };
+    },
+
+    /**
+     * Return a point transformed between two coordinate systems [4326 (ETRS89) | 27700 | 29903 | 2157 | 25829 |
+     * 25830 | 25831 | 3857 | ETRS89-TM] with the configured (Proj4js or ostn15-js) transformation type, or null if it cannot be transformed.
+     * @param {integer|string} source - The source coordinate system.
+     * @param {integer|string} target - The target coordinate system.
+     * @param {array} point - The input coordinates in XY order.
+     */
+    _transform: function(source, target, point) {
+        // ETRS89 coordinates projected with the National Grid parameters need no datum shift (or Proj4js)
+        if( target === 'ETRS89-TM' ) {
+            return this._toProjected(point, this._projections['ETRS89-TM']);
+        }
+
+        if( this.options.type === 'ostn15-js' ) {
+            return source === 4326 ? this._project(point, target) : this._unproject(point, source);
+        }
+
+        const name = srid => typeof srid === 'number' ? this._getProjection(srid) : srid;
+        return proj4(name(source), name(target), point);
+    },
+
+    /**
+     * Return ETRS89 latlng + ellipsoidal height [lng, lat, h] from ITRF (or WGS84) coordinates observed at an epoch,
+     * by rotating them with the Eurasian plate back to their position at epoch 1989.0.
+     * @param {array} point - The longitude + latitude (in degrees) and ellipsoidal height (metres, default 0).
+     * @param {string} frame - The realisation the coordinates are in [ITRF2014 | ITRF2020 | WGS84(G2139) | WGS84(G2296)].
+     * @param {number} epoch - The epoch of observation, as a decimal year (e.g. 2026.5).
+     */
+    _toETRF: function(point, frame, epoch) {
+        const { a, b } = this._ellipsoids.grs80;
+        const e2 = (a ** 2 - b ** 2) / a ** 2;
+        const [ r1, r2, r3 ] = this._frames[frame].map(rate => rate * (epoch - 1989.0) / 3600000 * Math.PI / 180);
+
+        // Geodetic to geocentric cartesian
+        const phi = point[1] * Math.PI / 180, lambda = point[0] * Math.PI / 180, h = point[2] ?? 0;
+        const nu = a / Math.sqrt(1 - e2 * Math.sin(phi) ** 2);
+        const x = (nu + h) * Math.cos(phi) * Math.cos(lambda);
+        const y = (nu + h) * Math.cos(phi) * Math.sin(lambda);
+        const z = (nu * (1 - e2) + h) * Math.sin(phi);
+
+        const X = x - r3 * y + r2 * z;
+        const Y = r3 * x + y - r1 * z;
+        const Z = -r2 * x + r1 * y + z;
+
+        // Geocentric cartesian to geodetic, iterating the latitude
+        const p = Math.sqrt(X ** 2 + Y ** 2);
+        let lat = Math.atan2(Z, p * (1 - e2));
+        let nuLat = nu;
+        for( let i = 0; i < 10; i++ ) {
+            nuLat = a / Math.sqrt(1 - e2 * Math.sin(lat) ** 2);
+            lat = Math.atan2(Z + e2 * nuLat * Math.sin(lat), p);
+        }
+
+        return [ Math.atan2(Y, X) * 180 / Math.PI, lat * 180 / Math.PI, p / Math.cos(lat) - nuLat ];
+    },
+
+    /**
+     * Return the distance (metres) along the geodesic between two latlngs [lng, lat] on an ellipsoid, and its initial
+     * bearing (degrees from true north), by Vincenty's inverse formula.
+     * @param {array} from - The longitude + latitude (in degrees) of the start point.
+     * @param {array} to - The longitude + latitude (in degrees) of the end point.
+     * @param {string} ellipsoid - [optional] The ellipsoid [airy | modAiry | grs80 (default)].
+     */
+    _getGeodesic: function(from, to, ellipsoid = 'grs80') {
+        const { a, b } = this._ellipsoids[ellipsoid];
+        const f = (a - b) / a;
+
+        const L = (to[0] - from[0]) * Math.PI / 180;
+        const U1 = Math.atan((1 - f) * Math.tan(from[1] * Math.PI / 180));
+        const U2 = Math.atan((1 - f) * Math.tan(to[1] * Math.PI / 180));
+        const sinU1 = Math.sin(U1), cosU1 = Math.cos(U1), sinU2 = Math.sin(U2), cosU2 = Math.cos(U2);
+
+        // Iterate the longitude on the auxiliary sphere until it converges (to 1e-12 radians)
+        let lambda = L, previous, sinSigma, cosSigma, sigma, cos2Alpha, cos2SigmaM;
+        for( let i = 0; i < 100; i++ ) {
+            const sinLambda = Math.sin(lambda), cosLambda = Math.cos(lambda);
+            sinSigma = Math.sqrt((cosU2 * sinLambda) ** 2 + (cosU1 * sinU2 - sinU1 * cosU2 * cosLambda) ** 2);
+            if( sinSigma === 0 ) {
+                return { distance: 0, bearing: 0 };
+            }
+            cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+            sigma = Math.atan2(sinSigma, cosSigma);
+            const sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+            cos2Alpha = 1 - sinAlpha ** 2;
+            cos2SigmaM = cos2Alpha !== 0 ? cosSigma - 2 * sinU1 * sinU2 / cos2Alpha : 0;
+            const C = f / 16 * cos2Alpha * (4 + f * (4 - 3 * cos2Alpha));
+            previous = lambda;
+            lambda = L + (1 - C) * f * sinAlpha * (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM ** 2)));
+            if( Math.abs(lambda - previous) < 1e-12 ) {
+                break;
+            }
+        }
+
+        const u2 = cos2Alpha * (a ** 2 - b ** 2) / b ** 2;
+        const A = 1 + u2 / 16384 * (4096 + u2 * (-768 + u2 * (320 - 175 * u2)));
+        const B = u2 / 1024 * (256 + u2 * (-128 + u2 * (74 - 47 * u2)));
+        const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (cosSigma * (-1 + 2 * cos2SigmaM ** 2)
+            - B / 6 * cos2SigmaM * (-3 + 4 * sinSigma ** 2) * (-3 + 4 * cos2SigmaM ** 2)));
+        const bearing = Math.atan2(cosU2 * Math.sin(lambda), cosU1 * sinU2 - sinU1 * cosU2 * Math.cos(lambda)) * 180 / Math.PI;
+
+        return { distance: b * A * (sigma - deltaSigma), bearing: (bearing + 360) % 360 };
+    },
+
+    /**
+     * Return ETRS89 latlng (+ ellipsoidal height) from ITRF or WGS84 latlng observed at an epoch, as { valid, coordinates }.
+     * @param {object} coordinates - The latlng (plus optional `h`), with the `epoch` of observation as a decimal year
+     * and the `frame` it is in [ITRF2014 (default) | ITRF2020 | WGS84(G2139) | WGS84(G2296)].
+     */
+    _toETRS89: function(coordinates) {
+        const frame = coordinates.frame ?? 'ITRF2014';
+        if(! this._frames.hasOwnProperty(frame) ) {
+            return { valid: false, message: `Unsupported reference frame: ${frame}.`, code: 'INVALID_INPUT' };
+        }
+        if(! Number.isFinite(coordinates.epoch) ) {
+            return { valid: false, message: 'Invalid epoch: a decimal year (e.g. 2026.5) is required.', code: 'INVALID_INPUT' };
+        }
+
+        const height = coordinates.h ?? coordinates.height;
+        const point = this._toETRF([ coordinates.lng, coordinates.lat, Number(height ?? 0) ], frame, coordinates.epoch);
+
+        return {
+            valid: true,
+            coordinates: { lat: point[1], lng: point[0], ...(height !== undefined ? { h: point[2] } : {}) }
+        };
+    },
+
+    /**
+     * Return the meridional arc (from the true origin) for a latitude in radians.
+     * @param {number} phi - The latitude.
+     * @param {object} projection - The projection parameters.
+     */
+    _meridionalArc: function(phi, projection) {
+        const { a, b } = this._ellipsoids[projection.ellipsoid];
+        const n = (a - b) / (a + b);
+        const phi0 = projection.lat0 * Math.PI / 180;
+
+        return b * projection.k0 * (
+            (1 + n + (5 / 4) * n ** 2 + (5 / 4) * n ** 3) * (phi - phi0)
+            - (3 * n + 3 * n ** 2 + (21 / 8) * n ** 3) * Math.sin(phi - phi0) * Math.cos(phi + phi0)
+            + ((15 / 8) * n ** 2 + (15 / 8) * n ** 3) * Math.sin(2 * (phi - phi0)) * Math.cos(2 * (phi + phi0))
+            - (35 / 24) * n ** 3 * Math.sin(3 * (phi - phi0)) * Math.cos(3 * (phi + phi0))
+        );
+    },
+
+    /**
+     * Return easting + northing [x, y] from a latlng [lng, lat] on the projection's own ellipsoid, using the
+     * Transverse Mercator formulae from OS's "A guide to coordinate systems in Great Britain" (Annex C).
+     * @param {array} point - The longitude + latitude (in degrees) to be projected.
+     * @param {object} projection - The projection parameters.
+     */
+    _toProjected: function(point, projection) {
+        const { a, b } = this._ellipsoids[projection.ellipsoid];
+        const e2 = (a ** 2 - b ** 2) / a ** 2;
+
+        const phi = point[1] * Math.PI / 180;
+        const L = (point[0] - projection.lng0) * Math.PI / 180;
+
+        const sin = Math.sin(phi), cos = Math.cos(phi), tan2 = Math.tan(phi) ** 2;
+        const nu = a * projection.k0 / Math.sqrt(1 - e2 * sin ** 2);
+        const rho = a * projection.k0 * (1 - e2) / Math.pow(1 - e2 * sin ** 2, 1.5);
+        const eta2 = nu / rho - 1;
+
+        const I = this._meridionalArc(phi, projection) + projection.n0;
+        const II = (nu / 2) * sin * cos;
+        const III = (nu / 24) * sin * cos ** 3 * (5 - tan2 + 9 * eta2);
+        const IIIA = (nu / 720) * sin * cos ** 5 * (61 - 58 * tan2 + tan2 ** 2);
+        const IV = nu * cos;
+        const V = (nu / 6) * cos ** 3 * (nu / rho - tan2);
+        const VI = (nu / 120) * cos ** 5 * (5 - 18 * tan2 + tan2 ** 2 + 14 * eta2 - 58 * tan2 * eta2);
+
+        return [
+            projection.e0 + IV * L + V * L ** 3 + VI * L ** 5,
+            I + II * L ** 2 + III * L ** 4 + IIIA * L ** 6
+        ];
+    },
+
+    /**
+     * Return Web Mercator (EPSG:3857) x + y from a latlng [lng, lat], projected on a sphere with the radius of the
+     * semi-major axis of WGS84.
+     * @param {array} point - The longitude + latitude (in degrees) to be projected.
+     */
+    _toWebMercator: function(point) {
+        const a = this._ellipsoids.grs80.a;
+        return [ a * point[0] * Math.PI / 180, a * Math.log(Math.tan(Math.PI / 4 + point[1] * Math.PI / 360)) ];
+    },
+
+    /**
+     * Return latlng [lng, lat] from Web Mercator (EPSG:3857) x + y.
+     * @param {array} point - The x + y to be unprojected.
+     */
+    _fromWebMercator: function(point) {
+        const a = this._ellipsoids.grs80.a;
+        return [ point[0] / a * 180 / Math.PI, (2 * Math.atan(Math.exp(point[1] / a)) - Math.PI / 2) * 180 / Math.PI ];
+    },
+
+    /**
+     * Return latlng [lng, lat] on the projection's own ellipsoid from an easting + northing [x, y].
+     * @param {array} point - The easting + northing to be unprojected.
+     * @param {object} projection - The projection parameters.
+     */
+    _toGeographic: function(point, projection) {
+        const { a, b } = this._ellipsoids[projection.ellipsoid];
+        const e2 = (a ** 2 - b ** 2) / a ** 2;
+
+        // Iterate the latitude until the meridional arc matches the northing (to 0.01mm)
+        let phi = (point[1] - projection.n0) / (a * projection.k0) + projection.lat0 * Math.PI / 180;
+        let M = this._meridionalArc(phi, projection);
+        while( Math.abs(point[1] - projection.n0 - M) >= 0.00001 ) {
+            phi += (point[1] - projection.n0 - M) / (a * projection.k0);
+            M = this._meridionalArc(phi, projection);
+        }
+
+        const sin = Math.sin(phi), sec = 1 / Math.cos(phi), tan = Math.tan(phi);
+        const nu = a * projection.k0 / Math.sqrt(1 - e2 * sin ** 2);
+        const rho = a * projection.k0 * (1 - e2) / Math.pow(1 - e2 * sin ** 2, 1.5);
+        const eta2 = nu / rho - 1;
+
+        const VII = tan / (2 * rho * nu);
+        const VIII = tan / (24 * rho * nu ** 3) * (5 + 3 * tan ** 2 + eta2 - 9 * tan ** 2 * eta2);
+        const IX = tan / (720 * rho * nu ** 5) * (61 + 90 * tan ** 2 + 45 * tan ** 4);
+        const X = sec / nu;
+        const XI = sec / (6 * nu ** 3) * (nu / rho + 2 * tan ** 2);
+        const XII = sec / (120 * nu ** 5) * (5 + 28 * tan ** 2 + 24 * tan ** 4);
+        const XIIA = sec / (5040 * nu ** 7) * (61 + 662 * tan ** 2 + 1320 * tan ** 4 + 720 * tan ** 6);
+
+        const y = point[0] - projection.e0;
+
+        let geographic = [
+            projection.lng0 + (X * y - XI * y ** 3 + XII * y ** 5 - XIIA * y ** 7) * 180 / Math.PI,
+            (phi - VII * y ** 2 + VIII * y ** 4 - IX * y ** 6) * 180 / Math.PI
+        ];
+
+        // The series are truncated (by up to 5mm in the far west), so the result is refined until _toProjected()
+        // returns the point to 0.01mm
+        for( let i = 0; i < 5; i++ ) {
+            const projected = this._toProjected(geographic, projection);
+            const dx = point[0] - projected[0];
+            const dy = point[1] - projected[1];
+            if( Math.abs(dx) < 0.00001 && Math.abs(dy) < 0.00001 ) {
+                break;
+            }
+            geographic = [ geographic[0] + X * dx * 180 / Math.PI, geographic[1] + dy / rho * 180 / Math.PI ];
+        }
+
+        return geographic;
+    },
+
+    /**
+     * Return the point scale factor and grid convergence (in degrees: the angle from true north to grid north, clockwise)
+     * at a latlng [lng, lat] on the projection's own ellipsoid.
+     * @param {array} point - The longitude + latitude (in degrees).
+     * @param {object} projection - The projection parameters.
+     */
+    _getGridProperties: function(point, projection) {
+        const { a, b } = this._ellipsoids[projection.ellipsoid];
+        const e2 = (a ** 2 - b ** 2) / a ** 2;
+        const ep2 = e2 / (1 - e2);
+
+        const phi = point[1] * Math.PI / 180;
+        const L = (point[0] - projection.lng0) * Math.PI / 180;
+
+        const sin = Math.sin(phi), cos = Math.cos(phi), tan2 = Math.tan(phi) ** 2;
+        const eta2 = ep2 * cos ** 2;
+        const A2 = (L * cos) ** 2;
+
+        return {
+            scaleFactor: projection.k0 * (1 + (1 + eta2) * A2 / 2
+                + (5 - 4 * tan2 + 42 * eta2 + 13 * eta2 ** 2 - 28 * ep2) * A2 ** 2 / 24
+                + (61 - 148 * tan2 + 16 * tan2 ** 2) * A2 ** 3 / 720),
+            convergence: L * sin * (1 + A2 / 3 * (1 + 3 * eta2 + 2 * eta2 ** 2) + A2 ** 2 / 15 * (2 - tan2)) * 180 / Math.PI
+        };
+    },
+
+    /**
+     * Return latlng [lng, lat] shifted between an ellipsoid and ETRS89 (GRS80) by a seven-parameter Helmert
+     * transformation, applied in the same (position vector) form as Proj4js's `+towgs84`.
+     * @param {array} point - The longitude + latitude (in degrees) to be shifted.
+     * @param {object} projection - The projection parameters (including `towgs84`).
+     * @param {boolean} inverse - [optional] Shift from ETRS89 to the projection's ellipsoid (rather than to ETRS89).
+     */
+    _helmert: function(point, projection, inverse = false) {
+        const [ dx, dy, dz ] = projection.towgs84;
+        const [ rx, ry, rz ] = projection.towgs84.slice(3, 6).map(value => value / 3600 * Math.PI / 180);
+        const m = 1 + projection.towgs84[6] / 1000000;
+
+        const from = this._ellipsoids[inverse ? 'grs80' : projection.ellipsoid];
+        const to = this._ellipsoids[inverse ? projection.ellipsoid : 'grs80'];
+
+        // Geodetic (with zero height) to geocentric cartesian
+        const phi = point[1] * Math.PI / 180, lambda = point[0] * Math.PI / 180;
+        const e2From = (from.a ** 2 - from.b ** 2) / from.a ** 2;
+        const nu = from.a / Math.sqrt(1 - e2From * Math.sin(phi) ** 2);
+        const x = nu * Math.cos(phi) * Math.cos(lambda);
+        const y = nu * Math.cos(phi) * Math.sin(lambda);
+        const z = nu * (1 - e2From) * Math.sin(phi);
+
+        let X, Y, Z;
+        if( inverse ) {
+            const [ xt, yt, zt ] = [ (x - dx) / m, (y - dy) / m, (z - dz) / m ];
+            X = xt + rz * yt - ry * zt;
+            Y = -rz * xt + yt + rx * zt;
+            Z = ry * xt - rx * yt + zt;
+        }
+        else {
+            X = m * (x - rz * y + ry * z) + dx;
+            Y = m * (rz * x + y - rx * z) + dy;
+            Z = m * (-ry * x + rx * y + z) + dz;
+        }
+
+        // Geocentric cartesian to geodetic, iterating the latitude
+        const e2To = (to.a ** 2 - to.b ** 2) / to.a ** 2;
+        const p = Math.sqrt(X ** 2 + Y ** 2);
+        let lat = Math.atan2(Z, p * (1 - e2To));
+        for( let i = 0; i < 10; i++ ) {
+            const nuTo = to.a / Math.sqrt(1 - e2To * Math.sin(lat) ** 2);
+            lat = Math.atan2(Z + e2To * nuTo * Math.sin(lat), p);
+        }
+
+        return [ Math.atan2(Y, X) * 180 / Math.PI, lat * 180 / Math.PI ];
+    },
+
+    /**
+     * Return the OSTN15 shift [lng, lat] (in degrees) bilinearly interpolated at an OSGB36 latlng, or null if it is
+     * outside the grid.
+     * @param {array} point - The OSGB36 longitude + latitude.
+     */
+    _getGridShift: function(point) {
+        const grid = this._grid;
+        if( grid === null ) {
+            return null;
+        }
+
+        const x = (point[0] - grid.west) / grid.lngInterval;
+        const y = (point[1] - grid.south) / grid.latInterval;
+
+        if(! (x >= 0 && x <= grid.columns - 1 && y >= 0 && y <= grid.rows - 1) ) {
+            return null;
+        }
+
+        const column = Math.min(Math.floor(x), grid.columns - 2);
+        const row = Math.min(Math.floor(y), grid.rows - 2);
+        const t = x - column;
+        const u = y - row;
+
+        // Grid nodes [SW, SE, NE, NW] surrounding the point
+        const nodes = [ row * grid.columns + column, row * grid.columns + column + 1, (row + 1) * grid.columns + column + 1, (row + 1) * grid.columns + column ];
+        const interpolate = (shifts) => (1 - t) * (1 - u) * shifts[nodes[0]] + t * (1 - u) * shifts[nodes[1]]
+            + t * u * shifts[nodes[2]] + (1 - t) * u * shifts[nodes[3]];
+
+        return [ interpolate(grid.lngShift) / 3600, interpolate(grid.latShift) / 3600 ];
+    },
+
+    /**
+     * Return the OSTN15 shift [se, sn] (metres) bilinearly interpolated at an ETRS89 easting + northing (projected with
+     * the National Grid parameters) from the 1km grid of the OSGM15 data file, as OS specify, or null if it is outside
+     * the data file or beside a no-data node.
+     * @param {array} point - The ETRS89 easting + northing.
+     */
+    _getOSTN15Shift: function(point) {
+        const geoid = this._geoid;
+        const e = point[0] / 1000;
+        const n = point[1] / 1000;
+        if(! (e >= 0 && e < geoid.columns - 1 && n >= 0 && n < geoid.rows - 1) ) {
+            return null;
+        }
+
+        const x = Math.floor(e);
+        const y = Math.floor(n);
+        const t = e - x;
+        const u = n - y;
+
+        // Nodes [SW, SE, NE, NW] surrounding the point
+        const nodes = [ y * geoid.columns + x, y * geoid.columns + x + 1, (y + 1) * geoid.columns + x + 1, (y + 1) * geoid.columns + x ];
+        if( nodes.some(node => geoid.flags[node] === 0) ) {
+            return null;
+        }
+        const interpolate = (shifts) => (1 - t) * (1 - u) * shifts[nodes[0]] + t * (1 - u) * shifts[nodes[1]]
+            + t * u * shifts[nodes[2]] + (1 - t) * u * shifts[nodes[3]];
+
+        return [ interpolate(geoid.eShifts), interpolate(geoid.nShifts) ];
+    },
+
+    /**
+     * Return ETRS89 latlng [lng, lat] from an easting + northing [x, y], or null if it is outside the OSTN15 grid.
+     * @param {array} point - The easting + northing to be transformed.
+     * @param {integer|string} srid - The projected coordinate system [27700 | 29903 | 2157 | 25829 | 25830 | 25831 |
+     * 3857 | ETRS89-TM].
+     */
+    _unproject: function(point, srid) {
+        if( srid === 3857 ) {
+            return this._fromWebMercator(point);
+        }
+
+        const projection = this._projections[srid];
+        const geographic = this._toGeographic(point, projection);
+
+        if( projection.towgs84 ) {
+            return this._helmert(geographic, projection);
+        }
+        if( srid !== 27700 ) {
+            return geographic;
+        }
+
+        // The data file's shifts (indexed by ETRS89 easting + northing) reproduce OSTN15 exactly, so are preferred to
+        // the grid; the inverse is found iteratively, to 0.1mm as OS specify
+        if( this._geoid !== null ) {
+            let etrs = point;
+            for( let i = 0; i < 20; i++ ) {
+                const shift = this._getOSTN15Shift(etrs);
+                if( shift === null ) {
+                    return null;
+                }
+
+                const next = [ point[0] - shift[0], point[1] - shift[1] ];
+                const converged = Math.abs(next[0] - etrs[0]) < 1e-4 && Math.abs(next[1] - etrs[1]) < 1e-4;
+                etrs = next;
+                if( converged ) {
+                    break;
+                }
+            }
+
+            return this._toGeographic(etrs, this._projections['ETRS89-TM']);
+        }
+
+        const shift = this._getGridShift(geographic);
+        if( shift === null ) {
+            return null;
+        }
+
+        return [ geographic[0] + shift[0], geographic[1] + shift[1] ];
+    },
+
+    /**
+     * Return easting + northing [x, y] from an ETRS89 latlng [lng, lat], or null if it is outside the OSTN15 grid.
+     * The OSTN15 shift is indexed by OSGB36 latlng, so the inverse is found iteratively.
+     * @param {array} point - The ETRS89 longitude + latitude to be transformed.
+     * @param {integer|string} srid - The projected coordinate system [27700 | 29903 | 2157 | 25829 | 25830 | 25831 |
+     * 3857 | ETRS89-TM].
+     */
+    _project: function(point, srid) {
+        if( srid === 3857 ) {
+            return this._toWebMercator(point);
+        }
+
+        const projection = this._projections[srid];
+
+        if( projection.towgs84 ) {
+            return this._toProjected(this._helmert(point, projection, true), projection);
+        }
+        if( srid !== 27700 ) {
+            return this._toProjected(point, projection);
+        }
+
+        if( this._geoid !== null ) {
+            const etrs = this._toProjected(point, this._projections['ETRS89-TM']);
+            const shift = this._getOSTN15Shift(etrs);
+            return shift === null ? null : [ etrs[0] + shift[0], etrs[1] + shift[1] ];
+        }
+
+        let geographic = point;
+        for( let i = 0; i < 10; i++ ) {
+            const shift = this._getGridShift(geographic);
+            if( shift === null ) {
+                return null;
+            }
+
+            const next = [ point[0] - shift[0], point[1] - shift[1] ];
+            const converged = Math.abs(next[0] - geographic[0]) < 1e-12 && Math.abs(next[1] - geographic[1]) < 1e-12;
+            geographic = next;
+            if( converged ) {
+                break;
+            }
+        }
+
+        return this._toProjected(geographic, projection);
+    },
+
+    /**
+     * Return an OSTN15 grid read from an NTv2 `.gsb` file (the first sub-grid only).
+     * @param {ArrayBuffer} buffer - The contents of the `.gsb` file.
+     */
+    _readGsb: function(buffer) {
+        const view = new DataView(buffer);
+        const littleEndian = view.getInt32(8, true) === 11;
+
+        // Overview header (11 records), then the sub-grid header (11 records) of 16 bytes each
+        const header = 11 * 16;
+        const value = (record) => view.getFloat64(header + record * 16 + 8, littleEndian);
+
+        const south = value(4) / 3600;
+        const north = value(5) / 3600;
+        const east = -value(6) / 3600;
+        const west = -value(7) / 3600;
+        const latInterval = value(8) / 3600;
+        const lngInterval = value(9) / 3600;
+
+        const rows = Math.round((north - south) / latInterval) + 1;
+        const columns = Math.round((east - west) / lngInterval) + 1;
+
+        const latShift = new Float32Array(rows * columns);
+        const lngShift = new Float32Array(rows * columns);
+
+        // Nodes run from south to north, each row from east to west (with longitude shifts positive west)
+        let offset = header * 2;
+        for( let row = 0; row < rows; row++ ) {
+            for( let column = columns - 1; column >= 0; column-- ) {
+                latShift[row * columns + column] = view.getFloat32(offset, littleEndian);
+                lngShift[row * columns + column] = -view.getFloat32(offset + 4, littleEndian);
+                offset += 16;
+            }
+        }
+
+        return { south, west, latInterval, lngInterval, rows, columns, latShift, lngShift };
+    },
+
+    /**
+     * Return an OSTN15 grid read from a (tiled, deflate-compressed) GeoTIFF `.tif` file.
+     * @param {ArrayBuffer} buffer - The contents of the `.tif` file.
+     */
+    _readTif: async function(buffer) {
+        const view = new DataView(buffer);
+        const littleEndian = view.getUint16(0) === 0x4949;
+
+        // Read the tags of the first image file directory
+        const ifd = view.getUint32(4, littleEndian);
+        const tags = {};
+        for( let i = 0; i < view.getUint16(ifd, littleEndian); i++ ) {
+            const entry = ifd + 2 + i * 12;
+            const type = view.getUint16(entry + 2, littleEndian);
+            const count = view.getUint32(entry + 4, littleEndian);
+            const size = { 3: 2, 4: 4, 12: 8 }[type];
+            if( size === undefined ) {
+                continue;
+            }
+            const offset = size * count <= 4 ? entry + 8 : view.getUint32(entry + 8, littleEndian);
+            tags[view.getUint16(entry, littleEndian)] = Array.from({ length: count }, (_, k) => type === 3
+                ? view.getUint16(offset + k * size, littleEndian)
+                : (type === 4 ? view.getUint32(offset + k * size, littleEndian) : view.getFloat64(offset + k * size, littleEndian)));
+        }
+
+        const [ width ] = tags[256], [ height ] = tags[257];
+        const [ compression ] = tags[259], [ predictor ] = tags[317] || [ 1 ];
+        const [ tileWidth ] = tags[322], [ tileLength ] = tags[323];
+        const [ lngInterval, latInterval ] = tags[33550];
+        const [ , , , west, north ] = tags[33922];
+
+        if( ! [ 1, 8 ].includes(compression) || ! [ 1, 3 ].includes(predictor) || tags[284][0] !== 2 ) {
+            throw new os.TransformError('Unsupported GeoTIFF: expected planar, tiled float32 bands (uncompressed or deflate).', 'GRID_NOT_LOADED');
+        }
+
+        const rows = height, columns = width;
+        const bands = [ new Float32Array(rows * columns), new Float32Array(rows * columns) ];
+
+        // Tiles are ordered band by band, then row by row; only the latitude + longitude shift bands are needed
+        const tilesAcross = Math.ceil(width / tileWidth);
+        const tilesPerBand = tilesAcross * Math.ceil(height / tileLength);
+        const value = new DataView(new ArrayBuffer(4));
+
+        for( let tile = 0; tile < tilesPerBand * 2; tile++ ) {
+            let bytes = new Uint8Array(buffer, tags[324][tile], tags[325][tile]);
+            if( compression === 8 ) {
+                const stream = new Blob([ bytes ]).stream().pipeThrough(new DecompressionStream('deflate'));
+                bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+            }
+
+            const tileView = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            const band = Math.floor(tile / tilesPerBand);
+            const x0 = (tile % tilesPerBand) % tilesAcross * tileWidth;
+            const y0 = Math.floor((tile % tilesPerBand) / tilesAcross) * tileLength;
+
+            for( let y = 0; y < tileLength && y0 + y < height; y++ ) {
+                const rowBytes = bytes.subarray(y * tileWidth * 4, (y + 1) * tileWidth * 4);
+
+                // Floating point predictor: undo the byte differencing, then reassemble each value from its
+                // (most significant first) bytes, which are stored in separate runs across the row
+                if( predictor === 3 ) {
+                    for( let i = 1; i < rowBytes.length; i++ ) {
+                        rowBytes[i] = (rowBytes[i] + rowBytes[i - 1]) & 0xff;
+                    }
+                }
+
+                // Image rows run from north to south, whereas grid rows run from south to north
+                const row = rows - 1 - (y0 + y);
+                for( let x = 0; x < tileWidth && x0 + x < width; x++ ) {
+                    if( predictor === 3 ) {
+                        for( let k = 0; k < 4; k++ ) {
+                            value.setUint8(k, rowBytes[x + tileWidth * k]);
+                        }
+                        bands[band][row * columns + x0 + x] = value.getFloat32(0);
+                    }
+                    else {
+                        bands[band][row * columns + x0 + x] = tileView.getFloat32((y * tileWidth + x) * 4, littleEndian);
+                    }
+                }
+            }
+        }
+
+        return {
+            south: north - (rows - 1) * latInterval, west, latInterval, lngInterval, rows, columns,
+            latShift: bands[0], lngShift: bands[1]
+        };
+    },
+
+    /**
+     * Return the URLs of the scripts needed by a Web Worker for a transformation type: Proj4js (unless using the
+     * ostn15-js or ostn15-cgi type), geotiff.js (for ostn15-tif) and this script, taken from `options.workerScripts`
+     * or else the <script> tags of the page.
+     * @param {object} options - The options the worker is created with.
+     */
+    _getWorkerScripts: function(options) {
+        const type = options.type;
+        const find = (pattern) => {
+            const script = typeof document !== 'undefined'
+                ? [ ...document.querySelectorAll('script[src]') ].find(script => pattern.test(script.src))
+                : null;
+            return script ? script.src : null;
+        };
+
+        // Scripts which are not needed are left undefined, and those which are needed but can't be found are null
+        const needsProj4 = ! [ 'ostn15-js', 'ostn15-cgi' ].includes(type);
+        const scripts = {
+            proj4: needsProj4 ? options.workerScripts.proj4 || find(/proj4[^/]*\.js/) : undefined,
+            geotiff: type === 'ostn15-tif' ? options.workerScripts.geotiff || find(/geotiff/) : undefined,
+            osTransform: options.workerScripts.osTransform || this._scriptPath || find(/os-transform[^/]*\.js/)
+        };
+
+        const missing = Object.keys(scripts).filter(key => scripts[key] === null);
+        if( missing.length > 0 ) {
+            return { valid: false, message: `Unable to find the scripts needed by the Web Worker (${missing.join(', ')}). Please set options.workerScripts.`, code: 'INVALID_INPUT' };
+        }
+
+        const base = typeof document !== 'undefined' ? document.baseURI : location.href;
+        return { valid: true, message: '', scripts: Object.values(scripts).filter(Boolean).map(script => new URL(script, base).href) };
+    },
+
+    /**
+     * Body of the Web Worker created with createWorker() (run from its source, so it must not refer to anything
+     * outside itself). It loads the scripts, initialises os.Transform with the options it is sent (or the grid +
+     * geoid model already loaded by the page), then transforms lists of points in chunks, reporting progress and
+     * checking for cancellation between each.
+     * @param {array} scripts - The URLs of Proj4js, geotiff.js and os-transform.js.
+     */
+    _workerMain: function(scripts) {
+        self.window = self;
+        importScripts(...scripts);
+
+        const cancelled = new Set();
+
+        const init = async (message) => {
+            os.Transform.options = { ...os.Transform.options, ...message.options };
+            os.Transform._geoid = message.geoid;
+            if( message.grid ) {
+                os.Transform._grid = message.grid;
+            }
+            else {
+                await os.Transform.init(message.options);
+            }
+        };
+
+        const run = async (message) => {
+            const { id, direction, points, decimals, srid } = message;
+            const typed = ArrayBuffer.isView(points);
+            const total = typed ? Math.floor(points.length / 2) : points.length;
+            const isCgi = os.Transform.options.type === 'ostn15-cgi';
+            const chunkSize = os.Transform.options.workerChunkSize;
+
+            const results = typed ? new Float64Array(total * 2).fill(NaN) : new Array(total);
+            const errors = [];
+
+            for( let i = 0; i < total; i++ ) {
+                // Yield between chunks, so that cancellations are received
+                if( i > 0 && i % chunkSize === 0 ) {
+                    postMessage({ type: 'progress', id: id, done: i, total: total });
+                    await new Promise(resolve => setTimeout(resolve));
+                    if( cancelled.delete(id) ) {
+                        return;
+                    }
+                }
+
+                const point = ! typed ? points[i] : direction === 'toLatLng'
+                    ? { ea: points[i * 2], no: points[i * 2 + 1] }
+                    : { lat: points[i * 2 + 1], lng: points[i * 2] };
+
+                let result;
+                try {
+                    result = direction === 'toLatLng'
+                        ? os.Transform.toLatLng(srid !== undefined ? { srid: srid, ...point } : point, decimals)
+                        : os.Transform.fromLatLng(point, decimals, srid);
+                    if( isCgi ) {
+                        result = await result;
+                    }
+                } catch (error) {
+                    errors.push({ index: i, message: error.message, code: error.code });
+                    result = {};
+                }
+
+                if( ! typed ) {
+                    results[i] = result;
+                }
+                else if( Object.keys(result).length > 0 ) {
+                    results[i * 2] = direction === 'toLatLng' ? result.lng : result.ea;
+                    results[i * 2 + 1] = direction === 'toLatLng' ? result.lat : result.no;
+                }
+            }
+
+            postMessage({ type: 'progress', id: id, done: total, total: total });
+            postMessage({ type: 'result', id: id, results: results, errors: errors }, typed ? [ results.buffer ] : []);
+        };
+
+        self.onmessage = (event) => {
+            const message = event.data;
+            const reply = (error) => postMessage({ type: 'error', id: message.id, message: error.message, code: error.code });
+
+            if( message.type === 'init' ) {
+                init(message).then(() => postMessage({ type: 'ready' }), reply);
+            }
+            else if( message.type === 'transform' ) {
+                run(message).catch(reply);
+            }
+            else if( message.type === 'cancel' ) {
+                cancelled.add(message.id);
+            }
+        };
+    },
+
+    /**
+     * Initialise the library for the configured transformation type: load the OSTN15 grid (from `gsbPath` or
+     * `tifPath`) and register the Proj4js definitions it needs. Returns a Promise which rejects if anything fails to
+     * load; transformations requested while it is pending wait for it to resolve.
+     * @param {object} options - [optional] Options to merge into the defaults (e.g. type, gsbPath, tifPath).
+     */
+    init: function(options = {}) {
+        this.options = {
+            ...this.options,
+            ...options,
+            proj4: { ...this.options.proj4, ...options.proj4, defs: { ...this.options.proj4.defs, ...(options.proj4 || {}).defs } }
+        };
+
+        const type = this.options.type;
+        this._gridExtent = null;
+
+        // Proj4js keeps each subgrid as its lower-left corner, with longitudes positive west, in radians
+        const toExtent = (nadgrid) => {
+            const { ll, del, lim } = nadgrid.subgrids[0];
+            const degrees = value => value * 180 / Math.PI;
+            return [ -degrees(ll[0] + (lim[0] - 1) * del[0]), degrees(ll[1]), -degrees(ll[0]), degrees(ll[1] + (lim[1] - 1) * del[1]) ];
+        };
+
+        const load = async () => {
+            if( type === 'ostn15-cgi' ) {
+                return;
+            }
+            if( type === 'ostn15-js' ) {
+                await this.loadGrid();
+                return;
+            }
+
+            const proj4 = this._isProj4();
+            if( typeof proj4 === 'string' ) {
+                throw new os.TransformError(proj4, 'GRID_NOT_LOADED');
+            }
+
+            if( type === 'ostn15-gsb' ) {
+                const response = await fetch(this.options.gsbPath);
+                if(! response.ok ) {
+                    throw new os.TransformError(`Unable to load OSTN15 grid from ${this.options.gsbPath} (${response.status}).`, 'GRID_NOT_LOADED');
+                }
+                this._gridExtent = toExtent(proj4.nadgrid(this.options.proj4.nadgrid, await response.arrayBuffer()));
+            }
+            else if( type === 'ostn15-tif' ) {
+                const GeoTIFF = this._isGeoTIFF();
+                if( typeof GeoTIFF === 'string' ) {
+                    throw new os.TransformError(GeoTIFF, 'GRID_NOT_LOADED');
+                }
+                const response = await fetch(this.options.tifPath);
+                if(! response.ok ) {
+                    throw new os.TransformError(`Unable to load OSTN15 grid from ${this.options.tifPath} (${response.status}).`, 'GRID_NOT_LOADED');
+                }
+                const tiff = await GeoTIFF.fromArrayBuffer(await response.arrayBuffer());
+                this._gridExtent = toExtent(await proj4.nadgrid(this.options.proj4.nadgrid, tiff).ready);
+            }
+            else if( type !== 'simple-towgs84' ) {
+                throw new os.TransformError(`Unknown transformation type: ${type}.`, 'INVALID_INPUT');
+            }
+
+            proj4.defs('EPSG:27700', type === 'simple-towgs84' ? this.options.proj4.defs.towgs84 : this.options.proj4.defs.ostn15);
+        };
+
+        const status = { type: type, state: 'loading', promise: null, error: null };
+        status.promise = load().then(() => {
+            status.state = 'ready';
+            return this;
+        }, error => {
+            status.state = 'failed';
+            status.error = error;
+            throw error;
+        });
+
+        this._status = status;
+        return status.promise;
+    },
+
+    /**
+     * Load the OSTN15 grid (required for the ostn15-js transformation type) from either the NTv2 `.gsb` or the
+     * GeoTIFF `.tif` file.
+     * @param {string} path - [optional] The path to the grid file.
+     */
+    loadGrid: async function(path = this.options.gsbPath) {
+        const response = await fetch(path);
+        if(! response.ok ) {
+            throw new os.TransformError(`Unable to load OSTN15 grid from ${path} (${response.status}).`, 'GRID_NOT_LOADED');
+        }
+        const buffer = await response.arrayBuffer();
+
+        const signature = new Uint8Array(buffer, 0, 2);
+        const isTif = (signature[0] === 0x49 && signature[1] === 0x49) || (signature[0] === 0x4d && signature[1] === 0x4d);
+
+        this._grid = isTif ? await this._readTif(buffer) : this._readGsb(buffer);
+        return this._grid;
+    },
+
+    /**
+     * Load the OSGM15 geoid model (required for heights with the Proj4js transformation types), whose OSTN15 shifts are
+     * then used by the ostn15-js transformation type in place of the grid.
+     * @param {string} path - [optional] The path to the Ordnance Survey `OSTN15_OSGM15_DataFile.txt` file.
+     */
+    loadGeoid: async function(path = this.options.osgm15Path) {
+        const response = await fetch(path);
+        if(! response.ok ) {
+            throw new os.TransformError(`Unable to load OSGM15 geoid model from ${path} (${response.status}).`, 'GRID_NOT_LOADED');
+        }
+        const text = await response.text();
+
+        const geoid = { columns: 701, rows: 1251 };
+        geoid.eShifts = new Float64Array(geoid.columns * geoid.rows);
+        geoid.nShifts = new Float64Array(geoid.columns * geoid.rows);
+        geoid.heights = new Float32Array(geoid.columns * geoid.rows);
+        geoid.flags = new Uint8Array(geoid.columns * geoid.rows);
+
+        // Point_ID,ETRS89_Easting,ETRS89_Northing,ETRS89_OSGB36_EShift,ETRS89_OSGB36_NShift,ETRS89_ODN_HeightShift,Height_Datum_Flag
+        for( const line of text.split('\n').slice(1) ) {
+            const values = line.split(',');
+            if( values.length < 7 ) {
+                continue;
+            }
+            const index = Number(values[0]) - 1;
+            geoid.eShifts[index] = Number(values[3]);
+            geoid.nShifts[index] = Number(values[4]);
+            geoid.heights[index] = Number(values[5]);
+            geoid.flags[index] = Number(values[6]);
+        }
+
+        this._geoid = geoid;
+        return geoid;
+    },
+
+    /**
+     * Return the OSTN15 coverage [inside | offshore | outside | unknown] at an ETRS89 latlng.
+     * @param {object} coordinates - The latlng to be tested.
+     */
+    getCoverage: function(coordinates) {
+        if( ! Number.isFinite(coordinates.lat) || ! Number.isFinite(coordinates.lng) ) {
+            return this._fail('Invalid coordinates.', 'INVALID_INPUT');
+        }
+
+        return this._checkCoverage(coordinates).coverage;
+    },
+
+    /**
+     * Return latlng from an input easting + northing.
+     * @param {object} coordinates - The easting + northing to be transformed.
+     * @param {integer} decimals - [optional] The specified number of decimal places.
+     * @param {string|object} format - [optional] Also return the latlng written as text (`formatted`) in a format
+     * [decimal | ddm | dms], or an object with the format type plus hemisphere [true | false] and precision options.
+     */
+    toLatLng: function(coordinates, decimals = 7, format) {
+        const ready = this._checkReady();
+        if( ready.pending ) {
+            return ready.pending.then(() => this.toLatLng(coordinates, decimals, format), error => this._fail(error.message, 'GRID_NOT_LOADED'));
+        }
+        if(! ready.valid ) {
+           return this._fail(ready.message, ready.code);
+        }
+
+        const test = this._checkBounds(coordinates)
+        if(! test.valid ) {
+           return this._fail(test.message, test.code);
+        }
+
+        const formatTest = format !== undefined ? this._checkFormat(format) : { valid: true };
+        if(! formatTest.valid ) {
+           return this._fail(formatTest.message, formatTest.code);
+        }
+
+        const srid = coordinates.srid || 27700;
+        const height = coordinates.h ?? coordinates.height;
+
+        // The OSTN15 shift only applies to British National Grid (Irish coordinates use a Helmert transformation)
+        const isOSTN15 = srid === 27700 && this.options.type !== 'simple-towgs84';
+
+        const toResult = point => {
+            const coverage = isOSTN15 ? this._checkCoverage({ lat: point[1], lng: point[0] }) : null;
+            if( coverage && ! coverage.valid ) {
+                return this._fail(coverage.message, coverage.code);
+            }
+            return {
+                lat: Number(point[1].toFixed(decimals)),
+                lng: Number(point[0].toFixed(decimals)),
+                ...(format !== undefined ? { formatted: this._formatLatLng(point, format, decimals) } : {}),
+                ...(coverage ? { coverage: coverage.coverage } : {}),
+                transformation: this._getTransformation(srid, [ coordinates.ea, coordinates.no ], point),
+                shifted: this._isShifted(srid, [ coordinates.ea, coordinates.no ])
+            };
+        };
+
+        if( this.options.type === 'ostn15-cgi' ) {
+            // GIQTrans applies OSGM15 itself when given a 3D point (in OSGB36 / British National Grid + ODN height)
+            if( height !== undefined ) {
+                return this._makeRequest(srid === 27700 ? 7405 : srid, 4937, [ coordinates.ea, coordinates.no, Number(height) ]).then(data => {
+                    const result = toResult(data);
+                    if( Object.keys(result).length === 0 ) {
+                        return result;
+                    }
+                    const geoidHeight = this._getGeoidHeight({ lat: data[1], lng: data[0] });
+                    return {
+                        ...result,
+                        h: Number(data[2].toFixed(3)),
+                        ...(geoidHeight.valid ? { verticalDatum: geoidHeight.datum } : {})
+                    };
+                }, error => this._fail(error.message, error.code));
+            }
+            return this._makeRequest(srid, 4937, [ coordinates.ea, coordinates.no ]).then(toResult, error => this._fail(error.message, error.code));
+        }
+        else {
+            const point = this._transform(srid, 4326, [ coordinates.ea, coordinates.no ]);
+            if( point === null ) {
+               return this._grid === null
+                   ? this._fail('OSTN15 grid has not been loaded.', 'GRID_NOT_LOADED')
+                   : this._fail('Coordinates outside the OSTN15 grid.', 'OUT_OF_BOUNDS');
+            }
+
+            const result = toResult(point);
+
+            // Orthometric (ODN) height to ETRS89 ellipsoidal height
+            if( height === undefined || Object.keys(result).length === 0 ) {
+                return result;
+            }
+
+            const geoidHeight = this._getGeoidHeight({ lat: point[1], lng: point[0] });
+            if(! geoidHeight.valid ) {
+               return this._fail(geoidHeight.message, geoidHeight.code);
+            }
+
+            return { ...result, h: Number((Number(height) + geoidHeight.shift).toFixed(3)), verticalDatum: geoidHeight.datum };
+        }
+    },
+
+    /**
+     * Return easting + northing from an input latlng.
+     * @param {object|string} coordinates - The latlng to be transformed, with lat + lng as numbers or as text in any
+     * of the formats read by parseLatLng(), or the whole latlng as text. Latlngs from GNSS in ITRF or WGS84 can be
+     * given with the `epoch` of observation (and the `frame` they are in), to be converted to ETRS89 first.
+     * @param {integer} decimals - [optional] The specified number of decimal places.
+     * @param {integer} srid - [optional] The target coordinate system [27700 (BNG) | 29903 (Irish Grid) | 2157 (ITM)].
+     */
+    fromLatLng: function(coordinates, decimals = 2, srid = 27700) {
+        const ready = this._checkReady();
+        if( ready.pending ) {
+            return ready.pending.then(() => this.fromLatLng(coordinates, decimals, srid), error => this._fail(error.message, 'GRID_NOT_LOADED'));
+        }
+        if(! ready.valid ) {
+           return this._fail(ready.message, ready.code);
+        }
+
+        const latlng = this._readLatLng(coordinates);
+        if(! latlng.valid ) {
+           return this._fail(latlng.message, latlng.code);
+        }
+        coordinates = latlng.coordinates;
+
+        const test = this._checkBounds(coordinates, srid)
+        if(! test.valid ) {
+           return this._fail(test.message, test.code);
+        }
+
+        const height = coordinates.h ?? coordinates.height;
+
+        // The OSTN15 shift only applies to British National Grid (Irish coordinates use a Helmert transformation)
+        const isOSTN15 = srid === 27700 && this.options.type !== 'simple-towgs84';
+
+        const coverage = isOSTN15 ? this._checkCoverage(coordinates) : null;
+        if( coverage && ! coverage.valid ) {
+           return this._fail(coverage.message, coverage.code);
+        }
+
+        const toResult = point => ({
+            ea: Number(point[0].toFixed(decimals)),
+            no: Number(point[1].toFixed(decimals)),
+            ...(srid === 27700 ? {} : { srid: srid }),
+            ...(coverage ? { coverage: coverage.coverage } : {}),
+            transformation: this._getTransformation(srid, point, [ coordinates.lng, coordinates.lat ]),
+            shifted: this._isShifted(srid, point)
+        });
+
+        if( this.options.type === 'ostn15-cgi' ) {
+            // GIQTrans applies OSGM15 itself when given a 3D point (in ETRS89 with ellipsoidal height)
+            if( height !== undefined ) {
+                const geoidHeight = this._getGeoidHeight(coordinates);
+                return this._makeRequest(4937, srid === 27700 ? 7405 : srid, [ coordinates.lng, coordinates.lat, Number(height) ]).then(data => ({
+                    ...toResult(data),
+                    h: Number(data[2].toFixed(3)),
+                    ...(geoidHeight.valid ? { verticalDatum: geoidHeight.datum } : {})
+                }), error => this._fail(error.message, error.code));
+            }
+            return this._makeRequest(4937, srid, [ coordinates.lng, coordinates.lat ]).then(toResult, error => this._fail(error.message, error.code));
+        }
+        else {
+            const point = this._transform(4326, srid, [ coordinates.lng, coordinates.lat ]);
+            if( point === null ) {
+               return this._grid === null
+                   ? this._fail('OSTN15 grid has not been loaded.', 'GRID_NOT_LOADED')
+                   : this._fail('Coordinates outside the OSTN15 grid.', 'OUT_OF_BOUNDS');
+            }
+
+            const result = toResult(point);
+
+            // ETRS89 ellipsoidal height to orthometric (ODN) height
+            if( height === undefined ) {
+                return result;
+            }
+
+            const geoidHeight = this._getGeoidHeight(coordinates);
+            if(! geoidHeight.valid ) {
+               return this._fail(geoidHeight.message, geoidHeight.code);
+            }
+
+            return { ...result, h: Number((Number(height) - geoidHeight.shift).toFixed(3)), verticalDatum: geoidHeight.datum };
+        }
+    },
+
+    /**
+     * Return a point transformed between any two of the supported coordinate systems (see _coordinateSystems). The
+     * point is transformed via ETRS89 latlng, with toLatLng() + fromLatLng() for the national grids, so the OSTN15
+     * shift is applied (and heights are converted with OSGM15) whenever British National Grid is involved.
+     * NOTE: A Promise is returned when using the 'ostn15-cgi' transformation type.
+     * @param {object} point - The easting + northing (projected coordinate systems) or latlng (geographic coordinate
+     * systems) to be transformed, plus an optional height `h`: orthometric on the national grids, ellipsoidal otherwise.
+     * Latlngs in ITRF or WGS84 can be given with an `epoch` + `frame`, as for fromLatLng().
+     * @param {integer} fromSrid - The source coordinate system.
+     * @param {integer} toSrid - The target coordinate system.
+     * @param {integer} decimals - [optional] The specified number of decimal places (default 7 for latlng, 2 for
+     * easting + northing).
+     */
+    transform: function(point, fromSrid, toSrid, decimals) {
+        const ready = this._checkReady();
+        if( ready.pending ) {
+            return ready.pending.then(() => this.transform(point, fromSrid, toSrid, decimals), error => this._fail(error.message, 'GRID_NOT_LOADED'));
+        }
+        if(! ready.valid ) {
+           return this._fail(ready.message, ready.code);
+        }
+
+        const source = this._coordinateSystems[fromSrid];
+        const target = this._coordinateSystems[toSrid];
+        if(! source || ! target ) {
+           return this._fail(`Unsupported coordinate system: ${source ? toSrid : fromSrid}.`, 'INVALID_INPUT');
+        }
+
+        decimals = decimals ?? (target.geographic ? 7 : 2);
+        const height = point.h ?? point.height;
+        const values = source.geographic ? [ point.lng, point.lat ] : [ point.ea, point.no ];
+        if(! values.every(Number.isFinite) ) {
+           return this._fail(`Invalid coordinates: EPSG:${fromSrid} requires ${source.geographic ? 'lat + lng' : 'ea + no'}.`, 'INVALID_INPUT');
+        }
+
+        // GIQTrans is only used for the national grids; UTM + Web Mercator need no grid (or Proj4js)
+        const isCgi = this.options.type === 'ostn15-cgi';
+        const project = (source, target, point) => isCgi
+            ? (source === 4326 ? this._project(point, target) : this._unproject(point, source))
+            : this._transform(source, target, point);
+        const next = (value, callback) => isCgi ? Promise.resolve(value).then(callback) : callback(value);
+
+        // Source coordinates to ETRS89 latlng
+        let latlng;
+        if( source.grid ) {
+            latlng = this.toLatLng({ ea: values[0], no: values[1], srid: fromSrid, ...(height !== undefined ? { h: height } : {}) }, 12);
+        }
+        else {
+            const [ lng, lat ] = source.geographic ? values : project(fromSrid, 4326, values);
+            if(! (Math.abs(lat) <= 90 && Math.abs(lng) <= 180) ) {
+               return this._fail('Coordinates out of range.', 'OUT_OF_BOUNDS');
+            }
+            latlng = { lat: lat, lng: lng, ...(height !== undefined ? { h: Number(height) } : {}) };
+
+            if( source.geographic && (point.epoch !== undefined || point.frame !== undefined) ) {
+                const etrs89 = this._toETRS89({ ...latlng, epoch: point.epoch, frame: point.frame });
+                if(! etrs89.valid ) {
+                   return this._fail(etrs89.message, etrs89.code);
+                }
+                latlng = etrs89.coordinates;
+            }
+        }
+
+        // ETRS89 latlng to target coordinates
+        const toTarget = latlng => {
+            if( target.grid ) {
+                return this.fromLatLng({ lat: latlng.lat, lng: latlng.lng, ...(latlng.h !== undefined ? { h: latlng.h } : {}) }, decimals, toSrid);
+            }
+            if( Math.abs(latlng.lat) > (target.maxLat ?? 90) ) {
+                return this._fail('Coordinates out of range.', 'OUT_OF_BOUNDS');
+            }
+
+            const xy = target.geographic ? [ latlng.lng, latlng.lat ] : project(4326, toSrid, [ latlng.lng, latlng.lat ]);
+            if( xy === null || ! xy.every(Number.isFinite) ) {
+                return this._fail('Coordinates out of range.', 'OUT_OF_BOUNDS');
+            }
+            return {
+                ...(target.geographic
+                    ? { lat: Number(xy[1].toFixed(decimals)), lng: Number(xy[0].toFixed(decimals)) }
+                    : { ea: Number(xy[0].toFixed(decimals)), no: Number(xy[1].toFixed(decimals)) }),
+                ...(latlng.h !== undefined ? { h: Number(latlng.h.toFixed(3)) } : {})
+            };
+        };
+
+        const toResult = (latlng, result) => {
+            const coverage = result.coverage ?? latlng.coverage;
+            const verticalDatum = result.verticalDatum ?? latlng.verticalDatum;
+            const transformation = this._combineTransformations(latlng.transformation, result.transformation);
+
+            return {
+                ...(target.geographic ? { lat: result.lat, lng: result.lng } : { ea: result.ea, no: result.no }),
+                ...(result.h !== undefined ? { h: result.h } : {}),
+                srid: toSrid,
+                ...(verticalDatum !== undefined ? { verticalDatum: verticalDatum } : {}),
+                ...(coverage !== undefined ? { coverage: coverage } : {}),
+                ...(transformation !== undefined ? { transformation: transformation } : {}),
+                shifted: Boolean(latlng.shifted || result.shifted)
+            };
+        };
+
+        return next(latlng, latlng => {
+            if( Object.keys(latlng).length === 0 ) {
+                return latlng;
+            }
+            return next(toTarget(latlng), result => Object.keys(result).length === 0 ? result : toResult(latlng, result));
+        });
+    },
+
+    /**
+     * Return a point transformed between ETRS89 and British National Grid both with OSTN15 and with the
+     * seven-parameter Helmert transformation (which can be out by up to 3.5m), and the difference between them in
+     * metres (Helmert minus OSTN15, along the grid axes), e.g. to audit data which may have been transformed with either.
+     * NOTE: A Promise is returned when using the 'ostn15-cgi' transformation type.
+     * @param {object|string} coordinates - The easting + northing, or the latlng (as for fromLatLng()), to be transformed.
+     * @param {integer} decimals - [optional] The specified number of decimal places (default 7 for latlng, 2 for
+     * easting + northing).
+     */
+    compare: function(coordinates, decimals) {
+        if( this.options.type === 'simple-towgs84' ) {
+           return this._fail('Comparison requires an OSTN15 transformation type.', 'INVALID_INPUT');
+        }
+
+        const isProjected = typeof coordinates === 'object' && coordinates.hasOwnProperty('ea');
+        decimals = decimals ?? (isProjected ? 7 : 2);
+
+        const isCgi = this.options.type === 'ostn15-cgi';
+        const next = (value, callback) => isCgi || value instanceof Promise ? Promise.resolve(value).then(callback) : callback(value);
+
+        let latlng;
+        if(! isProjected ) {
+            latlng = this._readLatLng(coordinates);
+            if(! latlng.valid ) {
+               return this._fail(latlng.message, latlng.code);
+            }
+        }
+
+        const result = isProjected
+            ? this.toLatLng({ ea: coordinates.ea, no: coordinates.no }, 12)
+            : this.fromLatLng(latlng.coordinates, 12);
+
+        return next(result, result => {
+            if( Object.keys(result).length === 0 ) {
+                return result;
+            }
+
+            const ostn15 = isProjected ? [ result.lng, result.lat ] : [ result.ea, result.no ];
+            const helmert = isProjected
+                ? this._unproject([ coordinates.ea, coordinates.no ], 'OSGB36-Helmert')
+                : this._project([ latlng.coordinates.lng, latlng.coordinates.lat ], 'OSGB36-Helmert');
+
+            // The difference in metres, between latlngs as projected with the National Grid parameters
+            const [ from, to ] = isProjected
+                ? [ ostn15, helmert ].map(point => this._toProjected(point, this._projections['ETRS89-TM']))
+                : [ ostn15, helmert ];
+            const difference = [ to[0] - from[0], to[1] - from[1] ];
+
+            const toResult = point => isProjected
+                ? { lat: Number(point[1].toFixed(decimals)), lng: Number(point[0].toFixed(decimals)) }
+                : { ea: Number(point[0].toFixed(decimals)), no: Number(point[1].toFixed(decimals)) };
+
+            return {
+                ostn15: { ...toResult(ostn15), accuracy: this._transformationMethods[27700].accuracy },
+                helmert: { ...toResult(helmert), accuracy: this._transformationMethods['OSGB36-Helmert'].accuracy },
+                difference: {
+                    ea: Number(difference[0].toFixed(3)),
+                    no: Number(difference[1].toFixed(3)),
+                    distance: Number(Math.hypot(...difference).toFixed(3))
+                },
+                coverage: result.coverage
+            };
+        });
+    },
+
+    /**
+     * Return the point scale factor and grid convergence at a location, computed with the Transverse Mercator
+     * parameters of the national grid. An ellipsoidal (ground) distance multiplied by the scale factor gives the grid
+     * distance, and a true bearing minus the convergence gives the grid bearing.
+     * NOTE: A Promise is returned when using the 'ostn15-cgi' transformation type.
+     * @param {object|string} coordinates - The easting + northing, or the latlng (as for fromLatLng()), of the location.
+     * @param {integer} srid - [optional] The national grid [27700 (default) | 29903 (Irish Grid) | 2157 (ITM)], if not
+     * given by the coordinates.
+     */
+    getGridProperties: function(coordinates, srid = coordinates.srid || 27700) {
+        const ready = this._checkReady();
+        if( ready.pending ) {
+            return ready.pending.then(() => this.getGridProperties(coordinates, srid), error => this._fail(error.message, 'GRID_NOT_LOADED'));
+        }
+        if(! ready.valid ) {
+           return this._fail(ready.message, ready.code);
+        }
+
+        if(! this._coordinateSystems[srid]?.grid ) {
+           return this._fail(`Unsupported coordinate system: ${srid}.`, 'INVALID_INPUT');
+        }
+        if( coordinates.srid !== undefined && coordinates.srid !== srid ) {
+           return this._fail('Coordinates must be on the same national grid.', 'INVALID_INPUT');
+        }
+
+        const isCgi = this.options.type === 'ostn15-cgi';
+        const next = (value, callback) => isCgi ? Promise.resolve(value).then(callback) : callback(value);
+        const point = coordinates.hasOwnProperty('ea') ? { ea: coordinates.ea, no: coordinates.no, srid: srid } : this.fromLatLng(coordinates, 3, srid);
+
+        return next(point, point => {
+            if( Object.keys(point).length === 0 ) {
+                return point;
+            }
+
+            const test = this._checkBounds(point, srid);
+            if(! test.valid ) {
+               return this._fail(test.message, test.code);
+            }
+
+            const projection = this._projections[srid];
+            const properties = this._getGridProperties(this._toGeographic([ point.ea, point.no ], projection), projection);
+
+            return {
+                ea: point.ea,
+                no: point.no,
+                ...(srid === 27700 ? {} : { srid: srid }),
+                scaleFactor: Number(properties.scaleFactor.toFixed(9)),
+                convergence: Number(properties.convergence.toFixed(7))
+            };
+        });
+    },
+
+    /**
+     * Return the grid distance + bearing between two locations, with the geodesic distance + true bearing between
+     * them on the ellipsoid of the national grid (Airy 1830 for British National Grid), and the line scale factor
+     * relating the two distances (from the point scale factors at either end and the midpoint, by Simpson's rule).
+     * Bearings are initial bearings, in degrees.
+     * NOTE: A Promise is returned when using the 'ostn15-cgi' transformation type.
+     * @param {object|string} from - The easting + northing, or the latlng (as for fromLatLng()), of the start point.
+     * @param {object|string} to - The easting + northing, or the latlng, of the end point.
+     * @param {integer} srid - [optional] The national grid [27700 (default) | 29903 (Irish Grid) | 2157 (ITM)], if not
+     * given by the coordinates.
+     */
+    getDistance: function(from, to, srid = from.srid || to.srid || 27700) {
+        const ready = this._checkReady();
+        if( ready.pending ) {
+            return ready.pending.then(() => this.getDistance(from, to, srid), error => this._fail(error.message, 'GRID_NOT_LOADED'));
+        }
+        if(! ready.valid ) {
+           return this._fail(ready.message, ready.code);
+        }
+
+        if(! this._coordinateSystems[srid]?.grid ) {
+           return this._fail(`Unsupported coordinate system: ${srid}.`, 'INVALID_INPUT');
+        }
+        if( [ from, to ].some(point => point.srid !== undefined && point.srid !== srid) ) {
+           return this._fail('Coordinates must be on the same national grid.', 'INVALID_INPUT');
+        }
+
+        const isCgi = this.options.type === 'ostn15-cgi';
+        const points = [ from, to ].map(coordinates => coordinates.hasOwnProperty('ea')
+            ? { ea: coordinates.ea, no: coordinates.no, srid: srid }
+            : this.fromLatLng(coordinates, 6, srid));
+
+        const build = points => {
+            for( const point of points ) {
+                if( Object.keys(point).length === 0 ) {
+                    return point;
+                }
+                const test = this._checkBounds(point, srid);
+                if(! test.valid ) {
+                   return this._fail(test.message, test.code);
+                }
+            }
+
+            const [ start, end ] = points;
+            const projection = this._projections[srid];
+            const properties = point => this._getGridProperties(this._toGeographic(point, projection), projection);
+            const scaleFactor = (properties([ start.ea, start.no ]).scaleFactor
+                + 4 * properties([ (start.ea + end.ea) / 2, (start.no + end.no) / 2 ]).scaleFactor
+                + properties([ end.ea, end.no ]).scaleFactor) / 6;
+            const geodesic = this._getGeodesic(this._toGeographic([ start.ea, start.no ], projection), this._toGeographic([ end.ea, end.no ], projection), projection.ellipsoid);
+            const gridBearing = Math.atan2(end.ea - start.ea, end.no - start.no) * 180 / Math.PI;
+
+            return {
+                gridDistance: Number(Math.hypot(end.ea - start.ea, end.no - start.no).toFixed(3)),
+                geodesicDistance: Number(geodesic.distance.toFixed(3)),
+                scaleFactor: Number(scaleFactor.toFixed(9)),
+                gridBearing: Number(((gridBearing + 360) % 360).toFixed(7)),
+                trueBearing: Number(geodesic.bearing.toFixed(7)),
+                convergence: Number(properties([ start.ea, start.no ]).convergence.toFixed(7)),
+                ...(srid === 27700 ? {} : { srid: srid })
+            };
+        };
+
+        return isCgi ? Promise.all(points).then(build) : build(points);
+    },
+
+    /**
+     * Return grid reference [plain | encoded | components] from an input easting + northing.
+     * @param {object} coordinates - The easting + northing (British National Grid or Irish Grid) to be converted.
+     * @param {integer|string} precision - [optional] The number of figures [0 | 2 | 4 | 6 | 8 | 10], or an ecological
+     * format [hectad (10km) | quadrant (5km) | tetrad (2km)].
+     */
+    toGridRef: function(coordinates, precision = 10) {
+        if(! [ 0, 2, 4, 6, 8, 10, 'hectad', 'quadrant', 'tetrad' ].includes(precision) ) {
+           return this._fail('Invalid grid reference precision.', 'INVALID_INPUT');
+        }
+
+        const srid = coordinates.srid || 27700;
+        if( srid !== 27700 && srid !== 29903 ) {
+           return this._fail('Grid references are only available for British National Grid and Irish Grid coordinates.', 'INVALID_INPUT');
+        }
+
+        const test = this._checkBounds(coordinates)
+        if(! test.valid ) {
+           return this._fail(test.message, test.code);
+        }
+
+        const prefixes = [
+            [ 'SV', 'SW', 'SX', 'SY', 'SZ', 'TV', 'TW' ],
+            [ 'SQ', 'SR', 'SS', 'ST', 'SU', 'TQ', 'TR' ],
+            [ 'SL', 'SM', 'SN', 'SO', 'SP', 'TL', 'TM' ],
+            [ 'SF', 'SG', 'SH', 'SJ', 'SK', 'TF', 'TG' ],
+            [ 'SA', 'SB', 'SC', 'SD', 'SE', 'TA', 'TB' ],
+            [ 'NV', 'NW', 'NX', 'NY', 'NZ', 'OV', 'OW' ],
+            [ 'NQ', 'NR', 'NS', 'NT', 'NU', 'OQ', 'OR' ],
+            [ 'NL', 'NM', 'NN', 'NO', 'NP', 'OL', 'OM' ],
+            [ 'NF', 'NG', 'NH', 'NJ', 'NK', 'OF', 'OG' ],
+            [ 'NA', 'NB', 'NC', 'ND', 'NE', 'OA', 'OB' ],
+            [ 'HV', 'HW', 'HX', 'HY', 'HZ', 'JV', 'JW' ],
+            [ 'HQ', 'HR', 'HS', 'HT', 'HU', 'JQ', 'JR' ],
+            [ 'HL', 'HM', 'HN', 'HO', 'HP', 'JL', 'JM' ]
+        ];
+
+        const x = Math.floor(coordinates.ea / 100000);
+        const y = Math.floor(coordinates.no / 100000);
+
+        // Irish Grid references use a single letter for each 100km square (in the same 5x5 layout as GB's second letter)
+        const prefix = srid === 29903 ? 'VWXYZQRSTULMNOPFGHJKABCDE'[y * 5 + x] : prefixes[y][x];
+
+        const figures = (typeof precision === 'string' ? 2 : precision) / 2;
+
+        let e = Math.floor(coordinates.ea % 100000 / Math.pow(10, 5 - figures));
+        let n = Math.floor(coordinates.no % 100000 / Math.pow(10, 5 - figures));
+
+        e = figures > 0 ? String(e).padStart(figures, '0') : '';
+        n = figures > 0 ? String(n).padStart(figures, '0') : '';
+
+        // Ecological formats are written without spaces, e.g. NY30 (hectad), NY30NE (quadrant), NY30X (tetrad)
+        if( typeof precision === 'string' ) {
+            const x = coordinates.ea % 10000;
+            const y = coordinates.no % 10000;
+
+            let suffix = '';
+            if( precision === 'quadrant' ) {
+                suffix = (y < 5000 ? 'S' : 'N') + (x < 5000 ? 'W' : 'E');
+            }
+            else if( precision === 'tetrad' ) {
+                suffix = 'ABCDEFGHIJKLMNPQRSTUVWXYZ'[Math.floor(x / 2000) * 5 + Math.floor(y / 2000)];
+            }
+
+            const text = `${prefix}${e}${n}${suffix}`;
+
+            return { text: text, html: text, letters: prefix, eastings: e, northings: n, ...(suffix ? { suffix: suffix } : {}) };
+        }
+
+        const text = [ prefix, e, n ].filter(Boolean).join(' ');
+        const html = [ prefix, e, n ].filter(Boolean).join('&thinsp;');
+
+        return { text: text, html: html, letters: prefix, eastings: e, northings: n };
+    },
+
+    /**
+     * Return easting + northing from an input grid reference (British National Grid or Irish Grid).
+     * @param {string} gridref - The grid reference to be converted.
+     * @param {boolean} extent - [optional] Also return the square the grid reference refers to: its precision in
+     * metres, centre, bounding box and GeoJSON polygon.
+     */
+    fromGridRef: function(gridref, extent = false) {
+        gridref = String(gridref).trim();
+
+        const test = this._validateGridRef(gridref)
+        if(! test.valid ) {
+           return this._fail(test.message, test.code);
+        }
+
+        const gridLetters = 'VWXYZQRSTULMNOPFGHJKABCDE';
+
+        const ref = test.letters;
+
+        let e, n;
+        if( test.srid === 29903 ) {
+            // Irish Grid: a single letter for the 100km square
+            e = gridLetters.indexOf(ref[0]) % 5  * 100000;
+            n = Math.floor(gridLetters.indexOf(ref[0]) / 5) * 100000;
+        }
+        else {
+            const majorEasting = gridLetters.indexOf(ref[0]) % 5  * 500000 - 1000000;
+            const majorNorthing = Math.floor(gridLetters.indexOf(ref[0]) / 5) * 500000 - 500000;
+
+            const minorEasting = gridLetters.indexOf(ref[1]) % 5  * 100000;
+            const minorNorthing = Math.floor(gridLetters.indexOf(ref[1]) / 5) * 100000;
+
+            e = majorEasting + minorEasting;
+            n = majorNorthing + minorNorthing;
+        }
+
+        const i = test.digits.length / 2;
+        const m = Math.pow(10, 5-i);
+
+        e += test.digits.substring(0, i) * m;
+        n += test.digits.substring(i) * m;
+
+        // Quadrant (5km) or DINTY tetrad (2km) within the hectad
+        if( test.suffix.length === 2 ) {
+            e += test.suffix[1] === 'E' ? 5000 : 0;
+            n += test.suffix[0] === 'N' ? 5000 : 0;
+        }
+        else if( test.suffix.length === 1 ) {
+            const index = 'ABCDEFGHIJKLMNPQRSTUVWXYZ'.indexOf(test.suffix);
+            e += Math.floor(index / 5) * 2000;
+            n += index % 5 * 2000;
+        }
+
+        const result = test.srid === 29903 ? { ea: e, no: n, srid: 29903 } : { ea: e, no: n };
+
+        return extent ? { ...result, ...this._getSquare(test, [ e, n ]) } : result;
+    },
+
+    /**
+     * Return latlng from an input grid reference (convenience method).
+     * NOTE: A Promise is returned when using the 'ostn15-cgi' transformation type.
+     * @param {string} gridref - The grid reference to be converted.
+     * @param {integer} decimals - [optional] The specified number of decimal places.
+     * @param {string|object} format - [optional] The format of the latlng written as text (see toLatLng()).
+     * @param {boolean} extent - [optional] Also return the square the grid reference refers to: its precision in
+     * metres, centre, bounding box and GeoJSON polygon (in latlng).
+     */
+    gridRefToLatLng: function(gridref, decimals = 7, format, extent = false) {
+        const ready = this._checkReady();
+        if( ready.pending ) {
+            return ready.pending.then(() => this.gridRefToLatLng(gridref, decimals, format, extent), error => this._fail(error.message, 'GRID_NOT_LOADED'));
+        }
+
+        const coordinates = this.fromGridRef(gridref, extent);
+        if( Object.keys(coordinates).length === 0 ) {
+            return coordinates;
+        }
+
+        const { ea, no, srid = 27700 } = coordinates;
+        const result = this.toLatLng({ ea: ea, no: no, ...(srid === 27700 ? {} : { srid: srid }) }, decimals, format);
+
+        if(! extent ) {
+            return result;
+        }
+
+        const build = (result, points) => {
+            if( Object.keys(result).length === 0 ) {
+                return result;
+            }
+            if( points.some(point => point === null || ! point.every(Number.isFinite)) ) {
+                return this._fail('Grid square outside the OSTN15 grid.', 'OUT_OF_BOUNDS');
+            }
+
+            const ring = points.slice(0, 5).map(point => [ Number(point[0].toFixed(decimals)), Number(point[1].toFixed(decimals)) ]);
+            const centre = points[5];
+
+            return {
+                ...result,
+                precision: coordinates.precision,
+                centre: { lat: Number(centre[1].toFixed(decimals)), lng: Number(centre[0].toFixed(decimals)) },
+                bbox: [
+                    Math.min(...ring.map(point => point[0])), Math.min(...ring.map(point => point[1])),
+                    Math.max(...ring.map(point => point[0])), Math.max(...ring.map(point => point[1]))
+                ],
+                geometry: { type: 'Polygon', coordinates: [ ring ] }
+            };
+        };
+
+        // The corners of the square are transformed without the bounds + coverage checks (which apply to its
+        // south-west corner above), so that squares on the edge of the grid can be drawn
+        const vertices = [ ...coordinates.geometry.coordinates[0], [ coordinates.centre.ea, coordinates.centre.no ] ];
+
+        if( this.options.type === 'ostn15-cgi' ) {
+            const points = vertices.map(point => this._makeRequest(srid, 4937, point).catch(() => null));
+            return Promise.all([ result, ...points ]).then(([ result, ...points ]) => build(result, points));
+        }
+
+        return build(result, vertices.map(point => this._transform(srid, 4326, point)));
+    },
+
+    /**
+     * Return latlng (rounded to the precision of the input), plus its format [decimal | ddm | dms] and precision, from
+     * text in decimal degrees, degrees + decimal minutes or degrees, minutes + seconds, with hemisphere letters or
+     * signed values, e.g. 54°25'29.3"N 2°58'04.6"W, N 54°25.488' W 2°58.076' or 54.42481, -2.9679374.
+     * @param {string} text - The text to be parsed.
+     */
+    parseLatLng: function(text) {
+        const latlng = this._parseLatLng(String(text ?? '').trim());
+        if( latlng === null ) {
+            return this._fail('Invalid latlng.', 'INVALID_INPUT');
+        }
+
+        const { format, precision } = latlng;
+        return { lat: Number(latlng.lat.toFixed(precision)), lng: Number(latlng.lng.toFixed(precision)), format: format, precision: precision };
+    },
+
+    /**
+     * Return the type [gridref | en | latlng], normalised value and precision of a location typed or pasted in
+     * any of the usual ways: a grid reference (with any spacing, separators or case), an easting + northing pair,
+     * or a decimal degrees / degrees-minutes-seconds latlng. Notes in brackets and trailing punctuation are ignored.
+     * Pairs of numbers within the range of latitude + longitude are read as a latlng.
+     * @param {string} input - The text to be parsed, e.g. "ny 3729 0369", "337297,503695" or 54°25'29.3"N 2°58'04.6"W.
+     */
+    parseLocation: function(input) {
+        const text = String(input ?? '').replace(/\([^)]*\)/g, ' ').replace(/^[\s.,;:!?]+|[\s.,;:!?]+$/g, '')
+            .replace(/^(['"])(.*)\1$/, '$2').trim();
+
+        const gridref = this._parseGridRef(text);
+        if( gridref ) {
+            return { type: 'gridref', ...gridref };
+        }
+
+        const latlng = this._parseLatLng(text);
+        if( latlng ) {
+            const { format, precision } = latlng;
+            const value = { lat: Number(latlng.lat.toFixed(precision)), lng: Number(latlng.lng.toFixed(precision)) };
+            return { type: 'latlng', value: value, precision: precision, format: format };
+        }
+
+        const match = text.toUpperCase().match(/^(?:E\s*)?([0-9]+(?:\.[0-9]+)?)(?:\s*[,;/]\s*|\s+)(?:N\s*)?([0-9]+(?:\.[0-9]+)?)$/);
+        if( match ) {
+            const precision = Math.max(...match.slice(1).map(value => value.includes('.') ? value.split('.')[1].length : 0));
+            return { type: 'en', value: { ea: Number(match[1]), no: Number(match[2]) }, precision: precision };
+        }
+
+        return this._fail('Unrecognised location: expected a grid reference, easting + northing or latlng.', 'INVALID_INPUT');
+    },
+
+    /**
+     * Return a transformed GeoJSON object (Geometry, Feature or FeatureCollection), plus a list of features which
+     * are out of bounds (and have their geometry set to null).
+     * NOTE: A Promise is returned when using the 'ostn15-cgi' transformation type.
+     * @param {object} geojson - The GeoJSON object to be transformed.
+     * @param {string} direction - [optional] The transformation direction [toLatLng | fromLatLng].
+     * @param {integer} decimals - [optional] The specified number of decimal places.
+     */
+    transformGeoJSON: function(geojson, direction = 'fromLatLng', decimals) {
+        const types = [ 'Point', 'MultiPoint', 'LineString', 'MultiLineString', 'Polygon', 'MultiPolygon', 'GeometryCollection', 'Feature', 'FeatureCollection' ];
+        if( ! geojson || ! types.includes(geojson.type) || ! [ 'toLatLng', 'fromLatLng' ].includes(direction) ) {
+           return this._fail('Invalid GeoJSON object or transformation direction.', 'INVALID_INPUT');
+        }
+        const valid = this._checkGeoJSON(geojson);
+        if(! valid.valid ) {
+           return this._fail(valid.message, valid.code);
+        }
+
+        const ready = this._checkReady();
+        if( ready.pending ) {
+            return ready.pending.then(() => this.transformGeoJSON(geojson, direction, decimals), error => this._fail(error.message, 'GRID_NOT_LOADED'));
+        }
+        if(! ready.valid ) {
+           return this._fail(ready.message, ready.code);
+        }
+
+        // Transform every position first (so that CGI requests can be resolved together), then rebuild the object
+        const positions = [];
+        this._mapGeoJSON(geojson, position => { positions.push(position); return position; });
+        const points = positions.map(position => this._transformPosition(position, direction, decimals));
+
+        const build = (points) => {
+            let i = 0;
+            const result = this._mapGeoJSON(geojson, () => points[i++]);
+
+            // Name the projected CRS (as per the 2008 GeoJSON specification) so that GIS software reads it correctly
+            if( result.geojson !== null && direction === 'fromLatLng' ) {
+                result.geojson.crs = { type: 'name', properties: { name: 'urn:ogc:def:crs:EPSG::27700' } };
+            }
+            else if( result.geojson !== null ) {
+                delete result.geojson.crs;
+            }
+
+            return result;
+        };
+
+        return this.options.type === 'ostn15-cgi' ? Promise.all(points).then(build) : build(points);
+    },
+
+    /**
+     * Return the bbox enclosing a bbox transformed between latlng and a national grid. The edges of a latlng bbox are
+     * curved on the grid (and vice versa), so points are sampled along each edge rather than only at the corners, and
+     * the result is rounded outwards. A bbox extending beyond the permitted bounds is clamped to them (reported with
+     * `withinBounds: false`), or rejected when `clamp` is false.
+     * NOTE: A Promise is returned when using the 'ostn15-cgi' transformation type (with a request per sampled point).
+     * @param {array} bbox - The extent [minX, minY, maxX, maxY] to be transformed ([west, south, east, north] for latlng).
+     * @param {string} direction - [optional] The transformation direction [fromLatLng (default) | toLatLng].
+     * @param {object} options - [optional] The national grid (`srid` [27700 (default) | 29903 | 2157]), the number of
+     * segments each edge is divided into (`densify`, default 10), the decimal places (`decimals`, default 7 for latlng,
+     * 2 for easting + northing) and whether to clamp the bbox to the permitted bounds (`clamp`, default true) or fail.
+     */
+    transformBounds: function(bbox, direction = 'fromLatLng', options = {}) {
+        const { srid = 27700, densify = 10, clamp = true } = options;
+        const decimals = options.decimals ?? (direction === 'toLatLng' ? 7 : 2);
+
+        if(! [ 'toLatLng', 'fromLatLng' ].includes(direction) || ! [ 27700, 29903, 2157 ].includes(srid) || ! Number.isInteger(densify) || densify < 1 || ! Number.isInteger(decimals) || decimals < 0 ) {
+           return this._fail('Invalid bounds options.', 'INVALID_INPUT');
+        }
+        if(! Array.isArray(bbox) || bbox.length !== 4 || ! bbox.every(Number.isFinite) || bbox[0] > bbox[2] || bbox[1] > bbox[3] ) {
+           return this._fail('Invalid bbox: [minX, minY, maxX, maxY] is required.', 'INVALID_INPUT');
+        }
+
+        const ready = this._checkReady();
+        if( ready.pending ) {
+            return ready.pending.then(() => this.transformBounds(bbox, direction, options), error => this._fail(error.message, 'GRID_NOT_LOADED'));
+        }
+        if(! ready.valid ) {
+           return this._fail(ready.message, ready.code);
+        }
+
+        const bounds = srid === 27700 ? this.options.maxBounds : {
+            projected: this.options.maxBoundsIreland.projected[srid],
+            geographic: this.options.maxBoundsIreland.geographic
+        };
+        const [ sourceBounds, targetBounds ] = direction === 'fromLatLng' ? [ bounds.geographic, bounds.projected ] : [ bounds.projected, bounds.geographic ];
+        const clip = (extent, limits) => [
+            Math.max(extent[0], limits[0][0]), Math.max(extent[1], limits[0][1]),
+            Math.min(extent[2], limits[1][0]), Math.min(extent[3], limits[1][1])
+        ];
+
+        const clipped = clip(bbox, sourceBounds);
+        let withinBounds = clipped.every((value, i) => value === bbox[i]);
+        if( clipped[0] > clipped[2] || clipped[1] > clipped[3] || (! withinBounds && ! clamp) ) {
+            return this._fail('Coordinates out of range.', 'OUT_OF_BOUNDS');
+        }
+
+        // Sample each edge of the clamped bbox, anticlockwise from the bottom-left corner
+        const [ minX, minY, maxX, maxY ] = clipped;
+        const corners = [ [ minX, minY ], [ maxX, minY ], [ maxX, maxY ], [ minX, maxY ] ];
+        const samples = corners.flatMap((from, i) => {
+            const to = corners[(i + 1) % 4];
+            return Array.from({ length: densify }, (_, j) => [ from[0] + (to[0] - from[0]) * j / densify, from[1] + (to[1] - from[1]) * j / densify ]);
+        });
+
+        const [ source, target ] = direction === 'fromLatLng' ? [ 4326, srid ] : [ srid, 4326 ];
+        const isCgi = this.options.type === 'ostn15-cgi';
+        const points = isCgi
+            ? Promise.all(samples.map(point => this._makeRequest(source === 4326 ? 4937 : source, target === 4326 ? 4937 : target, point).catch(() => null)))
+            : samples.map(point => this._transform(source, target, point));
+
+        const build = points => {
+            points = points.filter(point => point !== null && point.slice(0, 2).every(Number.isFinite));
+            if( points.length === 0 ) {
+                return this._fail('Coordinates outside the OSTN15 grid.', 'OUT_OF_BOUNDS');
+            }
+
+            const extent = [
+                Math.min(...points.map(point => point[0])), Math.min(...points.map(point => point[1])),
+                Math.max(...points.map(point => point[0])), Math.max(...points.map(point => point[1]))
+            ];
+            const limited = clip(extent, targetBounds);
+            withinBounds = withinBounds && limited.every((value, i) => value === extent[i]);
+            if(! withinBounds && ! clamp ) {
+                return this._fail('Coordinates out of range.', 'OUT_OF_BOUNDS');
+            }
+
+            const factor = 10 ** decimals;
+            return {
+                bbox: limited.map((value, i) => Number(((i < 2 ? Math.floor : Math.ceil)(value * factor) / factor).toFixed(decimals))),
+                srid: target,
+                withinBounds: withinBounds
+            };
+        };
+
+        return isCgi ? points.then(build) : build(points);
+    },
+
+    /**
+     * Return British National Grid lines and/or cells covering a bbox, as a GeoJSON FeatureCollection for map
+     * overlays. Lines are labelled with their figures (as in the margins of OS maps) and cells with their grid
+     * reference. Unless `projected` is set, the lines + cell edges are densified and transformed with OSTN15 to
+     * latlng, so that they curve correctly on a web map.
+     * NOTE: A Promise is returned when using the 'ostn15-cgi' transformation type (with a request per position).
+     * @param {array} bbox - The extent [minX, minY, maxX, maxY] to be covered.
+     * @param {integer} interval - The grid interval in metres [100000 | 10000 | 1000 | 100].
+     * @param {object} options - [optional] The coordinate system of the bbox (`srid` [27700 (default) | 4326]), the
+     * features to return (`type` [lines | cells | both (default)]), the number of segments each line is divided into
+     * per interval (`densify`, default 10), the decimal places of the latlngs (`decimals`, default 7) and whether to
+     * return British National Grid coordinates instead of latlng (`projected`, default false).
+     */
+    getGrid: function(bbox, interval, options = {}) {
+        const { srid = 27700, type = 'both', densify = 10, decimals = 7, projected = false } = options;
+
+        if(! [ 100000, 10000, 1000, 100 ].includes(interval) ) {
+           return this._fail('Invalid grid interval: use 100000, 10000, 1000 or 100 metres.', 'INVALID_INPUT');
+        }
+        if(! [ 27700, 4326 ].includes(srid) || ! [ 'lines', 'cells', 'both' ].includes(type) || ! Number.isInteger(densify) || densify < 1 ) {
+           return this._fail('Invalid grid options.', 'INVALID_INPUT');
+        }
+        if(! Array.isArray(bbox) || bbox.length !== 4 || ! bbox.every(Number.isFinite) || bbox[0] > bbox[2] || bbox[1] > bbox[3] ) {
+           return this._fail('Invalid bbox: [minX, minY, maxX, maxY] is required.', 'INVALID_INPUT');
+        }
+
+        const ready = this._checkReady();
+        if( ready.pending ) {
+            return ready.pending.then(() => this.getGrid(bbox, interval, options), error => this._fail(error.message, 'GRID_NOT_LOADED'));
+        }
+        if(! ready.valid ) {
+           return this._fail(ready.message, ready.code);
+        }
+
+        // Points are transformed together (so that CGI requests can be resolved together), as null where they cannot be
+        const isCgi = this.options.type === 'ostn15-cgi';
+        const transformPoints = (source, target, points) => isCgi
+            ? Promise.all(points.map(point => this._makeRequest(source === 4326 ? 4937 : source, target === 4326 ? 4937 : target, point).catch(() => null)))
+            : points.map(point => this._transform(source, target, point));
+        const next = (value, callback) => isCgi ? Promise.resolve(value).then(callback) : callback(value);
+        const isValid = point => point !== null && point.slice(0, 2).every(Number.isFinite);
+
+        // The extent in British National Grid, enclosing the curved edges of a latlng bbox
+        const bounds = srid === 4326 ? this.transformBounds(bbox, 'fromLatLng', { densify: densify }) : { bbox: bbox };
+
+        return next(bounds, bounds => {
+            if(! bounds.bbox ) {
+                return bounds;
+            }
+            const extent = bounds.bbox;
+
+            // Snap the extent out to the grid interval, within the National Grid (or the OSTN15 grid, for latlng)
+            const [ maxEa, maxNo ] = [ 700000, projected ? 1300000 : 1250000 ];
+            const minE = Math.max(0, Math.floor(extent[0] / interval) * interval);
+            const minN = Math.max(0, Math.floor(extent[1] / interval) * interval);
+            const maxE = Math.min(maxEa, Math.max(Math.ceil(extent[2] / interval) * interval, minE + interval));
+            const maxN = Math.min(Math.floor(maxNo / interval) * interval, Math.max(Math.ceil(extent[3] / interval) * interval, minN + interval));
+            if( minE >= maxE || minN >= maxN ) {
+                return this._fail('Coordinates out of range.', 'OUT_OF_BOUNDS');
+            }
+
+            const columns = (maxE - minE) / interval;
+            const rows = (maxN - minN) / interval;
+            const count = (type !== 'cells' ? columns + rows + 2 : 0) + (type !== 'lines' ? columns * rows : 0);
+            if( count > this.options.maxGridFeatures ) {
+                return this._fail(`Too many grid features (${count}): use a larger interval or a smaller bbox.`, 'INVALID_INPUT');
+            }
+
+            // Positions along a line between two grid points (densified unless projected)
+            const toPositions = (from, to) => {
+                const steps = projected ? 1 : Math.round(Math.hypot(to[0] - from[0], to[1] - from[1]) / interval) * densify;
+                return Array.from({ length: steps + 1 }, (_, i) => [ from[0] + (to[0] - from[0]) * i / steps, from[1] + (to[1] - from[1]) * i / steps ]);
+            };
+
+            // Figures of a grid line (within its 100km square), e.g. "37" for 1km or "372" for 100m lines
+            const figures = Math.max(2, 5 - Math.log10(interval));
+            const toLabel = value => String(Math.floor((value % 100000) / Math.pow(10, 5 - figures))).padStart(figures, '0');
+
+            const lines = [];
+            const cells = [];
+            if( type !== 'cells' ) {
+                for( let e = minE; e <= maxE; e += interval ) {
+                    lines.push({ properties: { type: 'line', axis: 'easting', value: e, label: toLabel(e) }, positions: toPositions([ e, minN ], [ e, maxN ]) });
+                }
+                for( let n = minN; n <= maxN; n += interval ) {
+                    lines.push({ properties: { type: 'line', axis: 'northing', value: n, label: toLabel(n) }, positions: toPositions([ minE, n ], [ maxE, n ]) });
+                }
+            }
+            if( type !== 'lines' ) {
+                const precision = { 100000: 0, 10000: 2, 1000: 4, 100: 6 }[interval];
+                for( let e = minE; e < maxE; e += interval ) {
+                    for( let n = minN; n < maxN; n += interval ) {
+                        const square = [ [ e, n ], [ e + interval, n ], [ e + interval, n + interval ], [ e, n + interval ], [ e, n ] ];
+                        cells.push({
+                            properties: { type: 'cell', gridref: this.toGridRef({ ea: e, no: n }, precision).text },
+                            positions: square.slice(0, 4).flatMap((corner, i) => toPositions(corner, square[i + 1]).slice(i === 0 ? 0 : 1))
+                        });
+                    }
+                }
+            }
+
+            const positions = [ ...lines, ...cells ].flatMap(feature => feature.positions);
+            const points = projected ? positions : transformPoints(27700, 4326, positions);
+
+            return next(points, points => {
+                let i = 0;
+                const round = point => isValid(point) ? [ Number(point[0].toFixed(decimals)), Number(point[1].toFixed(decimals)) ] : null;
+                const take = feature => feature.positions.map(() => projected ? points[i++] : round(points[i++]));
+
+                const features = [];
+
+                // Grid lines are clipped to the parts which could be transformed
+                for( const line of lines ) {
+                    const parts = [ [] ];
+                    for( const point of take(line) ) {
+                        if( point === null ) {
+                            parts.push([]);
+                        }
+                        else {
+                            parts[parts.length - 1].push(point);
+                        }
+                    }
+                    const coordinates = parts.filter(part => part.length > 1);
+                    if( coordinates.length > 0 ) {
+                        features.push({
+                            type: 'Feature',
+                            properties: line.properties,
+                            geometry: coordinates.length === 1
+                                ? { type: 'LineString', coordinates: coordinates[0] }
+                                : { type: 'MultiLineString', coordinates: coordinates }
+                        });
+                    }
+                }
+
+                for( const cell of cells ) {
+                    const ring = take(cell);
+                    if(! ring.includes(null) ) {
+                        features.push({ type: 'Feature', properties: cell.properties, geometry: { type: 'Polygon', coordinates: [ ring ] } });
+                    }
+                }
+
+                const geojson = this._setBBox({ type: 'FeatureCollection', features: features, bbox: [] });
+                if( projected ) {
+                    geojson.crs = { type: 'name', properties: { name: 'urn:ogc:def:crs:EPSG::27700' } };
+                }
+
+                return geojson;
+            });
+        });
+    },
+
+    /**
+     * Create a Web Worker which transforms points off the main thread, so that converting a large dataset doesn't
+     * freeze the page. The worker loads its own copy of this script (plus Proj4js + geotiff.js as needed, see
+     * `options.workerScripts`) and initialises it for the configured transformation type, loading the grid once; the
+     * grid (ostn15-js) and geoid model already loaded by the page are copied to it, so its results match those of
+     * toLatLng() + fromLatLng() exactly.
+     * Returns { ready, transformMany(points, options), terminate() }, where `ready` is a Promise which resolves once
+     * the worker has been initialised, and transformMany() returns a Promise of the results (see below).
+     * @param {object} options - [optional] Options to merge into the current options for the worker (e.g. type,
+     * gsbPath, tifPath, workerScripts, workerChunkSize).
+     */
+    createWorker: function(options = {}) {
+        if( typeof Worker === 'undefined' ) {
+            return this._fail('Web Workers are not supported in this environment.', 'INVALID_INPUT');
+        }
+
+        const settings = {
+            ...this.options,
+            ...options,
+            proj4: { ...this.options.proj4, ...options.proj4, defs: { ...this.options.proj4.defs, ...(options.proj4 || {}).defs } },
+            workerScripts: { ...this.options.workerScripts, ...options.workerScripts }
+        };
+
+        const test = this._getWorkerScripts(settings);
+        if(! test.valid ) {
+           return this._fail(test.message, test.code);
+        }
+
+        // The worker's source is a Blob, so relative paths must be resolved against the page
+        const base = typeof document !== 'undefined' ? document.baseURI : location.href;
+        for( const key of [ 'gsbPath', 'tifPath', 'osgm15Path', 'cgiPath' ] ) {
+            settings[key] = new URL(settings[key], base).href;
+        }
+
+        const source = `(${this._workerMain.toString()})(${JSON.stringify(test.scripts)});`;
+        const url = URL.createObjectURL(new Blob([ source ], { type: 'text/javascript' }));
+        const worker = new Worker(url);
+
+        const jobs = new Map();
+        let count = 0;
+        let ready = null;
+        let terminated = null;
+
+        const toError = (data) => new os.TransformError(data.message, data.code || 'INVALID_INPUT');
+
+        const readyPromise = new Promise((resolve, reject) => {
+            ready = { resolve: resolve, reject: reject };
+        });
+
+        // Failures are also passed on to each transformation, so `ready` need not be awaited
+        readyPromise.catch(() => {});
+
+        worker.onmessage = (event) => {
+            const data = event.data;
+            const job = jobs.get(data.id);
+
+            if( data.type === 'ready' ) {
+                URL.revokeObjectURL(url);
+                ready.resolve();
+            }
+            else if( data.type === 'error' && data.id === undefined ) {
+                URL.revokeObjectURL(url);
+                ready.reject(toError(data));
+            }
+            else if(! job ) {
+                return;
+            }
+            else if( data.type === 'progress' ) {
+                job.onProgress({ done: data.done, total: data.total });
+            }
+            else if( data.type === 'result' ) {
+                jobs.delete(data.id);
+                job.resolve({ results: data.results, errors: data.errors });
+            }
+            else if( data.type === 'error' ) {
+                jobs.delete(data.id);
+                job.reject(toError(data));
+            }
+        };
+
+        worker.onerror = (event) => {
+            event.preventDefault();
+            URL.revokeObjectURL(url);
+            const error = new os.TransformError(`Web Worker failed: ${event.message}`, 'GRID_NOT_LOADED');
+            ready.reject(error);
+            jobs.forEach(job => job.reject(error));
+            jobs.clear();
+        };
+
+        const isJs = settings.type === 'ostn15-js' && this._grid !== null;
+        worker.postMessage({
+            type: 'init',
+            options: { ...settings, strict: true },
+            grid: isJs ? this._grid : null,
+            geoid: this._geoid
+        });
+
+        return {
+            ready: readyPromise,
+
+            /**
+             * Transform a list of points in the worker. Returns a Promise of { results, errors }: for a list of
+             * objects, `results` holds the result of toLatLng() or fromLatLng() for each point (an empty object for
+             * those which fail); for a typed array of interleaved coordinates, `results` is a Float64Array of the
+             * transformed coordinates in the same order (NaN for those which fail). `errors` lists the { index,
+             * message, code } of each point which failed. The Promise rejects with an AbortError if cancelled (or the
+             * worker is terminated), or with an os.TransformError if the worker fails.
+             * @param {array|Float64Array} points - The eastings + northings or latlngs to be transformed, as objects
+             * or as a typed array [x0, y0, x1, y1, ...] of eastings + northings or lngs + lats (which is transferred
+             * to the worker, leaving it empty).
+             * @param {object} options - [optional] The transformation `direction` [toLatLng | fromLatLng (default)],
+             * `decimals` and `srid` (as for toLatLng + fromLatLng), an `onProgress({ done, total })` callback and an
+             * AbortSignal (`signal`) to cancel the transformation.
+             */
+            transformMany: (points, options = {}) => {
+                const { direction = 'fromLatLng', decimals, srid, onProgress = () => {}, signal } = options;
+
+                if( ! [ 'toLatLng', 'fromLatLng' ].includes(direction) || ! (Array.isArray(points) || ArrayBuffer.isView(points)) ) {
+                    return Promise.reject(new os.TransformError('Invalid points or transformation direction.', 'INVALID_INPUT'));
+                }
+                if( signal && signal.aborted ) {
+                    return Promise.reject(signal.reason);
+                }
+                if( terminated ) {
+                    return Promise.reject(terminated);
+                }
+
+                const id = ++count;
+
+                return new Promise((resolve, reject) => {
+                    jobs.set(id, { resolve: resolve, reject: reject, onProgress: onProgress });
+
+                    if( signal ) {
+                        signal.addEventListener('abort', () => {
+                            if( jobs.delete(id) ) {
+                                worker.postMessage({ type: 'cancel', id: id });
+                                reject(signal.reason);
+                            }
+                        }, { once: true });
+                    }
+
+                    // Typed arrays are transferred rather than copied, unless they are part of a larger buffer
+                    const transfer = ArrayBuffer.isView(points) && points.byteOffset === 0 && points.byteLength === points.buffer.byteLength
+                        ? [ points.buffer ]
+                        : [];
+
+                    readyPromise.then(() => {
+                        if( jobs.has(id) ) {
+                            worker.postMessage({ type: 'transform', id: id, direction: direction, points: points, decimals: decimals, srid: srid }, transfer);
+                        }
+                    }, error => {
+                        jobs.delete(id);
+                        reject(error);
+                    });
+                });
+            },
+
+            /**
+             * Stop the worker, rejecting any transformations in progress with an AbortError.
+             */
+            terminate: () => {
+                worker.terminate();
+                URL.revokeObjectURL(url);
+                terminated = new DOMException('The Web Worker has been terminated.', 'AbortError');
+                ready.reject(terminated);
+                jobs.forEach(job => job.reject(terminated));
+                jobs.clear();
+            }
+        };
     }
 };
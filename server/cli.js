@@ -0,0 +1,336 @@
+#!/usr/bin/env bun
+// cli.js v0.5.0
+// Command-line conversion of CSV, GeoJSON and newline-delimited coordinates with OSTransform (ES Module)
+import { parseArgs } from 'node:util';
+import { OSTransform, TransformError, loadGrid, transformationTypes } from './transform.js';
+import { transformCSV, csvOperations, csvInputs, defaultOperations } from './csv.js';
+
+const usage = `Usage: os-transform [options] [file]
+
+Converts a CSV, GeoJSON or newline-delimited coordinates file (or stdin, if no file or "-" is given) with the
+OSTN15 grid (OSTN15_GRID, otherwise OSTN15_NTv2_OSGBtoETRS.gsb beside this script or the .tif bundled in
+resources/), and writes the result to stdout.
+
+Options:
+  -f, --format <format>     Input format [csv | geojson | lines] (default: from the file extension, otherwise lines)
+  -d, --direction <op>      Conversion [to-latlng | from-latlng | to-gridref | from-gridref | gridref-to-latlng]
+                            (a comma-separated list for CSV; default: from the input columns or each line)
+  -p, --precision <digits>  Grid reference precision [0 | 2 | 4 | 6 | 8 | 10 | hectad | quadrant | tetrad]
+                            (default: 10)
+      --decimals <places>   Decimal places of the results (default: 7 for lat/lng, 2 for easting + northing)
+      --srid <srid>         National grid [27700 | 29903 | 2157] (default: 27700)
+      --on-error <mode>     Rows which cannot be converted [skip | fail] (default: skip)
+      --ea, --no, --lat, --lng, --gridref, --h <column>
+                            CSV input columns (default: columns of the same name)
+  -h, --help                Show this help
+
+Rows which cannot be converted are skipped: written with an empty result and reported on stderr (or, for CSV, in
+an "error" column). With --on-error fail, the first such row stops the conversion with exit code 1.
+`;
+
+/**
+ * Conversion of each type of location read from a line (see OSTransform.parseLocation()), when none is given.
+ */
+const lineOperations = { en: 'to-latlng', latlng: 'from-latlng', gridref: 'gridref-to-latlng' };
+
+/**
+ * Return the command-line options, or throw a TransformError if they are invalid.
+ * @param {array} args - The command-line arguments (after the script name).
+ */
+function getOptions(args) {
+    const { values, positionals } = parseArgs({
+        args: args,
+        options: {
+            format: { type: 'string', short: 'f' },
+            direction: { type: 'string', short: 'd' },
+            precision: { type: 'string', short: 'p' },
+            decimals: { type: 'string' },
+            srid: { type: 'string' },
+            'on-error': { type: 'string', default: 'skip' },
+            ...Object.fromEntries(csvInputs.map(key => [ key, { type: 'string' } ])),
+            help: { type: 'boolean', short: 'h' }
+        },
+        allowPositionals: true
+    });
+
+    if (positionals.length > 1) {
+        throw new TransformError('Only one input file can be given.', 'INVALID_INPUT');
+    }
+
+    const file = positionals[0] === '-' ? undefined : positionals[0];
+    const extension = file ? file.split('.').pop().toLowerCase() : '';
+    const format = values.format || ({ csv: 'csv', geojson: 'geojson', json: 'geojson' })[extension] || 'lines';
+
+    if (!['csv', 'geojson', 'lines'].includes(format)) {
+        throw new TransformError(`Unknown format: ${format} (expected csv, geojson or lines)`, 'INVALID_INPUT');
+    }
+    if (!['skip', 'fail'].includes(values['on-error'])) {
+        throw new TransformError(`Unknown --on-error mode: ${values['on-error']} (expected skip or fail)`, 'INVALID_INPUT');
+    }
+
+    const ops = values.direction ? values.direction.split(',').map(op => op.trim()) : [];
+    const unknown = ops.filter(op => !csvOperations[op]);
+    if (unknown.length > 0) {
+        throw new TransformError(`Unknown direction: ${unknown.join(', ')}`, 'INVALID_INPUT');
+    }
+    if (format !== 'csv' && ops.length > 1) {
+        throw new TransformError('Only CSV input can be given more than one direction.', 'INVALID_INPUT');
+    }
+    if (format === 'geojson' && ops.length > 0 && !['to-latlng', 'from-latlng'].includes(ops[0])) {
+        throw new TransformError('GeoJSON can only be converted to-latlng or from-latlng.', 'INVALID_INPUT');
+    }
+
+    const shared = {};
+    // Grid reference precisions can also be the ecological formats (as for toGridRef())
+    if ([ 'hectad', 'quadrant', 'tetrad' ].includes(values.precision)) {
+        shared.precision = values.precision;
+    }
+    for (const key of [ 'precision', 'decimals', 'srid' ]) {
+        if (values[key] !== undefined && shared[key] === undefined) {
+            if (!Number.isInteger(Number(values[key]))) {
+                const expected = key === 'precision' ? 'an integer, hectad, quadrant or tetrad' : 'an integer';
+                throw new TransformError(`Invalid --${key}: ${values[key]} (expected ${expected})`, 'INVALID_INPUT');
+            }
+            shared[key] = Number(values[key]);
+        }
+    }
+
+    const mapping = {};
+    for (const key of csvInputs) {
+        if (values[key]) {
+            mapping[key] = values[key];
+        }
+    }
+
+    return { help: values.help, file, format, ops, onError: values['on-error'], mapping, shared };
+}
+
+/**
+ * Write text (or bytes) to stdout, waiting for it to drain when its buffer is full.
+ * @param {string|Uint8Array} chunk - The output.
+ */
+async function write(chunk) {
+    if (!process.stdout.write(chunk)) {
+        await new Promise(resolve => process.stdout.once('drain', resolve));
+    }
+}
+
+/**
+ * Yield the lines of a text stream, one at a time.
+ * @param {ReadableStream<string>} stream - The text.
+ */
+async function* readLines(stream) {
+    let buffer = '';
+    for await (const chunk of stream) {
+        buffer += chunk;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+            yield line.replace(/\r$/, '');
+        }
+    }
+    if (buffer !== '') {
+        yield buffer.replace(/\r$/, '');
+    }
+}
+
+/**
+ * Return the CSV column mapping when none is given: each input column which appears (by name) in the header row.
+ * @param {ReadableStream<Uint8Array>} input - The CSV file, which is returned with its header row put back.
+ */
+async function readMapping(input) {
+    const reader = input.getReader();
+    const chunks = [];
+    let text = '';
+    while (!text.includes('\n')) {
+        const { value, done } = await reader.read();
+        if (done) {
+            break;
+        }
+        chunks.push(value);
+        text += new TextDecoder().decode(value, { stream: true });
+    }
+
+    const header = text.split('\n')[0].split(',').map(column => column.trim().replace(/^"(.*)"$/, '$1'));
+    const mapping = Object.fromEntries(csvInputs.filter(key => header.includes(key)).map(key => [ key, key ]));
+
+    const body = new ReadableStream({
+        start(controller) {
+            chunks.forEach(chunk => controller.enqueue(chunk));
+        },
+        async pull(controller) {
+            const { value, done } = await reader.read();
+            if (done) {
+                controller.close();
+                return;
+            }
+            controller.enqueue(value);
+        },
+        cancel() {
+            return reader.cancel();
+        }
+    });
+
+    return { mapping, body };
+}
+
+/**
+ * Convert a CSV file, appending the output columns (and an `error` column) to each row.
+ */
+async function convertCSV(transformer, input, options) {
+    let { mapping, ops } = options;
+    let body = input;
+
+    if (Object.keys(mapping).length === 0) {
+        ({ mapping, body } = await readMapping(input));
+    }
+
+    if (ops.length === 0) {
+        ops = defaultOperations(mapping);
+    }
+    if (ops.length === 0) {
+        throw new TransformError('No input columns: name the ea + no, lat + lng or gridref columns.', 'INVALID_INPUT');
+    }
+
+    const missing = [ ...new Set(ops.flatMap(op => csvOperations[op].required)) ].filter(key => !mapping[key]);
+    if (missing.length > 0) {
+        throw new TransformError(`Missing input columns: ${missing.join(', ')}`, 'INVALID_INPUT');
+    }
+
+    const stream = await transformCSV(transformer, body, { mapping, ops, onError: options.onError, ...options.shared });
+
+    for await (const chunk of stream) {
+        await write(chunk);
+    }
+}
+
+/**
+ * Convert a GeoJSON file, setting the geometry of any feature which is out of bounds to null.
+ */
+async function convertGeoJSON(transformer, input, options) {
+    let geojson;
+    try {
+        geojson = await new Response(input).json();
+    } catch {
+        throw new TransformError('Invalid GeoJSON: the input is not JSON.', 'INVALID_INPUT');
+    }
+
+    const direction = options.ops[0] === 'to-latlng' ? 'toLatLng' : 'fromLatLng';
+    const result = transformer.transformGeoJSON(geojson, direction, options.shared.decimals);
+
+    if (result.outOfBounds.length > 0) {
+        const features = result.outOfBounds.map(feature => feature.id ?? feature.index).filter(value => value !== null);
+        const message = features.length > 0 ? `Features out of bounds: ${features.join(', ')}` : 'Coordinates out of range.';
+        if (options.onError === 'fail') {
+            throw new TransformError(message, 'OUT_OF_BOUNDS');
+        }
+        console.error(message);
+    }
+
+    await write(JSON.stringify(result.geojson) + '\n');
+}
+
+/**
+ * Convert newline-delimited coordinates (grid references, eastings + northings or latlngs, in any of the forms
+ * accepted by OSTransform.parseLocation()), writing one line of output for each line of input.
+ */
+async function convertLines(transformer, input, options) {
+    let count = 0;
+    let text = '';
+
+    for await (const line of readLines(input.pipeThrough(new TextDecoderStream()))) {
+        count++;
+        if (line.trim() === '') {
+            text += '\n';
+            continue;
+        }
+
+        let result;
+        try {
+            const location = transformer.parseLocation(line);
+            const op = options.ops[0] || lineOperations[location.type];
+            const value = location.type === 'gridref' ? { gridref: location.value } : location.value;
+            [ result ] = transformer.batch([ { ...options.shared, ...value, op } ]);
+        } catch (error) {
+            result = { error: error.message, code: error.code };
+        }
+
+        if (result.error !== undefined) {
+            const message = `Line ${count}: ${result.error}`;
+            if (options.onError === 'fail') {
+                await write(text);
+                throw new TransformError(message, result.code || 'INVALID_INPUT');
+            }
+            console.error(message);
+            text += '\n';
+        }
+        else {
+            const { ea, no, lat, lng } = result.result;
+            text += (result.result.text ?? (ea !== undefined ? `${ea},${no}` : `${lat},${lng}`)) + '\n';
+        }
+
+        // Write in blocks, to keep the overhead of each write small
+        if (text.length > 65536) {
+            await write(text);
+            text = '';
+        }
+    }
+
+    await write(text);
+}
+
+/**
+ * Run the command, returning its exit code [0 | 1 (conversion failed) | 2 (invalid options)].
+ * @param {array} args - The command-line arguments (after the script name).
+ */
+export async function main(args) {
+    let options;
+    try {
+        options = getOptions(args);
+    } catch (error) {
+        console.error(`os-transform: ${error.message}\n\n${usage}`);
+        return 2;
+    }
+
+    if (options.help) {
+        await write(usage);
+        return 0;
+    }
+
+    const transformer = new OSTransform();
+
+    // Throw TransformErrors (rather than logging to stdout and returning empty objects)
+    transformer.options.strict = true;
+
+    // Transformation type [ostn15-gsb (proj4) | ostn15-js (built-in)]
+    if (process.env.TRANSFORM_TYPE) {
+        if (!transformationTypes.includes(process.env.TRANSFORM_TYPE)) {
+            console.error(`os-transform: Unknown TRANSFORM_TYPE: ${process.env.TRANSFORM_TYPE} (expected ${transformationTypes.join(' or ')})`);
+            return 2;
+        }
+        transformer.options.type = process.env.TRANSFORM_TYPE;
+    }
+
+    const convert = { csv: convertCSV, geojson: convertGeoJSON, lines: convertLines }[options.format];
+
+    try {
+        // The grid is only loaded once the options are known to be valid, so that --help never needs it
+        await loadGrid(process.env.OSTN15_GRID || undefined);
+
+        if (options.file && !await Bun.file(options.file).exists()) {
+            throw new TransformError(`File not found: ${options.file}`, 'INVALID_INPUT');
+        }
+
+        const input = options.file ? Bun.file(options.file).stream() : Bun.stdin.stream();
+        await convert(transformer, input, options);
+    } catch (error) {
+        console.error(`os-transform: ${error.message}${error.code ? ` (${error.code})` : ''}`);
+        return 1;
+    }
+
+    return 0;
+}
+
+if (import.meta.main) {
+    process.exitCode = await main(process.argv.slice(2));
+}
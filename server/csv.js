@@ -0,0 +1,228 @@
+// csv.js v0.5.0
+// Streaming CSV conversion for OSTransform (ES Module)
+import { TransformError } from './transform.js';
+
+/**
+ * Columns appended to each row by each conversion, keyed by the name of the equivalent server route, plus how to
+ * read their values from the conversion result.
+ */
+export const csvOperations = {
+    'to-latlng': { required: ['ea', 'no'], columns: { lat: r => r.lat, lng: r => r.lng, h: r => r.h } },
+    'from-latlng': { required: ['lat', 'lng'], columns: { ea: r => r.ea, no: r => r.no, h: r => r.h } },
+    'to-gridref': { required: ['ea', 'no'], columns: { gridref: r => r.text } },
+    'from-gridref': { required: ['gridref'], columns: { ea: r => r.ea, no: r => r.no } },
+    'gridref-to-latlng': { required: ['gridref'], columns: { lat: r => r.lat, lng: r => r.lng } }
+};
+
+/**
+ * Input columns which can be mapped to a column of the CSV.
+ */
+export const csvInputs = [ 'ea', 'no', 'lat', 'lng', 'gridref', 'h' ];
+
+/**
+ * Return the conversions to run when none are given, inferred from the mapped input columns.
+ * @param {object} mapping - The CSV column name for each input (ea, no, lat, lng, gridref, h).
+ */
+export function defaultOperations(mapping) {
+    if (mapping.ea && mapping.no) {
+        return [ 'to-latlng' ];
+    }
+    if (mapping.lat && mapping.lng) {
+        return [ 'from-latlng' ];
+    }
+    if (mapping.gridref) {
+        return [ 'gridref-to-latlng' ];
+    }
+    return [];
+}
+
+/**
+ * Yield the rows (arrays of field values) of a CSV text stream, one at a time, following RFC 4180 (quoted fields
+ * may contain commas, doubled quotes and line breaks).
+ * @param {ReadableStream<string>} stream - The CSV text.
+ */
+export async function* parseCSV(stream) {
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let started = false;
+    let previous = '';
+
+    for await (const chunk of stream) {
+        for (let i = 0; i < chunk.length; i++) {
+            const char = chunk[i];
+
+            if (quoted) {
+                if (char === '"') {
+                    quoted = false;
+                }
+                else {
+                    field += char;
+                }
+            }
+            else if (char === '"') {
+                // A quote straight after a closing quote is an escaped quote
+                if (previous === '"') {
+                    field += '"';
+                }
+                quoted = true;
+                started = true;
+            }
+            else if (char === ',') {
+                row.push(field);
+                field = '';
+                started = true;
+            }
+            else if (char === '\n') {
+                row.push(field);
+                if (started || row.length > 1 || row[0] !== '') {
+                    yield row;
+                }
+                row = [];
+                field = '';
+                started = false;
+            }
+            else if (char !== '\r') {
+                field += char;
+                started = true;
+            }
+
+            previous = char;
+        }
+    }
+
+    // Last row (with no trailing line break)
+    if (started || field !== '' || row.length > 0) {
+        row.push(field);
+        yield row;
+    }
+}
+
+/**
+ * Return a CSV line (with a trailing line break) for a list of values, quoting those which need it.
+ * @param {Array} values - The field values.
+ */
+export function formatCSVRow(values) {
+    return values.map(value => {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',') + '\n';
+}
+
+/**
+ * Return the conversion of a CSV stream as a stream of CSV text: the input rows with the output columns of each
+ * conversion, plus an `error` column, appended (each suffixed if its name is already taken). Rows are read, converted and written as the output is consumed,
+ * so the whole file is never held in memory.
+ * Throws a TransformError (before any output is produced) if the header row does not include the mapped input
+ * columns. With `onError: 'fail'`, a row which cannot be converted errors the output stream with a TransformError
+ * naming the row, rather than being written with its `error` column filled in.
+ * @param {OSTransform} transformer - The transformer whose batch() method converts each row.
+ * @param {ReadableStream<Uint8Array>} body - The CSV file (with a header row).
+ * @param {object} options - The input column mapping ({ ea, no, lat, lng, gridref, h }), conversions to run (`ops`),
+ *     handling of rows which fail (`onError` [skip (default) | fail]) and shared parameters (decimals, precision,
+ *     srid, epoch, frame).
+ */
+export async function transformCSV(transformer, body, options) {
+    const { mapping, ops, onError = 'skip', ...shared } = options;
+    const rows = parseCSV(body.pipeThrough(new TextDecoderStream()));
+
+    const { value: header, done } = await rows.next();
+    if (done) {
+        throw new TransformError('Empty CSV: a header row is required', 'INVALID_INPUT');
+    }
+
+    // Index of each mapped input column in the header row
+    const indexes = {};
+    for (const [ key, name ] of Object.entries(mapping)) {
+        const index = header.findIndex(column => column.trim() === name);
+        if (index < 0) {
+            throw new TransformError(`Column not found: ${name} (${key})`, 'INVALID_INPUT');
+        }
+        indexes[key] = index;
+    }
+
+    // Output columns (and the error column), suffixed with the conversion name and then numbered where they would
+    // repeat an existing column
+    const names = new Set(header.map(column => column.trim()));
+    const addName = (key, op) => {
+        let name = names.has(key) && op ? `${key}_${op}` : key;
+        for (let i = 2; names.has(name); i++) {
+            name = op ? `${key}_${op}_${i}` : `${key}_${i}`;
+        }
+        names.add(name);
+        return name;
+    };
+
+    const outputs = [];
+    for (const op of ops) {
+        for (const [ key, read ] of Object.entries(csvOperations[op].columns)) {
+            if (key === 'h' && indexes.h === undefined) {
+                continue;
+            }
+            outputs.push({ op, name: addName(key, op), read });
+        }
+    }
+    const errorName = addName('error');
+
+    let count = 0;
+
+    const convertRow = (row) => {
+        count++;
+
+        const input = { ...shared };
+        for (const [ key, index ] of Object.entries(indexes)) {
+            input[key] = (row[index] ?? '').trim();
+        }
+        if (input.h === '') {
+            delete input.h;
+        }
+
+        const results = {};
+        const errors = [];
+        let code;
+        for (const op of ops) {
+            const [ result ] = transformer.batch([ { ...input, op } ]);
+            if (result.error !== undefined) {
+                errors.push(ops.length > 1 ? `${op}: ${result.error}` : result.error);
+                code = code || result.code;
+            }
+            else {
+                results[op] = result.result;
+            }
+        }
+
+        if (errors.length > 0 && onError === 'fail') {
+            throw new TransformError(`Row ${count}: ${errors.join('; ')}`, code || 'INVALID_INPUT');
+        }
+
+        const values = outputs.map(output => results[output.op] ? output.read(results[output.op]) : '');
+        return formatCSVRow([ ...row, ...values, errors.join('; ') ]);
+    };
+
+    const encoder = new TextEncoder();
+
+    return new ReadableStream({
+        start(controller) {
+            controller.enqueue(encoder.encode(formatCSVRow([ ...header, ...outputs.map(output => output.name), errorName ])));
+        },
+        async pull(controller) {
+            // Convert rows in blocks, to keep the overhead of each read small
+            let text = '';
+            for (let i = 0; i < 1000; i++) {
+                const { value: row, done } = await rows.next();
+                if (done) {
+                    if (text) {
+                        controller.enqueue(encoder.encode(text));
+                    }
+                    controller.close();
+                    return;
+                }
+                text += convertRow(row);
+            }
+            controller.enqueue(encoder.encode(text));
+        },
+        async cancel() {
+            await rows.return();
+        }
+    });
+}
@@ -0,0 +1,642 @@
+// gpx-kml.js v0.5.0
+// GPX + KML reading and writing, with conversion to and from British National Grid (ES Module)
+import { TransformError } from './transform.js';
+import { formatCSVRow } from './csv.js';
+
+/**
+ * XML entities, plus the characters which must be escaped when writing XML.
+ */
+const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+const escapes = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+/**
+ * Columns of the CSV written by toCSV(): one row per position.
+ */
+export const gpxKmlColumns = [ 'feature', 'type', 'name', 'part', 'point', 'time', 'ele', 'lat', 'lng', 'ea', 'no', 'gridref', 'error' ];
+
+/**
+ * Return text with its XML entities and character references replaced.
+ * @param {string} text - The XML text.
+ */
+function decodeXML(text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-z]+);/g, (match, entity) => {
+        if (entity[0] === '#') {
+            return String.fromCodePoint(entity[1] === 'x' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1)));
+        }
+        return entities[entity] ?? match;
+    });
+}
+
+/**
+ * Return text escaped for use in XML.
+ * @param {*} value - The value to be written.
+ */
+function escapeXML(value) {
+    return String(value).replace(/[&<>"']/g, char => escapes[char]);
+}
+
+/**
+ * Return the element tree ({ name, attributes, children, text }) of an XML document. Element names are read without
+ * their namespace prefix (e.g. `gx:Track` as `Track`), and `text` is the text directly inside each element.
+ * Throws a TransformError if the document is not well-formed.
+ * @param {string} xml - The XML document.
+ */
+export function parseXML(xml) {
+    const root = { name: null, attributes: {}, children: [], text: '' };
+    const stack = [ root ];
+    const tokens = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<(\/?)([^\s/>]+)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>|([^<]+)/g;
+
+    let match;
+    while ((match = tokens.exec(xml)) !== null) {
+        const [ token, cdata, closing, tag, attributes, selfClosing, text ] = match;
+        const parent = stack[stack.length - 1];
+
+        if (cdata !== undefined) {
+            parent.text += cdata;
+        }
+        else if (text !== undefined) {
+            parent.text += decodeXML(text);
+        }
+        else if (tag !== undefined) {
+            const name = tag.split(':').pop();
+            if (closing) {
+                if (stack.length === 1 || parent.name !== name) {
+                    throw new TransformError(`Invalid XML: unexpected </${tag}>.`, 'INVALID_INPUT');
+                }
+                stack.pop();
+                continue;
+            }
+
+            const element = { name: name, attributes: {}, children: [], text: '' };
+            for (const [ , key, , double, single ] of attributes.matchAll(/([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+                element.attributes[key.split(':').pop()] = decodeXML(double ?? single);
+            }
+            parent.children.push(element);
+            if (!selfClosing) {
+                stack.push(element);
+            }
+        }
+        else if (token.startsWith('<') && !/^<[!?]/.test(token)) {
+            throw new TransformError('Invalid XML.', 'INVALID_INPUT');
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new TransformError(`Invalid XML: <${stack[stack.length - 1].name}> is not closed.`, 'INVALID_INPUT');
+    }
+    if (root.children.length !== 1) {
+        throw new TransformError('Invalid XML: expected a single root element.', 'INVALID_INPUT');
+    }
+
+    return root.children[0];
+}
+
+/**
+ * Return the child elements of an element with a name (or names).
+ */
+function children(element, ...names) {
+    return element.children.filter(child => names.includes(child.name));
+}
+
+/**
+ * Return the first descendant of an element with a name, found depth-first.
+ */
+function descendant(element, name) {
+    for (const child of element.children) {
+        const found = child.name === name ? child : descendant(child, name);
+        if (found) {
+            return found;
+        }
+    }
+    return null;
+}
+
+/**
+ * Return the trimmed text of the first child element with a name, or undefined.
+ */
+function childText(element, name) {
+    const child = element.children.find(child => child.name === name);
+    return child ? child.text.trim() : undefined;
+}
+
+/**
+ * Return a properties object without its undefined values.
+ */
+function compact(properties) {
+    return Object.fromEntries(Object.entries(properties).filter(([ , value ]) => value !== undefined));
+}
+
+/**
+ * Return the features (in WGS84) of a GPX document: waypoints as Points, routes as LineStrings and tracks as
+ * LineStrings (or MultiLineStrings, for tracks of more than one segment). Elevations are kept as the third value of
+ * each position, and names, descriptions and timestamps as properties (`time` for waypoints, and `times` for the
+ * points of routes + tracks, in the same arrangement as the coordinates).
+ * @param {string} text - The GPX document.
+ */
+export function readGPX(text) {
+    const gpx = parseXML(text);
+    if (gpx.name !== 'gpx') {
+        throw new TransformError('Invalid GPX: expected a <gpx> document.', 'INVALID_INPUT');
+    }
+
+    const readPoint = (point) => {
+        const lat = Number(point.attributes.lat);
+        const lng = Number(point.attributes.lon);
+        const ele = childText(point, 'ele');
+        if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+            throw new TransformError(`Invalid GPX: <${point.name}> without a valid lat + lon.`, 'INVALID_INPUT');
+        }
+        return { position: ele !== undefined && ele !== '' ? [ lng, lat, Number(ele) ] : [ lng, lat ], time: childText(point, 'time') };
+    };
+
+    const times = (points) => points.some(point => point.time !== undefined) ? points.map(point => point.time ?? null) : undefined;
+
+    const features = [];
+
+    for (const wpt of children(gpx, 'wpt')) {
+        const point = readPoint(wpt);
+        features.push({
+            type: 'Feature',
+            properties: compact({ type: 'waypoint', name: childText(wpt, 'name'), description: childText(wpt, 'desc'), time: point.time }),
+            geometry: { type: 'Point', coordinates: point.position }
+        });
+    }
+
+    for (const rte of children(gpx, 'rte')) {
+        const points = children(rte, 'rtept').map(readPoint);
+        features.push({
+            type: 'Feature',
+            properties: compact({ type: 'route', name: childText(rte, 'name'), description: childText(rte, 'desc'), times: times(points) }),
+            geometry: { type: 'LineString', coordinates: points.map(point => point.position) }
+        });
+    }
+
+    for (const trk of children(gpx, 'trk')) {
+        const segments = children(trk, 'trkseg').map(trkseg => children(trkseg, 'trkpt').map(readPoint));
+        const single = segments.length === 1;
+        const segmentTimes = segments.map(times);
+        features.push({
+            type: 'Feature',
+            properties: compact({
+                type: 'track',
+                name: childText(trk, 'name'),
+                description: childText(trk, 'desc'),
+                times: segmentTimes.some(Boolean) ? (single ? segmentTimes[0] : segmentTimes.map((times, i) => times || segments[i].map(() => null))) : undefined
+            }),
+            geometry: single
+                ? { type: 'LineString', coordinates: segments[0].map(point => point.position) }
+                : { type: 'MultiLineString', coordinates: segments.map(segment => segment.map(point => point.position)) }
+        });
+    }
+
+    return { type: 'FeatureCollection', features: features };
+}
+
+/**
+ * Return the features (in WGS84) of a KML document: a feature for each Placemark, with its Point, LineString,
+ * Polygon, MultiGeometry or gx:Track (as a LineString with `times`, or a MultiLineString for a gx:MultiTrack).
+ * Altitudes are kept as the third value of each position, and names, descriptions and timestamps as properties.
+ * @param {string} text - The KML document.
+ */
+export function readKML(text) {
+    const kml = parseXML(text);
+    if (kml.name !== 'kml') {
+        throw new TransformError('Invalid KML: expected a <kml> document.', 'INVALID_INPUT');
+    }
+
+    const readCoordinates = (element) => {
+        const positions = (childText(element, 'coordinates') || '').split(/\s+/).filter(Boolean)
+            .map(tuple => tuple.split(',').map(Number));
+        if (positions.some(position => position.length < 2 || !position.every(Number.isFinite))) {
+            throw new TransformError(`Invalid KML: <${element.name}> has invalid coordinates.`, 'INVALID_INPUT');
+        }
+        return positions;
+    };
+
+    // A gx:Track has a <when> for each <gx:coord>, which is "lng lat [alt]"
+    const readTrack = (track) => {
+        const coordinates = children(track, 'coord').map(coord => coord.text.trim().split(/\s+/).map(Number));
+        const times = children(track, 'when').map(when => when.text.trim() || null);
+        if (coordinates.some(position => position.length < 2 || position.length > 3 || !position.every(Number.isFinite))) {
+            throw new TransformError(`Invalid KML: <${track.name}> has invalid coordinates.`, 'INVALID_INPUT');
+        }
+        if (times.length !== coordinates.length) {
+            throw new TransformError(`Invalid KML: <${track.name}> has ${times.length} <when> for ${coordinates.length} <gx:coord>.`, 'INVALID_INPUT');
+        }
+        return { coordinates: coordinates, times: times };
+    };
+
+    // Geometry (plus the times of a track) of a KML geometry element
+    const readGeometry = (element) => {
+        switch (element.name) {
+            case 'Point': {
+                const positions = readCoordinates(element);
+                if (positions.length !== 1) {
+                    throw new TransformError('Invalid KML: <Point> must have one position.', 'INVALID_INPUT');
+                }
+                return { geometry: { type: 'Point', coordinates: positions[0] } };
+            }
+            case 'LineString':
+            case 'LinearRing':
+                return { geometry: { type: 'LineString', coordinates: readCoordinates(element) } };
+            case 'Polygon': {
+                const rings = [ ...children(element, 'outerBoundaryIs'), ...children(element, 'innerBoundaryIs') ]
+                    .flatMap(boundary => children(boundary, 'LinearRing').map(readCoordinates));
+                return { geometry: { type: 'Polygon', coordinates: rings } };
+            }
+            case 'Track': {
+                const track = readTrack(element);
+                return { geometry: { type: 'LineString', coordinates: track.coordinates }, times: track.times };
+            }
+            case 'MultiTrack': {
+                const tracks = children(element, 'Track').map(readTrack);
+                return {
+                    geometry: { type: 'MultiLineString', coordinates: tracks.map(track => track.coordinates) },
+                    times: tracks.map(track => track.times)
+                };
+            }
+            case 'MultiGeometry': {
+                const parts = element.children.map(readGeometry).filter(Boolean).map(part => part.geometry);
+                const types = new Set(parts.map(part => part.type));
+                if (types.size === 1 && [ 'Point', 'LineString', 'Polygon' ].includes(parts[0].type)) {
+                    return { geometry: { type: `Multi${parts[0].type}`, coordinates: parts.map(part => part.coordinates) } };
+                }
+                return { geometry: { type: 'GeometryCollection', geometries: parts } };
+            }
+            default:
+                return null;
+        }
+    };
+
+    const geometryNames = [ 'Point', 'LineString', 'LinearRing', 'Polygon', 'MultiGeometry', 'Track', 'MultiTrack' ];
+    const features = [];
+
+    const visit = (element) => {
+        if (element.name !== 'Placemark') {
+            element.children.forEach(visit);
+            return;
+        }
+
+        const geometryElement = element.children.find(child => geometryNames.includes(child.name));
+        const read = geometryElement ? readGeometry(geometryElement) : null;
+        const geometry = read ? read.geometry : null;
+        const timeStamp = descendant(element, 'TimeStamp');
+        const type = !geometry ? undefined
+            : geometry.type.endsWith('Point') ? 'waypoint'
+            : geometry.type.endsWith('LineString') ? 'track' : undefined;
+
+        features.push({
+            type: 'Feature',
+            properties: compact({
+                type: type,
+                name: childText(element, 'name'),
+                description: childText(element, 'description'),
+                time: timeStamp ? childText(timeStamp, 'when') : undefined,
+                times: read && read.times && read.times.flat().length > 0 ? read.times : undefined
+            }),
+            geometry: geometry
+        });
+    };
+    visit(kml);
+
+    return { type: 'FeatureCollection', features: features };
+}
+
+/**
+ * Return the features (in WGS84) of a GPX or KML document, detected from its root element.
+ * @param {string} text - The GPX or KML document.
+ */
+export function readGPXKML(text) {
+    const match = String(text).replace(/<\?[\s\S]*?\?>|<!--[\s\S]*?-->/g, '').match(/<(?:[\w-]+:)?(\w+)/);
+    const format = match ? match[1].toLowerCase() : null;
+
+    if (format === 'gpx') {
+        return { format: 'gpx', geojson: readGPX(text) };
+    }
+    if (format === 'kml') {
+        return { format: 'kml', geojson: readKML(text) };
+    }
+    throw new TransformError('Unsupported file: expected a GPX or KML document.', 'INVALID_INPUT');
+}
+
+/**
+ * Yield each position of a geometry, with the index of the part (line, ring or geometry) it belongs to and its index
+ * within that part.
+ * @param {object} geometry - The GeoJSON geometry.
+ */
+function* positions(geometry) {
+    if (!geometry) {
+        return;
+    }
+    switch (geometry.type) {
+        case 'Point':
+            yield { part: 0, index: 0, position: geometry.coordinates };
+            break;
+        case 'MultiPoint':
+        case 'LineString':
+            for (const [ index, position ] of geometry.coordinates.entries()) {
+                yield { part: geometry.type === 'MultiPoint' ? index : 0, index: geometry.type === 'MultiPoint' ? 0 : index, position };
+            }
+            break;
+        case 'MultiLineString':
+        case 'Polygon':
+            for (const [ part, line ] of geometry.coordinates.entries()) {
+                for (const [ index, position ] of line.entries()) {
+                    yield { part, index, position };
+                }
+            }
+            break;
+        case 'MultiPolygon': {
+            let part = 0;
+            for (const polygon of geometry.coordinates) {
+                for (const ring of polygon) {
+                    for (const [ index, position ] of ring.entries()) {
+                        yield { part, index, position };
+                    }
+                    part++;
+                }
+            }
+            break;
+        }
+        case 'GeometryCollection':
+            for (const [ part, member ] of geometry.geometries.entries()) {
+                for (const item of positions(member)) {
+                    yield { ...item, part };
+                }
+            }
+            break;
+    }
+}
+
+/**
+ * Return the timestamp of a position (see positions) from the properties of its feature, if it has one.
+ */
+function timeOf(properties, geometry, item) {
+    if (geometry.type === 'Point') {
+        return properties.time;
+    }
+    if (!Array.isArray(properties.times)) {
+        return undefined;
+    }
+    return geometry.type === 'LineString' ? properties.times[item.index] : (properties.times[item.part] || [])[item.index];
+}
+
+/**
+ * Return a GeoJSON FeatureCollection read from a GPX or KML document (in WGS84), transformed to British National Grid
+ * with fromLatLng() (as by transformGeoJSON), plus the grid reference of each Point (`gridref`) or of each position
+ * of other geometries (`gridrefs`, in the same arrangement as the coordinates). Features which are out of bounds
+ * have their geometry set to null, and are listed in `outOfBounds`. Elevations are copied unchanged, unless
+ * `heights` is set (when they are converted from ETRS89 ellipsoidal to orthometric heights).
+ * @param {OSTransform} transformer - The transformer.
+ * @param {string} text - The GPX or KML document.
+ * @param {object} options - [optional] The decimal places of the eastings + northings (`decimals`), the grid
+ *     reference precision (`precision`, default 10) and whether to convert the elevations (`heights`, default false).
+ */
+export function importGPXKML(transformer, text, options = {}) {
+    const { decimals, precision = 10, heights = false } = options;
+    const { format, geojson } = readGPXKML(text);
+    const result = transformer.transformGeoJSON(geojson, 'fromLatLng', decimals, heights);
+
+    const toGridRefs = (coordinates) => typeof coordinates[0] === 'number'
+        ? transformer.toGridRef({ ea: coordinates[0], no: coordinates[1] }, precision).text
+        : coordinates.map(toGridRefs);
+
+    for (const feature of result.geojson.features) {
+        const geometry = feature.geometry;
+        if (geometry === null || geometry.type === 'GeometryCollection') {
+            continue;
+        }
+        feature.properties = geometry.type === 'Point'
+            ? { ...feature.properties, gridref: toGridRefs(geometry.coordinates) }
+            : { ...feature.properties, gridrefs: toGridRefs(geometry.coordinates) };
+    }
+
+    return { format: format, geojson: result.geojson, outOfBounds: result.outOfBounds };
+}
+
+/**
+ * Return the positions of a GPX or KML document as CSV text: one row for each waypoint and each point of the routes,
+ * tracks and other geometries (see gpxKmlColumns), each transformed to British National Grid on its own with
+ * fromLatLng(), so that a position out of bounds only fails its own row (with the reason in the `error` column).
+ * Elevations are copied unchanged, unless `heights` is set (as by importGPXKML()).
+ * @param {OSTransform} transformer - The transformer.
+ * @param {string} text - The GPX or KML document.
+ * @param {object} options - [optional] The decimal places of the eastings + northings (`decimals`), the grid
+ *     reference precision (`precision`, default 10) and whether to convert the elevations (`heights`, default false).
+ */
+export function importGPXKMLToCSV(transformer, text, options = {}) {
+    const { decimals, precision = 10, heights = false } = options;
+    const { geojson } = readGPXKML(text);
+
+    let csv = formatCSVRow(gpxKmlColumns);
+    for (const [ featureIndex, feature ] of geojson.features.entries()) {
+        for (const item of positions(feature.geometry)) {
+            const [ lng, lat, ele ] = item.position;
+            const convert = heights && ele !== undefined;
+            let point = {};
+            let error = '';
+            try {
+                point = transformer.fromLatLng(convert ? { lat, lng, h: ele } : { lat, lng }, decimals);
+                if (Object.keys(point).length === 0) {
+                    error = 'Invalid coordinates or out of bounds';
+                }
+            } catch (failure) {
+                error = failure.message;
+            }
+
+            csv += formatCSVRow([
+                featureIndex, feature.properties.type, feature.properties.name, item.part, item.index,
+                timeOf(feature.properties, feature.geometry, item), convert ? point.h : ele, lat, lng, point.ea, point.no,
+                error ? '' : transformer.toGridRef({ ea: point.ea, no: point.no }, precision).text, error
+            ]);
+        }
+    }
+
+    return csv;
+}
+
+/**
+ * Return a GPX document of GeoJSON features in WGS84: Points as waypoints, LineStrings as routes (if their `type`
+ * property is `route`) or tracks, and MultiLineStrings + Polygons as tracks of several segments. Names,
+ * descriptions, timestamps and elevations are written where present.
+ * @param {object} geojson - The GeoJSON Feature or FeatureCollection.
+ */
+export function writeGPX(geojson) {
+    const features = geojson.type === 'FeatureCollection' ? geojson.features : [ geojson ];
+    const waypoints = [];
+    const routes = [];
+    const tracks = [];
+
+    const point = (name, position, time, indent) => {
+        const [ lng, lat, ele ] = position;
+        const elements = [
+            ...(ele !== undefined ? [ `<ele>${ele}</ele>` ] : []),
+            ...(time ? [ `<time>${escapeXML(time)}</time>` ] : [])
+        ];
+        return elements.length > 0
+            ? `${indent}<${name} lat="${lat}" lon="${lng}">${elements.join('')}</${name}>`
+            : `${indent}<${name} lat="${lat}" lon="${lng}"/>`;
+    };
+
+    const details = (properties, indent) => [
+        ...(properties.name !== undefined ? [ `${indent}<name>${escapeXML(properties.name)}</name>` ] : []),
+        ...(properties.description !== undefined ? [ `${indent}<desc>${escapeXML(properties.description)}</desc>` ] : [])
+    ];
+
+    const addGeometry = (geometry, properties) => {
+        const times = Array.isArray(properties.times) ? properties.times : [];
+
+        switch (geometry.type) {
+            case 'Point':
+            case 'MultiPoint':
+                for (const position of geometry.type === 'Point' ? [ geometry.coordinates ] : geometry.coordinates) {
+                    const [ lng, lat, ele ] = position;
+                    waypoints.push([
+                        `  <wpt lat="${lat}" lon="${lng}">`,
+                        ...(ele !== undefined ? [ `    <ele>${ele}</ele>` ] : []),
+                        ...(properties.time ? [ `    <time>${escapeXML(properties.time)}</time>` ] : []),
+                        ...details(properties, '    '),
+                        '  </wpt>'
+                    ].join('\n'));
+                }
+                break;
+            case 'LineString':
+                if (properties.type === 'route') {
+                    routes.push([
+                        '  <rte>',
+                        ...details(properties, '    '),
+                        ...geometry.coordinates.map((position, i) => point('rtept', position, times[i], '    ')),
+                        '  </rte>'
+                    ].join('\n'));
+                    break;
+                }
+                addGeometry({ type: 'MultiLineString', coordinates: [ geometry.coordinates ] }, { ...properties, times: [ times ] });
+                break;
+            case 'MultiLineString':
+            case 'Polygon':
+            case 'MultiPolygon': {
+                const lines = geometry.type === 'MultiPolygon' ? geometry.coordinates.flat() : geometry.coordinates;
+                tracks.push([
+                    '  <trk>',
+                    ...details(properties, '    '),
+                    ...lines.flatMap((line, i) => [
+                        '    <trkseg>',
+                        ...line.map((position, j) => point('trkpt', position, (times[i] || [])[j], '      ')),
+                        '    </trkseg>'
+                    ]),
+                    '  </trk>'
+                ].join('\n'));
+                break;
+            }
+            case 'GeometryCollection':
+                geometry.geometries.forEach(member => addGeometry(member, { ...properties, times: undefined }));
+                break;
+        }
+    };
+
+    for (const feature of features) {
+        if (feature.geometry) {
+            addGeometry(feature.geometry, feature.properties || {});
+        }
+    }
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gpx version="1.1" creator="OS Transform" xmlns="http://www.topografix.com/GPX/1/1">',
+        ...waypoints, ...routes, ...tracks,
+        '</gpx>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Return a KML document of GeoJSON features in WGS84: a Placemark for each feature, with its name, description and
+ * timestamp. Lines with `times` are written as gx:Tracks (or a gx:MultiTrack), so that their timestamps are kept.
+ * @param {object} geojson - The GeoJSON Feature or FeatureCollection.
+ */
+export function writeKML(geojson) {
+    const features = geojson.type === 'FeatureCollection' ? geojson.features : [ geojson ];
+
+    const coordinates = (positions) => `<coordinates>${positions.map(position => position.join(',')).join(' ')}</coordinates>`;
+
+    const track = (positions, times) => [
+        '<gx:Track>',
+        ...times.map(time => `<when>${escapeXML(time ?? '')}</when>`),
+        ...positions.map(position => `<gx:coord>${position.join(' ')}</gx:coord>`),
+        '</gx:Track>'
+    ].join('');
+
+    const polygon = (rings) => '<Polygon>' + rings.map((ring, i) => {
+        const boundary = i === 0 ? 'outerBoundaryIs' : 'innerBoundaryIs';
+        return `<${boundary}><LinearRing>${coordinates(ring)}</LinearRing></${boundary}>`;
+    }).join('') + '</Polygon>';
+
+    const writeGeometry = (geometry, times) => {
+        switch (geometry.type) {
+            case 'Point':
+                return `<Point>${coordinates([ geometry.coordinates ])}</Point>`;
+            case 'LineString':
+                return times ? track(geometry.coordinates, times) : `<LineString>${coordinates(geometry.coordinates)}</LineString>`;
+            case 'Polygon':
+                return polygon(geometry.coordinates);
+            case 'MultiLineString':
+                if (times) {
+                    return '<gx:MultiTrack>' + geometry.coordinates.map((line, i) => track(line, times[i] || line.map(() => null))).join('') + '</gx:MultiTrack>';
+                }
+                return '<MultiGeometry>' + geometry.coordinates.map(line => `<LineString>${coordinates(line)}</LineString>`).join('') + '</MultiGeometry>';
+            case 'MultiPoint':
+                return '<MultiGeometry>' + geometry.coordinates.map(position => `<Point>${coordinates([ position ])}</Point>`).join('') + '</MultiGeometry>';
+            case 'MultiPolygon':
+                return '<MultiGeometry>' + geometry.coordinates.map(polygon).join('') + '</MultiGeometry>';
+            case 'GeometryCollection':
+                return '<MultiGeometry>' + geometry.geometries.map(member => writeGeometry(member)).join('') + '</MultiGeometry>';
+            default:
+                return '';
+        }
+    };
+
+    const placemarks = features.map(feature => {
+        const properties = feature.properties || {};
+        const times = Array.isArray(properties.times) ? properties.times : undefined;
+        return [
+            '    <Placemark>',
+            ...(properties.name !== undefined ? [ `      <name>${escapeXML(properties.name)}</name>` ] : []),
+            ...(properties.description !== undefined ? [ `      <description>${escapeXML(properties.description)}</description>` ] : []),
+            ...(properties.time ? [ `      <TimeStamp><when>${escapeXML(properties.time)}</when></TimeStamp>` ] : []),
+            ...(feature.geometry ? [ `      ${writeGeometry(feature.geometry, times)}` ] : []),
+            '    </Placemark>'
+        ].join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+        '  <Document>',
+        ...placemarks,
+        '  </Document>',
+        '</kml>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Return a GPX or KML document of GeoJSON features on British National Grid, transformed to WGS84 with toLatLng() (as
+ * by transformGeoJSON). Features which are out of bounds are left out, and listed in `outOfBounds`. Z values are
+ * written as elevations unchanged, unless `heights` is set (when they are converted from orthometric to ETRS89
+ * ellipsoidal heights).
+ * @param {OSTransform} transformer - The transformer.
+ * @param {object} geojson - The GeoJSON Feature or FeatureCollection (in EPSG:27700).
+ * @param {string} format - The format of the document [gpx | kml].
+ * @param {integer} decimals - [optional] The decimal places of the latlngs.
+ * @param {boolean} heights - [optional] Convert the Z values as heights (default false).
+ */
+export function exportGPXKML(transformer, geojson, format, decimals, heights = false) {
+    if (![ 'gpx', 'kml' ].includes(format) || !geojson || ![ 'Feature', 'FeatureCollection' ].includes(geojson.type)) {
+        throw new TransformError('Invalid GeoJSON feature (or feature collection) or format.', 'INVALID_INPUT');
+    }
+
+    const result = transformer.transformGeoJSON(geojson, 'toLatLng', decimals, heights);
+    const text = format === 'gpx' ? writeGPX(result.geojson) : writeKML(result.geojson);
+
+    return { text: text, outOfBounds: result.outOfBounds };
+}
@@ -0,0 +1,914 @@
+// openapi.js v0.5.0
+// OpenAPI 3 description of the OS Transform API, and validation of requests against it (ES Module)
+
+/**
+ * Parameter schemas shared between routes.
+ */
+const parameters = {
+    ea: { type: 'number', description: 'Easting (metres).' },
+    no: { type: 'number', description: 'Northing (metres).' },
+    lat: {
+        anyOf: [
+            { type: 'number', minimum: -90, maximum: 90 },
+            { type: 'string', pattern: '[^0-9.+\\-]', 'x-describe': 'text in degrees + minutes or degrees, minutes + seconds' }
+        ],
+        description: 'Latitude (ETRS89 / WGS84), in decimal degrees or as text, e.g. 54°25\'29.3"N.'
+    },
+    lng: {
+        anyOf: [
+            { type: 'number', minimum: -180, maximum: 180 },
+            { type: 'string', pattern: '[^0-9.+\\-]', 'x-describe': 'text in degrees + minutes or degrees, minutes + seconds' }
+        ],
+        description: 'Longitude (ETRS89 / WGS84), in decimal degrees or as text, e.g. 2°58\'04.6"W.'
+    },
+    h: { type: 'number', description: 'Height (metres): ETRS89 ellipsoidal for lat/lng, orthometric for ea/no.' },
+    height: { type: 'number', description: 'Alias of `h`.' },
+    heights: {
+        type: 'boolean',
+        description: 'Convert Z values (elevations) as heights with OSGM15: orthometric (ODN) on the national grids, ETRS89 ellipsoidal otherwise (default false: copied unchanged).'
+    },
+    epoch: {
+        type: 'number', minimum: 1989, maximum: 2100,
+        description: 'Epoch of observation (decimal year, e.g. 2026.5) of a lat/lng in ITRF or WGS84, which is converted to ETRS89 first.'
+    },
+    frame: {
+        type: 'string', enum: [ 'ITRF2014', 'ITRF2020', 'WGS84(G2139)', 'WGS84(G2296)' ],
+        description: 'Reference frame of a lat/lng given with an epoch (default ITRF2014).'
+    },
+    decimals: { type: 'integer', minimum: 0, maximum: 15, description: 'Number of decimal places in the result.' },
+    srid: {
+        type: 'integer', enum: [ 27700, 29903, 2157 ], description: 'Projected coordinate system of the easting + northing.'
+    },
+    crs: {
+        type: 'integer', enum: [ 4326, 4258, 4937, 3857, 25829, 25830, 25831, 27700, 29903, 2157 ],
+        description: 'Coordinate system (EPSG code).'
+    },
+    bbox: {
+        anyOf: [
+            { type: 'array', items: { type: 'number' }, minItems: 4, maxItems: 4 },
+            { type: 'string', pattern: '^\\s*-?[0-9.]+(\\s*,\\s*-?[0-9.]+){3}\\s*$', 'x-describe': 'four comma-separated numbers' }
+        ],
+        description: 'Extent as minX,minY,maxX,maxY (eastings + northings, or lng/lat).'
+    },
+    location: {
+        anyOf: [
+            { type: 'string', 'x-describe': 'text' },
+            {
+                type: 'object',
+                properties: { ea: { type: 'number' }, no: { type: 'number' }, lat: { type: 'number' }, lng: { type: 'number' } },
+                'x-describe': 'an object with ea + no or lat + lng'
+            }
+        ],
+        description: 'Location as a grid reference (taken at the centre of its square), easting + northing or lat/lng, e.g. "NY 3729 0369", "337297,503695" or {"lat": 54.42481, "lng": -2.967948}.'
+    },
+    gridref: { type: 'string', description: 'Grid reference (British National Grid or Irish Grid), e.g. NY 37297 03695.' },
+    format: { type: 'string', enum: [ 'decimal', 'ddm', 'dms' ], description: 'Also return the lat/lng written as text in this format.' },
+    hemisphere: { type: 'boolean', description: 'Write the formatted lat/lng with hemisphere letters (default true) or signed values.' },
+    formatPrecision: {
+        type: 'integer', minimum: 0, maximum: 10,
+        description: 'Decimal places of the last component (degrees, minutes or seconds) of the formatted lat/lng.'
+    },
+    precision: {
+        anyOf: [
+            { type: 'integer', enum: [ 0, 2, 4, 6, 8, 10 ] },
+            { type: 'string', enum: [ 'hectad', 'quadrant', 'tetrad' ] }
+        ],
+        description: 'Number of figures, or an ecological format.'
+    }
+};
+
+/**
+ * Response schemas, referenced by the routes as `#/components/schemas/<name>`.
+ */
+const schemas = {
+    Transformation: {
+        type: 'object',
+        required: [ 'method', 'type', 'accuracy' ],
+        properties: {
+            method: { type: 'string', description: 'Method used [OSTN15 | Helmert | none], or both methods between two national grids.' },
+            type: { type: 'string', description: 'Transformation type of the server [ostn15-gsb | ostn15-js].' },
+            accuracy: { type: 'number', description: 'Nominal accuracy of the method (metres).' },
+            shift: {
+                type: 'object',
+                properties: { ea: { type: 'number' }, no: { type: 'number' } },
+                description: 'Shift (metres) from the ETRS89 lat/lng projected with the National Grid parameters to the British National Grid easting + northing.'
+            }
+        }
+    },
+    LatLng: {
+        type: 'object',
+        required: [ 'lat', 'lng' ],
+        properties: {
+            lat: { type: 'number' },
+            lng: { type: 'number' },
+            h: { type: 'number' },
+            verticalDatum: { type: 'string' },
+            formatted: {
+                type: 'object',
+                properties: { lat: { type: 'string' }, lng: { type: 'string' }, text: { type: 'string' } }
+            },
+            coverage: { type: 'string', enum: [ 'inside', 'offshore', 'unknown' ] },
+            transformation: { $ref: '#/components/schemas/Transformation' },
+            shifted: { type: 'boolean' }
+        }
+    },
+    EastingNorthing: {
+        type: 'object',
+        required: [ 'ea', 'no' ],
+        properties: {
+            ea: { type: 'number' },
+            no: { type: 'number' },
+            srid: { type: 'integer', enum: [ 29903, 2157 ] },
+            h: { type: 'number' },
+            verticalDatum: { type: 'string' },
+            coverage: { type: 'string', enum: [ 'inside', 'offshore', 'unknown' ] },
+            transformation: { $ref: '#/components/schemas/Transformation' },
+            shifted: { type: 'boolean' }
+        }
+    },
+    Point: {
+        type: 'object',
+        required: [ 'srid', 'shifted' ],
+        properties: {
+            ea: { type: 'number' },
+            no: { type: 'number' },
+            lat: { type: 'number' },
+            lng: { type: 'number' },
+            h: { type: 'number' },
+            srid: { type: 'integer' },
+            verticalDatum: { type: 'string' },
+            coverage: { type: 'string', enum: [ 'inside', 'offshore', 'unknown' ] },
+            transformation: { $ref: '#/components/schemas/Transformation' },
+            shifted: { type: 'boolean' }
+        }
+    },
+    GridRef: {
+        type: 'object',
+        required: [ 'text', 'html', 'letters', 'eastings', 'northings' ],
+        properties: {
+            text: { type: 'string' },
+            html: { type: 'string' },
+            letters: { type: 'string' },
+            eastings: { type: 'string' },
+            northings: { type: 'string' },
+            suffix: { type: 'string' }
+        }
+    },
+    Polygon: {
+        type: 'object',
+        required: [ 'type', 'coordinates' ],
+        properties: {
+            type: { type: 'string', enum: [ 'Polygon' ] },
+            coordinates: { type: 'array', items: { type: 'array', items: { type: 'array', items: { type: 'number' } } } }
+        }
+    },
+    GridSquare: {
+        type: 'object',
+        required: [ 'precision', 'projected', 'geographic' ],
+        properties: {
+            precision: { type: 'number', description: 'Size of the square (metres).' },
+            projected: {
+                type: 'object',
+                properties: {
+                    ea: { type: 'number' },
+                    no: { type: 'number' },
+                    srid: { type: 'integer', enum: [ 29903 ] },
+                    centre: { type: 'object', properties: { ea: { type: 'number' }, no: { type: 'number' } } },
+                    bbox: { type: 'array', items: { type: 'number' } },
+                    geometry: { $ref: '#/components/schemas/Polygon' }
+                }
+            },
+            geographic: {
+                type: 'object',
+                properties: {
+                    lat: { type: 'number' },
+                    lng: { type: 'number' },
+                    centre: { type: 'object', properties: { lat: { type: 'number' }, lng: { type: 'number' } } },
+                    bbox: { type: 'array', items: { type: 'number' } },
+                    geometry: { $ref: '#/components/schemas/Polygon' },
+                    coverage: { type: 'string', enum: [ 'inside', 'offshore', 'unknown' ] },
+                    shifted: { type: 'boolean' }
+                }
+            }
+        }
+    },
+    Location: {
+        type: 'object',
+        required: [ 'type', 'value', 'precision' ],
+        properties: {
+            type: { type: 'string', enum: [ 'gridref', 'en', 'latlng' ] },
+            value: {
+                oneOf: [
+                    { type: 'string' },
+                    { type: 'object', properties: { ea: { type: 'number' }, no: { type: 'number' } } },
+                    { type: 'object', properties: { lat: { type: 'number' }, lng: { type: 'number' } } }
+                ]
+            },
+            precision: { oneOf: [ { type: 'integer' }, { type: 'string', enum: [ 'hectad', 'quadrant', 'tetrad' ] } ] },
+            srid: { type: 'integer', enum: [ 27700, 29903 ] },
+            format: { type: 'string', enum: [ 'decimal', 'ddm', 'dms' ] }
+        }
+    },
+    GridProperties: {
+        type: 'object',
+        required: [ 'ea', 'no', 'scaleFactor', 'convergence' ],
+        properties: {
+            ea: { type: 'number' },
+            no: { type: 'number' },
+            srid: { type: 'integer', enum: [ 29903, 2157 ] },
+            scaleFactor: { type: 'number' },
+            convergence: { type: 'number', description: 'Angle from true north to grid north, clockwise (degrees).' }
+        }
+    },
+    Distance: {
+        type: 'object',
+        required: [ 'gridDistance', 'geodesicDistance', 'scaleFactor', 'gridBearing', 'trueBearing', 'convergence' ],
+        properties: {
+            gridDistance: { type: 'number' },
+            geodesicDistance: { type: 'number' },
+            scaleFactor: { type: 'number', description: 'Line scale factor (grid distance / geodesic distance).' },
+            gridBearing: { type: 'number' },
+            trueBearing: { type: 'number' },
+            convergence: { type: 'number', description: 'Grid convergence at the start point (degrees).' },
+            srid: { type: 'integer', enum: [ 29903, 2157 ] }
+        }
+    },
+    Comparison: {
+        type: 'object',
+        required: [ 'ostn15', 'helmert', 'difference' ],
+        properties: {
+            ostn15: {
+                type: 'object',
+                properties: { ea: { type: 'number' }, no: { type: 'number' }, lat: { type: 'number' }, lng: { type: 'number' }, accuracy: { type: 'number' } }
+            },
+            helmert: {
+                type: 'object',
+                properties: { ea: { type: 'number' }, no: { type: 'number' }, lat: { type: 'number' }, lng: { type: 'number' }, accuracy: { type: 'number' } }
+            },
+            difference: {
+                type: 'object',
+                properties: { ea: { type: 'number' }, no: { type: 'number' }, distance: { type: 'number' } },
+                description: 'Helmert minus OSTN15 (metres, along the grid axes).'
+            },
+            coverage: { type: 'string', enum: [ 'inside', 'offshore', 'unknown' ] }
+        }
+    },
+    Bounds: {
+        type: 'object',
+        properties: {
+            bbox: { type: 'array', items: { type: 'number' }, minItems: 4, maxItems: 4 },
+            srid: { type: 'integer', enum: [ 4326, 27700, 29903, 2157 ] },
+            withinBounds: { type: 'boolean' }
+        }
+    },
+    GridFeatureCollection: {
+        type: 'object',
+        required: [ 'type', 'features' ],
+        properties: {
+            type: { type: 'string', enum: [ 'FeatureCollection' ] },
+            features: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        type: { type: 'string', enum: [ 'Feature' ] },
+                        properties: {
+                            type: 'object',
+                            properties: {
+                                type: { type: 'string', enum: [ 'line', 'cell' ] },
+                                axis: { type: 'string', enum: [ 'easting', 'northing' ] },
+                                value: { type: 'number' },
+                                label: { type: 'string' },
+                                gridref: { type: 'string' }
+                            }
+                        },
+                        geometry: { type: 'object' }
+                    }
+                }
+            },
+            bbox: { type: 'array', items: { type: 'number' } },
+            crs: { type: 'object' }
+        }
+    },
+    GeoJSONResult: {
+        type: 'object',
+        required: [ 'geojson', 'outOfBounds' ],
+        properties: {
+            geojson: { type: 'object', nullable: true },
+            outOfBounds: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        index: { type: 'integer', nullable: true },
+                        id: { oneOf: [ { type: 'string' }, { type: 'number' } ] },
+                        message: { type: 'string' }
+                    }
+                }
+            }
+        }
+    },
+    WKTResult: {
+        type: 'object',
+        required: [ 'wkt', 'srid' ],
+        properties: {
+            wkt: { type: 'string', description: 'EWKT of the transformed geometry, e.g. SRID=4326;POINT(-2.9679374 54.42481).' },
+            srid: { type: 'integer' }
+        }
+    },
+    BatchResult: {
+        type: 'object',
+        required: [ 'count', 'errors', 'results' ],
+        properties: {
+            count: { type: 'integer' },
+            errors: { type: 'integer' },
+            results: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        result: { type: 'object' },
+                        error: { type: 'string' },
+                        code: { $ref: '#/components/schemas/ErrorCode' }
+                    }
+                }
+            }
+        }
+    },
+    Health: {
+        type: 'object',
+        properties: {
+            status: { type: 'string' },
+            service: { type: 'string' },
+            version: { type: 'string' },
+            endpoints: { type: 'object', additionalProperties: { type: 'string' } }
+        }
+    },
+    ErrorCode: {
+        type: 'string',
+        enum: [ 'OUT_OF_BOUNDS', 'INVALID_GRIDREF', 'INVALID_INPUT', 'GRID_NOT_LOADED', 'CGI_FAILURE' ]
+    },
+    Error: {
+        type: 'object',
+        required: [ 'error' ],
+        properties: {
+            error: { type: 'string' },
+            code: { $ref: '#/components/schemas/ErrorCode' }
+        }
+    }
+};
+
+/**
+ * Error responses, by HTTP status.
+ */
+const errors = {
+    400: 'Invalid or missing parameters (`INVALID_INPUT`) or grid reference (`INVALID_GRIDREF`).',
+    405: 'Method not allowed.',
+    413: 'Too many operations.',
+    422: 'Coordinates outside the permitted bounds or OSTN15 transformation area (`OUT_OF_BOUNDS`).',
+    503: 'Transformation grid or geoid model not loaded (`GRID_NOT_LOADED`).'
+};
+
+/**
+ * API routes: the HTTP methods, the request parameters (from the query string, or the JSON body of POST requests),
+ * the response schema and the error statuses of each.
+ */
+export const routes = {
+    '/api/to-latlng': {
+        methods: [ 'post', 'get' ],
+        summary: 'Convert easting + northing to lat/lng',
+        parameters: {
+            ea: parameters.ea, no: parameters.no,
+            decimals: parameters.decimals, srid: parameters.srid, h: parameters.h, height: parameters.height,
+            format: parameters.format, hemisphere: parameters.hemisphere, precision: parameters.formatPrecision
+        },
+        required: [ 'ea', 'no' ],
+        response: 'LatLng',
+        errors: [ 400, 422, 503 ]
+    },
+    '/api/from-latlng': {
+        methods: [ 'post', 'get' ],
+        summary: 'Convert lat/lng to easting + northing',
+        parameters: {
+            lat: parameters.lat, lng: parameters.lng,
+            decimals: parameters.decimals, srid: parameters.srid, h: parameters.h, height: parameters.height,
+            epoch: parameters.epoch, frame: parameters.frame
+        },
+        required: [ 'lat', 'lng' ],
+        response: 'EastingNorthing',
+        errors: [ 400, 422, 503 ]
+    },
+    '/api/to-gridref': {
+        methods: [ 'post', 'get' ],
+        summary: 'Convert easting + northing to grid reference',
+        parameters: { ea: parameters.ea, no: parameters.no, srid: parameters.srid, precision: parameters.precision },
+        required: [ 'ea', 'no' ],
+        response: 'GridRef',
+        errors: [ 400, 422 ]
+    },
+    '/api/from-gridref': {
+        methods: [ 'post', 'get' ],
+        summary: 'Convert grid reference to easting + northing',
+        parameters: { gridref: parameters.gridref },
+        required: [ 'gridref' ],
+        response: 'EastingNorthing',
+        errors: [ 400 ]
+    },
+    '/api/gridref-to-latlng': {
+        methods: [ 'post', 'get' ],
+        summary: 'Convert grid reference directly to lat/lng',
+        parameters: {
+            gridref: parameters.gridref, decimals: parameters.decimals,
+            format: parameters.format, hemisphere: parameters.hemisphere, precision: parameters.formatPrecision
+        },
+        required: [ 'gridref' ],
+        response: 'LatLng',
+        errors: [ 400, 422 ]
+    },
+    '/api/gridref-square': {
+        methods: [ 'post', 'get' ],
+        summary: 'Return the square a grid reference refers to: its size, centre, bounding box and polygon',
+        parameters: { gridref: parameters.gridref, decimals: parameters.decimals },
+        required: [ 'gridref' ],
+        response: 'GridSquare',
+        errors: [ 400, 422 ]
+    },
+    '/api/transform': {
+        methods: [ 'post', 'get' ],
+        summary: 'Transform a point between any two supported coordinate systems',
+        parameters: {
+            from: { ...parameters.crs, description: 'Source coordinate system (EPSG code).' },
+            to: { ...parameters.crs, description: 'Target coordinate system (EPSG code).' },
+            ea: { type: 'number', description: 'Easting or x (metres), for a projected source coordinate system.' },
+            no: { type: 'number', description: 'Northing or y (metres), for a projected source coordinate system.' },
+            lat: { type: 'number', minimum: -90, maximum: 90, description: 'Latitude, for a geographic source coordinate system.' },
+            lng: { type: 'number', minimum: -180, maximum: 180, description: 'Longitude, for a geographic source coordinate system.' },
+            h: { type: 'number', description: 'Height (metres): orthometric on the national grids (27700, 29903, 2157), ellipsoidal otherwise.' },
+            height: parameters.height,
+            decimals: parameters.decimals,
+            epoch: parameters.epoch,
+            frame: parameters.frame
+        },
+        required: [ 'from', 'to' ],
+        response: 'Point',
+        errors: [ 400, 422, 503 ]
+    },
+    '/api/parse': {
+        methods: [ 'post', 'get' ],
+        summary: 'Recognise a grid reference, easting + northing or latlng in messy input',
+        parameters: {
+            input: { type: 'string', description: 'The text to be parsed, e.g. "ny 3729 0369", "337297,503695" or 54°25\'29.3"N 2°58\'04.6"W.' }
+        },
+        required: [ 'input' ],
+        response: 'Location',
+        errors: [ 400 ]
+    },
+    '/api/grid': {
+        methods: [ 'post', 'get' ],
+        summary: 'Return British National Grid lines and/or cells covering a bbox, as GeoJSON for map overlays',
+        parameters: {
+            bbox: { ...parameters.bbox, description: 'Extent to be covered: minX,minY,maxX,maxY (eastings + northings, or lng/lat with srid 4326).' },
+            interval: { type: 'integer', enum: [ 100000, 10000, 1000, 100 ], description: 'Grid interval (metres).' },
+            srid: { type: 'integer', enum: [ 27700, 4326 ], description: 'Coordinate system of the bbox (default 27700).' },
+            type: { type: 'string', enum: [ 'lines', 'cells', 'both' ], description: 'Features to return (default both).' },
+            densify: {
+                type: 'integer', minimum: 1, maximum: 100,
+                description: 'Number of segments each line is divided into per interval, so that it curves correctly on a web map (default 10).'
+            },
+            decimals: parameters.decimals,
+            projected: { type: 'boolean', description: 'Return British National Grid coordinates instead of lat/lng (default false).' }
+        },
+        required: [ 'bbox', 'interval' ],
+        response: 'GridFeatureCollection',
+        errors: [ 400, 422 ]
+    },
+    '/api/compare': {
+        methods: [ 'post', 'get' ],
+        summary: 'Transform a point with both OSTN15 and the seven-parameter Helmert transformation, and return the difference',
+        parameters: {
+            ea: parameters.ea, no: parameters.no, lat: parameters.lat, lng: parameters.lng,
+            decimals: parameters.decimals, epoch: parameters.epoch, frame: parameters.frame
+        },
+        required: [],
+        response: 'Comparison',
+        errors: [ 400, 422, 503 ]
+    },
+    '/api/grid-properties': {
+        methods: [ 'post', 'get' ],
+        summary: 'Return the point scale factor and grid convergence at a location on a national grid',
+        parameters: {
+            ea: parameters.ea, no: parameters.no, lat: parameters.lat, lng: parameters.lng,
+            srid: { ...parameters.srid, description: 'National grid (default 27700).' },
+            epoch: parameters.epoch, frame: parameters.frame
+        },
+        required: [],
+        response: 'GridProperties',
+        errors: [ 400, 422, 503 ]
+    },
+    '/api/distance': {
+        methods: [ 'post', 'get' ],
+        summary: 'Return the grid + geodesic distances, grid + true bearings and line scale factor between two locations',
+        parameters: {
+            from: { ...parameters.location, description: `Start point. ${parameters.location.description}` },
+            to: { ...parameters.location, description: 'End point, as for `from`.' },
+            srid: { ...parameters.srid, description: 'National grid (default 27700, or that of the grid references).' }
+        },
+        required: [ 'from', 'to' ],
+        response: 'Distance',
+        errors: [ 400, 422, 503 ]
+    },
+    '/api/transform-bounds': {
+        methods: [ 'post', 'get' ],
+        summary: 'Return the bbox enclosing a bbox transformed between lat/lng and a national grid (with its edges densified)',
+        parameters: {
+            bbox: { ...parameters.bbox, description: 'Extent to be transformed: minX,minY,maxX,maxY (lng/lat for from-latlng, eastings + northings for to-latlng).' },
+            direction: {
+                type: 'string', enum: [ 'to-latlng', 'from-latlng' ], description: 'Transformation direction (default from-latlng).'
+            },
+            srid: { ...parameters.srid, description: 'National grid (default 27700).' },
+            densify: {
+                type: 'integer', minimum: 1, maximum: 1000,
+                description: 'Number of segments each edge is divided into, as the edges of the bbox are curved once transformed (default 10).'
+            },
+            decimals: parameters.decimals,
+            clamp: {
+                type: 'boolean', description: 'Clamp a bbox extending beyond the permitted bounds to them (default true), rather than returning an error.'
+            }
+        },
+        required: [ 'bbox' ],
+        response: 'Bounds',
+        errors: [ 400, 422 ]
+    },
+    '/api/transform-geojson': {
+        methods: [ 'post' ],
+        summary: 'Transform a GeoJSON geometry, feature or feature collection',
+        parameters: {
+            geojson: {
+                type: 'object',
+                required: [ 'type' ],
+                properties: {
+                    type: {
+                        type: 'string',
+                        enum: [ 'Point', 'MultiPoint', 'LineString', 'MultiLineString', 'Polygon', 'MultiPolygon', 'GeometryCollection', 'Feature', 'FeatureCollection' ]
+                    },
+                    coordinates: { type: 'array' },
+                    geometries: { type: 'array', items: { type: 'object' } },
+                    geometry: { type: 'object', nullable: true, required: [ 'type' ] },
+                    features: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: [ 'type', 'geometry' ],
+                            properties: { type: { type: 'string', enum: [ 'Feature' ] }, geometry: { type: 'object', nullable: true } }
+                        }
+                    }
+                },
+                description: 'GeoJSON geometry, feature or feature collection, with positions nested to the depth of each geometry type.'
+            },
+            direction: {
+                type: 'string', enum: [ 'to-latlng', 'from-latlng' ], description: 'Transformation direction (default from-latlng).'
+            },
+            decimals: parameters.decimals,
+            heights: parameters.heights
+        },
+        required: [ 'geojson' ],
+        response: 'GeoJSONResult',
+        errors: [ 400, 405, 503 ]
+    },
+    '/api/transform-wkt': {
+        methods: [ 'post', 'get' ],
+        summary: 'Transform a WKT or EWKT geometry, returning EWKT with the target SRID',
+        parameters: {
+            wkt: { type: 'string', description: 'WKT or EWKT of any simple-feature geometry, e.g. SRID=27700;POINT(337297 503695).' },
+            from: { ...parameters.crs, description: 'Source coordinate system (EPSG code), if the geometry is not EWKT.' },
+            to: { ...parameters.crs, description: 'Target coordinate system (EPSG code; default 27700 from a geographic coordinate system, otherwise 4326).' },
+            decimals: parameters.decimals,
+            heights: parameters.heights
+        },
+        required: [ 'wkt' ],
+        response: 'WKTResult',
+        errors: [ 400, 422, 503 ]
+    },
+    '/api/batch': {
+        methods: [ 'post' ],
+        summary: 'Run many conversions in one request',
+        body: {
+            anyOf: [
+                { type: 'array', items: { type: 'object' } },
+                {
+                    type: 'object',
+                    required: [ 'operations' ],
+                    properties: { operations: { type: 'array', items: { type: 'object' } } }
+                },
+                {
+                    type: 'object',
+                    required: [ 'op', 'inputs' ],
+                    properties: {
+                        op: { type: 'string', enum: [ 'to-latlng', 'from-latlng', 'to-gridref', 'from-gridref', 'gridref-to-latlng' ] },
+                        inputs: { type: 'array', items: { type: 'object' } }
+                    }
+                }
+            ],
+            description: 'A list of operations, e.g. [{ "op": "to-latlng", "ea": 337297, "no": 503695 }], or one operation with a list of inputs.'
+        },
+        response: 'BatchResult',
+        errors: [ 400, 405, 413 ]
+    },
+    '/api/csv': {
+        methods: [ 'post' ],
+        summary: 'Append converted columns to a CSV file',
+        query: true,
+        parameters: {
+            ea: { type: 'string', description: 'Name of the easting column.' },
+            no: { type: 'string', description: 'Name of the northing column.' },
+            lat: { type: 'string', description: 'Name of the latitude column.' },
+            lng: { type: 'string', description: 'Name of the longitude column.' },
+            gridref: { type: 'string', description: 'Name of the grid reference column.' },
+            h: { type: 'string', description: 'Name of the height column.' },
+            ops: { type: 'string', description: 'Comma-separated conversions (to-latlng, from-latlng, to-gridref, from-gridref, gridref-to-latlng).' },
+            decimals: parameters.decimals,
+            precision: parameters.precision,
+            srid: parameters.srid,
+            epoch: parameters.epoch,
+            frame: parameters.frame
+        },
+        required: [],
+        body: { type: 'string', format: 'binary', contentType: 'text/csv', description: 'CSV file with a header row.' },
+        response: { contentType: 'text/csv', schema: { type: 'string', format: 'binary' } },
+        errors: [ 400, 405 ]
+    },
+    '/api/gpx-kml': {
+        methods: [ 'post' ],
+        summary: 'Convert the waypoints, routes and tracks of a GPX or KML file to British National Grid',
+        query: true,
+        parameters: {
+            output: {
+                type: 'string', enum: [ 'geojson', 'csv' ],
+                description: 'GeoJSON in EPSG:27700, with grid references, or CSV with a row for each point (default geojson).'
+            },
+            decimals: parameters.decimals,
+            precision: parameters.precision,
+            heights: parameters.heights
+        },
+        required: [],
+        body: {
+            type: 'string', format: 'binary',
+            contentType: [ 'application/gpx+xml', 'application/vnd.google-earth.kml+xml' ],
+            description: 'GPX or KML file (in WGS84). A multipart/form-data upload of the file is also accepted.'
+        },
+        response: {
+            content: {
+                'application/json': { $ref: '#/components/schemas/GeoJSONResult' },
+                'text/csv': { type: 'string', format: 'binary' }
+            }
+        },
+        errors: [ 400, 405, 503 ]
+    },
+    '/health': {
+        methods: [ 'get' ],
+        summary: 'Server status and available endpoints',
+        parameters: {},
+        required: [],
+        response: 'Health',
+        errors: []
+    },
+    '/openapi.json': {
+        methods: [ 'get' ],
+        summary: 'OpenAPI description of the API',
+        parameters: {},
+        required: [],
+        response: { schema: { type: 'object' } },
+        errors: []
+    }
+};
+
+/**
+ * Return an OpenAPI schema, without the fields which are only used for validation.
+ */
+function toSchema(schema) {
+    const { contentType, ...rest } = schema;
+    return rest;
+}
+
+/**
+ * Return the OpenAPI 3 document for the API.
+ * @param {string} version - The API version.
+ */
+export function getOpenAPI(version) {
+    const paths = {};
+
+    for (const [ path, route ] of Object.entries(routes)) {
+        const responses = {
+            200: typeof route.response === 'string'
+                ? { description: 'OK', content: { 'application/json': { schema: { $ref: `#/components/schemas/${route.response}` } } } }
+                : route.response.content
+                    ? { description: 'OK', content: Object.fromEntries(Object.entries(route.response.content).map(([ type, schema ]) => [ type, { schema } ])) }
+                    : { description: 'OK', content: { [route.response.contentType || 'application/json']: { schema: route.response.schema } } }
+        };
+        for (const status of route.errors) {
+            responses[status] = {
+                description: errors[status],
+                content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+            };
+        }
+
+        const queryParameters = Object.entries(route.parameters || {}).map(([ name, schema ]) => ({
+            name: name,
+            in: 'query',
+            required: route.required.includes(name),
+            description: schema.description,
+            schema: toSchema(schema)
+        }));
+
+        paths[path] = {};
+        for (const method of route.methods) {
+            const operation = { summary: route.summary, responses: responses };
+
+            if (method === 'get' || route.query) {
+                if (queryParameters.length > 0) {
+                    operation.parameters = queryParameters;
+                }
+            }
+
+            if (method === 'post' && route.body) {
+                operation.requestBody = {
+                    required: true,
+                    description: route.body.description,
+                    content: Object.fromEntries([].concat(route.body.contentType || 'application/json').map(type => [ type, { schema: toSchema(route.body) } ]))
+                };
+            }
+            else if (method === 'post' && !route.query && route.parameters) {
+                operation.requestBody = {
+                    required: true,
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                ...(route.required.length > 0 ? { required: route.required } : {}),
+                                properties: route.parameters
+                            }
+                        }
+                    }
+                };
+            }
+
+            paths[path][method] = operation;
+        }
+    }
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'OS Transform API',
+            version: version,
+            description: 'Transformations between ETRS89 (WGS84) latitude/longitude and British National Grid, Irish Grid ' +
+                'and Irish Transverse Mercator coordinates and grid references (plus ETRS89 / UTM and Web Mercator), using ' +
+                'OSTN15 and OSGM15.'
+        },
+        paths: paths,
+        components: { schemas: schemas }
+    };
+}
+
+/**
+ * Return the description of a schema's type (and required properties), for error messages, unless the schema gives
+ * its own (`x-describe`).
+ */
+function describeType(schema) {
+    if (schema['x-describe']) {
+        return schema['x-describe'];
+    }
+    const type = { integer: 'an integer', array: 'an array', object: 'an object' }[schema.type] || `a ${schema.type}`;
+    return schema.required ? `${type} with ${schema.required.join(' + ')}` : type;
+}
+
+/**
+ * Return a value checked against (and where it is a query string, converted to the type of) a schema, as
+ * { valid, value } or { valid: false, message }.
+ * @param {object} schema - The schema (type, enum, minimum, maximum, anyOf, required, nullable).
+ * @param {*} value - The value to be checked.
+ * @param {string} name - The name of the parameter, for error messages.
+ */
+export function validateValue(schema, value, name) {
+    if (value === null && schema.nullable) {
+        return { valid: true, value: value };
+    }
+
+    if (schema.anyOf) {
+        const results = schema.anyOf.map(option => validateValue(option, value, name));
+        const valid = results.find(result => result.valid);
+        if (valid) {
+            return valid;
+        }
+
+        // Report a value of the right type but out of range as such, rather than listing the types
+        const outOfRange = results.find(result => result.outOfRange);
+        if (outOfRange && !schema.anyOf.every(option => option.enum)) {
+            return outOfRange;
+        }
+
+        const types = schema.anyOf.map(option => describeType(option));
+        return {
+            valid: false,
+            message: schema.anyOf.every(option => option.enum)
+                ? `Invalid parameter: ${name} must be one of ${schema.anyOf.flatMap(option => option.enum).join(', ')}`
+                : `Invalid parameter: ${name} must be ${types.slice(0, -1).join(', ')} or ${types[types.length - 1]}`
+        };
+    }
+
+    if (schema.type === 'number' || schema.type === 'integer') {
+        if (typeof value === 'string' && value.trim() !== '') {
+            value = Number(value);
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value) || (schema.type === 'integer' && !Number.isInteger(value))) {
+            return { valid: false, message: `Invalid parameter: ${name} must be ${describeType({ type: schema.type })}` };
+        }
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            return { valid: false, message: `Invalid parameter: ${name} must be at least ${schema.minimum}`, outOfRange: true };
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            return { valid: false, message: `Invalid parameter: ${name} must be at most ${schema.maximum}`, outOfRange: true };
+        }
+    }
+    else if (schema.type === 'string') {
+        if (typeof value === 'number') {
+            value = String(value);
+        }
+        if (typeof value !== 'string') {
+            return { valid: false, message: `Invalid parameter: ${name} must be a string` };
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            return { valid: false, message: `Invalid parameter: ${name} must be ${describeType(schema)}` };
+        }
+    }
+    else if (schema.type === 'boolean') {
+        if (value === 'true' || value === 'false') {
+            value = value === 'true';
+        }
+        if (typeof value !== 'boolean') {
+            return { valid: false, message: `Invalid parameter: ${name} must be true or false` };
+        }
+    }
+    else if (schema.type === 'array' && !Array.isArray(value)) {
+        return { valid: false, message: `Invalid parameter: ${name} must be an array` };
+    }
+    else if (schema.type === 'object') {
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            return { valid: false, message: `Invalid parameter: ${name} must be an object` };
+        }
+        const missing = (schema.required || []).filter(key => value[key] === undefined);
+        if (missing.length > 0) {
+            return { valid: false, message: `Invalid parameter: ${name} must include ${missing.join(', ')}` };
+        }
+        for (const [ key, property ] of Object.entries(schema.properties || {})) {
+            const result = value[key] === undefined ? { valid: true } : validateValue(property, value[key], `${name}.${key}`);
+            if (!result.valid) {
+                return result;
+            }
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        return { valid: false, message: `Invalid parameter: ${name} must be one of ${schema.enum.join(', ')}` };
+    }
+
+    return { valid: true, value: value };
+}
+
+/**
+ * Return the parameters of a request checked against (and converted to the types of) the schema of its route, as
+ * { valid, data } or { valid: false, message }. Parameters which are not in the schema are passed through as they are.
+ * @param {string} path - The route.
+ * @param {object|array} data - The query string parameters or JSON body.
+ */
+export function validateRequest(path, data) {
+    const route = routes[path];
+
+    if (route.body && route.body.type !== 'string') {
+        const result = validateValue(route.body, data, 'body');
+        return result.valid ? { valid: true, data: data } : {
+            valid: false,
+            message: result.message.replace('Invalid parameter: body must be', 'Invalid request body: must be')
+        };
+    }
+
+    const missing = route.required.filter(key => data[key] === undefined || data[key] === '');
+    if (missing.length > 0) {
+        return { valid: false, message: `Missing required parameter${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}` };
+    }
+
+    const validated = { ...data };
+    for (const [ name, schema ] of Object.entries(route.parameters)) {
+        if (data[name] === undefined || data[name] === '') {
+            delete validated[name];
+            continue;
+        }
+        const result = validateValue(schema, data[name], name);
+        if (!result.valid) {
+            return result;
+        }
+        validated[name] = result.value;
+    }
+
+    return { valid: true, data: validated };
+}
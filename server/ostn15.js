@@ -0,0 +1,624 @@
+// ostn15.js v0.5.0
+// Pure-JavaScript OSTN15 transformation, without proj4 (ES Module)
+//
+// The projection, Helmert, grid-reading and grid-shift code is deliberately a copy of the `ostn15-js` implementation
+// in os-transform.js (_toProjected(), _helmert(), _readGsb(), _readTif(), _getGridShift() etc.), as the browser
+// script is loaded without modules and the server has no DOM. The formulae and file layouts are explained there; a
+// fix to either copy should be made to both.
+
+/**
+ * Ellipsoids (semi-major + semi-minor axes).
+ */
+export const ellipsoids = {
+    airy: { a: 6377563.396, b: 6356256.909 },
+    modAiry: { a: 6377340.189, b: 6356034.447 },
+    grs80: { a: 6378137.0, b: 6356752.314140356 }
+};
+
+/**
+ * Transverse Mercator projections keyed by SRID, plus the Helmert parameters (in the proj4 `+towgs84` form) for
+ * those which are not on ETRS89 or shifted with OSTN15.
+ */
+export const projections = {
+    27700: { ellipsoid: ellipsoids.airy, lat0: 49, lng0: -2, k0: 0.9996012717, e0: 400000, n0: -100000 },
+    29903: {
+        ellipsoid: ellipsoids.modAiry, lat0: 53.5, lng0: -8, k0: 1.000035, e0: 200000, n0: 250000,
+        towgs84: [ 482.5, -130.6, 564.6, -1.042, -0.214, -0.631, 8.15 ]
+    },
+    2157: { ellipsoid: ellipsoids.grs80, lat0: 53.5, lng0: -8, k0: 0.99982, e0: 600000, n0: 750000 },
+    // ETRS89 / UTM zones 29N, 30N + 31N.
+    25829: { ellipsoid: ellipsoids.grs80, lat0: 0, lng0: -9, k0: 0.9996, e0: 500000, n0: 0 },
+    25830: { ellipsoid: ellipsoids.grs80, lat0: 0, lng0: -3, k0: 0.9996, e0: 500000, n0: 0 },
+    25831: { ellipsoid: ellipsoids.grs80, lat0: 0, lng0: 3, k0: 0.9996, e0: 500000, n0: 0 },
+    // ETRS89 coordinates projected with the National Grid parameters (used to look up the OSGM15 geoid model).
+    'ETRS89-TM': { ellipsoid: ellipsoids.grs80, lat0: 49, lng0: -2, k0: 0.9996012717, e0: 400000, n0: -100000 },
+    // British National Grid with the seven-parameter Helmert transformation in place of OSTN15 (used for comparison).
+    'OSGB36-Helmert': {
+        ellipsoid: ellipsoids.airy, lat0: 49, lng0: -2, k0: 0.9996012717, e0: 400000, n0: -100000,
+        towgs84: [ 446.448, -125.157, 542.06, 0.15, 0.247, 0.842, -20.489 ]
+    }
+};
+
+/**
+ * Rates of rotation (milliarcseconds per year, from epoch 1989.0) of each ITRF realisation relative to its ETRF
+ * (EUREF Technical Note 1), whose translations and scale are zero. The WGS84 realisations are aligned with the ITRF
+ * of the same period.
+ */
+export const frames = {
+    'ITRF2014': [ 0.085, 0.531, -0.770 ],
+    'ITRF2020': [ 0.086, 0.519, -0.753 ],
+    'WGS84(G2139)': [ 0.085, 0.531, -0.770 ],
+    'WGS84(G2296)': [ 0.086, 0.519, -0.753 ]
+};
+
+const toRadians = Math.PI / 180;
+
+/**
+ * Return the meridional arc (from the true origin) for a latitude in radians.
+ */
+function meridionalArc(phi, projection) {
+    const { a, b } = projection.ellipsoid;
+    const n = (a - b) / (a + b);
+    const phi0 = projection.lat0 * toRadians;
+
+    return b * projection.k0 * (
+        (1 + n + (5 / 4) * n ** 2 + (5 / 4) * n ** 3) * (phi - phi0)
+        - (3 * n + 3 * n ** 2 + (21 / 8) * n ** 3) * Math.sin(phi - phi0) * Math.cos(phi + phi0)
+        + ((15 / 8) * n ** 2 + (15 / 8) * n ** 3) * Math.sin(2 * (phi - phi0)) * Math.cos(2 * (phi + phi0))
+        - (35 / 24) * n ** 3 * Math.sin(3 * (phi - phi0)) * Math.cos(3 * (phi + phi0))
+    );
+}
+
+/**
+ * Return easting + northing [x, y] from a latlng [lng, lat] on the projection's own ellipsoid, using the
+ * Transverse Mercator formulae from OS's "A guide to coordinate systems in Great Britain" (Annex C).
+ * @param {array} point - The longitude + latitude (in degrees) to be projected.
+ * @param {object} projection - The projection parameters.
+ */
+export function toProjected(point, projection) {
+    const { a, b } = projection.ellipsoid;
+    const e2 = (a ** 2 - b ** 2) / a ** 2;
+
+    const phi = point[1] * toRadians;
+    const L = (point[0] - projection.lng0) * toRadians;
+
+    const sin = Math.sin(phi), cos = Math.cos(phi), tan2 = Math.tan(phi) ** 2;
+    const nu = a * projection.k0 / Math.sqrt(1 - e2 * sin ** 2);
+    const rho = a * projection.k0 * (1 - e2) / Math.pow(1 - e2 * sin ** 2, 1.5);
+    const eta2 = nu / rho - 1;
+
+    const I = meridionalArc(phi, projection) + projection.n0;
+    const II = (nu / 2) * sin * cos;
+    const III = (nu / 24) * sin * cos ** 3 * (5 - tan2 + 9 * eta2);
+    const IIIA = (nu / 720) * sin * cos ** 5 * (61 - 58 * tan2 + tan2 ** 2);
+    const IV = nu * cos;
+    const V = (nu / 6) * cos ** 3 * (nu / rho - tan2);
+    const VI = (nu / 120) * cos ** 5 * (5 - 18 * tan2 + tan2 ** 2 + 14 * eta2 - 58 * tan2 * eta2);
+
+    return [
+        projection.e0 + IV * L + V * L ** 3 + VI * L ** 5,
+        I + II * L ** 2 + III * L ** 4 + IIIA * L ** 6
+    ];
+}
+
+/**
+ * Return latlng [lng, lat] on the projection's own ellipsoid from an easting + northing [x, y].
+ * @param {array} point - The easting + northing to be unprojected.
+ * @param {object} projection - The projection parameters.
+ */
+export function toGeographic(point, projection) {
+    const { a, b } = projection.ellipsoid;
+    const e2 = (a ** 2 - b ** 2) / a ** 2;
+
+    let phi = (point[1] - projection.n0) / (a * projection.k0) + projection.lat0 * toRadians;
+    let M = meridionalArc(phi, projection);
+    while (Math.abs(point[1] - projection.n0 - M) >= 0.00001) {
+        phi += (point[1] - projection.n0 - M) / (a * projection.k0);
+        M = meridionalArc(phi, projection);
+    }
+
+    const sin = Math.sin(phi), sec = 1 / Math.cos(phi), tan = Math.tan(phi);
+    const nu = a * projection.k0 / Math.sqrt(1 - e2 * sin ** 2);
+    const rho = a * projection.k0 * (1 - e2) / Math.pow(1 - e2 * sin ** 2, 1.5);
+    const eta2 = nu / rho - 1;
+
+    const VII = tan / (2 * rho * nu);
+    const VIII = tan / (24 * rho * nu ** 3) * (5 + 3 * tan ** 2 + eta2 - 9 * tan ** 2 * eta2);
+    const IX = tan / (720 * rho * nu ** 5) * (61 + 90 * tan ** 2 + 45 * tan ** 4);
+    const X = sec / nu;
+    const XI = sec / (6 * nu ** 3) * (nu / rho + 2 * tan ** 2);
+    const XII = sec / (120 * nu ** 5) * (5 + 28 * tan ** 2 + 24 * tan ** 4);
+    const XIIA = sec / (5040 * nu ** 7) * (61 + 662 * tan ** 2 + 1320 * tan ** 4 + 720 * tan ** 6);
+
+    const y = point[0] - projection.e0;
+
+    let geographic = [
+        projection.lng0 + (X * y - XI * y ** 3 + XII * y ** 5 - XIIA * y ** 7) / toRadians,
+        (phi - VII * y ** 2 + VIII * y ** 4 - IX * y ** 6) / toRadians
+    ];
+
+    // The series are truncated (by up to 5mm in the far west), so the result is refined until toProjected() returns
+    // the point to 0.01mm
+    for (let i = 0; i < 5; i++) {
+        const projected = toProjected(geographic, projection);
+        const dx = point[0] - projected[0];
+        const dy = point[1] - projected[1];
+        if (Math.abs(dx) < 0.00001 && Math.abs(dy) < 0.00001) {
+            break;
+        }
+        geographic = [ geographic[0] + X * dx / toRadians, geographic[1] + dy / rho / toRadians ];
+    }
+
+    return geographic;
+}
+
+/**
+ * Return the point scale factor and grid convergence (in degrees: the angle from true north to grid north, clockwise)
+ * at a latlng [lng, lat] on the projection's own ellipsoid.
+ * @param {array} point - The longitude + latitude (in degrees).
+ * @param {object} projection - The projection parameters.
+ */
+export function getGridProperties(point, projection) {
+    const { a, b } = projection.ellipsoid;
+    const e2 = (a ** 2 - b ** 2) / a ** 2;
+    const ep2 = e2 / (1 - e2);
+
+    const phi = point[1] * toRadians;
+    const L = (point[0] - projection.lng0) * toRadians;
+
+    const sin = Math.sin(phi), cos = Math.cos(phi), tan2 = Math.tan(phi) ** 2;
+    const eta2 = ep2 * cos ** 2;
+    const A2 = (L * cos) ** 2;
+
+    return {
+        scaleFactor: projection.k0 * (1 + (1 + eta2) * A2 / 2
+            + (5 - 4 * tan2 + 42 * eta2 + 13 * eta2 ** 2 - 28 * ep2) * A2 ** 2 / 24
+            + (61 - 148 * tan2 + 16 * tan2 ** 2) * A2 ** 3 / 720),
+        convergence: L * sin * (1 + A2 / 3 * (1 + 3 * eta2 + 2 * eta2 ** 2) + A2 ** 2 / 15 * (2 - tan2)) / toRadians
+    };
+}
+
+/**
+ * Return latlng [lng, lat] shifted between an ellipsoid and ETRS89 (GRS80) by a seven-parameter Helmert
+ * transformation, applied in the same (position vector) form as proj4's `+towgs84`.
+ * @param {array} point - The longitude + latitude (in degrees) to be shifted.
+ * @param {object} projection - The projection parameters (including `towgs84`).
+ * @param {boolean} inverse - [optional] Shift from ETRS89 to the projection's ellipsoid (rather than to ETRS89).
+ */
+export function helmert(point, projection, inverse = false) {
+    const [ dx, dy, dz ] = projection.towgs84;
+    const [ rx, ry, rz ] = projection.towgs84.slice(3, 6).map(value => value / 3600 * toRadians);
+    const m = 1 + projection.towgs84[6] / 1000000;
+
+    const from = inverse ? ellipsoids.grs80 : projection.ellipsoid;
+    const to = inverse ? projection.ellipsoid : ellipsoids.grs80;
+
+    const phi = point[1] * toRadians, lambda = point[0] * toRadians;
+    const e2From = (from.a ** 2 - from.b ** 2) / from.a ** 2;
+    const nu = from.a / Math.sqrt(1 - e2From * Math.sin(phi) ** 2);
+    const x = nu * Math.cos(phi) * Math.cos(lambda);
+    const y = nu * Math.cos(phi) * Math.sin(lambda);
+    const z = nu * (1 - e2From) * Math.sin(phi);
+
+    let X, Y, Z;
+    if (inverse) {
+        const [ xt, yt, zt ] = [ (x - dx) / m, (y - dy) / m, (z - dz) / m ];
+        X = xt + rz * yt - ry * zt;
+        Y = -rz * xt + yt + rx * zt;
+        Z = ry * xt - rx * yt + zt;
+    }
+    else {
+        X = m * (x - rz * y + ry * z) + dx;
+        Y = m * (rz * x + y - rx * z) + dy;
+        Z = m * (-ry * x + rx * y + z) + dz;
+    }
+
+    const e2To = (to.a ** 2 - to.b ** 2) / to.a ** 2;
+    const p = Math.sqrt(X ** 2 + Y ** 2);
+    let lat = Math.atan2(Z, p * (1 - e2To));
+    for (let i = 0; i < 10; i++) {
+        const nuTo = to.a / Math.sqrt(1 - e2To * Math.sin(lat) ** 2);
+        lat = Math.atan2(Z + e2To * nuTo * Math.sin(lat), p);
+    }
+
+    return [ Math.atan2(Y, X) / toRadians, lat / toRadians ];
+}
+
+/**
+ * Return Web Mercator (EPSG:3857) x + y from a latlng [lng, lat], projected on a sphere with the radius of the
+ * semi-major axis of WGS84.
+ * @param {array} point - The longitude + latitude (in degrees) to be projected.
+ */
+export function toWebMercator(point) {
+    const a = ellipsoids.grs80.a;
+    return [ a * point[0] * toRadians, a * Math.log(Math.tan(Math.PI / 4 + point[1] * toRadians / 2)) ];
+}
+
+/**
+ * Return latlng [lng, lat] from Web Mercator (EPSG:3857) x + y.
+ * @param {array} point - The x + y to be unprojected.
+ */
+export function fromWebMercator(point) {
+    const a = ellipsoids.grs80.a;
+    return [ point[0] / a / toRadians, (2 * Math.atan(Math.exp(point[1] / a)) - Math.PI / 2) / toRadians ];
+}
+
+/**
+ * Return ETRS89 latlng + ellipsoidal height [lng, lat, h] from ITRF (or WGS84) coordinates observed at an epoch, by
+ * rotating them with the Eurasian plate back to their position at epoch 1989.0.
+ * @param {array} point - The longitude + latitude (in degrees) and ellipsoidal height (metres, default 0).
+ * @param {string} frame - The realisation the coordinates are in [ITRF2014 | ITRF2020 | WGS84(G2139) | WGS84(G2296)].
+ * @param {number} epoch - The epoch of observation, as a decimal year (e.g. 2026.5).
+ */
+export function toETRF(point, frame, epoch) {
+    const { a, b } = ellipsoids.grs80;
+    const e2 = (a ** 2 - b ** 2) / a ** 2;
+    const [ r1, r2, r3 ] = frames[frame].map(rate => rate * (epoch - 1989.0) / 3600000 * toRadians);
+
+    const phi = point[1] * toRadians, lambda = point[0] * toRadians, h = point[2] ?? 0;
+    const nu = a / Math.sqrt(1 - e2 * Math.sin(phi) ** 2);
+    const x = (nu + h) * Math.cos(phi) * Math.cos(lambda);
+    const y = (nu + h) * Math.cos(phi) * Math.sin(lambda);
+    const z = (nu * (1 - e2) + h) * Math.sin(phi);
+
+    const X = x - r3 * y + r2 * z;
+    const Y = r3 * x + y - r1 * z;
+    const Z = -r2 * x + r1 * y + z;
+
+    const p = Math.sqrt(X ** 2 + Y ** 2);
+    let lat = Math.atan2(Z, p * (1 - e2));
+    let nuLat = nu;
+    for (let i = 0; i < 10; i++) {
+        nuLat = a / Math.sqrt(1 - e2 * Math.sin(lat) ** 2);
+        lat = Math.atan2(Z + e2 * nuLat * Math.sin(lat), p);
+    }
+
+    return [ Math.atan2(Y, X) / toRadians, lat / toRadians, p / Math.cos(lat) - nuLat ];
+}
+
+/**
+ * Return the distance (metres) along the geodesic between two latlngs [lng, lat] on an ellipsoid, and its initial
+ * bearing (degrees from true north), by Vincenty's inverse formula.
+ * @param {array} from - The longitude + latitude (in degrees) of the start point.
+ * @param {array} to - The longitude + latitude (in degrees) of the end point.
+ * @param {object} ellipsoid - [optional] The ellipsoid (default GRS80).
+ */
+export function getGeodesic(from, to, ellipsoid = ellipsoids.grs80) {
+    const { a, b } = ellipsoid;
+    const f = (a - b) / a;
+
+    const L = (to[0] - from[0]) * toRadians;
+    const U1 = Math.atan((1 - f) * Math.tan(from[1] * toRadians));
+    const U2 = Math.atan((1 - f) * Math.tan(to[1] * toRadians));
+    const sinU1 = Math.sin(U1), cosU1 = Math.cos(U1), sinU2 = Math.sin(U2), cosU2 = Math.cos(U2);
+
+    let lambda = L, previous, sinSigma, cosSigma, sigma, cos2Alpha, cos2SigmaM;
+    for (let i = 0; i < 100; i++) {
+        const sinLambda = Math.sin(lambda), cosLambda = Math.cos(lambda);
+        sinSigma = Math.sqrt((cosU2 * sinLambda) ** 2 + (cosU1 * sinU2 - sinU1 * cosU2 * cosLambda) ** 2);
+        if (sinSigma === 0) {
+            return { distance: 0, bearing: 0 };
+        }
+        cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+        sigma = Math.atan2(sinSigma, cosSigma);
+        const sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+        cos2Alpha = 1 - sinAlpha ** 2;
+        cos2SigmaM = cos2Alpha !== 0 ? cosSigma - 2 * sinU1 * sinU2 / cos2Alpha : 0;
+        const C = f / 16 * cos2Alpha * (4 + f * (4 - 3 * cos2Alpha));
+        previous = lambda;
+        lambda = L + (1 - C) * f * sinAlpha * (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM ** 2)));
+        if (Math.abs(lambda - previous) < 1e-12) {
+            break;
+        }
+    }
+
+    const u2 = cos2Alpha * (a ** 2 - b ** 2) / b ** 2;
+    const A = 1 + u2 / 16384 * (4096 + u2 * (-768 + u2 * (320 - 175 * u2)));
+    const B = u2 / 1024 * (256 + u2 * (-128 + u2 * (74 - 47 * u2)));
+    const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (cosSigma * (-1 + 2 * cos2SigmaM ** 2)
+        - B / 6 * cos2SigmaM * (-3 + 4 * sinSigma ** 2) * (-3 + 4 * cos2SigmaM ** 2)));
+    const bearing = Math.atan2(cosU2 * Math.sin(lambda), cosU1 * sinU2 - sinU1 * cosU2 * Math.cos(lambda)) / toRadians;
+
+    return { distance: b * A * (sigma - deltaSigma), bearing: (bearing + 360) % 360 };
+}
+
+/**
+ * Return the decompressed bytes of a zlib (deflate) stream.
+ */
+async function inflate(bytes) {
+    const stream = new Blob([ bytes ]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Return an OSTN15 grid read from an NTv2 `.gsb` file (the first sub-grid only).
+ */
+function readGsb(buffer) {
+    const view = new DataView(buffer);
+    const littleEndian = view.getInt32(8, true) === 11;
+
+    const header = 11 * 16;
+    const value = (record) => view.getFloat64(header + record * 16 + 8, littleEndian);
+
+    const south = value(4) / 3600;
+    const north = value(5) / 3600;
+    const east = -value(6) / 3600;
+    const west = -value(7) / 3600;
+    const latInterval = value(8) / 3600;
+    const lngInterval = value(9) / 3600;
+
+    const rows = Math.round((north - south) / latInterval) + 1;
+    const columns = Math.round((east - west) / lngInterval) + 1;
+
+    const latShift = new Float32Array(rows * columns);
+    const lngShift = new Float32Array(rows * columns);
+
+    let offset = header * 2;
+    for (let row = 0; row < rows; row++) {
+        for (let column = columns - 1; column >= 0; column--) {
+            latShift[row * columns + column] = view.getFloat32(offset, littleEndian);
+            lngShift[row * columns + column] = -view.getFloat32(offset + 4, littleEndian);
+            offset += 16;
+        }
+    }
+
+    return { south, west, latInterval, lngInterval, rows, columns, latShift, lngShift };
+}
+
+/**
+ * Return an OSTN15 grid read from a (tiled, deflate-compressed) GeoTIFF `.tif` file.
+ */
+async function readTif(buffer) {
+    const view = new DataView(buffer);
+    const littleEndian = view.getUint16(0) === 0x4949;
+
+    const ifd = view.getUint32(4, littleEndian);
+    const tags = {};
+    for (let i = 0; i < view.getUint16(ifd, littleEndian); i++) {
+        const entry = ifd + 2 + i * 12;
+        const type = view.getUint16(entry + 2, littleEndian);
+        const count = view.getUint32(entry + 4, littleEndian);
+        const size = { 3: 2, 4: 4, 12: 8 }[type];
+        if (size === undefined) {
+            continue;
+        }
+        const offset = size * count <= 4 ? entry + 8 : view.getUint32(entry + 8, littleEndian);
+        tags[view.getUint16(entry, littleEndian)] = Array.from({ length: count }, (_, k) => type === 3
+            ? view.getUint16(offset + k * size, littleEndian)
+            : (type === 4 ? view.getUint32(offset + k * size, littleEndian) : view.getFloat64(offset + k * size, littleEndian)));
+    }
+
+    const [ width ] = tags[256], [ height ] = tags[257];
+    const [ compression ] = tags[259], [ predictor ] = tags[317] || [ 1 ];
+    const [ tileWidth ] = tags[322], [ tileLength ] = tags[323];
+    const [ lngInterval, latInterval ] = tags[33550];
+    const [ , , , west, north ] = tags[33922];
+
+    if (![ 1, 8 ].includes(compression) || ![ 1, 3 ].includes(predictor) || tags[284][0] !== 2) {
+        throw new Error('Unsupported GeoTIFF: expected planar, tiled float32 bands (uncompressed or deflate).');
+    }
+
+    const rows = height, columns = width;
+    const bands = [ new Float32Array(rows * columns), new Float32Array(rows * columns) ];
+
+    const tilesAcross = Math.ceil(width / tileWidth);
+    const tilesPerBand = tilesAcross * Math.ceil(height / tileLength);
+    const value = new DataView(new ArrayBuffer(4));
+
+    for (let tile = 0; tile < tilesPerBand * 2; tile++) {
+        let bytes = new Uint8Array(buffer, tags[324][tile], tags[325][tile]);
+        if (compression === 8) {
+            bytes = await inflate(bytes);
+        }
+
+        const tileView = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const band = Math.floor(tile / tilesPerBand);
+        const x0 = (tile % tilesPerBand) % tilesAcross * tileWidth;
+        const y0 = Math.floor((tile % tilesPerBand) / tilesAcross) * tileLength;
+
+        for (let y = 0; y < tileLength && y0 + y < height; y++) {
+            const rowBytes = bytes.subarray(y * tileWidth * 4, (y + 1) * tileWidth * 4);
+
+            if (predictor === 3) {
+                for (let i = 1; i < rowBytes.length; i++) {
+                    rowBytes[i] = (rowBytes[i] + rowBytes[i - 1]) & 0xff;
+                }
+            }
+
+            const row = rows - 1 - (y0 + y);
+            for (let x = 0; x < tileWidth && x0 + x < width; x++) {
+                if (predictor === 3) {
+                    for (let k = 0; k < 4; k++) {
+                        value.setUint8(k, rowBytes[x + tileWidth * k]);
+                    }
+                    bands[band][row * columns + x0 + x] = value.getFloat32(0);
+                }
+                else {
+                    bands[band][row * columns + x0 + x] = tileView.getFloat32((y * tileWidth + x) * 4, littleEndian);
+                }
+            }
+        }
+    }
+
+    return {
+        south: north - (rows - 1) * latInterval, west, latInterval, lngInterval, rows, columns,
+        latShift: bands[0], lngShift: bands[1]
+    };
+}
+
+/**
+ * Return the OSTN15 grid (as latitude + longitude shifts in arc-seconds, positive north + east) read from either
+ * the NTv2 `.gsb` or the GeoTIFF `.tif` file.
+ * @param {ArrayBuffer} buffer - The contents of the grid file.
+ */
+export async function readGrid(buffer) {
+    const signature = new Uint8Array(buffer, 0, 2);
+    const isTif = (signature[0] === 0x49 && signature[1] === 0x49) || (signature[0] === 0x4d && signature[1] === 0x4d);
+
+    return isTif ? await readTif(buffer) : readGsb(buffer);
+}
+
+/**
+ * Return the OSTN15 shift [lng, lat] (in degrees) bilinearly interpolated at an OSGB36 latlng, or null if it is
+ * outside the grid.
+ * @param {object} grid - The OSTN15 grid.
+ * @param {array} point - The OSGB36 longitude + latitude.
+ */
+export function getGridShift(grid, point) {
+    const x = (point[0] - grid.west) / grid.lngInterval;
+    const y = (point[1] - grid.south) / grid.latInterval;
+
+    if (!(x >= 0 && x <= grid.columns - 1 && y >= 0 && y <= grid.rows - 1)) {
+        return null;
+    }
+
+    const column = Math.min(Math.floor(x), grid.columns - 2);
+    const row = Math.min(Math.floor(y), grid.rows - 2);
+    const t = x - column;
+    const u = y - row;
+
+    const nodes = [ row * grid.columns + column, row * grid.columns + column + 1, (row + 1) * grid.columns + column + 1, (row + 1) * grid.columns + column ];
+    const interpolate = (shifts) => (1 - t) * (1 - u) * shifts[nodes[0]] + t * (1 - u) * shifts[nodes[1]]
+        + t * u * shifts[nodes[2]] + (1 - t) * u * shifts[nodes[3]];
+
+    return [ interpolate(grid.lngShift) / 3600, interpolate(grid.latShift) / 3600 ];
+}
+
+/**
+ * Return the OSTN15 shift [se, sn] (metres) of an ETRS89 easting + northing [x, y] (projected with the National Grid
+ * parameters), bilinearly interpolated from the 1km grid of the Ordnance Survey data file as OS specify, or null if
+ * it is outside the data file or beside a no-data node.
+ * @param {object} model - The OSTN15/OSGM15 data file, with eShifts + nShifts.
+ * @param {array} point - The ETRS89 easting + northing.
+ */
+export function getOSTN15Shift(model, point) {
+    const e = point[0] / 1000;
+    const n = point[1] / 1000;
+    if (!(e >= 0 && e < model.columns - 1 && n >= 0 && n < model.rows - 1)) {
+        return null;
+    }
+
+    const x = Math.floor(e);
+    const y = Math.floor(n);
+
+    // Nodes SW, SE, NE, NW
+    const nodes = [ y * model.columns + x, y * model.columns + x + 1, (y + 1) * model.columns + x + 1, (y + 1) * model.columns + x ];
+    if (nodes.some(node => model.flags[node] === 0)) {
+        return null;
+    }
+
+    const t = e - x;
+    const u = n - y;
+    const interpolate = shifts => (1 - t) * (1 - u) * shifts[nodes[0]] + t * (1 - u) * shifts[nodes[1]]
+        + t * u * shifts[nodes[2]] + (1 - t) * u * shifts[nodes[3]];
+
+    return [ interpolate(model.eShifts), interpolate(model.nShifts) ];
+}
+
+/**
+ * Return the ETRS89 latlng [lng, lat] of an OSGB36 easting + northing [x, y] with the data file shifts, or null if it
+ * is outside the data file. The shifts are indexed by ETRS89 easting + northing, so the inverse is found iteratively
+ * (to 0.1mm, as OS specify).
+ * @param {object} model - The OSTN15/OSGM15 data file.
+ * @param {array} point - The OSGB36 easting + northing.
+ */
+function unshift(model, point) {
+    let etrs = point;
+    for (let i = 0; i < 20; i++) {
+        const shift = getOSTN15Shift(model, etrs);
+        if (shift === null) {
+            return null;
+        }
+
+        const next = [ point[0] - shift[0], point[1] - shift[1] ];
+        const converged = Math.abs(next[0] - etrs[0]) < 1e-4 && Math.abs(next[1] - etrs[1]) < 1e-4;
+        etrs = next;
+        if (converged) {
+            break;
+        }
+    }
+
+    return toGeographic(etrs, projections['ETRS89-TM']);
+}
+
+/**
+ * Return ETRS89 latlng [lng, lat] from an easting + northing [x, y], or null if it is outside the OSTN15 grid.
+ * @param {object} grid - The OSTN15 grid.
+ * @param {array} point - The easting + northing to be transformed.
+ * @param {integer|string} srid - [optional] The projected coordinate system [27700 | 29903 | 2157 | 25829 | 25830 |
+ * 25831 | 3857 | ETRS89-TM].
+ * @param {object} model - [optional] The OSTN15/OSGM15 data file, whose 1km shifts are used in place of the grid.
+ */
+export function unproject(grid, point, srid = 27700, model = null) {
+    if (srid === 3857) {
+        return fromWebMercator(point);
+    }
+
+    const projection = projections[srid];
+    const geographic = toGeographic(point, projection);
+
+    if (projection.towgs84) {
+        return helmert(geographic, projection);
+    }
+    if (srid !== 27700) {
+        return geographic;
+    }
+
+    if (model !== null) {
+        return unshift(model, point);
+    }
+
+    const shift = getGridShift(grid, geographic);
+    if (shift === null) {
+        return null;
+    }
+
+    return [ geographic[0] + shift[0], geographic[1] + shift[1] ];
+}
+
+/**
+ * Return easting + northing [x, y] from an ETRS89 latlng [lng, lat], or null if it is outside the OSTN15 grid.
+ * The OSTN15 shift is indexed by OSGB36 latlng, so the inverse is found iteratively.
+ * @param {object} grid - The OSTN15 grid.
+ * @param {array} point - The ETRS89 longitude + latitude to be transformed.
+ * @param {integer|string} srid - [optional] The projected coordinate system [27700 | 29903 | 2157 | 25829 | 25830 |
+ * 25831 | 3857 | ETRS89-TM].
+ * @param {object} model - [optional] The OSTN15/OSGM15 data file, whose 1km shifts are used in place of the grid.
+ */
+export function project(grid, point, srid = 27700, model = null) {
+    if (srid === 3857) {
+        return toWebMercator(point);
+    }
+
+    const projection = projections[srid];
+
+    if (projection.towgs84) {
+        return toProjected(helmert(point, projection, true), projection);
+    }
+    if (srid !== 27700) {
+        return toProjected(point, projection);
+    }
+
+    if (model !== null) {
+        const etrs = toProjected(point, projections['ETRS89-TM']);
+        const shift = getOSTN15Shift(model, etrs);
+        return shift === null ? null : [ etrs[0] + shift[0], etrs[1] + shift[1] ];
+    }
+
+    let geographic = point;
+    for (let i = 0; i < 10; i++) {
+        const shift = getGridShift(grid, geographic);
+        if (shift === null) {
+            return null;
+        }
+
+        const next = [ point[0] - shift[0], point[1] - shift[1] ];
+        const converged = Math.abs(next[0] - geographic[0]) < 1e-12 && Math.abs(next[1] - geographic[1]) < 1e-12;
+        geographic = next;
+        if (converged) {
+            break;
+        }
+    }
+
+    return toProjected(geographic, projection);
+}
@@ -1,10 +1,52 @@
 // server.js - Modern Bun server for OS Transform API
-import { OSTransform } from './transform.js';
+import { OSTransform, TransformError, loadGrid, transformationTypes } from './transform.js';
+import { transformCSV, csvOperations, csvInputs, defaultOperations } from './csv.js';
+import { importGPXKML, importGPXKMLToCSV } from './gpx-kml.js';
+import { transformWKT } from './wkt.js';
+import { getOpenAPI, routes, validateRequest } from './openapi.js';
 
 const transformer = new OSTransform();
 
+// Throw TransformErrors (rather than returning empty objects) so that their codes can be passed through
+transformer.options.strict = true;
+
 // Configure options based on environment
 const PORT = process.env.PORT || 3000;
+const MAX_BATCH_SIZE = Number(process.env.MAX_BATCH_SIZE) || 100000;
+const VERSION = '0.5.0';
+
+// Transformation type [ostn15-gsb (proj4) | ostn15-js (built-in)]
+if (process.env.TRANSFORM_TYPE) {
+    if (!transformationTypes.includes(process.env.TRANSFORM_TYPE)) {
+        console.error(`Unknown TRANSFORM_TYPE: ${process.env.TRANSFORM_TYPE} (expected ${transformationTypes.join(' or ')})`);
+        process.exit(1);
+    }
+    transformer.options.type = process.env.TRANSFORM_TYPE;
+}
+
+// OSTN15 grid (OSTN15_GRID, or the first of the .gsb file + bundled .tif file found): without it the server still
+// starts, and British National Grid transformations fail with GRID_NOT_LOADED (503)
+try {
+    const { path, geoid } = await loadGrid(process.env.OSTN15_GRID || undefined);
+    console.log(`OSTN15 grid loaded from ${path}${geoid ? ' (with the OSGM15 geoid model)' : ''}`);
+} catch (error) {
+    console.error(error.message);
+}
+
+/**
+ * Helper function to read query parameters, rejecting any which are repeated (rather than silently using the last
+ * value): no parameter takes more than one value, and arrays such as bbox are given comma-separated
+ */
+function getQueryData(url) {
+    const data = {};
+    for (const [ key, value ] of url.searchParams.entries()) {
+        if (Object.hasOwn(data, key)) {
+            throw new TransformError(`Invalid parameter: ${key} must only be given once`, 'INVALID_INPUT');
+        }
+        data[key] = value;
+    }
+    return data;
+}
 
 /**
  * Helper function to parse request body or query parameters
@@ -12,14 +54,10 @@ const PORT = process.env.PORT || 3000;
 async function getRequestData(req) {
     const url = new URL(req.url);
 
-    // Try to get data from query parameters first (for GET requests)
+    // Try to get data from query parameters first (for GET requests), leaving them as strings until they are
+    // validated against the schema of the route
     if (url.searchParams.size > 0) {
-        const data = {};
-        for (const [key, value] of url.searchParams.entries()) {
-            // Try to parse numbers
-            data[key] = isNaN(value) ? value : Number(value);
-        }
-        return data;
+        return getQueryData(url);
     }
 
     // Try to get data from request body (for POST requests)
@@ -34,6 +72,48 @@ async function getRequestData(req) {
     return {};
 }
 
+/**
+ * Helper function to parse request body or query parameters, and validate them against the OpenAPI schema of the
+ * route (converting query string values to numbers where the schema says so)
+ */
+async function getValidatedData(req, path) {
+    const result = validateRequest(path, await getRequestData(req));
+    if (!result.valid) {
+        throw new TransformError(result.message, 'INVALID_INPUT');
+    }
+    return result.data;
+}
+
+/**
+ * Helper function to read the lat/lng format options (format, hemisphere + precision) of a request
+ */
+function getFormat(data) {
+    if (data.format === undefined) {
+        return undefined;
+    }
+    return {
+        type: data.format,
+        ...(data.hemisphere !== undefined ? { hemisphere: data.hemisphere } : {}),
+        ...(data.precision !== undefined ? { precision: data.precision } : {})
+    };
+}
+
+/**
+ * Helper function to read a location of a request (a grid reference, easting + northing or lat/lng, as text or an
+ * object) as coordinates, taking grid references at the centre of their square
+ */
+function getLocation(location) {
+    if (typeof location !== 'string') {
+        return location;
+    }
+
+    const parsed = transformer.parseLocation(location);
+    if (parsed.type === 'gridref') {
+        return { ...transformer.fromGridRef(parsed.value, true).centre, srid: parsed.srid };
+    }
+    return parsed.value;
+}
+
 /**
  * Create JSON response with CORS headers
  */
@@ -53,6 +133,27 @@ function jsonResponse(data, status = 200, logInfo = null) {
     });
 }
 
+/**
+ * HTTP status for each TransformError code
+ */
+const errorStatus = {
+    INVALID_INPUT: 400,
+    INVALID_GRIDREF: 400,
+    OUT_OF_BOUNDS: 422,
+    GRID_NOT_LOADED: 503,
+    CGI_FAILURE: 502
+};
+
+/**
+ * Create JSON error response, passing through the code (and matching status) of a TransformError
+ */
+function errorResponse(error, logInfo = null) {
+    if (error instanceof TransformError) {
+        return jsonResponse({ error: error.message, code: error.code }, errorStatus[error.code] || 400, logInfo);
+    }
+    return jsonResponse({ error: error.message }, 500, logInfo);
+}
+
 /**
  * Main server handler
  */
@@ -81,125 +182,433 @@ Bun.serve({
         // API Routes
         if (path === '/api/to-latlng') {
             try {
-                const data = await getRequestData(req);
-                const { ea, no, decimals } = data;
-
-                if (ea === undefined || no === undefined) {
-                    return jsonResponse({
-                        error: 'Missing required parameters: ea (easting) and no (northing)'
-                    }, 400, logInfo);
-                }
+                const data = await getValidatedData(req, path);
+                const { ea, no, decimals, srid } = data;
+                const height = data.h ?? data.height;
 
                 const result = transformer.toLatLng(
-                    { ea: Number(ea), no: Number(no) },
-                    decimals !== undefined ? Number(decimals) : undefined
+                    {
+                        ea: Number(ea), no: Number(no),
+                        ...(srid ? { srid: Number(srid) } : {}),
+                        ...(height !== undefined ? { h: Number(height) } : {})
+                    },
+                    decimals !== undefined ? Number(decimals) : undefined,
+                    getFormat(data)
                 );
 
-                if (Object.keys(result).length === 0) {
-                    return jsonResponse({ error: 'Invalid coordinates or out of bounds' }, 400, logInfo);
-                }
-
                 return jsonResponse(result, 200, logInfo);
             } catch (error) {
-                return jsonResponse({ error: error.message }, 500, logInfo);
+                return errorResponse(error, logInfo);
             }
         }
 
         if (path === '/api/from-latlng') {
             try {
-                const data = await getRequestData(req);
-                const { lat, lng, decimals } = data;
-
-                if (lat === undefined || lng === undefined) {
-                    return jsonResponse({
-                        error: 'Missing required parameters: lat (latitude) and lng (longitude)'
-                    }, 400, logInfo);
-                }
+                const data = await getValidatedData(req, path);
+                const { lat, lng, decimals, srid, epoch, frame } = data;
+                const height = data.h ?? data.height;
 
                 const result = transformer.fromLatLng(
-                    { lat: Number(lat), lng: Number(lng) },
+                    {
+                        lat: lat, lng: lng,
+                        ...(height !== undefined ? { h: Number(height) } : {}),
+                        ...(epoch !== undefined ? { epoch: epoch } : {}),
+                        ...(frame !== undefined ? { frame: frame } : {})
+                    },
+                    decimals !== undefined ? Number(decimals) : undefined,
+                    srid ? Number(srid) : undefined
+                );
+
+                return jsonResponse(result, 200, logInfo);
+            } catch (error) {
+                return errorResponse(error, logInfo);
+            }
+        }
+
+        if (path === '/api/to-gridref') {
+            try {
+                const data = await getValidatedData(req, path);
+                const { ea, no, srid, precision } = data;
+
+                const result = transformer.toGridRef(
+                    { ea: Number(ea), no: Number(no), ...(srid ? { srid: Number(srid) } : {}) },
+                    precision
+                );
+
+                return jsonResponse(result, 200, logInfo);
+            } catch (error) {
+                return errorResponse(error, logInfo);
+            }
+        }
+
+        if (path === '/api/from-gridref') {
+            try {
+                const data = await getValidatedData(req, path);
+                const { gridref } = data;
+
+                const result = transformer.fromGridRef(gridref);
+
+                return jsonResponse(result, 200, logInfo);
+            } catch (error) {
+                return errorResponse(error, logInfo);
+            }
+        }
+
+        if (path === '/api/gridref-to-latlng') {
+            try {
+                const data = await getValidatedData(req, path);
+                const { gridref, decimals } = data;
+
+                const result = transformer.gridRefToLatLng(
+                    gridref,
+                    decimals !== undefined ? Number(decimals) : undefined,
+                    getFormat(data)
+                );
+
+                return jsonResponse(result, 200, logInfo);
+            } catch (error) {
+                return errorResponse(error, logInfo);
+            }
+        }
+
+        if (path === '/api/gridref-square') {
+            try {
+                const data = await getValidatedData(req, path);
+                const { gridref, decimals } = data;
+
+                const { precision, ...projected } = transformer.fromGridRef(gridref, true);
+                const geographic = transformer.gridRefToLatLng(
+                    gridref,
+                    decimals !== undefined ? Number(decimals) : undefined,
+                    undefined,
+                    true
+                );
+                delete geographic.precision;
+
+                return jsonResponse({ precision, projected, geographic }, 200, logInfo);
+            } catch (error) {
+                return errorResponse(error, logInfo);
+            }
+        }
+
+        if (path === '/api/transform') {
+            try {
+                const data = await getValidatedData(req, path);
+                const { from, to, ea, no, lat, lng, decimals, epoch, frame } = data;
+                const height = data.h ?? data.height;
+
+                const result = transformer.transform(
+                    {
+                        ...(ea !== undefined ? { ea: ea, no: no } : { lat: lat, lng: lng }),
+                        ...(height !== undefined ? { h: Number(height) } : {}),
+                        ...(epoch !== undefined ? { epoch: epoch } : {}),
+                        ...(frame !== undefined ? { frame: frame } : {})
+                    },
+                    from,
+                    to,
                     decimals !== undefined ? Number(decimals) : undefined
                 );
 
-                if (Object.keys(result).length === 0) {
-                    return jsonResponse({ error: 'Invalid coordinates or out of bounds' }, 400, logInfo);
+                return jsonResponse(result, 200, logInfo);
+            } catch (error) {
+                return errorResponse(error, logInfo);
+            }
+        }
+
+        if (path === '/api/parse') {
+            try {
+                const data = await getValidatedData(req, path);
+                const { input } = data;
+
+                const result = transformer.parseLocation(input);
+
+                return jsonResponse(result, 200, logInfo);
+            } catch (error) {
+                return errorResponse(error, logInfo);
+            }
+        }
+
+        if (path === '/api/grid') {
+            try {
+                const data = await getValidatedData(req, path);
+                const { bbox, interval, srid, type, densify, decimals, projected } = data;
+
+                const result = transformer.getGrid(
+                    typeof bbox === 'string' ? bbox.split(',').map(Number) : bbox,
+                    interval,
+                    { srid, type, densify, decimals, projected }
+                );
+
+                return jsonResponse(result, 200, logInfo);
+            } catch (error) {
+                return errorResponse(error, logInfo);
+            }
+        }
+
+        if (path === '/api/compare') {
+            try {
+                const data = await getValidatedData(req, path);
+                const { ea, no, lat, lng, decimals, epoch, frame } = data;
+
+                const result = transformer.compare(
+                    {
+                        ...(ea !== undefined ? { ea: ea, no: no } : { lat: lat, lng: lng }),
+                        ...(epoch !== undefined ? { epoch: epoch } : {}),
+                        ...(frame !== undefined ? { frame: frame } : {})
+                    },
+                    decimals
+                );
+
+                return jsonResponse(result, 200, logInfo);
+            } catch (error) {
+                return errorResponse(error, logInfo);
+            }
+        }
+
+        if (path === '/api/grid-properties') {
+            try {
+                const data = await getValidatedData(req, path);
+                const { ea, no, lat, lng, srid, epoch, frame } = data;
+
+                const result = transformer.getGridProperties(
+                    {
+                        ...(ea !== undefined ? { ea: ea, no: no } : { lat: lat, lng: lng }),
+                        ...(epoch !== undefined ? { epoch: epoch } : {}),
+                        ...(frame !== undefined ? { frame: frame } : {})
+                    },
+                    srid
+                );
+
+                return jsonResponse(result, 200, logInfo);
+            } catch (error) {
+                return errorResponse(error, logInfo);
+            }
+        }
+
+        if (path === '/api/distance') {
+            try {
+                const data = await getValidatedData(req, path);
+                const { from, to, srid } = data;
+
+                const result = transformer.getDistance(getLocation(from), getLocation(to), srid);
+
+                return jsonResponse(result, 200, logInfo);
+            } catch (error) {
+                return errorResponse(error, logInfo);
+            }
+        }
+
+        if (path === '/api/transform-bounds') {
+            try {
+                const data = await getValidatedData(req, path);
+                const { bbox, direction = 'from-latlng', srid, densify, decimals, clamp } = data;
+
+                const directions = { 'to-latlng': 'toLatLng', 'from-latlng': 'fromLatLng' };
+                const result = transformer.transformBounds(
+                    typeof bbox === 'string' ? bbox.split(',').map(Number) : bbox,
+                    directions[direction],
+                    { srid, densify, decimals, clamp }
+                );
+
+                return jsonResponse(result, 200, logInfo);
+            } catch (error) {
+                return errorResponse(error, logInfo);
+            }
+        }
+
+        if (path === '/api/transform-geojson') {
+            try {
+                if (req.method !== 'POST') {
+                    return jsonResponse({ error: 'Method not allowed: use POST with a JSON body' }, 405, logInfo);
                 }
 
+                const data = await getValidatedData(req, path);
+                const { geojson, direction = 'from-latlng', decimals, heights = false } = data;
+
+                const directions = { 'to-latlng': 'toLatLng', 'from-latlng': 'fromLatLng' };
+
+                const result = transformer.transformGeoJSON(
+                    geojson,
+                    directions[direction],
+                    decimals !== undefined ? Number(decimals) : undefined,
+                    heights
+                );
+
                 return jsonResponse(result, 200, logInfo);
             } catch (error) {
-                return jsonResponse({ error: error.message }, 500, logInfo);
+                return errorResponse(error, logInfo);
             }
         }
 
-        if (path === '/api/to-gridref') {
+        if (path === '/api/transform-wkt') {
+            try {
+                const data = await getValidatedData(req, path);
+                const { wkt, from, to, decimals, heights } = data;
+
+                const result = transformWKT(transformer, wkt, { from, to, decimals, heights });
+
+                return jsonResponse(result, 200, logInfo);
+            } catch (error) {
+                return errorResponse(error, logInfo);
+            }
+        }
+
+        if (path === '/api/batch') {
             try {
-                const data = await getRequestData(req);
-                const { ea, no } = data;
+                if (req.method !== 'POST') {
+                    return jsonResponse({ error: 'Method not allowed: use POST with a JSON body' }, 405, logInfo);
+                }
+
+                const data = await getValidatedData(req, path);
 
-                if (ea === undefined || no === undefined) {
+                // Accept either a list of mixed operations, or a single operation with a list of inputs
+                let operations;
+                if (Array.isArray(data)) {
+                    operations = data;
+                }
+                else if (Array.isArray(data.operations)) {
+                    operations = data.operations;
+                }
+                else if (data.op && Array.isArray(data.inputs)) {
+                    const { op, inputs, ...shared } = data;
+                    operations = inputs.map(input => ({ ...shared, ...input, op }));
+                }
+                else {
                     return jsonResponse({
-                        error: 'Missing required parameters: ea (easting) and no (northing)'
+                        error: 'Missing required parameters: operations (array), or op + inputs (array)',
+                        code: 'INVALID_INPUT'
                     }, 400, logInfo);
                 }
 
-                const result = transformer.toGridRef({ ea: Number(ea), no: Number(no) });
-
-                if (Object.keys(result).length === 0) {
-                    return jsonResponse({ error: 'Invalid coordinates or out of bounds' }, 400, logInfo);
+                if (operations.length > MAX_BATCH_SIZE) {
+                    return jsonResponse({
+                        error: `Too many operations: ${operations.length} (maximum ${MAX_BATCH_SIZE})`
+                    }, 413, logInfo);
                 }
 
-                return jsonResponse(result, 200, logInfo);
+                const results = transformer.batch(operations);
+                const errors = results.filter(result => result.error !== undefined).length;
+
+                return jsonResponse({ count: results.length, errors: errors, results: results }, 200, logInfo);
             } catch (error) {
-                return jsonResponse({ error: error.message }, 500, logInfo);
+                return errorResponse(error, logInfo);
             }
         }
 
-        if (path === '/api/from-gridref') {
+        if (path === '/api/csv') {
             try {
-                const data = await getRequestData(req);
-                const { gridref } = data;
+                if (req.method !== 'POST' || !req.body) {
+                    return jsonResponse({ error: 'Method not allowed: use POST with a CSV body' }, 405, logInfo);
+                }
 
-                if (!gridref) {
+                // The body is the CSV file, so the column mapping and conversions are given as query parameters
+                const validation = validateRequest(path, getQueryData(url));
+                if (!validation.valid) {
+                    return jsonResponse({ error: validation.message, code: 'INVALID_INPUT' }, 400, logInfo);
+                }
+
+                const params = validation.data;
+                const mapping = {};
+                for (const key of csvInputs) {
+                    if (params[key]) {
+                        mapping[key] = params[key];
+                    }
+                }
+
+                const ops = params.ops ? params.ops.split(',').map(op => op.trim()) : defaultOperations(mapping);
+                if (ops.length === 0) {
                     return jsonResponse({
-                        error: 'Missing required parameter: gridref (grid reference)'
+                        error: 'Missing required parameters: input columns (ea + no, lat + lng or gridref)',
+                        code: 'INVALID_INPUT'
                     }, 400, logInfo);
                 }
 
-                const result = transformer.fromGridRef(gridref);
+                const unknown = ops.filter(op => !csvOperations[op]);
+                if (unknown.length > 0) {
+                    return jsonResponse({ error: `Unknown operation: ${unknown.join(', ')}`, code: 'INVALID_INPUT' }, 400, logInfo);
+                }
 
-                if (Object.keys(result).length === 0) {
-                    return jsonResponse({ error: 'Invalid grid reference' }, 400, logInfo);
+                const missing = [ ...new Set(ops.flatMap(op => csvOperations[op].required)) ].filter(key => !mapping[key]);
+                if (missing.length > 0) {
+                    return jsonResponse({
+                        error: `Missing required parameters: ${missing.join(', ')} (input columns)`,
+                        code: 'INVALID_INPUT'
+                    }, 400, logInfo);
                 }
 
-                return jsonResponse(result, 200, logInfo);
+                const shared = {};
+                for (const key of [ 'decimals', 'precision', 'srid', 'epoch', 'frame' ]) {
+                    if (params[key] !== undefined) {
+                        shared[key] = params[key];
+                    }
+                }
+
+                const stream = await transformCSV(transformer, req.body, { mapping, ops, ...shared });
+
+                const duration = Date.now() - logInfo.startTime;
+                console.log(`[${new Date().toISOString()}] ${logInfo.method} ${logInfo.path} - 200 (${duration}ms)`);
+                return new Response(stream, {
+                    headers: {
+                        'Content-Type': 'text/csv; charset=utf-8',
+                        'Content-Disposition': 'attachment; filename="transformed.csv"',
+                        'Access-Control-Allow-Origin': '*',
+                        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+                        'Access-Control-Allow-Headers': 'Content-Type'
+                    }
+                });
             } catch (error) {
-                return jsonResponse({ error: error.message }, 500);
+                return errorResponse(error, logInfo);
             }
         }
 
-        if (path === '/api/gridref-to-latlng') {
+        if (path === '/api/gpx-kml') {
             try {
-                const data = await getRequestData(req);
-                const { gridref, decimals } = data;
+                if (req.method !== 'POST' || !req.body) {
+                    return jsonResponse({ error: 'Method not allowed: use POST with a GPX or KML body' }, 405, logInfo);
+                }
 
-                if (!gridref) {
-                    return jsonResponse({
-                        error: 'Missing required parameter: gridref (grid reference)'
-                    }, 400, logInfo);
+                // The body is the GPX or KML file, so the output format and options are given as query parameters
+                const validation = validateRequest(path, getQueryData(url));
+                if (!validation.valid) {
+                    return jsonResponse({ error: validation.message, code: 'INVALID_INPUT' }, 400, logInfo);
                 }
 
-                const result = transformer.gridRefToLatLng(
-                    gridref,
-                    decimals !== undefined ? Number(decimals) : undefined
-                );
+                const params = validation.data;
+                const options = { decimals: params.decimals, precision: params.precision, heights: params.heights };
+
+                // Accept a file uploaded from an HTML form, as well as the file itself as the body
+                let text;
+                if ((req.headers.get('content-type') || '').startsWith('multipart/form-data')) {
+                    const file = [ ...(await req.formData()).values() ].find(value => typeof value !== 'string');
+                    if (!file) {
+                        return jsonResponse({ error: 'Missing file: upload a GPX or KML file', code: 'INVALID_INPUT' }, 400, logInfo);
+                    }
+                    text = await file.text();
+                }
+                else {
+                    text = await req.text();
+                }
 
-                if (Object.keys(result).length === 0) {
-                    return jsonResponse({ error: 'Invalid grid reference or out of bounds' }, 400, logInfo);
+                if (params.output !== 'csv') {
+                    const { geojson, outOfBounds } = importGPXKML(transformer, text, options);
+                    return jsonResponse({ geojson: geojson, outOfBounds: outOfBounds }, 200, logInfo);
                 }
 
-                return jsonResponse(result, 200, logInfo);
+                const csv = importGPXKMLToCSV(transformer, text, options);
+
+                const duration = Date.now() - logInfo.startTime;
+                console.log(`[${new Date().toISOString()}] ${logInfo.method} ${logInfo.path} - 200 (${duration}ms)`);
+                return new Response(csv, {
+                    headers: {
+                        'Content-Type': 'text/csv; charset=utf-8',
+                        'Content-Disposition': 'attachment; filename="transformed.csv"',
+                        'Access-Control-Allow-Origin': '*',
+                        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+                        'Access-Control-Allow-Headers': 'Content-Type'
+                    }
+                });
             } catch (error) {
-                return jsonResponse({ error: error.message }, 500);
+                return errorResponse(error, logInfo);
             }
         }
 
@@ -215,19 +624,24 @@ Bun.serve({
             });
         }
 
+        // OpenAPI description of the API
+        if (path === '/openapi.json') {
+            return jsonResponse(getOpenAPI(VERSION), 200, logInfo);
+        }
+
         // Health check endpoint (JSON)
         if (path === '/health') {
             return jsonResponse({
                 status: 'ok',
                 service: 'OS Transform API',
-                version: '0.5.0',
-                endpoints: {
-                    'POST/GET /api/to-latlng': 'Convert easting + northing to lat/lng (params: ea, no, decimals?)',
-                    'POST/GET /api/from-latlng': 'Convert lat/lng to easting + northing (params: lat, lng, decimals?)',
-                    'POST/GET /api/to-gridref': 'Convert easting + northing to grid reference (params: ea, no)',
-                    'POST/GET /api/from-gridref': 'Convert grid reference to easting + northing (params: gridref)',
-                    'POST/GET /api/gridref-to-latlng': 'Convert grid reference directly to lat/lng (params: gridref, decimals?)'
-                }
+                version: VERSION,
+                endpoints: Object.fromEntries(Object.entries(routes).map(([route, { methods, summary, parameters, required }]) => {
+                    const params = Object.keys(parameters || {}).map(name => required.includes(name) ? name : `${name}?`);
+                    return [
+                        `${methods.map(method => method.toUpperCase()).join('/')} ${route}`,
+                        params.length > 0 ? `${summary} (params: ${params.join(', ')})` : summary
+                    ];
+                }))
             }, 200, logInfo);
         }
 
@@ -244,3 +658,4 @@ Bun.serve({
 console.log(`🚀 OS Transform API running on port ${PORT}`);
 console.log(`🎮 Interactive playground: http://localhost:${PORT}/`);
 console.log(`📍 Health check: http://localhost:${PORT}/health`);
+console.log(`📘 OpenAPI: http://localhost:${PORT}/openapi.json`);
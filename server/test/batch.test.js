@@ -0,0 +1,93 @@
+// batch.test.js
+// Batch operations, with an error in place of each result which fails
+import { expect, test } from 'bun:test';
+import { OSTransform, loadGrid } from '../transform.js';
+
+const transformer = new OSTransform();
+transformer.options.strict = true;
+
+// Heights can only be converted with the (optional) OSGM15 data file
+const { geoid } = await loadGrid();
+
+test('batch() returns the results in order', () => {
+    const results = transformer.batch([
+        { op: 'to-latlng', ea: 337297, no: 503695 },
+        { op: 'to-gridref', ea: '337297', no: '503695', precision: '6' },
+        { op: 'from-gridref', gridref: 'NY 37297 03695' },
+        { op: 'gridref-to-latlng', gridref: 'NY 37297 03695', decimals: '3' },
+        { op: 'from-latlng', lat: '54.42481', lng: -2.9679374, decimals: 0 },
+        { op: 'to-gridref', ea: 337297, no: 503695, precision: 'tetrad' }
+    ]);
+
+    expect(results[0].result).toMatchObject({ lat: 54.42481, lng: -2.9679374 });
+    expect(results[1].result.text).toBe('NY 372 036');
+    expect(results[2].result).toEqual({ ea: 337297, no: 503695 });
+    expect(results[3].result).toMatchObject({ lat: 54.425, lng: -2.968 });
+    expect(results[4].result).toMatchObject({ ea: 337297, no: 503695 });
+    expect(results[5].result.text).toBe('NY30R');
+});
+
+test('batch() reports each failed operation in its place', () => {
+    const results = transformer.batch([
+        { op: 'to-latlng', ea: 337297, no: 503695 },
+        { op: 'to-latlng', ea: 337297 },
+        { op: 'to-latlng', ea: 'east', no: 503695 },
+        { op: 'to-latlng', ea: -1000, no: 503695 },
+        { op: 'from-gridref', gridref: 'XX 123' },
+        { op: 'unknown' },
+        null,
+        { op: 'from-gridref', gridref: 'NY 37297 03695' }
+    ]);
+
+    expect(results).toHaveLength(8);
+    expect(results[0].result).toBeDefined();
+    expect(results[1]).toEqual({ error: 'Missing required parameters: no', code: 'INVALID_INPUT' });
+    expect(results[2]).toEqual({ error: 'Invalid numeric parameters: ea', code: 'INVALID_INPUT' });
+    expect(results[3]).toEqual({ error: 'Coordinates out of range.', code: 'OUT_OF_BOUNDS' });
+    expect(results[4]).toEqual({ error: 'Invalid grid reference.', code: 'INVALID_GRIDREF' });
+    expect(results[5]).toEqual({ error: 'Unknown operation: unknown', code: 'INVALID_INPUT' });
+    expect(results[6]).toEqual({ error: 'Unknown operation: undefined', code: 'INVALID_INPUT' });
+    expect(results[7].result).toEqual({ ea: 337297, no: 503695 });
+});
+
+test('batch() rejects invalid optional parameters', () => {
+    const results = transformer.batch([
+        { op: 'to-latlng', ea: 337297, no: 503695, decimals: 'x' },
+        { op: 'gridref-to-latlng', gridref: 'NY 37297 03695', decimals: -1 },
+        { op: 'to-gridref', ea: 337297, no: 503695, precision: 'monad' },
+        { op: 'to-gridref', ea: 337297, no: 503695, precision: 5 },
+        { op: 'to-latlng', ea: 337297, no: 503695, h: 'high' },
+        { op: 'from-latlng', lat: 54.42481, lng: -2.9679374, epoch: '', decimals: '' }
+    ]);
+
+    expect(results[0]).toEqual({ error: 'Invalid parameters: decimals', code: 'INVALID_INPUT' });
+    expect(results[1]).toEqual({ error: 'Invalid parameters: decimals', code: 'INVALID_INPUT' });
+    expect(results[2]).toEqual({ error: 'Invalid parameters: precision', code: 'INVALID_INPUT' });
+    expect(results[3]).toEqual({ error: 'Invalid grid reference precision.', code: 'INVALID_INPUT' });
+    expect(results[4]).toEqual({ error: 'Invalid parameters: h', code: 'INVALID_INPUT' });
+    expect(results[5]).toEqual({ error: 'Invalid parameters: decimals, epoch', code: 'INVALID_INPUT' });
+});
+
+test('batch() reports the code of each failure outside strict mode too', () => {
+    const lenient = new OSTransform();
+    const results = lenient.batch([
+        { op: 'to-latlng', ea: -1000, no: 503695 },
+        { op: 'from-gridref', gridref: 'XX 123' },
+        { op: 'from-gridref', gridref: 'NY 37297 03695' }
+    ]);
+
+    expect(results[0]).toEqual({ error: 'Coordinates out of range.', code: 'OUT_OF_BOUNDS' });
+    expect(results[1]).toEqual({ error: 'Invalid grid reference.', code: 'INVALID_GRIDREF' });
+    expect(results[2].result).toEqual({ ea: 337297, no: 503695 });
+    expect(lenient.options.strict).toBe(false);
+});
+
+test.skipIf(geoid)('batch() reports heights which cannot be converted without failing the rest', () => {
+    const results = transformer.batch([
+        { op: 'to-latlng', ea: 337297, no: 503695, h: 100 },
+        { op: 'to-latlng', ea: 337297, no: 503695 }
+    ]);
+
+    expect(results[0].code).toBe('GRID_NOT_LOADED');
+    expect(results[1].result).toMatchObject({ lat: 54.42481, lng: -2.9679374 });
+});
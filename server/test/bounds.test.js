@@ -0,0 +1,91 @@
+// bounds.test.js
+// transformBounds(): the bbox enclosing a bbox transformed between latlng and a national grid
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test';
+import { OSTransform, loadGrid } from '../transform.js';
+import { loadBrowserScripts, rootURL, startServer } from './helpers.js';
+
+const transformer = new OSTransform();
+transformer.options.strict = true;
+
+await loadGrid();
+
+// The south edge of this latlng bbox sags below its corners on the National Grid
+const bbox = [ -6, 50, 1, 52 ];
+
+describe('transformBounds()', () => {
+    test('samples along each edge, not only the corners', () => {
+        expect(transformer.transformBounds(bbox)).toEqual({ bbox: [ 113464.19, 11113.31, 615084.27, 241063.39 ], srid: 27700, withinBounds: true });
+        expect(transformer.transformBounds(bbox, 'fromLatLng', { densify: 1 }).bbox[1]).toBe(15405.28);
+    });
+
+    test('encloses every point of the bbox, to within the sagitta of the segments between samples', () => {
+        const { bbox: extent } = transformer.transformBounds(bbox, 'fromLatLng', { densify: 100 });
+        for (let lng = bbox[0]; lng <= bbox[2]; lng += 0.5) {
+            for (let lat = bbox[1]; lat <= bbox[3]; lat += 0.5) {
+                const { ea, no } = transformer.fromLatLng({ lat: lat, lng: lng }, 2);
+                expect(ea).toBeWithin(extent[0] - 1, extent[2] + 1);
+                expect(no).toBeWithin(extent[1] - 1, extent[3] + 1);
+            }
+        }
+    });
+
+    test('transforms a grid bbox to latlng', () => {
+        expect(transformer.transformBounds([ 330000, 500000, 340000, 510000 ], 'toLatLng'))
+            .toEqual({ bbox: [ -3.0818765, 54.390655, -2.9255344, 54.4817921 ], srid: 4326, withinBounds: true });
+    });
+
+    test('transforms to the Irish grids', () => {
+        expect(transformer.transformBounds([ -7, 53, -6, 54 ], 'fromLatLng', { srid: 2157 }))
+            .toEqual({ bbox: [ 665562.94, 694832.36, 734242.79, 807491.89 ], srid: 2157, withinBounds: true });
+    });
+
+    test('clamps a bbox beyond maxBounds, and reports it', () => {
+        expect(transformer.transformBounds([ -10, 49, -2, 55 ]))
+            .toEqual({ bbox: [ 0, 0, 400098.63, 588068.14 ], srid: 27700, withinBounds: false });
+    });
+
+    test('rejects a bbox beyond maxBounds when not clamping, or entirely outside them', () => {
+        expect(() => transformer.transformBounds([ -10, 49, -2, 55 ], 'fromLatLng', { clamp: false })).toThrow('Coordinates out of range.');
+        expect(() => transformer.transformBounds([ 10, 49, 12, 55 ])).toThrow('Coordinates out of range.');
+    });
+
+    test('rejects invalid input', () => {
+        expect(() => transformer.transformBounds([ 1, 2, 3 ])).toThrow('Invalid bbox: [minX, minY, maxX, maxY] is required.');
+        expect(() => transformer.transformBounds([ 2, 50, 1, 51 ])).toThrow('Invalid bbox: [minX, minY, maxX, maxY] is required.');
+        expect(() => transformer.transformBounds(bbox, 'sideways')).toThrow('Invalid bounds options.');
+        expect(() => transformer.transformBounds(bbox, 'fromLatLng', { densify: 0 })).toThrow('Invalid bounds options.');
+    });
+
+    test('gives the same results in the browser library', async () => {
+        const os = loadBrowserScripts('os-transform.js');
+        os.Transform.options.strict = true;
+        await os.Transform.init({ type: 'ostn15-js', gsbPath: new URL('resources/uk_os_OSTN15_NTv2_OSGBtoETRS.tif', rootURL).href });
+
+        expect(await os.Transform.transformBounds(bbox)).toEqual(transformer.transformBounds(bbox));
+        expect(await os.Transform.transformBounds([ 330000, 500000, 340000, 510000 ], 'toLatLng'))
+            .toEqual(transformer.transformBounds([ 330000, 500000, 340000, 510000 ], 'toLatLng'));
+    });
+});
+
+describe('/api/transform-bounds', () => {
+    let server;
+
+    beforeAll(async () => {
+        server = await startServer();
+    });
+
+    afterAll(() => {
+        server.stop();
+    });
+
+    test('transforms a bbox given as text', async () => {
+        const response = await fetch(`${server.url}/api/transform-bounds?bbox=330000,500000,340000,510000&direction=to-latlng`);
+        expect(response.status).toBe(200);
+        expect((await response.json()).bbox).toEqual([ -3.0818765, 54.390655, -2.9255344, 54.4817921 ]);
+    });
+
+    test('responds to a bbox out of range with 422', async () => {
+        const response = await fetch(`${server.url}/api/transform-bounds?bbox=10,49,12,55`);
+        expect(response.status).toBe(422);
+    });
+});
@@ -0,0 +1,141 @@
+// cli.test.js
+// The command-line tool: lines, CSV and GeoJSON from stdin or a file, its options and its exit codes
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+/**
+ * Run cli.js with the given arguments, input and environment variables, returning { exitCode, stdout, stderr }.
+ */
+async function run(args, input = '', env = {}) {
+    const cli = Bun.spawn([ process.execPath, 'cli.js', ...args ], {
+        cwd: new URL('../', import.meta.url).pathname,
+        env: { ...process.env, ...env },
+        stdin: new Blob([ input ]),
+        stdout: 'pipe',
+        stderr: 'pipe'
+    });
+    const [ stdout, stderr, exitCode ] = await Promise.all([ new Response(cli.stdout).text(), new Response(cli.stderr).text(), cli.exited ]);
+    return { exitCode, stdout, stderr };
+}
+
+describe('lines', () => {
+    test('converts each line by the type of location on it, keeping the lines in step', async () => {
+        const { exitCode, stdout, stderr } = await run([], 'NY 37297 03695\n337297,503695\n\n54.42481, -2.9679374\nhello\n');
+        expect(exitCode).toBe(0);
+        expect(stdout).toBe('54.42481,-2.9679374\n54.42481,-2.9679374\n\n337297,503695\n\n');
+        expect(stderr).toBe('Line 5: Unrecognised location: expected a grid reference, easting + northing or latlng.\n');
+    });
+
+    test('converts in the given direction, with the given precision', async () => {
+        const { stdout } = await run([ '-d', 'to-gridref', '-p', '6' ], '337297,503695\n');
+        expect(stdout).toBe('NY 372 036\n');
+    });
+
+    test('accepts the ecological grid reference formats as precisions', async () => {
+        const { stdout } = await run([ '-d', 'to-gridref', '-p', 'tetrad' ], '337297,503695\n');
+        expect(stdout).toBe('NY30R\n');
+
+        const { exitCode, stderr } = await run([ '-p', 'monad' ], '');
+        expect(exitCode).toBe(2);
+        expect(stderr).toStartWith('os-transform: Invalid --precision: monad (expected an integer, hectad, quadrant or tetrad)');
+    });
+
+    test('stops at the first line which cannot be converted with --on-error fail', async () => {
+        const { exitCode, stdout, stderr } = await run([ '--on-error', 'fail' ], '337297,503695\nhello\n337297,503695\n');
+        expect(exitCode).toBe(1);
+        expect(stdout).toBe('54.42481,-2.9679374\n');
+        expect(stderr).toContain('Line 2: Unrecognised location');
+    });
+});
+
+describe('CSV', () => {
+    let directory;
+
+    beforeAll(() => {
+        directory = mkdtempSync(join(tmpdir(), 'os-transform-'));
+        writeFileSync(join(directory, 'points.csv'), 'id,ea,no\n1,337297,503695\n2,x,1\n');
+    });
+
+    afterAll(() => {
+        rmSync(directory, { recursive: true });
+    });
+
+    test('converts a file, by the columns of its header row, reporting rows in an error column', async () => {
+        const { exitCode, stdout } = await run([ join(directory, 'points.csv') ]);
+        expect(exitCode).toBe(0);
+        expect(stdout).toBe('id,ea,no,lat,lng,error\n1,337297,503695,54.42481,-2.9679374,\n2,x,1,,,Invalid numeric parameters: ea\n');
+    });
+
+    test('fails on the first row which cannot be converted with --on-error fail', async () => {
+        const { exitCode, stderr } = await run([ '-f', 'csv', '--on-error', 'fail' ], 'id,ea,no\n1,337297,503695\n2,x,1\n');
+        expect(exitCode).toBe(1);
+        expect(stderr).toBe('os-transform: Row 2: Invalid numeric parameters: ea (INVALID_INPUT)\n');
+    });
+});
+
+describe('GeoJSON', () => {
+    test('converts GeoJSON from stdin', async () => {
+        const feature = { type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: [ 337297, 503695 ] } };
+        const { exitCode, stdout } = await run([ '-f', 'geojson', '-d', 'to-latlng', '--decimals', '5' ], JSON.stringify(feature));
+        expect(exitCode).toBe(0);
+        expect(JSON.parse(stdout).geometry.coordinates).toEqual([ -2.96794, 54.42481 ]);
+    });
+
+    test('rejects input which is not JSON', async () => {
+        const { exitCode, stderr } = await run([ '-f', 'geojson' ], 'hello');
+        expect(exitCode).toBe(1);
+        expect(stderr).toBe('os-transform: Invalid GeoJSON: the input is not JSON. (INVALID_INPUT)\n');
+    });
+
+    test('rejects malformed GeoJSON', async () => {
+        const { exitCode, stdout, stderr } = await run([ '-f', 'geojson' ], JSON.stringify({ type: 'FeatureCollection' }));
+        expect(exitCode).toBe(1);
+        expect(stdout).toBe('');
+        expect(stderr).toBe('os-transform: Invalid GeoJSON: features, geometries or coordinates are missing or malformed. (INVALID_INPUT)\n');
+    });
+});
+
+describe('options', () => {
+    test('--help', async () => {
+        const { exitCode, stdout } = await run([ '--help' ]);
+        expect(exitCode).toBe(0);
+        expect(stdout).toStartWith('Usage: os-transform [options] [file]');
+    });
+
+    test.each([
+        [ [ '-f', 'xml' ], 'Unknown format: xml (expected csv, geojson or lines)' ],
+        [ [ '-d', 'sideways' ], 'Unknown direction: sideways' ],
+        [ [ '--on-error', 'ignore' ], 'Unknown --on-error mode: ignore (expected skip or fail)' ],
+        [ [ '--decimals', 'x' ], 'Invalid --decimals: x (expected an integer)' ],
+        [ [ '-f', 'geojson', '-d', 'to-gridref' ], 'GeoJSON can only be converted to-latlng or from-latlng.' ]
+    ])('rejects %p with exit code 2', async (args, message) => {
+        const { exitCode, stderr } = await run(args);
+        expect(exitCode).toBe(2);
+        expect(stderr).toStartWith(`os-transform: ${message}\n`);
+    });
+
+    test('fails when the file does not exist', async () => {
+        const { exitCode, stderr } = await run([ '/nonexistent/points.csv' ]);
+        expect(exitCode).toBe(1);
+        expect(stderr).toBe('os-transform: File not found: /nonexistent/points.csv (INVALID_INPUT)\n');
+    });
+
+    test('fails when the grid cannot be loaded', async () => {
+        const { exitCode, stderr } = await run([], '337297,503695\n', { OSTN15_GRID: '/nonexistent/grid.gsb' });
+        expect(exitCode).toBe(1);
+        expect(stderr).toStartWith('os-transform: ');
+    });
+
+    test('rejects an unknown TRANSFORM_TYPE', async () => {
+        const { exitCode, stderr } = await run([], '', { TRANSFORM_TYPE: 'ostn15-xyz' });
+        expect(exitCode).toBe(2);
+        expect(stderr).toBe('os-transform: Unknown TRANSFORM_TYPE: ostn15-xyz (expected ostn15-gsb or ostn15-js)\n');
+    });
+
+    test('converts with TRANSFORM_TYPE=ostn15-js', async () => {
+        const { stdout } = await run([], '337297,503695\n', { TRANSFORM_TYPE: 'ostn15-js' });
+        expect(stdout).toBe('54.42481,-2.9679374\n');
+    });
+});
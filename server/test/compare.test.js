@@ -0,0 +1,114 @@
+// compare.test.js
+// The transformation method, accuracy and grid shift of results, and compare() of OSTN15 with the Helmert transformation
+import { afterAll, afterEach, beforeAll, describe, expect, test } from 'bun:test';
+import proj4 from 'proj4';
+import { OSTransform, loadGrid } from '../transform.js';
+import { loadBrowserScripts, rootURL, startServer } from './helpers.js';
+
+const transformer = new OSTransform();
+transformer.options.strict = true;
+
+await loadGrid();
+
+// The browser library with its own copy of Proj4js, loaded as a page would load it
+const proj4Script = 'server/node_modules/proj4/dist/proj4.js';
+
+afterEach(() => {
+    delete globalThis.proj4;
+});
+
+const latlng = { lat: 54.42481, lng: -2.9679374 };
+const coordinates = { ea: 337297, no: 503695 };
+
+describe('transformation metadata', () => {
+    test('OSTN15, with the grid shift applied', () => {
+        expect(transformer.toLatLng(coordinates).transformation)
+            .toEqual({ method: 'OSTN15', type: 'ostn15-gsb', accuracy: 0.1, shift: { ea: 96.238, no: -69.354 } });
+
+        const js = new OSTransform();
+        js.options.type = 'ostn15-js';
+        expect(js.fromLatLng(latlng, 0).transformation).toMatchObject({ method: 'OSTN15', type: 'ostn15-js', accuracy: 0.1 });
+    });
+
+    test('the Irish grids', () => {
+        const dublin = { lat: 53.35, lng: -6.26 };
+        expect(transformer.fromLatLng(dublin, 2, 29903).transformation).toEqual({ method: 'Helmert', type: 'ostn15-gsb', accuracy: 1 });
+        expect(transformer.fromLatLng(dublin, 2, 2157).transformation).toEqual({ method: 'none', type: 'ostn15-gsb', accuracy: 0 });
+    });
+
+    test('both grids of a transformation between them', () => {
+        expect(transformer.transform({ ea: 316000, no: 234000 }, 29903, 27700).transformation)
+            .toEqual({ method: 'Helmert + OSTN15', type: 'ostn15-gsb', accuracy: 1.1, shift: { ea: 89.571, no: -72.092 } });
+    });
+
+    test('the Helmert transformation of the simple-towgs84 type in the browser library', async () => {
+        const os = loadBrowserScripts(proj4Script, 'os-transform.js');
+        await os.Transform.init({ type: 'simple-towgs84' });
+
+        const result = os.Transform.toLatLng(coordinates);
+        expect(result.transformation).toMatchObject({ method: 'Helmert', type: 'simple-towgs84', accuracy: 3.5 });
+        expect(result.shifted).toBe(false);
+    });
+});
+
+describe('compare()', () => {
+    test('transforms a latlng with both, and returns the difference in metres', () => {
+        expect(transformer.compare(latlng)).toEqual({
+            ostn15: { ea: 337297, no: 503695, accuracy: 0.1 },
+            helmert: { ea: 337296.8, no: 503695.86, accuracy: 3.5 },
+            difference: { ea: -0.2, no: 0.857, distance: 0.88 },
+            coverage: 'unknown'
+        });
+    });
+
+    test('transforms with the Helmert parameters of EPSG:27700 in Proj4js', () => {
+        const grid = '+proj=tmerc +lat_0=49 +lon_0=-2 +k=0.9996012717 +x_0=400000 +y_0=-100000 +ellps=airy '
+            + '+towgs84=446.448,-125.157,542.06,0.15,0.247,0.842,-20.489 +units=m +no_defs';
+        const [ ea, no ] = proj4('WGS84', grid, [ latlng.lng, latlng.lat ]);
+        const { helmert } = transformer.compare(latlng, 4);
+        expect(helmert.ea).toBeCloseTo(ea, 2);
+        expect(helmert.no).toBeCloseTo(no, 2);
+    });
+
+    test('transforms an easting + northing with both', () => {
+        expect(transformer.compare(coordinates)).toEqual({
+            ostn15: { lat: 54.42481, lng: -2.9679374, accuracy: 0.1 },
+            helmert: { lat: 54.4248023, lng: -2.9679342, accuracy: 3.5 },
+            difference: { ea: 0.2, no: -0.857, distance: 0.881 },
+            coverage: 'unknown'
+        });
+    });
+
+    test('rejects invalid points', () => {
+        expect(() => transformer.compare('x')).toThrow('Invalid latlng.');
+        expect(() => transformer.compare({ ea: -1, no: 5 })).toThrow('Coordinates out of range.');
+    });
+
+    test('gives the same results in the browser library, and needs an OSTN15 type there', async () => {
+        const os = loadBrowserScripts(proj4Script, 'os-transform.js');
+        os.Transform.options.strict = true;
+        await os.Transform.init({ type: 'simple-towgs84' });
+        expect(() => os.Transform.compare(coordinates)).toThrow('Comparison requires an OSTN15 transformation type.');
+
+        await os.Transform.init({ type: 'ostn15-js', gsbPath: new URL('resources/uk_os_OSTN15_NTv2_OSGBtoETRS.tif', rootURL).href });
+        expect(await os.Transform.compare(coordinates)).toEqual(transformer.compare(coordinates));
+    });
+});
+
+describe('/api/compare', () => {
+    let server;
+
+    beforeAll(async () => {
+        server = await startServer();
+    });
+
+    afterAll(() => {
+        server.stop();
+    });
+
+    test('compares the transformations of a latlng', async () => {
+        const response = await fetch(`${server.url}/api/compare?lat=${latlng.lat}&lng=${latlng.lng}`);
+        expect(response.status).toBe(200);
+        expect((await response.json()).difference).toEqual({ ea: -0.2, no: 0.857, distance: 0.88 });
+    });
+});
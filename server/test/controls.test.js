@@ -0,0 +1,229 @@
+// controls.test.js
+// os.TransformControl: the cursor position readout, click-to-copy and grid reference search, and its map adapters
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test';
+import { installTestDocument, loadBrowserScripts, rootURL } from './helpers.js';
+
+const latlng = { lat: 54.42481, lng: -2.9679374 };
+
+let os, clipboard;
+
+beforeAll(async () => {
+    ({ clipboard } = installTestDocument());
+    os = loadBrowserScripts('os-transform.js', 'os-transform-controls.js');
+    os.Transform.options.strict = true;
+    await os.Transform.init({ type: 'ostn15-js', gsbPath: new URL('resources/uk_os_OSTN15_NTv2_OSGBtoETRS.tif', rootURL).href });
+});
+
+afterAll(() => {
+    delete globalThis.document;
+});
+
+/**
+ * Return the text of each value shown by a control.
+ */
+function getValues(control) {
+    return control.element.findAll(element => element.classList.contains('os-transform-control-value')).map(element => element.textContent);
+}
+
+/**
+ * Stand-in for a map of the Leaflet or MapLibre API, recording its event handlers and the bounds it was fitted to.
+ */
+function createMap() {
+    const handlers = {};
+    return {
+        handlers: handlers,
+        fitted: null,
+        on: (type, handler) => { handlers[type] = handler; },
+        off: (type) => { delete handlers[type]; },
+        fitBounds(bounds, options) { this.fitted = { bounds, options }; }
+    };
+}
+
+describe('create()', () => {
+    test('shows the latlng, easting + northing and grid reference of a position', () => {
+        const control = os.TransformControl.create();
+        expect(getValues(control)).toEqual([ '–', '–', '–' ]);
+
+        control.update(latlng);
+        expect(getValues(control)).toEqual([ '54.42481, -2.96794', '337297, 503695', 'NY 37297 03695' ]);
+
+        control.update(null);
+        expect(getValues(control)).toEqual([ '–', '–', '–' ]);
+    });
+
+    test('shows the chosen fields, labels, decimals and precision', () => {
+        const control = os.TransformControl.create({ fields: [ 'gridref', 'en' ], labels: { en: 'BNG' }, decimals: { en: 1 }, precision: 6 });
+        control.update(latlng);
+
+        const labels = control.element.findAll(element => element.className === 'os-transform-control-label').map(element => element.textContent);
+        expect(labels).toEqual([ 'Grid ref', 'BNG' ]);
+        expect(getValues(control)).toEqual([ 'NY 372 036', '337297.0, 503695.0' ]);
+    });
+
+    test('shows positions outside GB as empty', () => {
+        const control = os.TransformControl.create();
+        control.update(latlng);
+        control.update({ lat: 40, lng: 10 });
+        expect(getValues(control)).toEqual([ '–', '–', '–' ]);
+    });
+
+    test('throttles the requests made for the cursor position with ostn15-cgi, showing the latest position', async () => {
+        const { type } = os.Transform.options;
+        const fromLatLng = os.Transform.fromLatLng;
+        const requests = [];
+        os.Transform.options.type = 'ostn15-cgi';
+        // Each request is answered by the ostn15-js transformation
+        os.Transform.fromLatLng = function(coordinates, decimals) {
+            requests.push(coordinates);
+            this.options.type = type;
+            const point = fromLatLng.call(this, coordinates, decimals);
+            this.options.type = 'ostn15-cgi';
+            return Promise.resolve(point);
+        };
+
+        try {
+            const control = os.TransformControl.create({ throttle: 50 });
+            for (let i = 0; i < 10; i++) {
+                control.update({ lat: latlng.lat + i * 0.001, lng: latlng.lng });
+            }
+            expect(requests).toHaveLength(1);
+
+            await Bun.sleep(100);
+            expect(requests).toEqual([ { lat: latlng.lat, lng: latlng.lng }, { lat: latlng.lat + 0.009, lng: latlng.lng } ]);
+            expect(getValues(control)[0]).toBe('54.43381, -2.96794');
+
+            control.update(null);
+            expect(getValues(control)).toEqual([ '–', '–', '–' ]);
+            expect(requests).toHaveLength(2);
+        } finally {
+            os.Transform.options.type = type;
+            os.Transform.fromLatLng = fromLatLng;
+        }
+    });
+
+    test('copies a value when it is clicked', async () => {
+        const control = os.TransformControl.create({ fields: [ 'gridref' ] });
+        const [ value ] = control.element.findAll(element => element.classList.contains('os-transform-control-value'));
+
+        value.dispatchEvent({ type: 'click' });
+        control.update(latlng);
+        value.dispatchEvent({ type: 'click' });
+        await Bun.sleep(0);
+
+        expect(clipboard.text).toEqual([ 'NY 37297 03695' ]);
+        expect(value.classList.contains('copied')).toBe(true);
+    });
+
+    test('goes to a grid reference, resolving to its centre + bbox in latlng', async () => {
+        const searches = [];
+        const control = os.TransformControl.create({ onSearch: result => searches.push(result) });
+
+        const result = await control.search('ny 37 03');
+        expect(result).toEqual({
+            gridref: 'NY 37 03',
+            precision: 1000,
+            centre: { lat: 54.4230828, lng: -2.9647679 },
+            bbox: [ -2.9725793, 54.4185281, -2.9569583, 54.4276371 ]
+        });
+        expect(searches).toEqual([ result ]);
+    });
+
+    test('marks the search box as invalid for grid references which cannot be found', async () => {
+        const control = os.TransformControl.create();
+        const [ input ] = control.element.findAll(element => element.tagName === 'INPUT');
+
+        expect(await control.search('XX 12')).toBeNull();
+        expect(input.getAttribute('aria-invalid')).toBe('true');
+
+        input.dispatchEvent({ type: 'input' });
+        expect(input.getAttribute('aria-invalid')).toBeNull();
+    });
+
+    test('searches for the grid reference typed in the search box when it is submitted', async () => {
+        const searches = [];
+        const control = os.TransformControl.create({ onSearch: result => searches.push(result.gridref) });
+        const [ form ] = control.element.findAll(element => element.tagName === 'FORM');
+        const [ input ] = control.element.findAll(element => element.tagName === 'INPUT');
+
+        let prevented = false;
+        input.value = 'NY30';
+        form.dispatchEvent({ type: 'submit', preventDefault: () => { prevented = true; } });
+        await Bun.sleep(0);
+
+        expect(prevented).toBe(true);
+        expect(searches).toEqual([ 'NY30' ]);
+    });
+
+    test('has no search box when search is false', () => {
+        const control = os.TransformControl.create({ search: false });
+        expect(control.element.findAll(element => element.tagName === 'FORM')).toEqual([]);
+    });
+});
+
+describe('map adapters', () => {
+    test('Leaflet', async () => {
+        const map = createMap();
+        let added = null;
+        const L = {
+            control: (options) => ({ options: options, addTo(map) { added = this.onAdd(map); return this; } }),
+            DomEvent: { disableClickPropagation: () => {}, disableScrollPropagation: () => {} }
+        };
+
+        const control = os.TransformControl.leaflet(map, { L: L, maxZoom: 14 });
+        expect(control.options.position).toBe('bottomleft');
+
+        map.handlers.mousemove({ latlng: latlng });
+        expect(getValues({ element: added })).toEqual([ '54.42481, -2.96794', '337297, 503695', 'NY 37297 03695' ]);
+
+        const [ input ] = added.findAll(element => element.tagName === 'INPUT');
+        input.value = 'NY 37 03';
+        added.findAll(element => element.tagName === 'FORM')[0].dispatchEvent({ type: 'submit' });
+        await Bun.sleep(0);
+        expect(map.fitted).toEqual({ bounds: [ [ 54.4185281, -2.9725793 ], [ 54.4276371, -2.9569583 ] ], options: { maxZoom: 14 } });
+
+        control.onRemove();
+        expect(map.handlers.mousemove).toBeUndefined();
+    });
+
+    test('MapLibre', async () => {
+        const map = createMap();
+        map.addControl = (control, position) => { map.control = { element: control.onAdd(), position: position }; };
+
+        const control = os.TransformControl.maplibre(map);
+        expect(map.control.position).toBe('bottom-left');
+        expect(map.control.element.classList.contains('maplibregl-ctrl')).toBe(true);
+
+        map.handlers.mousemove({ lngLat: latlng });
+        expect(getValues(map.control)[2]).toBe('NY 37297 03695');
+
+        control.onRemove();
+        expect(map.handlers.mousemove).toBeUndefined();
+    });
+
+    test('OpenLayers', () => {
+        const handlers = {};
+        const view = { getProjection: () => 'EPSG:3857' };
+        const map = {
+            getView: () => view,
+            on: (type, handler) => { handlers[type] = handler; },
+            un: (type) => { delete handlers[type]; },
+            addControl: (control) => { control.map = map; }
+        };
+        const ol = {
+            control: { Control: class { constructor(options) { this.element = options.element; this.map = null; } getMap() { return this.map; } } },
+            proj: { toLonLat: (coordinate) => coordinate, transformExtent: (extent) => extent }
+        };
+
+        const control = os.TransformControl.openlayers(map, { ol: ol, position: 'os-bottom' });
+        expect(control.element.classList.contains('ol-control')).toBe(true);
+        expect(control.element.classList.contains('os-bottom')).toBe(true);
+
+        handlers.pointermove({ coordinate: [ latlng.lng, latlng.lat ] });
+        expect(getValues(control)[2]).toBe('NY 37297 03695');
+
+        // Removing the control from the map stops the readout
+        control.map = null;
+        handlers.pointermove({ coordinate: [ latlng.lng, latlng.lat ] });
+        expect(handlers.pointermove).toBeUndefined();
+    });
+});
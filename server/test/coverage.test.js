@@ -0,0 +1,115 @@
+// coverage.test.js
+// OSTN15 coverage: inside the transformation area, in the offshore extension or outside
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { OSTransform, loadGrid } from '../transform.js';
+import { loadBrowserScripts, rootURL } from './helpers.js';
+
+const transformer = new OSTransform();
+transformer.options.strict = true;
+
+// Flags of a few nodes of the OSTN15/OSGM15 data file (the rest of which are read as no-data): onshore (Newlyn) around
+// NY 37297 03695 (337200.762, 503764.354 in ETRS89 eastings + northings), offshore around 400402, 503770 (NZ 00500 03700)
+// and in the North Sea around 594256, 515841, plus no-data around 673618, 129611 in northern France
+const node = (x, y, flag) => `${x + y * 701 + 1},${x * 1000},${y * 1000},0,0,50,${flag}`;
+const dataFile = join(tmpdir(), 'coverage.test.OSTN15_OSGM15_DataFile.txt');
+const data = [
+    'Point_ID,ETRS89_Easting,ETRS89_Northing,ETRS89_OSGB36_EShift,ETRS89_OSGB36_NShift,ETRS89_ODN_HeightShift,Height_Datum_Flag',
+    node(337, 503, 1), node(338, 503, 1), node(338, 504, 1), node(337, 504, 1),
+    node(400, 503, 15), node(401, 503, 15), node(401, 504, 15), node(400, 504, 15),
+    node(594, 515, 15), node(595, 515, 15), node(595, 516, 15), node(594, 516, 15),
+    node(673, 129, 0), node(674, 129, 0), node(674, 130, 0), node(673, 130, 0)
+].join('\n');
+
+const inside = { lat: 54.42481, lng: -2.9679374 };
+const offshore = { lat: 54.42874, lng: -1.99381 };
+const noData = { lat: 52.5, lng: -1.5 };
+const beyond = { lat: 45, lng: -2 };
+const northSea = { lat: 54.5, lng: 1 };
+const france = { lat: 51, lng: 1.9 };
+const atlantic = { lat: 50, lng: -8.5 };
+const beyondGrid = { lat: 56, lng: 2.5 };
+
+describe('with the OSTN15 flags', () => {
+    beforeAll(async () => {
+        await Bun.write(dataFile, data);
+        await loadGrid(undefined, dataFile);
+    });
+
+    afterAll(async () => {
+        await loadGrid();
+    });
+
+    test('getCoverage() reads the flags of the grid nodes', () => {
+        expect(transformer.getCoverage(inside)).toBe('inside');
+        expect(transformer.getCoverage(offshore)).toBe('offshore');
+        expect(transformer.getCoverage(noData)).toBe('outside');
+        expect(transformer.getCoverage(beyond)).toBe('outside');
+    });
+
+    test('reads the offshore extension, and rejects points at sea or over France without data', () => {
+        expect(transformer.fromLatLng(northSea)).toMatchObject({ ea: 594360.83, no: 515770.86, coverage: 'offshore', shifted: true });
+        expect(transformer.getCoverage(france)).toBe('outside');
+        expect(transformer.getCoverage(atlantic)).toBe('outside');
+        expect(transformer.getCoverage(beyondGrid)).toBe('outside');
+        expect(() => transformer.fromLatLng(france)).toThrow('Coordinates outside the OSTN15 transformation area.');
+        expect(() => transformer.toLatLng({ ea: 673720, no: 129530 })).toThrow('Coordinates outside the OSTN15 transformation area.');
+    });
+
+    test('results say whether the grid shift was applied', () => {
+        expect(transformer.fromLatLng(inside)).toMatchObject({ coverage: 'inside', shifted: true });
+        expect(transformer.fromLatLng(offshore)).toMatchObject({ coverage: 'offshore', shifted: true });
+        expect(transformer.fromLatLng({ lat: 53.35, lng: -6.26 }, 2, 2157).shifted).toBe(false);
+    });
+
+    test('points outside the transformation area are rejected', () => {
+        expect(() => transformer.fromLatLng(noData)).toThrow('Coordinates outside the OSTN15 transformation area.');
+    });
+});
+
+describe('without the OSTN15 flags', () => {
+    test('getCoverage() cannot tell whether points within the grid are covered', () => {
+        expect(transformer.getCoverage(inside)).toBe('unknown');
+        expect(transformer.getCoverage(noData)).toBe('unknown');
+        expect(transformer.getCoverage(beyond)).toBe('outside');
+    });
+
+    test('points beyond the loaded grid are outside, and those within it are shifted', () => {
+        expect(transformer.getCoverage(beyondGrid)).toBe('outside');
+        expect(() => transformer.toLatLng({ ea: 400000, no: 1290000 })).toThrow(expect.objectContaining({ code: 'OUT_OF_BOUNDS' }));
+        expect(transformer.fromLatLng(france)).toMatchObject({ coverage: 'unknown', shifted: true });
+        expect(transformer.fromLatLng(northSea)).toMatchObject({ coverage: 'unknown', shifted: true });
+    });
+});
+
+describe('browser library', () => {
+    test('getCoverage() reads the flags loaded with loadGeoid()', async () => {
+        const os = loadBrowserScripts('os-transform.js');
+        expect(os.Transform.getCoverage(inside)).toBe('unknown');
+
+        await Bun.write(dataFile, data);
+        await os.Transform.loadGeoid(`file://${dataFile}`);
+        expect(os.Transform.getCoverage(inside)).toBe('inside');
+        expect(os.Transform.getCoverage(offshore)).toBe('offshore');
+        expect(os.Transform.getCoverage(noData)).toBe('outside');
+        expect(os.Transform.getCoverage(beyond)).toBe('outside');
+    });
+
+    test('getCoverage() reads the extent of the grid loaded with init()', async () => {
+        const os = loadBrowserScripts('os-transform.js');
+        os.Transform.options.strict = true;
+        await os.Transform.init({ type: 'ostn15-js', gsbPath: new URL('resources/uk_os_OSTN15_NTv2_OSGBtoETRS.tif', rootURL).href });
+
+        expect(os.Transform.getCoverage(beyondGrid)).toBe('outside');
+        expect(os.Transform.getCoverage(france)).toBe('unknown');
+        expect(os.Transform.fromLatLng(northSea)).toMatchObject({ ea: 594360.83, no: 515770.86, coverage: 'unknown', shifted: true });
+        expect(() => os.Transform.toLatLng({ ea: 400000, no: 1290000 })).toThrow(expect.objectContaining({ code: 'OUT_OF_BOUNDS' }));
+
+        await Bun.write(dataFile, data);
+        await os.Transform.loadGeoid(`file://${dataFile}`);
+        expect(os.Transform.getCoverage(northSea)).toBe('offshore');
+        expect(os.Transform.getCoverage(france)).toBe('outside');
+        expect(os.Transform.getCoverage(atlantic)).toBe('outside');
+    });
+});
@@ -0,0 +1,71 @@
+// crs.test.js
+// transform() between WGS84, ETRS89, UTM, Web Mercator and the national grids
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test';
+import proj4 from 'proj4';
+import { OSTransform, loadGrid } from '../transform.js';
+import { startServer } from './helpers.js';
+
+const transformer = new OSTransform();
+transformer.options.strict = true;
+
+await loadGrid();
+
+const latlng = { lat: 54.42481, lng: -2.9679374 };
+
+describe('transform()', () => {
+    test('routes British National Grid through OSTN15', () => {
+        expect(transformer.transform({ ea: 337297, no: 503695 }, 27700, 4326)).toMatchObject({ ...latlng, srid: 4326, shifted: true });
+        expect(transformer.transform(latlng, 4326, 27700, 0)).toMatchObject({ ea: 337297, no: 503695, srid: 27700, shifted: true });
+    });
+
+    test.each([ 25829, 25830, 25831, 3857 ])('projects ETRS89 to EPSG:%p as Proj4js does', (srid) => {
+        const definitions = {
+            25829: '+proj=utm +zone=29 +ellps=GRS80 +units=m +no_defs',
+            25830: '+proj=utm +zone=30 +ellps=GRS80 +units=m +no_defs',
+            25831: '+proj=utm +zone=31 +ellps=GRS80 +units=m +no_defs',
+            3857: 'EPSG:3857'
+        };
+        const [ x, y ] = proj4('EPSG:4326', definitions[srid], [ latlng.lng, latlng.lat ]);
+
+        const result = transformer.transform(latlng, 4326, srid, 3);
+        expect(result.srid).toBe(srid);
+        expect(result.shifted).toBe(false);
+        expect(Math.abs(result.ea - x)).toBeLessThan(0.002);
+        expect(Math.abs(result.no - y)).toBeLessThan(0.002);
+    });
+
+    test('round-trips between projected coordinate systems', () => {
+        const utm = transformer.transform({ ea: 337297, no: 503695 }, 27700, 25830, 6);
+        expect(transformer.transform(utm, 25830, 27700, 0)).toMatchObject({ ea: 337297, no: 503695 });
+
+        const mercator = transformer.transform({ ea: 337297, no: 503695 }, 27700, 3857, 6);
+        expect(transformer.transform(mercator, 3857, 27700, 0)).toMatchObject({ ea: 337297, no: 503695 });
+    });
+
+    test('keeps the height between geographic coordinate systems', () => {
+        expect(transformer.transform({ ...latlng, h: 100 }, 4937, 4258)).toMatchObject({ ...latlng, h: 100, srid: 4258 });
+    });
+
+    test('rejects unsupported coordinate systems, and points outside them', () => {
+        expect(() => transformer.transform(latlng, 4326, 1234)).toThrow('Unsupported coordinate system: 1234.');
+        expect(() => transformer.transform({ lat: 89, lng: -2 }, 4326, 3857)).toThrow('Coordinates out of range.');
+    });
+});
+
+describe('/api/transform', () => {
+    let server;
+
+    beforeAll(async () => {
+        server = await startServer();
+    });
+
+    afterAll(() => {
+        server.stop();
+    });
+
+    test('transforms between the given coordinate systems', async () => {
+        const response = await fetch(`${server.url}/api/transform?from=27700&to=4326&ea=337297&no=503695`);
+        expect(response.status).toBe(200);
+        expect(await response.json()).toMatchObject({ ...latlng, srid: 4326 });
+    });
+});
@@ -0,0 +1,113 @@
+// csv.test.js
+// CSV parsing (RFC 4180) and streaming conversion
+import { describe, expect, test } from 'bun:test';
+import { OSTransform, loadGrid } from '../transform.js';
+import { parseCSV, formatCSVRow, transformCSV } from '../csv.js';
+
+const transformer = new OSTransform();
+transformer.options.strict = true;
+
+await loadGrid();
+
+/**
+ * Return the rows read by parseCSV() from text given in chunks.
+ */
+async function readRows(...chunks) {
+    const rows = [];
+    for await (const row of parseCSV(ReadableStream.from(chunks))) {
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Return the output of transformCSV() as text.
+ */
+async function convert(text, options) {
+    const stream = await transformCSV(transformer, new Response(text).body, options);
+    return await new Response(stream).text();
+}
+
+describe('parseCSV()', () => {
+    test('reads plain fields, with or without a final line break', async () => {
+        expect(await readRows('a,b,c\n1,2,3\n')).toEqual([ [ 'a', 'b', 'c' ], [ '1', '2', '3' ] ]);
+        expect(await readRows('a,b,c\n1,2,3')).toEqual([ [ 'a', 'b', 'c' ], [ '1', '2', '3' ] ]);
+    });
+
+    test('reads quoted fields with commas, doubled quotes and line breaks', async () => {
+        expect(await readRows('name,ea\n"Scafell, Pike",321529\n"The ""Old"" Man",327200\n"Line 1\nLine 2",1\n')).toEqual([
+            [ 'name', 'ea' ],
+            [ 'Scafell, Pike', '321529' ],
+            [ 'The "Old" Man', '327200' ],
+            [ 'Line 1\nLine 2', '1' ]
+        ]);
+    });
+
+    test('reads empty fields, empty quoted fields and CRLF line breaks', async () => {
+        expect(await readRows('a,b,c\r\n,"",x\r\n"",,\r\n')).toEqual([ [ 'a', 'b', 'c' ], [ '', '', 'x' ], [ '', '', '' ] ]);
+    });
+
+    test('skips blank lines but keeps a row of one empty quoted field', async () => {
+        expect(await readRows('a\n\n1\n""\n')).toEqual([ [ 'a' ], [ '1' ], [ '' ] ]);
+    });
+
+    test('reads fields and quotes split across chunks', async () => {
+        expect(await readRows('na', 'me\n"a"', '"b', ',c"\n12', '3')).toEqual([ [ 'name' ], [ 'a"b,c' ], [ '123' ] ]);
+    });
+});
+
+describe('formatCSVRow()', () => {
+    test('quotes only the fields which need it', () => {
+        expect(formatCSVRow([ 'plain', 'a,b', 'say "hi"', 'two\nlines', 1.5, null, undefined ]))
+            .toBe('plain,"a,b","say ""hi""","two\nlines",1.5,,\n');
+    });
+
+    test('round-trips through parseCSV()', async () => {
+        const values = [ 'a,b', '"quoted"', 'line\r\nbreak', '', 'x' ];
+        expect(await readRows(formatCSVRow(values))).toEqual([ values ]);
+    });
+});
+
+describe('transformCSV()', () => {
+    test('appends the output columns and an error column to each row', async () => {
+        const output = await convert('name,Easting,Northing\n"Helvellyn, summit",337297,503695\n', {
+            mapping: { ea: 'Easting', no: 'Northing' }, ops: [ 'to-latlng', 'to-gridref' ], precision: 6
+        });
+        expect(output).toBe('name,Easting,Northing,lat,lng,gridref,error\n"Helvellyn, summit",337297,503695,54.42481,-2.9679374,NY 372 036,\n');
+    });
+
+    test('suffixes output and error columns which would repeat the name of an existing column', async () => {
+        const output = await convert('ea,no,lat,lat_to-latlng,error\n337297,503695,x,y,z\n', {
+            mapping: { ea: 'ea', no: 'no' }, ops: [ 'to-latlng' ]
+        });
+        expect(output).toBe('ea,no,lat,lat_to-latlng,error,lat_to-latlng_2,lng,error_2\n337297,503695,x,y,z,54.42481,-2.9679374,\n');
+    });
+
+    test('reports rows which cannot be converted in their error column', async () => {
+        const output = await convert('gridref\nNY 37297 03695\nXX 123\n\nNY 3703\n', {
+            mapping: { gridref: 'gridref' }, ops: [ 'from-gridref' ]
+        });
+        expect(output.split('\n')).toEqual([
+            'gridref,ea,no,error',
+            'NY 37297 03695,337297,503695,',
+            'XX 123,,,Invalid grid reference.',
+            'NY 3703,337000,503000,',
+            ''
+        ]);
+    });
+
+    test('names the operation of each error when there are several', async () => {
+        const output = await convert('ea,no\n-5,503695\n', { mapping: { ea: 'ea', no: 'no' }, ops: [ 'to-latlng', 'to-gridref' ] });
+        expect(output.split('\n')[1]).toBe('-5,503695,,,,to-latlng: Coordinates out of range.; to-gridref: Coordinates out of range.');
+    });
+
+    test('fails on the first row which cannot be converted with onError: fail', async () => {
+        const promise = convert('gridref\nNY 37297 03695\nXX 123\n', { mapping: { gridref: 'gridref' }, ops: [ 'from-gridref' ], onError: 'fail' });
+        await expect(promise).rejects.toThrow('Row 2: Invalid grid reference.');
+    });
+
+    test('rejects a header without the mapped columns', async () => {
+        await expect(convert('a,b\n1,2\n', { mapping: { ea: 'ea', no: 'no' }, ops: [ 'to-latlng' ] })).rejects.toThrow('Column not found: ea (ea)');
+        await expect(convert('', { mapping: {}, ops: [] })).rejects.toThrow('Empty CSV: a header row is required');
+    });
+});
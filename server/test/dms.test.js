@@ -0,0 +1,83 @@
+// dms.test.js
+// Latlngs formatted as degrees, minutes + seconds (or decimal minutes), and read from those formats
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test';
+import { OSTransform, loadGrid } from '../transform.js';
+import { startServer } from './helpers.js';
+
+const transformer = new OSTransform();
+transformer.options.strict = true;
+
+await loadGrid();
+
+const coordinates = { ea: 337297, no: 503695 };
+
+describe('toLatLng() formats', () => {
+    test.each([
+        [ 'dms', '54°25\'29.3"N', '2°58\'04.6"W', '54°25\'29.3"N 2°58\'04.6"W' ],
+        [ 'ddm', '54°25.489\'N', '2°58.076\'W', '54°25.489\'N 2°58.076\'W' ],
+        [ 'decimal', '54.4248100°N', '2.9679374°W', '54.4248100°N 2.9679374°W' ]
+    ])('%s', (format, lat, lng, text) => {
+        const result = transformer.toLatLng(coordinates, 7, format);
+        expect(result).toMatchObject({ lat: 54.42481, lng: -2.9679374 });
+        expect(result.formatted).toEqual({ lat: lat, lng: lng, text: text });
+    });
+
+    test('signed values and precision', () => {
+        expect(transformer.toLatLng(coordinates, 7, { type: 'dms', hemisphere: false, precision: 2 }).formatted.text)
+            .toBe('54°25\'29.32", -2°58\'04.57"');
+        expect(transformer.toLatLng(coordinates, 7, { type: 'ddm', precision: 4 }).formatted.text)
+            .toBe('54°25.4886\'N 2°58.0762\'W');
+    });
+
+    test('gridRefToLatLng() formats too', () => {
+        expect(transformer.gridRefToLatLng('NY 37297 03695', 7, 'dms').formatted.text).toBe('54°25\'29.3"N 2°58\'04.6"W');
+    });
+
+    test('unknown formats are rejected', () => {
+        expect(() => transformer.toLatLng(coordinates, 7, 'xyz')).toThrow('Invalid latlng format.');
+    });
+});
+
+describe('parseLatLng()', () => {
+    test.each([
+        [ '54°25\'29.3"N 2°58\'04.6"W', { lat: 54.42481, lng: -2.96794, format: 'dms', precision: 5 } ],
+        [ '54 25 29.3 N, 2 58 04.6 W', { lat: 54.42481, lng: -2.96794, format: 'dms', precision: 5 } ],
+        [ 'N54°25.4886\' W2°58.0762\'', { lat: 54.42481, lng: -2.967937, format: 'ddm', precision: 6 } ]
+    ])('reads %p', (text, expected) => {
+        expect(transformer.parseLatLng(text)).toEqual(expected);
+    });
+
+    test('rejects latitudes out of range', () => {
+        expect(() => transformer.parseLatLng('95°N 2°W')).toThrow('Invalid latlng.');
+    });
+});
+
+describe('fromLatLng() input', () => {
+    test('accepts a formatted latlng as text or as separate values', () => {
+        expect(transformer.fromLatLng('54°25\'29.3"N 2°58\'04.6"W', 0)).toMatchObject(coordinates);
+        expect(transformer.fromLatLng({ lat: '54°25.4886\'N', lng: '2°58.0762\'W' }, 0)).toMatchObject(coordinates);
+    });
+});
+
+describe('server', () => {
+    let server;
+
+    beforeAll(async () => {
+        server = await startServer();
+    });
+
+    afterAll(() => {
+        server.stop();
+    });
+
+    test('/api/to-latlng formats the latlng', async () => {
+        const response = await fetch(`${server.url}/api/to-latlng?ea=337297&no=503695&format=ddm&precision=4`);
+        expect((await response.json()).formatted.text).toBe('54°25.4886\'N 2°58.0762\'W');
+    });
+
+    test('/api/from-latlng reads a formatted latlng', async () => {
+        const query = new URLSearchParams({ lat: '54°25\'29.3"N', lng: '2°58\'04.6"W', decimals: '0' });
+        const response = await fetch(`${server.url}/api/from-latlng?${query}`);
+        expect(await response.json()).toMatchObject(coordinates);
+    });
+});
@@ -0,0 +1,91 @@
+// epoch.test.js
+// GNSS latlngs in ITRF or WGS84, observed at an epoch, converted to ETRS89 before OSTN15
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test';
+import { OSTransform, loadGrid } from '../transform.js';
+import { toETRF } from '../ostn15.js';
+import { loadBrowserScripts, startServer } from './helpers.js';
+
+const transformer = new OSTransform();
+transformer.options.strict = true;
+
+await loadGrid();
+
+const latlng = { lat: 54.42481, lng: -2.9679374 };
+
+describe('toETRF()', () => {
+    test('leaves coordinates observed at epoch 1989.0 where they are', () => {
+        const [ lng, lat, h ] = toETRF([ latlng.lng, latlng.lat, 100 ], 'ITRF2014', 1989.0);
+        expect(lng).toBeCloseTo(latlng.lng, 10);
+        expect(lat).toBeCloseTo(latlng.lat, 10);
+        expect(h).toBeCloseTo(100, 6);
+    });
+
+    test('gives the same results in the browser library', () => {
+        const os = loadBrowserScripts('os-transform.js');
+        for (const frame of [ 'ITRF2014', 'ITRF2020', 'WGS84(G2139)' ]) {
+            const expected = toETRF([ latlng.lng, latlng.lat, 100 ], frame, 2026.5);
+            const result = os.Transform._toETRF([ latlng.lng, latlng.lat, 100 ], frame, 2026.5);
+            result.forEach((value, i) => expect(value).toBeCloseTo(expected[i], 9));
+        }
+    });
+});
+
+describe('fromLatLng() with an epoch', () => {
+    test('moves the point back with the Eurasian plate, about 2.3 cm a year to the south-west', () => {
+        const etrs89 = transformer.fromLatLng(latlng, 3);
+        const itrf = transformer.fromLatLng({ ...latlng, epoch: 2026.5 }, 3);
+
+        expect(itrf.ea).toBeCloseTo(337296.419, 3);
+        expect(itrf.no).toBeCloseTo(503694.391, 3);
+        expect(itrf.ea).toBeLessThan(etrs89.ea);
+        expect(itrf.no).toBeLessThan(etrs89.no);
+        expect(Math.hypot(itrf.ea - etrs89.ea, itrf.no - etrs89.no)).toBeWithin(0.8, 0.9);
+    });
+
+    test('takes the rates of the given frame', () => {
+        const itrf2014 = transformer.fromLatLng({ ...latlng, epoch: 2026.5 }, 3);
+        const itrf2020 = transformer.fromLatLng({ ...latlng, epoch: 2026.5, frame: 'ITRF2020' }, 3);
+        const wgs84 = transformer.fromLatLng({ ...latlng, epoch: 2026.5, frame: 'WGS84(G2139)' }, 3);
+
+        expect(itrf2020).toMatchObject({ ea: 337296.429, no: 503694.405 });
+        expect(wgs84).toMatchObject({ ea: itrf2014.ea, no: itrf2014.no });
+    });
+
+    test('rejects unknown frames and invalid epochs', () => {
+        expect(() => transformer.fromLatLng({ ...latlng, epoch: 2026.5, frame: 'ITRF1066' }))
+            .toThrow('Unsupported reference frame: ITRF1066.');
+        expect(() => transformer.fromLatLng({ ...latlng, epoch: 'x' }))
+            .toThrow('Invalid epoch: a decimal year (e.g. 2026.5) is required.');
+        expect(() => transformer.fromLatLng({ ...latlng, frame: 'ITRF2020' }))
+            .toThrow('Invalid epoch: a decimal year (e.g. 2026.5) is required.');
+    });
+});
+
+describe('transform() with an epoch', () => {
+    test('converts geographic source points to ETRS89', () => {
+        expect(transformer.transform({ ...latlng, epoch: 2026.5 }, 4326, 4258, 9))
+            .toMatchObject({ lat: 54.424804442, lng: -2.967946251, srid: 4258 });
+    });
+});
+
+describe('/api/from-latlng', () => {
+    let server;
+
+    beforeAll(async () => {
+        server = await startServer();
+    });
+
+    afterAll(() => {
+        server.stop();
+    });
+
+    test('takes the epoch + frame', async () => {
+        const response = await fetch(`${server.url}/api/from-latlng?lat=54.42481&lng=-2.9679374&epoch=2026.5&frame=ITRF2020&decimals=3`);
+        expect(await response.json()).toMatchObject({ ea: 337296.429, no: 503694.405 });
+    });
+
+    test('responds to unknown frames with 400', async () => {
+        const response = await fetch(`${server.url}/api/from-latlng?lat=54.42481&lng=-2.9679374&epoch=2026.5&frame=ITRF1066`);
+        expect(response.status).toBe(400);
+    });
+});
@@ -0,0 +1,115 @@
+// errors.test.js
+// Error codes in strict + lenient mode, and the HTTP status of each code in the server's responses
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test';
+import { OSTransform, TransformError, loadGrid } from '../transform.js';
+import { loadBrowserScripts, startServer } from './helpers.js';
+
+await loadGrid();
+
+describe('strict mode', () => {
+    const transformer = new OSTransform();
+    transformer.options.strict = true;
+
+    test.each([
+        [ 'toLatLng', () => transformer.toLatLng({ ea: -5, no: 1 }), 'OUT_OF_BOUNDS' ],
+        [ 'fromLatLng', () => transformer.fromLatLng({ lat: 40, lng: -2 }), 'OUT_OF_BOUNDS' ],
+        [ 'toGridRef', () => transformer.toGridRef({ ea: 800000, no: 1 }), 'OUT_OF_BOUNDS' ],
+        [ 'fromGridRef', () => transformer.fromGridRef('XX 123'), 'INVALID_GRIDREF' ],
+        [ 'gridRefToLatLng', () => transformer.gridRefToLatLng('NY 123'), 'INVALID_GRIDREF' ]
+    ])('%s() throws a TransformError', (method, call, code) => {
+        let error;
+        try {
+            call();
+        } catch (thrown) {
+            error = thrown;
+        }
+        expect(error).toBeInstanceOf(TransformError);
+        expect(error.code).toBe(code);
+    });
+});
+
+describe('lenient mode', () => {
+    const transformer = new OSTransform();
+
+    test('failures return an empty object', () => {
+        expect(transformer.toLatLng({ ea: -5, no: 1 })).toEqual({});
+        expect(transformer.fromGridRef('XX 123')).toEqual({});
+    });
+});
+
+describe('browser library', () => {
+    test('out of range coordinates fail with OUT_OF_BOUNDS rather than a TypeError', () => {
+        const os = loadBrowserScripts('os-transform.js');
+        os.Transform.options.strict = true;
+
+        expect(() => os.Transform.toGridRef({ ea: -5, no: 1 })).toThrow(os.TransformError);
+        expect(() => os.Transform.fromGridRef('XX 123')).toThrow('Invalid grid reference.');
+
+        os.Transform.options.strict = false;
+        expect(os.Transform.toGridRef({ ea: -5, no: 1 })).toEqual({});
+    });
+});
+
+describe('server responses', () => {
+    let server;
+
+    beforeAll(async () => {
+        server = await startServer();
+    });
+
+    afterAll(() => {
+        server.stop();
+    });
+
+    test.each([
+        [ '/api/to-latlng?ea=-5&no=1', 422, 'OUT_OF_BOUNDS' ],
+        [ '/api/from-gridref?gridref=XX123', 400, 'INVALID_GRIDREF' ],
+        [ '/api/to-latlng?ea=337297', 400, 'INVALID_INPUT' ]
+    ])('GET %s responds with %p', async (path, status, code) => {
+        const response = await fetch(`${server.url}${path}`);
+        expect(response.status).toBe(status);
+        expect((await response.json()).code).toBe(code);
+    });
+
+    test('unknown routes respond with 404', async () => {
+        expect((await fetch(`${server.url}/api/unknown`)).status).toBe(404);
+    });
+});
+
+describe('server without a grid', () => {
+    let server;
+
+    beforeAll(async () => {
+        server = await startServer({ OSTN15_GRID: '/nonexistent/OSTN15_NTv2_OSGBtoETRS.gsb' });
+    });
+
+    afterAll(() => {
+        server.stop();
+    });
+
+    test('British National Grid transformations respond with 503', async () => {
+        const response = await fetch(`${server.url}/api/to-latlng?ea=337297&no=503695`);
+        expect(response.status).toBe(503);
+        expect(await response.json()).toEqual({ error: 'OSTN15 grid has not been loaded.', code: 'GRID_NOT_LOADED' });
+    });
+
+    test('grid references need no grid', async () => {
+        const response = await fetch(`${server.url}/api/to-gridref?ea=337297&no=503695`);
+        expect(response.status).toBe(200);
+        expect((await response.json()).text).toBe('NY 37297 03695');
+    });
+});
+
+describe('server with an unknown TRANSFORM_TYPE', () => {
+    test('exits at startup', async () => {
+        const server = Bun.spawn([ process.execPath, 'server.js' ], {
+            cwd: new URL('../', import.meta.url).pathname,
+            env: { ...process.env, TRANSFORM_TYPE: 'ostn15-xyz', PORT: '0' },
+            stdout: 'ignore',
+            stderr: 'pipe'
+        });
+
+        expect(await server.exited).toBe(1);
+        expect(await new Response(server.stderr).text()).toBe('Unknown TRANSFORM_TYPE: ostn15-xyz (expected ostn15-gsb or ostn15-js)\n');
+    });
+});
@@ -0,0 +1,195 @@
+// geojson.test.js
+// GeoJSON geometries, features and feature collections transformed in either direction
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test';
+import { OSTransform, loadGrid } from '../transform.js';
+import { loadBrowserScripts, startServer, writeDataFile } from './helpers.js';
+
+const transformer = new OSTransform();
+
+// Heights can only be converted with the (optional) OSGM15 data file
+const { geoid } = await loadGrid();
+
+const square = [ [ [ -2.97, 54.42 ], [ -2.96, 54.42 ], [ -2.96, 54.43 ], [ -2.97, 54.42 ] ] ];
+
+describe('transformGeoJSON()', () => {
+    test('transforms a geometry to latlng, keeping any height', () => {
+        const { geojson, outOfBounds } = transformer.transformGeoJSON({ type: 'Point', coordinates: [ 337297, 503695, 12 ] }, 'toLatLng');
+        expect(geojson).toEqual({ type: 'Point', coordinates: [ -2.9679374, 54.42481, 12 ] });
+        expect(outOfBounds).toEqual([]);
+    });
+
+    test.skipIf(geoid)('fails to convert heights without the geoid model', () => {
+        const strict = new OSTransform();
+        strict.options.strict = true;
+        expect(() => strict.transformGeoJSON({ type: 'Point', coordinates: [ 337297, 503695, 12 ] }, 'toLatLng', undefined, true))
+            .toThrow(expect.objectContaining({ message: 'OSGM15 geoid model has not been loaded.', code: 'GRID_NOT_LOADED' }));
+    });
+
+    describe('with heights', () => {
+        beforeAll(async () => {
+            await loadGrid(undefined, await writeDataFile('geojson.test.OSTN15_OSGM15_DataFile.txt', [ [ 337, 503 ], [ 338, 503 ], [ 338, 504 ], [ 337, 504 ] ]));
+        });
+
+        afterAll(async () => {
+            await loadGrid();
+        });
+
+        test('converts heights with OSGM15, reporting positions outside the geoid model as out of bounds', () => {
+            const collection = {
+                type: 'FeatureCollection',
+                features: [
+                    { type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: [ 337297, 503695, 12 ] } },
+                    { type: 'Feature', properties: {}, geometry: { type: 'LineString', coordinates: [ [ 337297, 503695 ], [ 400000, 500000, 12 ] ] } }
+                ]
+            };
+            const { geojson, outOfBounds } = transformer.transformGeoJSON(collection, 'toLatLng', undefined, true);
+            expect(geojson.features[0].geometry.coordinates).toEqual([ -2.9679374, 54.42481, 62 ]);
+            expect(geojson.features[1].geometry).toBeNull();
+            expect(outOfBounds).toEqual([ { index: 1, id: undefined, message: 'Coordinates out of range.' } ]);
+
+            const back = transformer.transformGeoJSON({ type: 'Point', coordinates: [ -2.9679374, 54.42481, 62 ] }, 'fromLatLng', 0, true);
+            expect(back.geojson.coordinates).toEqual([ 337297, 503695, 12 ]);
+        });
+
+        test('copies heights unchanged by default', () => {
+            const { geojson } = transformer.transformGeoJSON({ type: 'Point', coordinates: [ 337297, 503695, 12 ] }, 'toLatLng');
+            expect(geojson.coordinates).toEqual([ -2.9679374, 54.42481, 12 ]);
+        });
+    });
+
+    test('transforms a feature to British National Grid, keeping its properties and recomputing its bbox', () => {
+        const { geojson } = transformer.transformGeoJSON({
+            type: 'Feature',
+            id: 'a',
+            properties: { name: 'Path' },
+            bbox: [ 0, 0, 0, 0 ],
+            geometry: { type: 'LineString', coordinates: [ [ -2.9679374, 54.42481 ], [ -2.968, 54.425 ] ] }
+        }, 'fromLatLng', 0);
+
+        expect(geojson).toEqual({
+            type: 'Feature',
+            id: 'a',
+            properties: { name: 'Path' },
+            bbox: [ 337293, 503695, 337297, 503716 ],
+            geometry: { type: 'LineString', coordinates: [ [ 337297, 503695 ], [ 337293, 503716 ] ] },
+            crs: { type: 'name', properties: { name: 'urn:ogc:def:crs:EPSG::27700' } }
+        });
+    });
+
+    test('transforms every geometry type in a feature collection', () => {
+        const geometries = [
+            { type: 'MultiPoint', coordinates: [ [ -2.9679374, 54.42481 ] ] },
+            { type: 'MultiLineString', coordinates: [ [ [ -2.9679374, 54.42481 ], [ -2.968, 54.425 ] ] ] },
+            { type: 'Polygon', coordinates: square },
+            { type: 'MultiPolygon', coordinates: [ square ] },
+            { type: 'GeometryCollection', geometries: [ { type: 'Point', coordinates: [ -2.9679374, 54.42481 ] } ] }
+        ];
+        const { geojson } = transformer.transformGeoJSON({
+            type: 'FeatureCollection',
+            features: geometries.map(geometry => ({ type: 'Feature', properties: {}, geometry: geometry }))
+        }, 'fromLatLng', 0);
+
+        expect(geojson.features.map(feature => feature.geometry.type)).toEqual(geometries.map(geometry => geometry.type));
+        expect(geojson.features[0].geometry.coordinates).toEqual([ [ 337297, 503695 ] ]);
+        expect(geojson.features[2].geometry.coordinates[0][0]).toEqual([ 337156, 503162 ]);
+        expect(geojson.features[3].geometry.coordinates[0]).toEqual(geojson.features[2].geometry.coordinates);
+        expect(geojson.features[4].geometry.geometries[0].coordinates).toEqual([ 337297, 503695 ]);
+    });
+
+    test('reports the features out of bounds instead of dropping them', () => {
+        const { geojson, outOfBounds } = transformer.transformGeoJSON({
+            type: 'FeatureCollection',
+            features: [
+                { type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: [ -2.9679374, 54.42481 ] } },
+                { type: 'Feature', id: 7, properties: { name: 'Atlantic' }, geometry: { type: 'Point', coordinates: [ -30, 54.42481 ] } },
+                { type: 'Feature', properties: {}, geometry: null }
+            ]
+        }, 'fromLatLng', 0);
+
+        expect(geojson.features).toHaveLength(3);
+        expect(geojson.features[1]).toEqual({ type: 'Feature', id: 7, properties: { name: 'Atlantic' }, geometry: null });
+        expect(geojson.features[2].geometry).toBeNull();
+        expect(outOfBounds).toEqual([ { index: 1, id: 7, message: 'Coordinates out of range.' } ]);
+    });
+
+    test('rejects other objects and directions', () => {
+        expect(transformer.transformGeoJSON({ type: 'Topology' })).toEqual({});
+        expect(transformer.transformGeoJSON({ type: 'Point', coordinates: [ 0, 0 ] }, 'sideways')).toEqual({});
+    });
+
+    test.each([
+        [ 'a feature collection without features', { type: 'FeatureCollection' } ],
+        [ 'a feature collection with other objects as features', { type: 'FeatureCollection', features: [ 1 ] } ],
+        [ 'a feature without a geometry', { type: 'Feature', properties: {} } ],
+        [ 'a feature with a geometry which is not an object', { type: 'Feature', properties: {}, geometry: 'Point' } ],
+        [ 'a geometry without coordinates', { type: 'Point' } ],
+        [ 'a point without a position', { type: 'Point', coordinates: [] } ],
+        [ 'a line with positions which are not numbers', { type: 'LineString', coordinates: [ [ '1', '2' ], [ 3, 4 ] ] } ],
+        [ 'a polygon without its rings', { type: 'Polygon', coordinates: [ [ -2.97, 54.42 ] ] } ],
+        [ 'a geometry collection without geometries', { type: 'GeometryCollection' } ],
+        [ 'a geometry collection with a null geometry', { type: 'GeometryCollection', geometries: [ null ] } ]
+    ])('rejects %s', (name, geojson) => {
+        expect(transformer.transformGeoJSON(geojson)).toEqual({});
+
+        const strict = new OSTransform();
+        strict.options.strict = true;
+        expect(() => strict.transformGeoJSON(geojson)).toThrow(expect.objectContaining({ code: 'INVALID_INPUT' }));
+    });
+
+    test('os.Transform.transformGeoJSON() rejects malformed GeoJSON in the same way', () => {
+        const os = loadBrowserScripts('os-transform.js');
+        os.Transform.options.strict = true;
+        expect(() => os.Transform.transformGeoJSON({ type: 'FeatureCollection' })).toThrow(expect.objectContaining({ code: 'INVALID_INPUT' }));
+        expect(() => os.Transform.transformGeoJSON({ type: 'Feature', geometry: { type: 'Point' } })).toThrow('Invalid GeoJSON');
+    });
+});
+
+describe('/api/transform-geojson', () => {
+    let server;
+
+    beforeAll(async () => {
+        server = await startServer();
+    });
+
+    afterAll(() => {
+        server.stop();
+    });
+
+    test('transforms a POSTed GeoJSON object', async () => {
+        const response = await fetch(`${server.url}/api/transform-geojson`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ geojson: { type: 'Point', coordinates: [ 337297, 503695 ] }, direction: 'to-latlng' })
+        });
+
+        expect(response.status).toBe(200);
+        expect(await response.json()).toEqual({ geojson: { type: 'Point', coordinates: [ -2.9679374, 54.42481 ] }, outOfBounds: [] });
+    });
+
+    test.skipIf(geoid)('responds to heights without the geoid model with 503', async () => {
+        const response = await fetch(`${server.url}/api/transform-geojson`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ geojson: { type: 'Point', coordinates: [ 337297, 503695, 12 ] }, direction: 'to-latlng', heights: true })
+        });
+
+        expect(response.status).toBe(503);
+        expect(await response.json()).toEqual({ error: 'OSGM15 geoid model has not been loaded.', code: 'GRID_NOT_LOADED' });
+    });
+
+    test.each([
+        [ { type: 'FeatureCollection' }, 'Invalid GeoJSON: features, geometries or coordinates are missing or malformed.' ],
+        [ { type: 'FeatureCollection', features: {} }, 'Invalid parameter: geojson.features must be an array' ],
+        [ { type: 'Feature', geometry: 'Point' }, 'Invalid parameter: geojson.geometry must be an object' ],
+        [ { type: 'Point' }, 'Invalid GeoJSON: features, geometries or coordinates are missing or malformed.' ]
+    ])('responds to malformed GeoJSON %p with 400', async (geojson, error) => {
+        const response = await fetch(`${server.url}/api/transform-geojson`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ geojson: geojson })
+        });
+
+        expect(response.status).toBe(400);
+        expect(await response.json()).toEqual({ error: error, code: 'INVALID_INPUT' });
+    });
+});
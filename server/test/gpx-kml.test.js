@@ -0,0 +1,205 @@
+// gpx-kml.test.js
+// GPX + KML reading, writing and conversion to and from British National Grid
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test';
+import { OSTransform, loadGrid } from '../transform.js';
+import { parseXML, readGPX, readKML, readGPXKML, writeGPX, writeKML, importGPXKML, importGPXKMLToCSV, exportGPXKML } from '../gpx-kml.js';
+import { writeDataFile } from './helpers.js';
+
+const transformer = new OSTransform();
+transformer.options.strict = true;
+
+// Heights can only be converted with the (optional) OSGM15 data file
+const { geoid } = await loadGrid();
+
+const gpx = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1">
+  <wpt lat="54.52742" lon="-3.01626"><ele>950</ele><name>Helvellyn &amp; Striding Edge</name><time>2024-05-01T10:00:00Z</time></wpt>
+  <rte><name>Route</name><rtept lat="54.42481" lon="-2.9679374"/><rtept lat="54.425" lon="-2.968"/></rte>
+  <trk>
+    <name><![CDATA[Walk <1>]]></name>
+    <trkseg>
+      <trkpt lat="54.42481" lon="-2.9679374"><time>2024-05-01T10:00:00Z</time></trkpt>
+      <trkpt lat="54.425" lon="-2.968"><time>2024-05-01T10:05:00Z</time></trkpt>
+    </trkseg>
+    <trkseg><trkpt lat="54.426" lon="-2.969"/></trkseg>
+  </trk>
+</gpx>`;
+
+const kml = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <Folder>
+      <Placemark><name>Summit</name><Point><coordinates>-3.01626,54.52742,950</coordinates></Point></Placemark>
+    </Folder>
+    <Placemark>
+      <name>Areas</name>
+      <MultiGeometry>
+        <Polygon><outerBoundaryIs><LinearRing><coordinates>-2.97,54.42 -2.96,54.42 -2.96,54.43 -2.97,54.42</coordinates></LinearRing></outerBoundaryIs></Polygon>
+        <Polygon><outerBoundaryIs><LinearRing><coordinates>-2.95,54.42 -2.94,54.42 -2.94,54.43 -2.95,54.42</coordinates></LinearRing></outerBoundaryIs></Polygon>
+      </MultiGeometry>
+    </Placemark>
+  </Document>
+</kml>`;
+
+describe('parseXML()', () => {
+    test('reads elements, attributes, entities and CDATA without namespace prefixes', () => {
+        const root = parseXML('<a:root x="1" y=\'&lt;2&gt;\'><b>&#65;&#x42;&amp;</b><gx:c/><![CDATA[<d>]]></a:root>');
+        expect(root).toMatchObject({ name: 'root', attributes: { x: '1', y: '<2>' }, text: '<d>' });
+        expect(root.children.map(child => [ child.name, child.text ])).toEqual([ [ 'b', 'AB&' ], [ 'c', '' ] ]);
+    });
+
+    test.each([
+        [ '<a><b></a>', 'Invalid XML: unexpected </a>.' ],
+        [ '<a><b></b>', 'Invalid XML: <a> is not closed.' ],
+        [ '<a/><b/>', 'Invalid XML: expected a single root element.' ]
+    ])('parseXML(%p) fails', (xml, message) => {
+        expect(() => parseXML(xml)).toThrow(message);
+    });
+});
+
+describe('readGPX() + readKML()', () => {
+    test('reads waypoints, routes and tracks', () => {
+        const { features } = readGPX(gpx);
+        expect(features).toHaveLength(3);
+        expect(features[0]).toEqual({
+            type: 'Feature',
+            properties: { type: 'waypoint', name: 'Helvellyn & Striding Edge', time: '2024-05-01T10:00:00Z' },
+            geometry: { type: 'Point', coordinates: [ -3.01626, 54.52742, 950 ] }
+        });
+        expect(features[1].properties).toEqual({ type: 'route', name: 'Route' });
+        expect(features[1].geometry).toEqual({ type: 'LineString', coordinates: [ [ -2.9679374, 54.42481 ], [ -2.968, 54.425 ] ] });
+        expect(features[2].properties).toEqual({
+            type: 'track', name: 'Walk <1>', times: [ [ '2024-05-01T10:00:00Z', '2024-05-01T10:05:00Z' ], [ null ] ]
+        });
+        expect(features[2].geometry.type).toBe('MultiLineString');
+    });
+
+    test('reads placemarks in folders, and multi-geometries', () => {
+        const { features } = readKML(kml);
+        expect(features.map(feature => feature.properties.name)).toEqual([ 'Summit', 'Areas' ]);
+        expect(features[0].geometry).toEqual({ type: 'Point', coordinates: [ -3.01626, 54.52742, 950 ] });
+        expect(features[1].geometry.type).toBe('MultiPolygon');
+        expect(features[1].geometry.coordinates).toHaveLength(2);
+    });
+
+    test('readGPXKML() detects the format', () => {
+        expect(readGPXKML(gpx).format).toBe('gpx');
+        expect(readGPXKML(kml).format).toBe('kml');
+        expect(() => readGPXKML('<html/>')).toThrow();
+    });
+
+    test('rejects GPX points without a valid lat + lon', () => {
+        expect(() => readGPX('<gpx><wpt lat="x" lon="1"/></gpx>')).toThrow('Invalid GPX: <wpt> without a valid lat + lon.');
+    });
+
+    test.each([
+        [ '<Point><coordinates></coordinates></Point>', 'Invalid KML: <Point> must have one position.' ],
+        [ '<Point/>', 'Invalid KML: <Point> must have one position.' ],
+        [ '<LineString><coordinates>-3,54 x,54</coordinates></LineString>', 'Invalid KML: <LineString> has invalid coordinates.' ],
+        [ '<gx:Track><when>2024-05-01T10:00:00Z</when><gx:coord>-3 x</gx:coord></gx:Track>', 'Invalid KML: <Track> has invalid coordinates.' ],
+        [ '<gx:Track><when>2024-05-01T10:00:00Z</when><gx:coord>-3 54</gx:coord><gx:coord>-3 55</gx:coord></gx:Track>', 'Invalid KML: <Track> has 1 <when> for 2 <gx:coord>.' ]
+    ])('rejects the KML placemark %p', (geometry, message) => {
+        const text = `<kml><Placemark>${geometry}</Placemark></kml>`;
+        expect(() => readKML(text)).toThrow(message);
+        expect(() => readKML(text)).toThrow(expect.objectContaining({ code: 'INVALID_INPUT' }));
+    });
+});
+
+describe('writeGPX() + writeKML()', () => {
+    test('GPX round-trips', () => {
+        const geojson = readGPX(gpx);
+        expect(readGPX(writeGPX(geojson))).toEqual(geojson);
+    });
+
+    test('KML round-trips, keeping track timestamps', () => {
+        const geojson = readGPX(gpx);
+        const features = readKML(writeKML(geojson)).features;
+        expect(features.map(feature => feature.geometry)).toEqual(geojson.features.map(feature => feature.geometry));
+        expect(features[2].properties.times).toEqual(geojson.features[2].properties.times);
+    });
+
+    test('escapes text', () => {
+        const text = writeGPX({ type: 'Feature', properties: { name: 'A & "B" <C>' }, geometry: { type: 'Point', coordinates: [ -3, 54 ] } });
+        expect(text).toContain('<name>A &amp; &quot;B&quot; &lt;C&gt;</name>');
+        expect(readGPX(text).features[0].properties.name).toBe('A & "B" <C>');
+    });
+});
+
+describe('importGPXKML() + exportGPXKML()', () => {
+    test('transforms to British National Grid with grid references', () => {
+        const { format, geojson, outOfBounds } = importGPXKML(transformer, gpx, { decimals: 0, precision: 6 });
+        expect(format).toBe('gpx');
+        expect(outOfBounds).toEqual([]);
+        expect(geojson.crs.properties.name).toBe('urn:ogc:def:crs:EPSG::27700');
+        expect(geojson.features[1].geometry.coordinates[0]).toEqual([ 337297, 503695 ]);
+        expect(geojson.features[1].properties.gridrefs).toEqual([ 'NY 372 036', 'NY 372 037' ]);
+        expect(geojson.features[0].properties.gridref).toBe('NY 343 151');
+    });
+
+    test('numbers the parts of multi-polygons across all of their rings', () => {
+        const csv = importGPXKMLToCSV(transformer, kml, { decimals: 0 }).trim().split('\n');
+        expect(csv[0]).toBe('feature,type,name,part,point,time,ele,lat,lng,ea,no,gridref,error');
+        const parts = csv.slice(1).filter(row => row.startsWith('1,')).map(row => row.split(',')[3]);
+        expect(parts).toEqual([ '0', '0', '0', '0', '1', '1', '1', '1' ]);
+    });
+
+    test('reports positions out of bounds in their own CSV row', () => {
+        const csv = importGPXKMLToCSV(transformer, '<gpx><wpt lat="54.4" lon="-3"/><wpt lat="40" lon="-3"/></gpx>', { decimals: 0 }).trim().split('\n');
+        expect(csv[1].endsWith(',')).toBe(true);
+        expect(csv[2].endsWith(',Coordinates out of range.')).toBe(true);
+    });
+
+    test('exports British National Grid features, without the geometry of those out of bounds', () => {
+        const geojson = {
+            type: 'FeatureCollection',
+            features: [
+                { type: 'Feature', properties: { name: 'Helvellyn' }, geometry: { type: 'Point', coordinates: [ 337297, 503695 ] } },
+                { type: 'Feature', properties: { name: 'Nowhere' }, geometry: { type: 'Point', coordinates: [ -5000, 503695 ] } }
+            ]
+        };
+        const { text, outOfBounds } = exportGPXKML(transformer, geojson, 'kml');
+        expect(outOfBounds).toEqual([ { id: undefined, index: 1, message: 'Coordinates out of range.' } ]);
+        expect(readKML(text).features).toEqual([
+            { type: 'Feature', properties: { name: 'Helvellyn', type: 'waypoint' }, geometry: { type: 'Point', coordinates: [ -2.9679374, 54.42481 ] } },
+            { type: 'Feature', properties: { name: 'Nowhere' }, geometry: null }
+        ]);
+    });
+
+    test('copies elevations unchanged by default', () => {
+        const elevation = '<gpx><wpt lat="54.42481" lon="-2.9679374"><ele>100</ele></wpt></gpx>';
+        expect(importGPXKML(transformer, elevation, { decimals: 0 }).geojson.features[0].geometry.coordinates).toEqual([ 337297, 503695, 100 ]);
+        expect(importGPXKMLToCSV(transformer, elevation, { decimals: 0 }).split('\n')[1]).toStartWith('0,waypoint,,0,0,,100,');
+
+        const geojson = { type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: [ 337297, 503695, 100 ] } };
+        expect(readKML(exportGPXKML(transformer, geojson, 'kml').text).features[0].geometry.coordinates).toEqual([ -2.9679374, 54.42481, 100 ]);
+    });
+
+    test.skipIf(geoid)('fails to convert elevations without the geoid model', () => {
+        const elevation = '<gpx><wpt lat="54.42481" lon="-2.9679374"><ele>100</ele></wpt></gpx>';
+        expect(() => importGPXKML(transformer, elevation, { heights: true })).toThrow('OSGM15 geoid model has not been loaded.');
+        expect(importGPXKMLToCSV(transformer, elevation, { heights: true }).trim()).toEndWith(',OSGM15 geoid model has not been loaded.');
+    });
+
+    describe('with heights', () => {
+        beforeAll(async () => {
+            await loadGrid(undefined, await writeDataFile('gpx-kml.test.OSTN15_OSGM15_DataFile.txt', [ [ 337, 503 ], [ 338, 503 ], [ 338, 504 ], [ 337, 504 ] ]));
+        });
+
+        afterAll(async () => {
+            await loadGrid();
+        });
+
+        test('converts elevations with OSGM15', () => {
+            const elevation = '<gpx><wpt lat="54.42481" lon="-2.9679374"><ele>150</ele></wpt><wpt lat="54.42481" lon="-2.9679374"/></gpx>';
+            const { geojson } = importGPXKML(transformer, elevation, { decimals: 0, heights: true });
+            expect(geojson.features.map(feature => feature.geometry.coordinates)).toEqual([ [ 337297, 503695, 100 ], [ 337297, 503695 ] ]);
+
+            const csv = importGPXKMLToCSV(transformer, elevation, { decimals: 0, heights: true }).split('\n');
+            expect(csv[1]).toStartWith('0,waypoint,,0,0,,100,');
+            expect(csv[2]).toStartWith('1,waypoint,,0,0,,,');
+
+            const { text } = exportGPXKML(transformer, geojson, 'gpx', undefined, true);
+            expect(readGPX(text).features[0].geometry.coordinates).toEqual([ -2.9679374, 54.42481, 150 ]);
+        });
+    });
+});
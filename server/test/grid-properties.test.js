@@ -0,0 +1,121 @@
+// grid-properties.test.js
+// Point scale factor + grid convergence, and grid versus geodesic distances + bearings
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test';
+import proj4 from 'proj4';
+import { OSTransform, loadGrid } from '../transform.js';
+import { loadBrowserScripts, rootURL, startServer } from './helpers.js';
+
+const transformer = new OSTransform();
+transformer.options.strict = true;
+
+await loadGrid();
+
+/**
+ * Scale factor + convergence at an easting + northing, measured with the Proj4js Transverse Mercator projection of
+ * British National Grid from the grid positions of points a few metres east and north of it on the Airy ellipsoid.
+ */
+function measure(ea, no) {
+    const airy = { a: 6377563.396, b: 6356256.909 };
+    const grid = '+proj=tmerc +lat_0=49 +lon_0=-2 +k=0.9996012717 +x_0=400000 +y_0=-100000 +ellps=airy +units=m +no_defs';
+    const [ lng, lat ] = proj4(grid, 'WGS84', [ ea, no ]).map(value => value * Math.PI / 180);
+    const e2 = (airy.a ** 2 - airy.b ** 2) / airy.a ** 2;
+    const nu = airy.a / Math.sqrt(1 - e2 * Math.sin(lat) ** 2);
+
+    const step = 1e-7;
+    const toGrid = (lat, lng) => proj4('WGS84', grid, [ lng * 180 / Math.PI, lat * 180 / Math.PI ]);
+    const origin = toGrid(lat, lng);
+    const east = toGrid(lat, lng + step);
+    const north = toGrid(lat + step, lng);
+
+    return {
+        scaleFactor: Math.hypot(east[0] - origin[0], east[1] - origin[1]) / (nu * Math.cos(lat) * step),
+        convergence: Math.atan2(north[0] - origin[0], north[1] - origin[1]) * -180 / Math.PI
+    };
+}
+
+describe('getGridProperties()', () => {
+    test('is the scale factor on the central meridian, with no convergence', () => {
+        expect(transformer.getGridProperties({ ea: 400000, no: 300000 })).toEqual({ ea: 400000, no: 300000, scaleFactor: 0.999601272, convergence: 0 });
+    });
+
+    test.each([
+        [ 651409.903, 313177.27 ],
+        [ 337297, 503695 ],
+        [ 150000, 900000 ]
+    ])('matches the projection at %p, %p', (ea, no) => {
+        const expected = measure(ea, no);
+        const result = transformer.getGridProperties({ ea: ea, no: no });
+        expect(result.scaleFactor).toBeCloseTo(expected.scaleFactor, 7);
+        expect(result.convergence).toBeCloseTo(expected.convergence, 5);
+    });
+
+    test('takes a latlng', () => {
+        expect(transformer.getGridProperties({ lat: 54.42481, lng: -2.9679374 }))
+            .toEqual({ ea: 337297.001, no: 503695.002, scaleFactor: 0.99964952, convergence: -0.7861665 });
+    });
+
+    test('uses the projection of the Irish grids', () => {
+        expect(transformer.getGridProperties({ ea: 200000, no: 250000, srid: 29903 }))
+            .toEqual({ ea: 200000, no: 250000, srid: 29903, scaleFactor: 1.000035, convergence: 0 });
+    });
+
+    test('rejects other coordinate systems, and points out of range', () => {
+        expect(() => transformer.getGridProperties({ ea: 1, no: 2 }, 1234)).toThrow('Unsupported coordinate system: 1234.');
+        expect(() => transformer.getGridProperties({ ea: 1, no: 2, srid: 29903 }, 27700)).toThrow('Coordinates must be on the same national grid.');
+        expect(() => transformer.getGridProperties({ ea: -5, no: 2 })).toThrow('Coordinates out of range.');
+    });
+});
+
+describe('getDistance()', () => {
+    test('along the central meridian, the grid distance is the geodesic distance times the scale factor', () => {
+        const result = transformer.getDistance({ ea: 400000, no: 300000 }, { ea: 400000, no: 310000 });
+        expect(result).toEqual({
+            gridDistance: 10000,
+            geodesicDistance: 10003.989,
+            scaleFactor: 0.999601272,
+            gridBearing: 0,
+            trueBearing: 0,
+            convergence: 0
+        });
+    });
+
+    test('relates grid + true bearings by the convergence, to within the arc-to-chord correction', () => {
+        const result = transformer.getDistance({ ea: 337297, no: 503695 }, { ea: 347297, no: 513695 });
+        expect(result.gridDistance).toBe(14142.136);
+        expect(result.gridBearing).toBe(45);
+        expect(result.geodesicDistance * result.scaleFactor).toBeCloseTo(result.gridDistance, 3);
+        expect(result.trueBearing - result.convergence).toBeCloseTo(result.gridBearing, 3);
+    });
+
+    test('gives the same results in the browser library', async () => {
+        const os = loadBrowserScripts('os-transform.js');
+        os.Transform.options.strict = true;
+        await os.Transform.init({ type: 'ostn15-js', gsbPath: new URL('resources/uk_os_OSTN15_NTv2_OSGBtoETRS.tif', rootURL).href });
+
+        const [ from, to ] = [ { ea: 337297, no: 503695 }, { ea: 347297, no: 513695 } ];
+        expect(await os.Transform.getDistance(from, to)).toEqual(transformer.getDistance(from, to));
+        expect(await os.Transform.getGridProperties(from)).toEqual(transformer.getGridProperties(from));
+    });
+});
+
+describe('server', () => {
+    let server;
+
+    beforeAll(async () => {
+        server = await startServer();
+    });
+
+    afterAll(() => {
+        server.stop();
+    });
+
+    test('/api/grid-properties', async () => {
+        const response = await fetch(`${server.url}/api/grid-properties?ea=400000&no=300000`);
+        expect(await response.json()).toEqual({ ea: 400000, no: 300000, scaleFactor: 0.999601272, convergence: 0 });
+    });
+
+    test('/api/distance between grid references', async () => {
+        const response = await fetch(`${server.url}/api/distance?from=SK0000000000&to=SK0000010000`);
+        expect(await response.json()).toMatchObject({ gridDistance: 10000, geodesicDistance: 10003.989, gridBearing: 0 });
+    });
+});
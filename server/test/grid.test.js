@@ -0,0 +1,89 @@
+// grid.test.js
+// getGrid(): British National Grid lines + labelled cells as GeoJSON, for map overlays
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test';
+import { OSTransform, loadGrid } from '../transform.js';
+import { startServer } from './helpers.js';
+
+const transformer = new OSTransform();
+transformer.options.strict = true;
+
+await loadGrid();
+
+const bbox = [ 331000, 501000, 349000, 509000 ];
+
+describe('getGrid()', () => {
+    test('snaps the bbox out to the interval, with lines labelled by their figures + cells by their grid reference', () => {
+        const grid = transformer.getGrid(bbox, 10000, { projected: true });
+
+        expect(grid.bbox).toEqual([ 330000, 500000, 350000, 510000 ]);
+        expect(grid.crs.properties.name).toBe('urn:ogc:def:crs:EPSG::27700');
+        expect(grid.features.map(feature => feature.properties)).toEqual([
+            { type: 'line', axis: 'easting', value: 330000, label: '30' },
+            { type: 'line', axis: 'easting', value: 340000, label: '40' },
+            { type: 'line', axis: 'easting', value: 350000, label: '50' },
+            { type: 'line', axis: 'northing', value: 500000, label: '00' },
+            { type: 'line', axis: 'northing', value: 510000, label: '10' },
+            { type: 'cell', gridref: 'NY 3 0' },
+            { type: 'cell', gridref: 'NY 4 0' }
+        ]);
+        expect(grid.features[5].geometry.coordinates).toEqual([
+            [ [ 330000, 500000 ], [ 340000, 500000 ], [ 340000, 510000 ], [ 330000, 510000 ], [ 330000, 500000 ] ]
+        ]);
+    });
+
+    test('returns lines or cells alone', () => {
+        const lines = transformer.getGrid(bbox, 10000, { projected: true, type: 'lines' });
+        const cells = transformer.getGrid(bbox, 10000, { projected: true, type: 'cells' });
+        expect(lines.features.every(feature => feature.properties.type === 'line')).toBe(true);
+        expect(cells.features.map(feature => feature.properties.gridref)).toEqual([ 'NY 3 0', 'NY 4 0' ]);
+    });
+
+    test('densifies + transforms the lines to latlng by default', () => {
+        const grid = transformer.getGrid(bbox, 10000);
+        const corner = transformer.toLatLng({ ea: 330000, no: 500000 }, 7);
+
+        expect(grid.crs).toBeUndefined();
+        expect(grid.features[0].geometry.coordinates).toHaveLength(11);
+        expect(grid.features[0].geometry.coordinates[0]).toEqual([ corner.lng, corner.lat ]);
+        expect(grid.features[5].geometry.coordinates[0]).toHaveLength(41);
+        expect(grid.bbox).toEqual([ -3.0818764, 54.390655, -2.771547, 54.4828786 ]);
+    });
+
+    test('covers a latlng bbox', () => {
+        const grid = transformer.getGrid([ -3, 54.4, -2.95, 54.45 ], 1000, { srid: 4326, type: 'cells' });
+        expect(grid.features).toHaveLength(28);
+        expect(grid.features[0].properties.gridref).toBe('NY 35 00');
+    });
+
+    test.each([
+        [ [ bbox, 500 ], 'Invalid grid interval: use 100000, 10000, 1000 or 100 metres.' ],
+        [ [ bbox, 1000, { type: 'points' } ], 'Invalid grid options.' ],
+        [ [ [ 1, 2, 3 ], 1000 ], 'Invalid bbox: [minX, minY, maxX, maxY] is required.' ],
+        [ [ [ 0, 0, 700000, 1250000 ], 1000 ], 'Too many grid features (876952): use a larger interval or a smaller bbox.' ]
+    ])('rejects %p', (args, message) => {
+        expect(() => transformer.getGrid(...args)).toThrow(message);
+    });
+});
+
+describe('/api/grid', () => {
+    let server;
+
+    beforeAll(async () => {
+        server = await startServer();
+    });
+
+    afterAll(() => {
+        server.stop();
+    });
+
+    test('returns the grid for a bbox given as text', async () => {
+        const response = await fetch(`${server.url}/api/grid?bbox=${bbox.join(',')}&interval=10000&projected=true&type=cells`);
+        expect(response.status).toBe(200);
+        expect((await response.json()).features.map(feature => feature.properties.gridref)).toEqual([ 'NY 3 0', 'NY 4 0' ]);
+    });
+
+    test('responds to an invalid interval with 400', async () => {
+        const response = await fetch(`${server.url}/api/grid?bbox=${bbox.join(',')}&interval=500`);
+        expect(response.status).toBe(400);
+    });
+});
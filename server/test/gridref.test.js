@@ -0,0 +1,165 @@
+// gridref.test.js
+// Grid reference conversion (British National Grid + Irish Grid), and Irish coordinates
+import { describe, expect, test } from 'bun:test';
+import proj4 from 'proj4';
+import { OSTransform } from '../transform.js';
+
+const transformer = new OSTransform();
+transformer.options.strict = true;
+
+describe('British National Grid references', () => {
+    test('toGridRef() writes a 10-figure grid reference', () => {
+        expect(transformer.toGridRef({ ea: 337297, no: 503695 })).toEqual({
+            text: 'NY 37297 03695',
+            html: 'NY&thinsp;37297&thinsp;03695',
+            letters: 'NY',
+            eastings: '37297',
+            northings: '03695'
+        });
+    });
+
+    test.each([
+        [ 'SV 00000 00000', 0, 0 ],
+        [ 'TQ 30089 80475', 530089, 180475 ],
+        [ 'HP 61180 16540', 461180, 1216540 ]
+    ])('%s round-trips', (gridref, ea, no) => {
+        expect(transformer.fromGridRef(gridref)).toEqual({ ea: ea, no: no });
+        expect(transformer.toGridRef({ ea: ea, no: no }).text).toBe(gridref);
+    });
+
+    test('fromGridRef() reads shorter grid references', () => {
+        expect(transformer.fromGridRef('NC 0 1')).toEqual({ ea: 200000, no: 910000 });
+    });
+
+    test('every 100km square round-trips', () => {
+        for (let ea = 0; ea < 700000; ea += 100000) {
+            for (let no = 0; no < 1300000; no += 100000) {
+                const gridref = transformer.toGridRef({ ea: ea + 12345, no: no + 67890 }).text;
+                expect(transformer.fromGridRef(gridref)).toEqual({ ea: ea + 12345, no: no + 67890 });
+            }
+        }
+    });
+
+    test('fromGridRef() returns the square of a grid reference', () => {
+        const square = transformer.fromGridRef('NY 37 03', true);
+        expect(square.precision).toBe(1000);
+        expect(square.centre).toEqual({ ea: 337500, no: 503500 });
+        expect(square.bbox).toEqual([ 337000, 503000, 338000, 504000 ]);
+    });
+
+    test('fromGridRef() rejects invalid grid references', () => {
+        expect(() => transformer.fromGridRef('NY 372')).toThrow('Invalid grid reference.');
+        expect(() => transformer.fromGridRef('XX 37297 03695')).toThrow('Invalid grid reference.');
+    });
+});
+
+describe('Irish Grid references', () => {
+    test.each([
+        [ 'O 15617 34216', 315617, 234216 ],
+        [ 'V 00000 00000', 0, 0 ],
+        [ 'E 49999 49999', 449999, 449999 ],
+        [ 'V 01234 05678', 1234, 5678 ]
+    ])('%s round-trips', (gridref, ea, no) => {
+        expect(transformer.fromGridRef(gridref)).toEqual({ ea: ea, no: no, srid: 29903 });
+        expect(transformer.toGridRef({ ea: ea, no: no, srid: 29903 }).text).toBe(gridref);
+    });
+
+    test('fromGridRef() reads shorter grid references', () => {
+        expect(transformer.fromGridRef('J 33 74')).toEqual({ ea: 333000, no: 374000, srid: 29903 });
+        expect(transformer.fromGridRef('Z 1 1')).toEqual({ ea: 410000, no: 10000, srid: 29903 });
+    });
+
+    test('every 100km square (no I) round-trips', () => {
+        const letters = [];
+        for (let ea = 0; ea < 500000; ea += 100000) {
+            for (let no = 0; no < 500000; no += 100000) {
+                const gridref = transformer.toGridRef({ ea: ea + 1234, no: no + 5678, srid: 29903 }).text;
+                letters.push(gridref[0]);
+                expect(transformer.fromGridRef(gridref)).toEqual({ ea: ea + 1234, no: no + 5678, srid: 29903 });
+            }
+        }
+        expect(letters.sort().join('')).toBe('ABCDEFGHJKLMNOPQRSTUVWXYZ');
+    });
+});
+
+describe('Irish coordinates', () => {
+    const dublin = { lat: 53.35, lng: -6.26 };
+
+    test('fromLatLng() projects ETRS89 to Irish Transverse Mercator', () => {
+        const itm = '+proj=tmerc +lat_0=53.5 +lon_0=-8 +k=0.99982 +x_0=600000 +y_0=750000 +ellps=GRS80 +units=m +no_defs';
+        const [ ea, no ] = proj4('WGS84', itm, [ dublin.lng, dublin.lat ]);
+
+        const result = transformer.fromLatLng(dublin, 2, 2157);
+        expect(result.srid).toBe(2157);
+        expect(result.ea).toBeCloseTo(ea, 1);
+        expect(result.no).toBeCloseTo(no, 1);
+    });
+
+    test('fromLatLng() transforms to Irish Grid, which is offset from ITM by about 400km east + 500km north', () => {
+        const ig = transformer.fromLatLng(dublin, 2, 29903);
+        const itm = transformer.fromLatLng(dublin, 2, 2157);
+        expect(ig).toMatchObject({ ea: 315920, no: 234694.1, srid: 29903 });
+        expect(itm.ea - ig.ea).toBeWithin(399900, 400000);
+        expect(itm.no - ig.no).toBeWithin(500000, 500100);
+    });
+
+    test('toLatLng() round-trips both grids', () => {
+        for (const srid of [ 29903, 2157 ]) {
+            const result = transformer.toLatLng(transformer.fromLatLng(dublin, 3, srid), 6);
+            expect(result).toMatchObject({ lat: 53.35, lng: -6.26 });
+        }
+    });
+
+    test('points outside Ireland are rejected', () => {
+        expect(() => transformer.fromLatLng({ lat: 51, lng: -20 }, 2, 29903)).toThrow('Coordinates out of range.');
+        expect(() => transformer.toLatLng({ ea: 900000, no: 100, srid: 29903 })).toThrow('Coordinates out of range.');
+    });
+});
+
+describe('Precision + ecological formats', () => {
+    test('toGridRef() writes fewer figures', () => {
+        const coordinates = { ea: 337297, no: 503695 };
+        expect(transformer.toGridRef(coordinates, 6).text).toBe('NY 372 036');
+        expect(transformer.toGridRef(coordinates, 0).text).toBe('NY');
+        expect(transformer.toGridRef({ ea: 315920, no: 234694, srid: 29903 }, 4).text).toBe('O 15 34');
+    });
+
+    test('toGridRef() writes hectads, quadrants + tetrads', () => {
+        const coordinates = { ea: 337297, no: 503695 };
+        expect(transformer.toGridRef(coordinates, 'hectad').text).toBe('NY30');
+        expect(transformer.toGridRef(coordinates, 'quadrant').text).toBe('NY30SE');
+        expect(transformer.toGridRef(coordinates, 'tetrad')).toMatchObject({ text: 'NY30R', letters: 'NY', suffix: 'R' });
+        expect(transformer.toGridRef({ ea: 200000, no: 250000, srid: 29903 }, 'tetrad').text).toBe('N05A');
+    });
+
+    test('every tetrad (no O) round-trips', () => {
+        for (const letter of 'ABCDEFGHIJKLMNPQRSTUVWXYZ') {
+            const square = transformer.fromGridRef(`NY30${letter}`, true);
+            expect(square.precision).toBe(2000);
+            expect(transformer.toGridRef({ ea: square.ea, no: square.no }, 'tetrad').text).toBe(`NY30${letter}`);
+            expect(transformer.toGridRef({ ea: square.centre.ea, no: square.centre.no }, 'tetrad').text).toBe(`NY30${letter}`);
+        }
+        expect(transformer.fromGridRef('NY30A')).toEqual({ ea: 330000, no: 500000 });
+        expect(transformer.fromGridRef('NY30E')).toEqual({ ea: 330000, no: 508000 });
+        expect(transformer.fromGridRef('NY30Z')).toEqual({ ea: 338000, no: 508000 });
+    });
+
+    test.each([ 'SW', 'NW', 'NE', 'SE' ])('quadrant %s round-trips', (quadrant) => {
+        const square = transformer.fromGridRef(`TQ38${quadrant}`, true);
+        expect(square.precision).toBe(5000);
+        expect(transformer.toGridRef({ ea: square.ea, no: square.no }, 'quadrant').text).toBe(`TQ38${quadrant}`);
+        expect(transformer.toGridRef({ ea: square.centre.ea, no: square.centre.no }, 'quadrant').text).toBe(`TQ38${quadrant}`);
+    });
+
+    test('hectads round-trip on both grids', () => {
+        expect(transformer.fromGridRef('NY30', true)).toMatchObject({ ea: 330000, no: 500000, precision: 10000 });
+        expect(transformer.toGridRef({ ea: 330000, no: 500000 }, 'hectad').text).toBe('NY30');
+        expect(transformer.fromGridRef('J37')).toEqual({ ea: 330000, no: 370000, srid: 29903 });
+        expect(transformer.toGridRef({ ea: 330000, no: 370000, srid: 29903 }, 'hectad').text).toBe('J37');
+    });
+
+    test('toGridRef() rejects other precisions', () => {
+        expect(() => transformer.toGridRef({ ea: 337297, no: 503695 }, 'monad')).toThrow('Invalid grid reference precision.');
+        expect(() => transformer.toGridRef({ ea: 337297, no: 503695 }, 5)).toThrow('Invalid grid reference precision.');
+    });
+});
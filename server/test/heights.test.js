@@ -0,0 +1,59 @@
+// heights.test.js
+// Ellipsoidal + orthometric height conversion with the OSGM15 geoid model
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { OSTransform, loadGrid } from '../transform.js';
+
+const transformer = new OSTransform();
+
+// A few nodes of the OSTN15/OSGM15 data file (the rest of which are read as no-data) around NY 37297 03695, which is
+// at 337200.762, 503764.354 in ETRS89 eastings + northings: a geoid height of 50m, in the Newlyn datum (flag 1)
+const node = (x, y, height, flag) => `${x + y * 701 + 1},${x * 1000},${y * 1000},0,0,${height},${flag}`;
+const dataFile = join(tmpdir(), 'heights.test.OSTN15_OSGM15_DataFile.txt');
+
+describe('with the geoid model', () => {
+    beforeAll(async () => {
+        await Bun.write(dataFile, [
+            'Point_ID,ETRS89_Easting,ETRS89_Northing,ETRS89_OSGB36_EShift,ETRS89_OSGB36_NShift,ETRS89_ODN_HeightShift,Height_Datum_Flag',
+            node(337, 503, 50, 1), node(338, 503, 50, 1), node(338, 504, 50, 1), node(337, 504, 50, 1),
+            node(400, 503, 40, 15), node(401, 503, 40, 15), node(401, 504, 40, 15), node(400, 504, 40, 15)
+        ].join('\n'));
+        await loadGrid(undefined, dataFile);
+    });
+
+    afterAll(async () => {
+        await loadGrid();
+    });
+
+    test('fromLatLng() converts an ellipsoidal height to an orthometric height', () => {
+        const result = transformer.fromLatLng({ lat: 54.42481, lng: -2.9679374, h: 150 }, 0);
+        expect(result).toMatchObject({ ea: 337297, no: 503695, h: 100, verticalDatum: 'Newlyn' });
+        expect(transformer.fromLatLng({ lat: 54.42481, lng: -2.9679374, height: 150 }, 0).h).toBe(100);
+    });
+
+    test('toLatLng() converts an orthometric height to an ellipsoidal height', () => {
+        const result = transformer.toLatLng({ ea: 337297, no: 503695, h: 100 });
+        expect(result).toMatchObject({ lat: 54.42481, lng: -2.9679374, h: 150, verticalDatum: 'Newlyn' });
+    });
+
+    test('names the vertical datum of the nearest node', () => {
+        const latlng = transformer.toLatLng({ ea: 400500, no: 503500, srid: 27700 });
+        expect(transformer.fromLatLng({ ...latlng, h: 50 }).verticalDatum).toBe('Offshore');
+    });
+
+    test('fails where the geoid model has no data', () => {
+        expect(transformer.fromLatLng({ lat: 52.5, lng: -1.5, h: 100 })).toEqual({});
+    });
+});
+
+describe('without the geoid model', () => {
+    test('heights cannot be converted', () => {
+        expect(transformer.fromLatLng({ lat: 54.42481, lng: -2.9679374, h: 150 })).toEqual({});
+        expect(transformer.toLatLng({ ea: 337297, no: 503695, h: 100 })).toEqual({});
+    });
+
+    test('coordinates without a height are converted as before', () => {
+        expect(transformer.toLatLng({ ea: 337297, no: 503695 })).toMatchObject({ lat: 54.42481, lng: -2.9679374 });
+    });
+});
@@ -0,0 +1,211 @@
+// helpers.js
+// Shared set-up for the tests: the server started on a free port, and the browser library loaded into this process
+import { readFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { runInContext, createContext } from 'node:vm';
+
+/**
+ * URL of the repository root, against which the browser library resolves its resources/ paths.
+ */
+export const rootURL = new URL('../../', import.meta.url);
+
+/**
+ * Start server.js on a free port with the given environment variables, resolving once it responds. Returns
+ * { url, stop() }, where url is the base URL of the server.
+ * @param {object} env - [optional] Environment variables for the server (e.g. TRANSFORM_TYPE).
+ */
+export async function startServer(env = {}) {
+    // Let the system pick a free port, then hand it to the server
+    const probe = Bun.serve({ port: 0, fetch: () => new Response() });
+    const port = probe.port;
+    probe.stop(true);
+
+    const server = Bun.spawn([ process.execPath, 'server.js' ], {
+        cwd: new URL('../', import.meta.url).pathname,
+        env: { ...process.env, ...env, PORT: String(port) },
+        stdout: 'ignore',
+        stderr: 'ignore'
+    });
+
+    const url = `http://localhost:${port}`;
+    for (let attempt = 0; attempt < 100; attempt++) {
+        try {
+            await fetch(`${url}/health`);
+            return { url: url, stop: () => server.kill() };
+        } catch {
+            await Bun.sleep(50);
+        }
+    }
+
+    server.kill();
+    throw new Error('The server did not start.');
+}
+
+/**
+ * Write an OSTN15/OSGM15 data file with the Newlyn height datum and a geoid-ellipsoid separation of 50m at a few nodes
+ * (the rest of which are read as no-data) to the temporary directory, and return its path. The nodes have no OSTN15
+ * shift, so only suit the Proj4js transformation type.
+ * @param {string} name - The name of the file.
+ * @param {array} nodes - The nodes, as [x, y] in km of ETRS89 easting + northing.
+ */
+export async function writeDataFile(name, nodes) {
+    const path = join(tmpdir(), name);
+    await Bun.write(path, [
+        'Point_ID,ETRS89_Easting,ETRS89_Northing,ETRS89_OSGB36_EShift,ETRS89_OSGB36_NShift,ETRS89_ODN_HeightShift,Height_Datum_Flag',
+        ...nodes.map(([ x, y ]) => `${x + y * 701 + 1},${x * 1000},${y * 1000},0,0,50,1`)
+    ].join('\n'));
+    return path;
+}
+
+/**
+ * Load browser scripts (e.g. os-transform.js) into this process as they would be loaded into a page, and return the
+ * `os` namespace they define.
+ * @param {...string} scripts - The scripts to load, relative to the repository root.
+ */
+export function loadBrowserScripts(...scripts) {
+    globalThis.window = globalThis;
+    globalThis.location = { href: rootURL.href };
+    for (const script of scripts) {
+        (0, eval)(readFileSync(new URL(script, rootURL), 'utf8'));
+    }
+    return globalThis.os;
+}
+
+/**
+ * Stand-in for the Web Worker API (which Bun only provides for modules), running the worker's source in a separate
+ * context with importScripts(), so that os.Transform.createWorker() can be tested.
+ */
+export class TestWorker {
+    constructor(url) {
+        this.onmessage = null;
+        this.onerror = null;
+        this.terminated = false;
+
+        const context = createContext({
+            postMessage: (data) => this._deliver(() => this.onmessage && this.onmessage({ data: structuredClone(data) })),
+            importScripts: (...urls) => urls.forEach(url => runInContext(readFileSync(new URL(url), 'utf8'), context)),
+            setTimeout: setTimeout,
+            fetch: fetch,
+            URL: URL,
+            DOMException: DOMException,
+            DecompressionStream: DecompressionStream,
+            Blob: Blob,
+            Response: Response,
+            console: console
+        });
+        context.self = context;
+        this._context = context;
+
+        // The source is read from the Blob URL before any message is handled
+        this._loaded = fetch(url).then(response => response.text()).then(source => runInContext(source, context));
+    }
+
+    _deliver(callback) {
+        setTimeout(() => {
+            if (!this.terminated) {
+                callback();
+            }
+        });
+    }
+
+    postMessage(data) {
+        const message = structuredClone(data);
+        this._loaded.then(() => this._deliver(() => this._context.onmessage({ data: message })));
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+}
+
+/**
+ * Stand-in for the HTML elements used by os-transform-controls.js: their classes, attributes, children and event
+ * listeners, with dispatchEvent() to simulate clicks and form submissions.
+ */
+export class TestElement {
+    constructor(tagName) {
+        this.tagName = tagName.toUpperCase();
+        this.children = [];
+        this.parentNode = null;
+        this.attributes = {};
+        this.listeners = {};
+        this.textContent = '';
+        this.className = '';
+
+        const classes = () => this.className.split(' ').filter(Boolean);
+        this.classList = {
+            add: (...names) => { this.className = [ ...new Set([ ...classes(), ...names ]) ].join(' '); },
+            remove: (...names) => { this.className = classes().filter(name => !names.includes(name)).join(' '); },
+            contains: (name) => classes().includes(name)
+        };
+    }
+
+    appendChild(child) {
+        child.parentNode = this;
+        this.children.push(child);
+        return child;
+    }
+
+    append(...children) {
+        children.forEach(child => this.appendChild(child));
+    }
+
+    remove() {
+        if (this.parentNode) {
+            this.parentNode.children = this.parentNode.children.filter(child => child !== this);
+            this.parentNode = null;
+        }
+    }
+
+    setAttribute(name, value) {
+        this.attributes[name] = String(value);
+    }
+
+    getAttribute(name) {
+        return this.attributes[name] ?? null;
+    }
+
+    removeAttribute(name) {
+        delete this.attributes[name];
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] ||= []).push(listener);
+    }
+
+    dispatchEvent(event) {
+        event.preventDefault ||= () => {};
+        (this.listeners[event.type] || []).forEach(listener => listener(event));
+    }
+
+    /**
+     * Return the descendants of this element (depth first) which match a test.
+     */
+    findAll(test) {
+        return this.children.flatMap(child => [ ...(test(child) ? [ child ] : []), ...child.findAll(test) ]);
+    }
+}
+
+/**
+ * Install a stand-in document (with createElement(), getElementById() and a head) as globalThis.document, and a
+ * clipboard recording the text written to it as navigator.clipboard. Returns { document, clipboard }.
+ */
+export function installTestDocument() {
+    const head = new TestElement('head');
+    const document = {
+        head: head,
+        baseURI: rootURL.href,
+        createElement: (tagName) => new TestElement(tagName),
+        getElementById: (id) => head.findAll(element => element.id === id)[0] || null
+    };
+    const clipboard = {
+        text: [],
+        writeText: async (text) => { clipboard.text.push(text); }
+    };
+
+    globalThis.document = document;
+    Object.defineProperty(navigator, 'clipboard', { value: clipboard, configurable: true });
+
+    return { document, clipboard };
+}
@@ -0,0 +1,66 @@
+// init.test.js
+// os.Transform.init() in the browser library: loading the grid, waiting for it and reporting failures
+import { afterEach, beforeEach, expect, test } from 'bun:test';
+import { loadBrowserScripts, rootURL } from './helpers.js';
+
+const tifPath = new URL('resources/uk_os_OSTN15_NTv2_OSGBtoETRS.tif', rootURL).href;
+
+let os;
+const fetchFile = globalThis.fetch;
+
+beforeEach(() => {
+    os = loadBrowserScripts('os-transform.js');
+    os.Transform.options.strict = true;
+});
+
+afterEach(() => {
+    globalThis.fetch = fetchFile;
+    delete globalThis.proj4;
+});
+
+test('transformations fail before init() has been called', () => {
+    os.Transform.options.type = 'ostn15-gsb';
+    expect(() => os.Transform.toLatLng({ ea: 337297, no: 503695 })).toThrow('has not been initialised');
+});
+
+test('init() loads the grid for the ostn15-js type', async () => {
+    await os.Transform.init({ type: 'ostn15-js', gsbPath: tifPath });
+    expect(os.Transform.toLatLng({ ea: 337297, no: 503695 })).toMatchObject({ lat: 54.42481, lng: -2.9679374 });
+});
+
+test('transformations made while init() is pending wait for it', async () => {
+    const ready = os.Transform.init({ type: 'ostn15-js', gsbPath: tifPath });
+    const pending = os.Transform.fromLatLng({ lat: 54.42481, lng: -2.9679374 }, 0);
+
+    expect(pending).toBeInstanceOf(Promise);
+    expect(await pending).toMatchObject({ ea: 337297, no: 503695 });
+    await ready;
+});
+
+test('init() registers the Proj4js definition of the simple-towgs84 type', async () => {
+    // Proj4js loaded as a page would load it, with definitions of its own
+    os = loadBrowserScripts('server/node_modules/proj4/dist/proj4.js', 'os-transform.js');
+    await os.Transform.init({ type: 'simple-towgs84' });
+
+    const result = os.Transform.toLatLng({ ea: 337297, no: 503695 }, 4);
+    expect(result.lat).toBeCloseTo(54.4248, 3);
+    expect(result.lng).toBeCloseTo(-2.968, 3);
+});
+
+test('init() rejects when the grid cannot be loaded, and transformations fail', async () => {
+    globalThis.fetch = async () => new Response('', { status: 404 });
+
+    const error = await os.Transform.init({ type: 'ostn15-js', gsbPath: 'missing.gsb' }).catch(error => error);
+    expect(error).toBeInstanceOf(os.TransformError);
+    expect(error.code).toBe('GRID_NOT_LOADED');
+    expect(error.message).toBe('Unable to load OSTN15 grid from missing.gsb (404).');
+
+    expect(() => os.Transform.toLatLng({ ea: 337297, no: 503695 })).toThrow('failed to initialise');
+});
+
+test('init() rejects when Proj4js is missing or the type is unknown', async () => {
+    expect((await os.Transform.init({ type: 'ostn15-gsb' }).catch(error => error)).code).toBe('GRID_NOT_LOADED');
+
+    os = loadBrowserScripts('server/node_modules/proj4/dist/proj4.js', 'os-transform.js');
+    expect((await os.Transform.init({ type: 'ostn15-xyz' }).catch(error => error)).code).toBe('INVALID_INPUT');
+});
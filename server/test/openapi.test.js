@@ -0,0 +1,66 @@
+// openapi.test.js
+// The OpenAPI document, and requests validated against it
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test';
+import { getOpenAPI, routes, validateRequest } from '../openapi.js';
+import { startServer } from './helpers.js';
+
+describe('validateRequest()', () => {
+    test('converts query string values to the types of the schema', () => {
+        expect(validateRequest('/api/to-latlng', { ea: '337297', no: '503695', decimals: '3' }))
+            .toEqual({ valid: true, data: { ea: 337297, no: 503695, decimals: 3 } });
+        expect(validateRequest('/api/from-gridref', { gridref: '123' })).toEqual({ valid: true, data: { gridref: '123' } });
+    });
+
+    test.each([
+        [ '/api/to-latlng', { ea: 'abc', no: '503695' }, 'Invalid parameter: ea must be a number' ],
+        [ '/api/to-latlng', { ea: '337297' }, 'Missing required parameter: no' ],
+        [ '/api/to-latlng', { ea: 1, no: 2, decimals: 'x' }, 'Invalid parameter: decimals must be an integer' ],
+        [ '/api/to-gridref', { ea: 1, no: 2, precision: 'x' }, 'Invalid parameter: precision must be one of 0, 2, 4, 6, 8, 10, hectad, quadrant, tetrad' ]
+    ])('%s rejects %p', (path, data, message) => {
+        expect(validateRequest(path, data)).toEqual({ valid: false, message: message });
+    });
+});
+
+describe('getOpenAPI()', () => {
+    test('describes every route, with its parameters and error responses', () => {
+        const document = getOpenAPI('1.2.3');
+
+        expect(document.openapi).toStartWith('3.');
+        expect(document.info.version).toBe('1.2.3');
+        expect(Object.keys(document.paths).sort()).toEqual(Object.keys(routes).sort());
+
+        const get = document.paths['/api/to-latlng'].get;
+        expect(get.parameters.map(parameter => parameter.name)).toContain('ea');
+        expect(Object.keys(get.responses)).toEqual(expect.arrayContaining([ '200', '400' ]));
+    });
+});
+
+describe('server', () => {
+    let server;
+
+    beforeAll(async () => {
+        server = await startServer();
+    });
+
+    afterAll(() => {
+        server.stop();
+    });
+
+    test('publishes the document at /openapi.json', async () => {
+        const response = await fetch(`${server.url}/openapi.json`);
+        expect(response.status).toBe(200);
+        expect((await response.json()).paths['/api/batch']).toBeDefined();
+    });
+
+    test('responds to invalid requests with 400 and the reason', async () => {
+        const response = await fetch(`${server.url}/api/to-latlng?ea=abc&no=503695`);
+        expect(response.status).toBe(400);
+        expect(await response.json()).toEqual({ error: 'Invalid parameter: ea must be a number', code: 'INVALID_INPUT' });
+    });
+
+    test('rejects repeated query parameters', async () => {
+        const response = await fetch(`${server.url}/api/to-latlng?ea=1&ea=2&no=503695`);
+        expect(response.status).toBe(400);
+        expect((await response.json()).error).toBe('Invalid parameter: ea must only be given once');
+    });
+});
@@ -0,0 +1,228 @@
+// ostn15.test.js
+// OSTN15 transformation of the Ordnance Survey test points, with both transformation types and the browser library
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { projections, toProjected } from '../ostn15.js';
+import { OSTransform, loadGrid } from '../transform.js';
+import { loadBrowserScripts, rootURL } from './helpers.js';
+
+// ETRS89 latlng [lat, lng] + OSGB36 easting/northing [ea, no] of the OS test points (OSTN15_OSGM15_TestInput_ETRStoOSGB.txt
+// + OSTN15_OSGM15_TestOutput_ETRStoOSGB.txt), excluding those outside the grid
+const testPoints = [
+    [ 49.92226393730, -6.29977752014, 91492.146, 11318.803 ],
+    [ 49.96006137820, -5.20304609998, 170370.718, 11572.405 ],
+    [ 50.43885825610, -4.10864563561, 250359.811, 62016.569 ],
+    [ 50.57563665000, -1.29782277240, 449816.371, 75335.861 ],
+    [ 50.93127937910, -1.45051433700, 438710.920, 114792.250 ],
+    [ 51.40078220140, -3.55128349240, 292184.870, 168003.465 ],
+    [ 51.37447025550, 1.44454730409, 639821.835, 169565.858 ],
+    [ 51.42754743020, -2.54407618349, 362269.991, 169978.690 ],
+    [ 51.48936564950, -0.11992557180, 530624.974, 178388.464 ],
+    [ 51.85890896400, -4.30852476960, 241124.584, 220332.641 ],
+    [ 51.89436637350, 0.89724327012, 599445.590, 225722.826 ],
+    [ 52.25529381630, -2.15458614387, 389544.190, 261912.153 ],
+    [ 52.25160951230, -0.91248956970, 474335.969, 262047.755 ],
+    [ 52.75136687170, 0.40153547065, 562180.547, 319784.995 ],
+    [ 52.96219109410, -1.19747655922, 454002.834, 340834.943 ],
+    [ 53.34480280190, -2.64049320810, 357455.843, 383290.436 ],
+    [ 53.41628516040, -4.28918069756, 247958.971, 393492.909 ],
+    [ 53.41630925420, -4.28917792869, 247959.241, 393495.583 ],
+    [ 53.77911025760, -3.04045490691, 331534.552, 431920.792 ],
+    [ 53.80021519630, -1.66379168242, 422242.174, 433818.699 ],
+    [ 54.08666318080, -4.63452168212, 227778.330, 468847.388 ],
+    [ 54.11685144290, -0.07773133187, 525745.670, 470703.214 ],
+    [ 54.32919541010, -4.38849118133, 244780.635, 495254.887 ],
+    [ 54.89542340420, -2.93827741665, 339921.145, 556034.761 ],
+    [ 54.97912273660, -1.61657685184, 424639.356, 565012.703 ],
+    [ 55.85399952950, -4.29649016251, 256340.925, 664697.265 ],
+    [ 55.92478265510, -3.29479219337, 319188.434, 670947.543 ],
+    [ 57.00606696050, -5.82836691850, 167634.202, 797067.144 ],
+    [ 57.13902518960, -2.04856030746, 397160.491, 805349.745 ],
+    [ 57.48625000720, -4.21926398555, 267056.768, 846176.972 ],
+    [ 57.81351838410, -8.57854456076, 9587.909, 899448.996 ],
+    [ 58.21262247180, -7.59255560556, 71713.132, 938516.404 ],
+    [ 58.51560361300, -6.26091455533, 151968.652, 966483.780 ]
+];
+
+// OS's own implementation (which the built-in transformation follows when the OSTN15/OSGM15 data file is present)
+// interpolates the shifts on a 1km grid of ETRS89 eastings + northings, and reproduces the test points to 1mm
+const tolerance = 0.001;
+
+// The NTv2 grid (the .gsb and .tif files) holds the same shifts on a latlng grid, so interpolates them slightly
+// differently: to within 15mm of OSTN15, although every engine reading it agrees to within 1mm
+const gridTolerance = 0.015;
+
+// Metres per degree of latitude (approximately), for comparing latlngs
+const metresPerDegree = 111320;
+
+const tifPath = new URL('resources/uk_os_OSTN15_NTv2_OSGBtoETRS.tif', rootURL).href;
+
+// The data file is not distributed with the repository (see server/README.md)
+const { geoid: hasDataFile } = await loadGrid();
+
+/**
+ * Test a transformer (OSTransform or os.Transform) against the OS test points, to within a tolerance (metres).
+ * @param {function} getTransformer - Returns the transformer (once it has been set up).
+ * @param {number} tolerance - The tolerance.
+ */
+function testOSPoints(getTransformer, tolerance) {
+    test.each(testPoints)('fromLatLng(%p, %p)', (lat, lng, ea, no) => {
+        const result = getTransformer().fromLatLng({ lat: lat, lng: lng }, 4);
+        expect(Math.abs(result.ea - ea)).toBeLessThanOrEqual(tolerance);
+        expect(Math.abs(result.no - no)).toBeLessThanOrEqual(tolerance);
+    });
+
+    test.each(testPoints)('toLatLng (%p, %p)', (lat, lng, ea, no) => {
+        const result = getTransformer().toLatLng({ ea: ea, no: no }, 10);
+        expect(Math.abs(result.lat - lat) * metresPerDegree).toBeLessThanOrEqual(tolerance);
+        expect(Math.abs(result.lng - lng) * metresPerDegree * Math.cos(lat * Math.PI / 180)).toBeLessThanOrEqual(tolerance);
+    });
+}
+
+/**
+ * Return a browser library transformer (os.Transform) with the ostn15-js type, reading the .tif grid and optionally
+ * the data file.
+ * @param {string} dataFile - [optional] The URL of the data file.
+ */
+async function loadBrowserTransformer(dataFile) {
+    const os = loadBrowserScripts('os-transform.js');
+    os.Transform.options.strict = true;
+    await os.Transform.init({ type: 'ostn15-js', gsbPath: tifPath });
+    if (dataFile) {
+        await os.Transform.loadGeoid(dataFile);
+    }
+    return os.Transform;
+}
+
+describe.skipIf(!hasDataFile)('OS test points with the data file', () => {
+    describe('ostn15-js', () => {
+        const transformer = new OSTransform();
+        transformer.options.strict = true;
+        transformer.options.type = 'ostn15-js';
+
+        testOSPoints(() => transformer, tolerance);
+    });
+
+    describe('browser library (ostn15-js)', () => {
+        let transformer;
+
+        beforeAll(async () => {
+            transformer = await loadBrowserTransformer(new URL('server/OSTN15_OSGM15_DataFile.txt', rootURL).href);
+        });
+
+        testOSPoints(() => transformer, tolerance);
+    });
+});
+
+describe('OS test points with the NTv2 grid', () => {
+    const reference = new OSTransform();
+    reference.options.strict = true;
+    reference.options.type = 'ostn15-gsb';
+
+    let browser;
+
+    beforeAll(async () => {
+        browser = await loadBrowserTransformer();
+    });
+
+    describe('ostn15-gsb', () => {
+        testOSPoints(() => reference, gridTolerance);
+    });
+
+    // With the data file, the server's ostn15-js transformation uses it in place of the grid
+    describe.skipIf(hasDataFile)('ostn15-js', () => {
+        const transformer = new OSTransform();
+        transformer.options.strict = true;
+        transformer.options.type = 'ostn15-js';
+
+        testOSPoints(() => transformer, gridTolerance);
+
+        test.each(testPoints)('agrees with ostn15-gsb to 1mm at (%p, %p)', (lat, lng, ea, no) => {
+            expectAgreement(transformer, { lat: lat, lng: lng }, { ea: ea, no: no });
+        });
+    });
+
+    describe('browser library (ostn15-js)', () => {
+        testOSPoints(() => browser, gridTolerance);
+
+        test.each(testPoints)('agrees with ostn15-gsb to 1mm at (%p, %p)', (lat, lng, ea, no) => {
+            expectAgreement(browser, { lat: lat, lng: lng }, { ea: ea, no: no });
+        });
+    });
+
+    /**
+     * Expect a transformer to give the same easting + northing and latlng as ostn15-gsb, to within 1mm.
+     */
+    function expectAgreement(transformer, latlng, coordinates) {
+        const expected = reference.fromLatLng(latlng, 4);
+        const result = transformer.fromLatLng(latlng, 4);
+        expect(Math.abs(result.ea - expected.ea)).toBeLessThanOrEqual(tolerance);
+        expect(Math.abs(result.no - expected.no)).toBeLessThanOrEqual(tolerance);
+
+        const expectedLatLng = reference.toLatLng(coordinates, 10);
+        const resultLatLng = transformer.toLatLng(coordinates, 10);
+        expect(Math.abs(resultLatLng.lat - expectedLatLng.lat) * metresPerDegree).toBeLessThanOrEqual(tolerance);
+        expect(Math.abs(resultLatLng.lng - expectedLatLng.lng) * metresPerDegree).toBeLessThanOrEqual(tolerance);
+    }
+});
+
+describe('interpolation of the data file shifts', () => {
+    // Shifts (metres) at the nodes of a synthetic data file around NY 37297 03695, varying bilinearly with the ETRS89
+    // easting + northing (km) so that they are reproduced exactly between the nodes
+    const eShift = (e, n) => 96 - 0.01 * e + 0.002 * n + 0.00003 * e * n;
+    const nShift = (e, n) => -78 + 0.004 * e - 0.003 * n - 0.00002 * e * n;
+    const node = (x, y) => `${x + y * 701 + 1},${x * 1000},${y * 1000},${eShift(x, y).toFixed(6)},${nShift(x, y).toFixed(6)},50,1`;
+    const dataFile = join(tmpdir(), 'ostn15.test.OSTN15_OSGM15_DataFile.txt');
+    const data = [ 'Point_ID,ETRS89_Easting,ETRS89_Northing,ETRS89_OSGB36_EShift,ETRS89_OSGB36_NShift,ETRS89_ODN_HeightShift,Height_Datum_Flag' ];
+    for (let y = 500; y <= 507; y++) {
+        for (let x = 334; x <= 341; x++) {
+            data.push(node(x, y));
+        }
+    }
+
+    // Latlngs within the synthetic nodes, including one on a node
+    const latlngs = [
+        { lat: 54.42481, lng: -2.9679374 },
+        { lat: 54.40127, lng: -2.99824 },
+        { lat: 54.44312, lng: -2.93357 },
+        { lat: 54.41663, lng: -2.98003 }
+    ];
+
+    const transformer = new OSTransform();
+    transformer.options.strict = true;
+    transformer.options.type = 'ostn15-js';
+
+    let browser;
+
+    beforeAll(async () => {
+        await Bun.write(dataFile, data.join('\n'));
+        await loadGrid(undefined, dataFile);
+        browser = await loadBrowserTransformer(`file://${dataFile}`);
+    });
+
+    afterAll(async () => {
+        await loadGrid();
+    });
+
+    test.each(latlngs)('fromLatLng() + toLatLng() reproduce the shifts at %o', (latlng) => {
+        const [ e, n ] = toProjected([ latlng.lng, latlng.lat ], projections['ETRS89-TM']);
+        const expected = { ea: e + eShift(e / 1000, n / 1000), no: n + nShift(e / 1000, n / 1000) };
+
+        for (const engine of [ transformer, browser ]) {
+            const result = engine.fromLatLng(latlng, 6);
+            expect(result.ea).toBeCloseTo(expected.ea, 5);
+            expect(result.no).toBeCloseTo(expected.no, 5);
+
+            // The inverse is iterated to 0.1mm
+            const inverse = engine.toLatLng(expected, 10);
+            expect(Math.abs(inverse.lat - latlng.lat) * metresPerDegree).toBeLessThanOrEqual(0.0001);
+            expect(Math.abs(inverse.lng - latlng.lng) * metresPerDegree).toBeLessThanOrEqual(0.0001);
+        }
+    });
+
+    test('rejects points beside the nodes without data', () => {
+        expect(() => transformer.fromLatLng({ lat: 54.5, lng: -2 })).toThrow(expect.objectContaining({ code: 'OUT_OF_BOUNDS' }));
+        expect(() => browser.fromLatLng({ lat: 54.5, lng: -2 })).toThrow(expect.objectContaining({ code: 'OUT_OF_BOUNDS' }));
+    });
+});
@@ -0,0 +1,62 @@
+// parse.test.js
+// parseLocation() of grid references, eastings + northings and latlngs as they are typed or pasted
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test';
+import { OSTransform } from '../transform.js';
+import { loadBrowserScripts, startServer } from './helpers.js';
+
+const transformer = new OSTransform();
+transformer.options.strict = true;
+
+const locations = [
+    [ 'ny 3729 0369', { type: 'gridref', value: 'NY 3729 0369', precision: 8, srid: 27700 } ],
+    [ 'NY-37297-03695', { type: 'gridref', value: 'NY 37297 03695', precision: 10, srid: 27700 } ],
+    [ 'NY3729703695', { type: 'gridref', value: 'NY 37297 03695', precision: 10, srid: 27700 } ],
+    [ 'SD 12 34 (approx)', { type: 'gridref', value: 'SD 12 34', precision: 4, srid: 27700 } ],
+    [ 'NY 372 036.', { type: 'gridref', value: 'NY 372 036', precision: 6, srid: 27700 } ],
+    [ 'O 123 456', { type: 'gridref', value: 'O 123 456', precision: 6, srid: 29903 } ],
+    [ '337297,503695', { type: 'en', value: { ea: 337297, no: 503695 }, precision: 0 } ],
+    [ '337297 503695', { type: 'en', value: { ea: 337297, no: 503695 }, precision: 0 } ],
+    [ '54.42481, -2.9679374', { type: 'latlng', value: { lat: 54.42481, lng: -2.9679374 }, precision: 7, format: 'decimal' } ],
+    [ '54°25\'29.3"N 2°58\'04.6"W', { type: 'latlng', value: { lat: 54.42481, lng: -2.96794 }, precision: 5, format: 'dms' } ]
+];
+
+describe('parseLocation()', () => {
+    test.each(locations)('reads %p', (input, expected) => {
+        expect(transformer.parseLocation(input)).toEqual(expected);
+    });
+
+    test('rejects anything else', () => {
+        expect(() => transformer.parseLocation('hello')).toThrow('Unrecognised location');
+    });
+
+    test('gives the same results in the browser library', () => {
+        const os = loadBrowserScripts('os-transform.js');
+        for (const [ input, expected ] of locations) {
+            expect(os.Transform.parseLocation(input)).toEqual(expected);
+        }
+    });
+});
+
+describe('/api/parse', () => {
+    let server;
+
+    beforeAll(async () => {
+        server = await startServer();
+    });
+
+    afterAll(() => {
+        server.stop();
+    });
+
+    test('parses the input', async () => {
+        const response = await fetch(`${server.url}/api/parse?input=${encodeURIComponent('NY-37297-03695')}`);
+        expect(response.status).toBe(200);
+        expect(await response.json()).toEqual({ type: 'gridref', value: 'NY 37297 03695', precision: 10, srid: 27700 });
+    });
+
+    test('responds to unrecognised input with 400', async () => {
+        const response = await fetch(`${server.url}/api/parse?input=hello`);
+        expect(response.status).toBe(400);
+        expect((await response.json()).code).toBe('INVALID_INPUT');
+    });
+});
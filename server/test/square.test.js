@@ -0,0 +1,72 @@
+// square.test.js
+// The square of a grid reference: its precision, centre, bbox and polygon
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test';
+import { OSTransform, loadGrid } from '../transform.js';
+import { startServer } from './helpers.js';
+
+const transformer = new OSTransform();
+transformer.options.strict = true;
+
+await loadGrid();
+
+describe('fromGridRef() with the extent', () => {
+    test('returns the square of a numeric grid reference', () => {
+        expect(transformer.fromGridRef('NY 37 03', true)).toEqual({
+            ea: 337000,
+            no: 503000,
+            precision: 1000,
+            centre: { ea: 337500, no: 503500 },
+            bbox: [ 337000, 503000, 338000, 504000 ],
+            geometry: {
+                type: 'Polygon',
+                coordinates: [ [ [ 337000, 503000 ], [ 338000, 503000 ], [ 338000, 504000 ], [ 337000, 504000 ], [ 337000, 503000 ] ] ]
+            }
+        });
+    });
+
+    test.each([
+        [ 'NY30', 10000, [ 330000, 500000, 340000, 510000 ] ],
+        [ 'NY30SE', 5000, [ 335000, 500000, 340000, 505000 ] ],
+        [ 'NY30R', 2000, [ 336000, 502000, 338000, 504000 ] ]
+    ])('returns the square of %s', (gridref, precision, bbox) => {
+        expect(transformer.fromGridRef(gridref, true)).toMatchObject({ precision: precision, bbox: bbox });
+    });
+
+    test('returns the square of an Irish grid reference', () => {
+        expect(transformer.fromGridRef('O 12 34', true)).toMatchObject({ srid: 29903, precision: 1000, centre: { ea: 312500, no: 234500 } });
+    });
+
+    test('returns the corner alone by default', () => {
+        expect(transformer.fromGridRef('NY 37 03')).toEqual({ ea: 337000, no: 503000 });
+    });
+});
+
+describe('gridRefToLatLng() with the extent', () => {
+    test('returns the square in latlng, with each corner transformed', () => {
+        const result = transformer.gridRefToLatLng('NY 37 03', 5, undefined, true);
+        expect(result).toMatchObject({ lat: 54.41853, lng: -2.97237, precision: 1000, centre: { lat: 54.42308, lng: -2.96477 } });
+        expect(result.bbox).toEqual([ -2.97258, 54.41853, -2.95696, 54.42764 ]);
+        expect(result.geometry.coordinates[0]).toHaveLength(5);
+        expect(result.geometry.coordinates[0][1]).toEqual([ -2.95696, 54.41865 ]);
+    });
+});
+
+describe('/api/gridref-square', () => {
+    let server;
+
+    beforeAll(async () => {
+        server = await startServer();
+    });
+
+    afterAll(() => {
+        server.stop();
+    });
+
+    test('returns the square in both coordinate systems', async () => {
+        const response = await fetch(`${server.url}/api/gridref-square?gridref=NY30&decimals=5`);
+        const { precision, projected, geographic } = await response.json();
+        expect(precision).toBe(10000);
+        expect(projected.centre).toEqual({ ea: 335000, no: 505000 });
+        expect(geographic.geometry.type).toBe('Polygon');
+    });
+});
@@ -0,0 +1,178 @@
+// wkt.test.js
+// WKT + EWKT parsing, writing and transformation
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test';
+import { OSTransform, loadGrid } from '../transform.js';
+import { parseWKT, formatWKT, transformWKT } from '../wkt.js';
+import { startServer, writeDataFile } from './helpers.js';
+
+const transformer = new OSTransform();
+transformer.options.strict = true;
+
+// Heights can only be converted with the (optional) OSGM15 data file
+const { geoid } = await loadGrid();
+
+// ISO WKT of every geometry type, as written by formatWKT()
+const geometries = [
+    'POINT(337297 503695)',
+    'POINT Z (337297 503695 950)',
+    'POINT M (337297 503695 5)',
+    'POINT ZM (337297 503695 950 5)',
+    'POINT EMPTY',
+    'LINESTRING(337297 503695,337300 503700,337310 503705)',
+    'POLYGON((0 0,10 0,10 10,0 10,0 0),(2 2,4 2,4 4,2 2))',
+    'MULTIPOINT(1 2,3 4)',
+    'MULTILINESTRING((0 0,1 1),(2 2,3 3,4 4))',
+    'MULTIPOLYGON(((0 0,10 0,10 10,0 0)),((20 20,30 20,30 30,20 20),(22 22,24 22,24 24,22 22)))',
+    'GEOMETRYCOLLECTION(POINT(1 2),LINESTRING(0 0,1 1),POLYGON((0 0,1 0,1 1,0 0)))',
+    'GEOMETRYCOLLECTION EMPTY',
+    'TRIANGLE((0 0,10 0,0 10,0 0))',
+    'POLYHEDRALSURFACE Z (((0 0 0,0 1 0,1 1 0,0 0 0)),((0 0 0,0 1 0,0 1 1,0 0 0)))',
+    'TIN(((0 0,0 1,1 0,0 0)),((1 0,0 1,1 1,1 0)))',
+    'MULTIPOLYGON M (((0 0 1,10 0 2,10 10 3,0 0 1)))'
+];
+
+describe('parseWKT() + formatWKT()', () => {
+    test.each(geometries)('%s round-trips', (wkt) => {
+        const { srid, dimension, geometry } = parseWKT(wkt);
+        expect(srid).toBeNull();
+        expect(formatWKT(geometry, { dimension: dimension })).toBe(wkt);
+    });
+
+    test.each(geometries)('%s round-trips as EWKT', (wkt) => {
+        const { dimension, geometry } = parseWKT(wkt);
+        const ewkt = formatWKT(geometry, { srid: 27700, dimension: dimension });
+        expect(ewkt.startsWith('SRID=27700;')).toBe(true);
+        expect(parseWKT(ewkt)).toEqual({ srid: 27700, dimension: dimension, geometry: geometry });
+    });
+
+    test('reads points of a MultiPoint with or without their own parentheses', () => {
+        expect(parseWKT('MULTIPOINT((1 2),(3 4))')).toEqual(parseWKT('MULTIPOINT(1 2,3 4)'));
+    });
+
+    test('reads EWKT tags, untagged dimensions, case and whitespace', () => {
+        expect(parseWKT('SRID=4326;POINTM(-2.9679374 54.42481 5)')).toEqual({
+            srid: 4326, dimension: 'XYM', geometry: { type: 'Point', coordinates: [ -2.9679374, 54.42481, 5 ] }
+        });
+        expect(parseWKT('point(1 2 3)').dimension).toBe('XYZ');
+        expect(parseWKT(' MultiPoint ( 1 2 , 3 4 ) ').geometry).toEqual({ type: 'MultiPoint', coordinates: [ [ 1, 2 ], [ 3, 4 ] ] });
+        expect(parseWKT('POINT(1e5 -2.5E-1)').geometry.coordinates).toEqual([ 100000, -0.25 ]);
+    });
+
+    test('writes EWKT as PostGIS does', () => {
+        expect(formatWKT({ type: 'Point', coordinates: [ 1, 2, 3 ] }, { srid: 27700 })).toBe('SRID=27700;POINT(1 2 3)');
+        expect(formatWKT({ type: 'Point', coordinates: [ 1, 2, 3 ] }, { srid: 27700, dimension: 'XYM' })).toBe('SRID=27700;POINTM(1 2 3)');
+        expect(formatWKT({ type: 'LineString', coordinates: [] }, { srid: 4326 })).toBe('SRID=4326;LINESTRING EMPTY');
+    });
+
+    test.each([
+        [ 'POINT(1)', 'Invalid WKT: expected a position of 2 to 4 numbers but found ")".' ],
+        [ 'POINT(1 2', 'Invalid WKT: expected ")" but found the end.' ],
+        [ 'CIRCLE(1 2)', 'Invalid WKT: expected a geometry type but found "CIRCLE".' ],
+        [ 'LINESTRING(1 2,3 4 5)', 'Invalid WKT: positions of XY should have 2 values.' ],
+        [ 'POINT Z(1 2)', 'Invalid WKT: positions of XYZ should have 3 values.' ],
+        [ 'POINT(1 2) x', 'Invalid WKT: expected the end but found "X".' ]
+    ])('parseWKT(%p) fails', (wkt, message) => {
+        expect(() => parseWKT(wkt)).toThrow(message);
+    });
+});
+
+describe('transformWKT()', () => {
+    test('transforms British National Grid to WGS84 and back', () => {
+        const latlng = transformWKT(transformer, 'SRID=27700;POINT(337297 503695)');
+        expect(latlng).toEqual({ wkt: 'SRID=4326;POINT(-2.9679374 54.42481)', srid: 4326 });
+        expect(transformWKT(transformer, latlng.wkt)).toEqual({ wkt: 'SRID=27700;POINT(337297 503695)', srid: 27700 });
+    });
+
+    test('transforms every position of every geometry type', () => {
+        const wkt = 'GEOMETRYCOLLECTION(POINT(337297 503695),LINESTRING(337297 503695,338000 504000),'
+            + 'POLYGON((337000 503000,338000 503000,338000 504000,337000 503000)),TIN(((337000 503000,337000 504000,338000 503000,337000 503000))))';
+        const result = transformWKT(transformer, wkt, { from: 27700, to: 4326 });
+        const back = transformWKT(transformer, result.wkt, { to: 27700, decimals: 3 });
+        const positions = (text) => text.replace(/^SRID=\d+;/, '').match(/-?[\d.]+ -?[\d.]+/g).map(position => position.split(' ').map(Number));
+
+        const input = positions(wkt);
+        const output = positions(back.wkt);
+        expect(output).toHaveLength(input.length);
+        output.forEach((position, i) => {
+            expect(Math.abs(position[0] - input[i][0])).toBeLessThan(0.01);
+            expect(Math.abs(position[1] - input[i][1])).toBeLessThan(0.01);
+        });
+    });
+
+    test('keeps M values', () => {
+        expect(transformWKT(transformer, 'SRID=27700;POINT M(337297 503695 12.5)').wkt).toBe('SRID=4326;POINTM(-2.9679374 54.42481 12.5)');
+    });
+
+    test('copies Z values unchanged by default', () => {
+        expect(transformWKT(transformer, 'SRID=27700;POINT Z(337297 503695 100)').wkt).toBe('SRID=4326;POINT(-2.9679374 54.42481 100)');
+        expect(transformWKT(transformer, 'SRID=27700;POINT ZM(337297 503695 100 1)').wkt).toBe('SRID=4326;POINT(-2.9679374 54.42481 100 1)');
+    });
+
+    test.skipIf(geoid)('fails to convert Z values as heights without the geoid model', () => {
+        const options = { heights: true };
+        expect(() => transformWKT(transformer, 'SRID=27700;POINT Z(337297 503695 100)', options)).toThrow('OSGM15 geoid model has not been loaded.');
+        expect(() => transformWKT(transformer, 'SRID=27700;POINT ZM(337297 503695 100 1)', options)).toThrow('OSGM15 geoid model has not been loaded.');
+    });
+
+    describe('with heights', () => {
+        beforeAll(async () => {
+            await loadGrid(undefined, await writeDataFile('wkt.test.OSTN15_OSGM15_DataFile.txt', [ [ 337, 503 ], [ 338, 503 ], [ 338, 504 ], [ 337, 504 ] ]));
+        });
+
+        afterAll(async () => {
+            await loadGrid();
+        });
+
+        test('converts Z values with OSGM15, keeping M values', () => {
+            const options = { heights: true };
+            expect(transformWKT(transformer, 'SRID=27700;POINT Z(337297 503695 100)', options).wkt).toBe('SRID=4326;POINT(-2.9679374 54.42481 150)');
+            expect(transformWKT(transformer, 'SRID=27700;POINT ZM(337297 503695 100 1)', options).wkt).toBe('SRID=4326;POINT(-2.9679374 54.42481 150 1)');
+            expect(transformWKT(transformer, 'SRID=4326;POINT Z(-2.9679374 54.42481 150)', { ...options, decimals: 0 }).wkt).toBe('SRID=27700;POINT(337297 503695 100)');
+            expect(transformWKT(transformer, 'SRID=27700;POINT M(337297 503695 12.5)', options).wkt).toBe('SRID=4326;POINTM(-2.9679374 54.42481 12.5)');
+        });
+
+        test('fails for a Z value outside the geoid model', () => {
+            expect(() => transformWKT(transformer, 'SRID=27700;POINT Z(400000 500000 100)', { heights: true })).toThrow(expect.objectContaining({ code: 'OUT_OF_BOUNDS' }));
+        });
+    });
+
+    test('keeps ellipsoidal Z values between ETRS89 coordinate systems, even as heights', () => {
+        expect(transformWKT(transformer, 'SRID=4326;POINT Z(-3 54 150)', { to: 4258 }).wkt).toBe('SRID=4258;POINT(-3 54 150)');
+        expect(transformWKT(transformer, 'SRID=4326;POINT Z(-3 54 150)', { to: 4258, heights: true }).wkt).toBe('SRID=4258;POINT(-3 54 150)');
+    });
+
+    test('fails without a source SRID, or with conflicting or unsupported SRIDs', () => {
+        expect(() => transformWKT(transformer, 'POINT(337297 503695)')).toThrow('Missing SRID');
+        expect(() => transformWKT(transformer, 'SRID=27700;POINT(337297 503695)', { from: 4326 })).toThrow('Conflicting SRIDs: 27700 (EWKT) and 4326 (from).');
+        expect(() => transformWKT(transformer, 'SRID=1234;POINT(1 2)')).toThrow('Unsupported coordinate system: 1234.');
+    });
+
+    test('fails for a geometry with any position out of bounds', () => {
+        expect(() => transformWKT(transformer, 'SRID=27700;LINESTRING(337297 503695,-1000 503695)')).toThrow('Coordinates out of range.');
+    });
+});
+
+describe('/api/transform-wkt', () => {
+    let server;
+
+    beforeAll(async () => {
+        server = await startServer();
+    });
+
+    afterAll(() => {
+        server.stop();
+    });
+
+    const wkt = encodeURIComponent('SRID=27700;POINT Z(337297 503695 100)');
+
+    test('copies Z values unless heights=true', async () => {
+        const response = await fetch(`${server.url}/api/transform-wkt?wkt=${wkt}&heights=false`);
+        expect(await response.json()).toEqual({ wkt: 'SRID=4326;POINT(-2.9679374 54.42481 100)', srid: 4326 });
+    });
+
+    test.skipIf(geoid)('responds to heights=true without the geoid model with 503', async () => {
+        const response = await fetch(`${server.url}/api/transform-wkt?wkt=${wkt}&heights=true`);
+        expect(response.status).toBe(503);
+        expect(await response.json()).toEqual({ error: 'OSGM15 geoid model has not been loaded.', code: 'GRID_NOT_LOADED' });
+    });
+});
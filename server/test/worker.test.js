@@ -0,0 +1,124 @@
+// worker.test.js
+// os.Transform.createWorker(): bulk transformations in a Web Worker, with progress, cancellation and termination
+import { afterEach, beforeAll, describe, expect, test } from 'bun:test';
+import { TestWorker, loadBrowserScripts, rootURL } from './helpers.js';
+
+const tifPath = new URL('resources/uk_os_OSTN15_NTv2_OSGBtoETRS.tif', rootURL).href;
+const workerScripts = { osTransform: new URL('os-transform.js', rootURL).href };
+
+const latlngs = [
+    { lat: 54.42481, lng: -2.9679374 },
+    { lat: 51.5, lng: -0.12 },
+    { lat: 40, lng: 10 },
+    { lat: 57.14, lng: -2.1 }
+];
+
+let os;
+const { Worker, fetch } = globalThis;
+
+beforeAll(async () => {
+    os = loadBrowserScripts('os-transform.js');
+    os.Transform.options.strict = true;
+    await os.Transform.init({ type: 'ostn15-js', gsbPath: tifPath });
+});
+
+afterEach(() => {
+    globalThis.Worker = Worker;
+    globalThis.fetch = fetch;
+});
+
+describe('createWorker()', () => {
+    test('fails where Web Workers are not supported, or its scripts cannot be found', () => {
+        globalThis.Worker = undefined;
+        expect(() => os.Transform.createWorker({ workerScripts })).toThrow('Web Workers are not supported in this environment.');
+
+        globalThis.Worker = TestWorker;
+        expect(() => os.Transform.createWorker()).toThrow('Unable to find the scripts needed by the Web Worker (osTransform).');
+    });
+
+    test('transforms points with the same results as the page, listing those which fail', async () => {
+        globalThis.Worker = TestWorker;
+        const worker = os.Transform.createWorker({ workerScripts });
+        await worker.ready;
+
+        const { results, errors } = await worker.transformMany(latlngs, { decimals: 2 });
+        expect(results).toHaveLength(4);
+        for (const i of [ 0, 1, 3 ]) {
+            expect(results[i]).toEqual(os.Transform.fromLatLng(latlngs[i], 2));
+        }
+        expect(results[2]).toEqual({});
+        expect(errors).toEqual([ { index: 2, message: 'Coordinates out of range.', code: 'OUT_OF_BOUNDS' } ]);
+
+        worker.terminate();
+    });
+
+    test('transforms typed arrays of interleaved coordinates, with NaN for those which fail', async () => {
+        globalThis.Worker = TestWorker;
+        const worker = os.Transform.createWorker({ workerScripts });
+
+        const points = new Float64Array([ 337297, 503695, -1, 5 ]);
+        const { results, errors } = await worker.transformMany(points, { direction: 'toLatLng', decimals: 7 });
+        expect(results).toBeInstanceOf(Float64Array);
+        expect(results[0]).toBe(-2.9679374);
+        expect(results[1]).toBe(54.42481);
+        expect(results[2]).toBeNaN();
+        expect(results[3]).toBeNaN();
+        expect(errors.map(error => error.index)).toEqual([ 1 ]);
+
+        worker.terminate();
+    });
+
+    test('reports progress after each chunk', async () => {
+        globalThis.Worker = TestWorker;
+        const worker = os.Transform.createWorker({ workerScripts, workerChunkSize: 2 });
+
+        const progress = [];
+        await worker.transformMany(latlngs, { onProgress: report => progress.push(report) });
+        expect(progress).toEqual([ { done: 2, total: 4 }, { done: 4, total: 4 } ]);
+
+        worker.terminate();
+    });
+
+    test('can be cancelled, and terminated', async () => {
+        globalThis.Worker = TestWorker;
+        const worker = os.Transform.createWorker({ workerScripts, workerChunkSize: 1 });
+
+        const controller = new AbortController();
+        const cancelled = worker.transformMany(latlngs, { signal: controller.signal });
+        controller.abort();
+        expect((await cancelled.catch(error => error)).name).toBe('AbortError');
+
+        const pending = worker.transformMany(latlngs);
+        worker.terminate();
+        expect((await pending.catch(error => error)).name).toBe('AbortError');
+        expect((await worker.transformMany(latlngs).catch(error => error)).message).toBe('The Web Worker has been terminated.');
+    });
+
+    test('rejects an invalid direction', async () => {
+        globalThis.Worker = TestWorker;
+        const worker = os.Transform.createWorker({ workerScripts });
+
+        const error = await worker.transformMany(latlngs, { direction: 'sideways' }).catch(error => error);
+        expect(error).toBeInstanceOf(os.TransformError);
+        expect(error.message).toBe('Invalid points or transformation direction.');
+
+        worker.terminate();
+    });
+
+    test('rejects transformations when the worker cannot be initialised', async () => {
+        globalThis.Worker = TestWorker;
+        globalThis.fetch = async (url) => String(url).endsWith('missing.gsb') ? new Response('', { status: 404 }) : fetch(url);
+        const worker = os.Transform.createWorker({
+            type: 'ostn15-gsb',
+            gsbPath: 'missing.gsb',
+            workerScripts: { ...workerScripts, proj4: new URL('server/node_modules/proj4/dist/proj4.js', rootURL).href }
+        });
+
+        const error = await worker.transformMany(latlngs).catch(error => error);
+        expect(error).toBeInstanceOf(os.TransformError);
+        expect(error.code).toBe('GRID_NOT_LOADED');
+        expect(error.message).toBe(`Unable to load OSTN15 grid from ${new URL('missing.gsb', rootURL).href} (404).`);
+
+        worker.terminate();
+    });
+});
@@ -2,112 +2,1146 @@
 // Core transformation logic (ES Module)
 
 import proj4 from 'proj4';
+import { readGrid, getGridShift, project, unproject, projections, toProjected, toGeographic, getGridProperties, getGeodesic, frames, toETRF } from './ostn15.js';
 
-const transformFile = Bun.file('./OSTN15_NTv2_OSGBtoETRS.gsb');
-const transformData = await transformFile.arrayBuffer();
-
-// Configure proj4 with EPSG definitions
-proj4.nadgrid('OSTN15_NTv2_OSGBtoETRS', transformData);
+// Configure proj4 with EPSG definitions (the OSTN15 grid itself is registered by loadGrid())
 proj4.defs('EPSG:27700', '+proj=tmerc +lat_0=49 +lon_0=-2 +k=0.9996012717 +x_0=400000 +y_0=-100000 +ellps=airy +nadgrids=OSTN15_NTv2_OSGBtoETRS +units=m +no_defs +type=crs');
 proj4.defs('EPSG:4326', '+proj=longlat +datum=WGS84 +no_defs');
+proj4.defs('EPSG:29903', '+proj=tmerc +lat_0=53.5 +lon_0=-8 +k=1.000035 +x_0=200000 +y_0=250000 +ellps=mod_airy +towgs84=482.5,-130.6,564.6,-1.042,-0.214,-0.631,8.15 +units=m +no_defs +type=crs');
+proj4.defs('EPSG:2157', '+proj=tmerc +lat_0=53.5 +lon_0=-8 +k=0.99982 +x_0=600000 +y_0=750000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs +type=crs');
+proj4.defs('EPSG:25829', '+proj=utm +zone=29 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs +type=crs');
+proj4.defs('EPSG:25830', '+proj=utm +zone=30 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs +type=crs');
+proj4.defs('EPSG:25831', '+proj=utm +zone=31 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs +type=crs');
+proj4.defs('ETRS89-TM', '+proj=tmerc +lat_0=49 +lon_0=-2 +k=0.9996012717 +x_0=400000 +y_0=-100000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs +type=crs');
+
+// OSTN15 grid, shared by every OSTransform: read for the built-in (proj4-free) transformation, and registered with
+// proj4 for the default one (null until loadGrid() has been called)
+let grid = null;
+
+// OSGM15 geoid model (optional) for converting between ETRS89 ellipsoidal and orthometric heights, and for
+// distinguishing the offshore extension + no-data areas of OSTN15. Its OSTN15 shifts are used by the built-in
+// transformation in place of the grid.
+let geoid = null;
+
+/**
+ * Grid files tried in turn by loadGrid() when no path is given: the NTv2 `.gsb` file (if it has been added next to
+ * this module), then the GeoTIFF `.tif` file bundled in resources/. Data files are read relative to this module, so
+ * that it can be imported from anywhere (e.g. by cli.js).
+ */
+export const gridPaths = [
+    new URL('./OSTN15_NTv2_OSGBtoETRS.gsb', import.meta.url),
+    new URL('../resources/uk_os_OSTN15_NTv2_OSGBtoETRS.tif', import.meta.url)
+];
+
+/**
+ * Load the OSTN15 grid (NTv2 `.gsb` or GeoTIFF `.tif`) for both transformation types, along with the OSGM15 geoid
+ * model if its data file is present. Nothing is loaded when this module is imported, so that it can be used without
+ * the grid (e.g. for grid references); British National Grid transformations fail with GRID_NOT_LOADED until this has
+ * resolved. Rejects with a TransformError (GRID_NOT_LOADED) if the grid cannot be read.
+ * @param {string|URL} path - [optional] The grid file (default: the first of gridPaths which exists).
+ * @param {string|URL} geoidPath - [optional] The Ordnance Survey `OSTN15_OSGM15_DataFile.txt` file.
+ */
+export async function loadGrid(path, geoidPath = new URL('./OSTN15_OSGM15_DataFile.txt', import.meta.url)) {
+    let file = null;
+    for (const candidate of path !== undefined ? [ path ] : gridPaths) {
+        if (await Bun.file(candidate).exists()) {
+            file = Bun.file(candidate);
+            break;
+        }
+    }
+    if (file === null) {
+        const names = (path !== undefined ? [ path ] : gridPaths).map(candidate => candidate instanceof URL ? candidate.pathname : candidate);
+        throw new TransformError(`OSTN15 grid not found (tried ${names.join(', ')}).`, 'GRID_NOT_LOADED');
+    }
+
+    let loaded;
+    try {
+        loaded = await readGrid(await file.arrayBuffer());
+        await proj4.nadgrid('OSTN15_NTv2_OSGBtoETRS', toGeoTIFF(loaded)).ready;
+    } catch (error) {
+        throw new TransformError(`Unable to read the OSTN15 grid from ${file.name}: ${error.message}`, 'GRID_NOT_LOADED');
+    }
+
+    const geoidFile = Bun.file(geoidPath);
+    geoid = await geoidFile.exists() ? readGeoidModel(await geoidFile.text()) : null;
+    grid = loaded;
+
+    return { path: file.name, geoid: geoid !== null };
+}
+
+/**
+ * Return a grid read by readGrid() in the form proj4.nadgrid() accepts GeoTIFF grids (the interface of geotiff.js),
+ * so that the same grid is registered with proj4 whichever file it was read from.
+ * @param {object} grid - The OSTN15 grid.
+ */
+function toGeoTIFF(grid) {
+    // The rasters are read from the northern row down
+    const flip = (shifts) => {
+        const rows = new Float32Array(shifts.length);
+        for (let row = 0; row < grid.rows; row++) {
+            rows.set(shifts.subarray(row * grid.columns, (row + 1) * grid.columns), (grid.rows - 1 - row) * grid.columns);
+        }
+        return rows;
+    };
+
+    const north = grid.south + (grid.rows - 1) * grid.latInterval;
+    const east = grid.west + (grid.columns - 1) * grid.lngInterval;
+    const image = {
+        getWidth: () => grid.columns,
+        getHeight: () => grid.rows,
+        getBoundingBox: () => [ grid.west, grid.south, east, north ],
+        readRasters: async () => [ flip(grid.latShift), flip(grid.lngShift) ],
+        fileDirectory: { ModelPixelScale: [ grid.lngInterval, grid.latInterval, 0 ] }
+    };
+
+    return { getImageCount: async () => 1, getImage: async () => image };
+}
+
+/**
+ * Error thrown by OSTransform in strict mode, carrying a machine-readable code:
+ * OUT_OF_BOUNDS | INVALID_GRIDREF | INVALID_INPUT | GRID_NOT_LOADED | CGI_FAILURE.
+ */
+export class TransformError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'TransformError';
+        this.code = code;
+    }
+}
 
 export class OSTransform {
     /**
      * Default configuration options.
      */
     options = {
+        // Transformation type:
+        // # ostn15-gsb - [default] OSTN15 Transformation with proj4 using the NTv2 `.gsb` file.
+        // # ostn15-js - OSTN15 Transformation with the built-in Transverse Mercator + grid shift implementation.
+        type: 'ostn15-gsb',
+        // Error handling:
+        // # false - [default] Failures are logged to the console and an empty object is returned.
+        // # true - Failures throw a TransformError (with a machine-readable code).
+        strict: false,
         // Bounds object (projected and geographic coordinates) for extent of GB.
         maxBounds: {
             projected: [[0.0, 0.0], [699999.9, 1299999.9]],
             geographic: [[-8.74, 49.84], [1.96, 60.9]]
-        }
+        },
+        // Bounds object (projected coordinates keyed by SRID [Irish Grid | ITM] and geographic coordinates) for extent of Ireland.
+        maxBoundsIreland: {
+            projected: {
+                29903: [[0.0, 0.0], [499999.9, 499999.9]],
+                2157: [[400000.0, 500000.0], [899999.9, 999999.9]]
+            },
+            geographic: [[-10.56, 51.39], [-5.34, 55.43]]
+        },
+        // Maximum number of lines + cells returned by getGrid().
+        maxGridFeatures: 10000
     };
 
+    /**
+     * Report a failure: throw a TransformError in strict mode, otherwise log it and return an empty object.
+     * @param {string} message - The error message.
+     * @param {string} code - The error code [OUT_OF_BOUNDS | INVALID_GRIDREF | INVALID_INPUT | GRID_NOT_LOADED | CGI_FAILURE].
+     */
+    _fail(message, code) {
+        if (this.options.strict) {
+            throw new TransformError(message, code);
+        }
+
+        console.log(message);
+        return {};
+    }
+
+    /**
+     * Test whether the OSTN15 grid needed to transform British National Grid coordinates has been loaded (see
+     * loadGrid()); Irish coordinates use a Helmert transformation and need no grid.
+     * @param {integer} srid - [optional] The projected coordinate system [27700 | 29903 | 2157].
+     */
+    _checkReady(srid = 27700) {
+        if (srid !== 27700 || grid !== null) {
+            return { valid: true, message: '' };
+        }
+
+        return { valid: false, message: 'OSTN15 grid has not been loaded.', code: 'GRID_NOT_LOADED' };
+    }
+
     /**
      * Test whether coordinates are within the permitted bounds.
      * @param {object} coordinates - The easting + northing or latlng to be validated.
+     * @param {integer} srid - [optional] The projected coordinate system [27700 | 29903 | 2157] the bounds apply to.
      */
-    _checkBounds(coordinates) {
+    _checkBounds(coordinates, srid = coordinates.srid || 27700) {
+        const bounds = srid === 27700 ? {
+            projected: this.options.maxBounds.projected,
+            geographic: this.options.maxBounds.geographic
+        } : {
+            projected: this.options.maxBoundsIreland.projected[srid],
+            geographic: this.options.maxBoundsIreland.geographic
+        };
+
+        if (!bounds.projected) {
+            return { valid: false, message: 'Unsupported coordinate system.', code: 'INVALID_INPUT' };
+        }
+
+        const values = coordinates.hasOwnProperty('ea') ? [coordinates.ea, coordinates.no] : [coordinates.lat, coordinates.lng];
+        if (!values.every(Number.isFinite)) {
+            return { valid: false, message: 'Invalid coordinates.', code: 'INVALID_INPUT' };
+        }
+
         let isValid = true;
         if (coordinates.hasOwnProperty('ea') && coordinates.hasOwnProperty('no')) {
-            if ((coordinates.ea < this.options.maxBounds.projected[0][0] || coordinates.ea > this.options.maxBounds.projected[1][0])
-                || (coordinates.no < this.options.maxBounds.projected[0][1] || coordinates.no > this.options.maxBounds.projected[1][1])) {
+            if ((coordinates.ea < bounds.projected[0][0] || coordinates.ea > bounds.projected[1][0])
+                || (coordinates.no < bounds.projected[0][1] || coordinates.no > bounds.projected[1][1])) {
                 isValid = false;
             }
         }
         else if (coordinates.hasOwnProperty('lat') && coordinates.hasOwnProperty('lng')) {
-            if ((coordinates.lng < this.options.maxBounds.geographic[0][0] || coordinates.lng > this.options.maxBounds.geographic[1][0])
-                || (coordinates.lat < this.options.maxBounds.geographic[0][1] || coordinates.lat > this.options.maxBounds.geographic[1][1])) {
+            if ((coordinates.lng < bounds.geographic[0][0] || coordinates.lng > bounds.geographic[1][0])
+                || (coordinates.lat < bounds.geographic[0][1] || coordinates.lat > bounds.geographic[1][1])) {
                 isValid = false;
             }
         }
 
         const message = isValid ? '' : 'Coordinates out of range.';
 
-        return { valid: isValid, message: message };
+        return { valid: isValid, message: message, ...(isValid ? {} : { code: 'OUT_OF_BOUNDS' }) };
     }
 
     /**
-     * Test whether a standard grid reference with a valid format has been provided.
+     * Test whether a grid reference with a valid format has been provided (0 to 10-figure, hectad, quadrant or
+     * tetrad), detect which grid [British National Grid (27700) | Irish Grid (29903)] it belongs to, and return
+     * its components.
      * param {string} gridref - The grid reference to be validated.
      */
     _validateGridRef(gridref) {
-        const regex = /^[THJONS][VWXYZQRSTULMNOPFGHJKABCDE] ?[0-9]{1,5} ?[0-9]{1,5}$/;
-        const match = Array.isArray(gridref.toUpperCase().match(regex)) ? true : false;
+        const regexGB = /^([THJONS][VWXYZQRSTULMNOPFGHJKABCDE]) ?([0-9]{0,5}) ?([0-9]{0,5})(?: ?(NE|NW|SE|SW|[A-NP-Z]))?$/;
+        const regexIE = /^([VWXYZQRSTULMNOPFGHJKABCDE]) ?([0-9]{0,5}) ?([0-9]{0,5})(?: ?(NE|NW|SE|SW|[A-NP-Z]))?$/;
+
+        const matchGB = gridref.toUpperCase().match(regexGB);
+        const match = matchGB || gridref.toUpperCase().match(regexIE);
+
+        const digits = match ? match[2] + match[3] : '';
+        const suffix = match && match[4] ? match[4] : '';
 
-        const isValid = (gridref.replace(/ /g, '').length % 2 === 0) && match ? true : false;
+        // Quadrant + tetrad suffixes are only valid after a hectad (2-figure) reference
+        const isValid = match && digits.length % 2 === 0 && (suffix === '' || digits.length === 2) ? true : false;
         const message = isValid ? '' : 'Invalid grid reference.';
 
-        return { valid: isValid, message: message };
+        if (!isValid) {
+            return { valid: false, message: message, code: 'INVALID_GRIDREF', srid: null };
+        }
+
+        return { valid: true, message: message, srid: matchGB ? 27700 : 29903, letters: match[1], digits: digits, suffix: suffix };
+    }
+
+    /**
+     * Return the square a grid reference refers to: its size in metres (precision), centre, bounding box and GeoJSON
+     * polygon, in the coordinates of its grid.
+     * @param {object} test - The components of a valid grid reference (from _validateGridRef()).
+     * @param {array} corner - The south-west corner of the square [easting, northing].
+     */
+    _getSquare(test, corner) {
+        const size = { 2: 5000, 1: 2000 }[test.suffix.length] || Math.pow(10, 5 - test.digits.length / 2);
+        const [ e, n ] = corner;
+
+        return {
+            precision: size,
+            centre: { ea: e + size / 2, no: n + size / 2 },
+            bbox: [ e, n, e + size, n + size ],
+            geometry: { type: 'Polygon', coordinates: [[ [e, n], [e + size, n], [e + size, n + size], [e, n + size], [e, n] ]] }
+        };
+    }
+
+    /**
+     * Return a grid reference written with any mix of case, spaces, hyphens, dots or slashes (e.g. ny-3729-0369) as
+     * { value, precision, srid }, or null if it is not recognised.
+     * @param {string} text - The text to be parsed.
+     */
+    _parseGridRef(text) {
+        const match = text.toUpperCase().match(/^([A-Z]{1,2})[\s\-_./]*([0-9]*)(?:[\s\-_./]+([0-9]+))?(?:[\s\-_./]*([A-Z]{1,2}))?$/);
+
+        // Separate eastings + northings must have the same number of figures
+        if (!match || (match[3] !== undefined && match[2].length !== match[3].length)) {
+            return null;
+        }
+
+        const test = this._validateGridRef(match[1] + match[2] + (match[3] || '') + (match[4] || ''));
+        if (!test.valid) {
+            return null;
+        }
+
+        const i = test.digits.length / 2;
+        const eastings = test.digits.substring(0, i);
+        const northings = test.digits.substring(i);
+
+        // Ecological formats (and hectads written as such) are kept without spaces, e.g. NY30, NY30NE, NY30X
+        if (test.suffix || (i === 1 && match[3] === undefined && !/\s/.test(text))) {
+            const precision = { 2: 'quadrant', 1: 'tetrad', 0: 'hectad' }[test.suffix.length];
+            return { value: test.letters + test.digits + test.suffix, precision: precision, srid: test.srid };
+        }
+
+        return { value: [test.letters, eastings, northings].filter(Boolean).join(' '), precision: i * 2, srid: test.srid };
+    }
+
+    /**
+     * Return a latlng written in decimal degrees, degrees + decimal minutes or degrees, minutes + seconds (with
+     * hemisphere letters or signed values, in either order) as { lat, lng, format, precision }, where precision is
+     * the number of decimal places of degrees it resolves (lat + lng are not rounded to it), or null if it is not
+     * recognised.
+     * @param {string} text - The text to be parsed, e.g. 54°25'29.3"N 2°58'04.6"W or 54.42481, -2.9679374.
+     */
+    _parseLatLng(text) {
+        const regex = /^([NSEW])?\s*([-+]?[0-9]+(?:\.[0-9]+)?)\s*(?:[°º˚:]\s*)?(?:([0-9]+(?:\.[0-9]+)?)\s*(?:['′’:]\s*)?)?(?:([0-9]+(?:\.[0-9]+)?)\s*(?:''|["″”])?\s*)?([NSEW])?$/;
+        const decimals = (value) => value && value.includes('.') ? value.split('.')[1].length : 0;
+
+        const parseCoordinate = (part) => {
+            const match = part.match(regex);
+            if (!match || (match[1] && match[5])) {
+                return null;
+            }
+
+            const [ , , degrees, minutes, seconds ] = match;
+            const hemisphere = match[1] || match[5];
+
+            // Only the last component may have decimals, and minutes + seconds must be less than 60
+            if ((minutes !== undefined && degrees.includes('.')) || (seconds !== undefined && minutes.includes('.'))
+                || Number(minutes || 0) >= 60 || Number(seconds || 0) >= 60 || (hemisphere && /^[-+]/.test(degrees))) {
+                return null;
+            }
+
+            const sign = degrees.startsWith('-') || hemisphere === 'S' || hemisphere === 'W' ? -1 : 1;
+            return {
+                value: sign * (Math.abs(Number(degrees)) + Number(minutes || 0) / 60 + Number(seconds || 0) / 3600),
+                axis: hemisphere ? (/[NS]/.test(hemisphere) ? 'lat' : 'lng') : null,
+                format: seconds !== undefined ? 'dms' : minutes !== undefined ? 'ddm' : 'decimal',
+                precision: seconds !== undefined ? decimals(seconds) + 4 : minutes !== undefined ? decimals(minutes) + 2 : decimals(degrees)
+            };
+        };
+
+        // Try each separator between the two coordinates, for a split which gives both in the same format
+        const upper = text.toUpperCase();
+        let pair = null;
+        for (const separator of upper.matchAll(/\s*[,;/]\s*|\s+/g)) {
+            const first = parseCoordinate(upper.substring(0, separator.index));
+            const second = parseCoordinate(upper.substring(separator.index + separator[0].length));
+            if (first && second && first.format === second.format && (first.axis === null || first.axis !== second.axis)) {
+                pair = [first, second];
+                break;
+            }
+        }
+
+        if (!pair) {
+            return null;
+        }
+
+        const [ lat, lng ] = pair[0].axis === 'lng' || pair[1].axis === 'lat' ? [ pair[1], pair[0] ] : pair;
+        if (Math.abs(lat.value) > 90 || Math.abs(lng.value) > 180) {
+            return null;
+        }
+
+        return { lat: lat.value, lng: lng.value, format: lat.format, precision: Math.max(lat.precision, lng.precision) };
+    }
+
+    /**
+     * Test whether a latlng format has been provided: decimal | ddm | dms, or an object with the format type plus
+     * optional hemisphere and precision options.
+     * @param {string|object} format - The format to be validated.
+     */
+    _checkFormat(format) {
+        const options = typeof format === 'string' ? { type: format } : format;
+
+        const isValid = options !== null && typeof options === 'object' && ['decimal', 'ddm', 'dms'].includes(options.type)
+            && (options.precision === undefined || (Number.isInteger(options.precision) && options.precision >= 0 && options.precision <= 10));
+        const message = isValid ? '' : 'Invalid latlng format.';
+
+        return { valid: isValid, message: message, ...(isValid ? {} : { code: 'INVALID_INPUT' }) };
+    }
+
+    /**
+     * Return a latlng written as text in decimal degrees, degrees + decimal minutes (ddm) or degrees, minutes +
+     * seconds (dms), e.g. { lat: '54°25\'29.3"N', lng: '2°58\'04.6"W', text: '54°25\'29.3"N 2°58\'04.6"W' }.
+     * @param {array} point - The latlng in XY order.
+     * @param {string|object} format - The format [decimal | ddm | dms], or an object with the format type plus
+     * hemisphere [true (letters, default) | false (signed values)] and precision (decimal places of the last
+     * component: degrees, minutes or seconds) options.
+     * @param {integer} decimals - The precision of the decimal format, unless given in the format options.
+     */
+    _formatLatLng(point, format, decimals) {
+        const options = typeof format === 'string' ? { type: format } : format;
+        const { type, hemisphere = true } = options;
+        const precision = options.precision ?? { decimal: decimals, ddm: 3, dms: 1 }[type];
+
+        const formatValue = (value, letters) => {
+            // Round in the smallest unit first, so that e.g. 59.96 seconds carries into the minutes
+            const units = Number((Math.abs(value) * { decimal: 1, ddm: 60, dms: 3600 }[type]).toFixed(precision));
+            const pad = (number) => number.toFixed(precision).padStart(precision > 0 ? precision + 3 : 2, '0');
+
+            let text;
+            if (type === 'dms') {
+                const degrees = Math.floor(units / 3600);
+                const minutes = Math.floor((units - degrees * 3600) / 60);
+                text = `${degrees}°${String(minutes).padStart(2, '0')}'${pad(units - degrees * 3600 - minutes * 60)}"`;
+            }
+            else if (type === 'ddm') {
+                const degrees = Math.floor(units / 60);
+                text = `${degrees}°${pad(units - degrees * 60)}'`;
+            }
+            else {
+                text = `${units.toFixed(precision)}°`;
+            }
+
+            const negative = value < 0 && units > 0;
+            return hemisphere ? text + letters[negative ? 1 : 0] : (negative ? '-' : '') + text;
+        };
+
+        const lat = formatValue(point[1], 'NS');
+        const lng = formatValue(point[0], 'EW');
+
+        return { lat: lat, lng: lng, text: hemisphere ? `${lat} ${lng}` : `${lat}, ${lng}` };
+    }
+
+    /**
+     * Return a point transformed between two coordinate systems [4326 (ETRS89) | 27700 | 29903 | 2157 | 25829 |
+     * 25830 | 25831 | 3857 | ETRS89-TM] with the configured transformation type, or null if it cannot be transformed.
+     * @param {integer|string} source - The source coordinate system.
+     * @param {integer|string} target - The target coordinate system.
+     * @param {array} point - The input coordinates in XY order.
+     */
+    _transform(source, target, point) {
+        // ETRS89 coordinates projected with the National Grid parameters need no datum shift
+        if (target === 'ETRS89-TM') {
+            return toProjected(point, projections['ETRS89-TM']);
+        }
+
+        if (this.options.type === 'ostn15-js') {
+            // The data file's shifts reproduce OSTN15 exactly, where the NTv2 grid is within about 15mm
+            return source === 4326 ? project(grid, point, target, geoid) : unproject(grid, point, source, geoid);
+        }
+
+        const name = srid => typeof srid === 'number' ? `EPSG:${srid}` : srid;
+        return proj4(name(source), name(target), point);
+    }
+
+    /**
+     * Return ETRS89 latlng (+ ellipsoidal height) from ITRF or WGS84 latlng observed at an epoch, as { valid, coordinates }.
+     * @param {object} coordinates - The latlng (plus optional `h`), with the `epoch` of observation as a decimal year
+     * and the `frame` it is in [ITRF2014 (default) | ITRF2020 | WGS84(G2139) | WGS84(G2296)].
+     */
+    _toETRS89(coordinates) {
+        const frame = coordinates.frame ?? 'ITRF2014';
+        if (!frames.hasOwnProperty(frame)) {
+            return { valid: false, message: `Unsupported reference frame: ${frame}.`, code: 'INVALID_INPUT' };
+        }
+        if (!Number.isFinite(coordinates.epoch)) {
+            return { valid: false, message: 'Invalid epoch: a decimal year (e.g. 2026.5) is required.', code: 'INVALID_INPUT' };
+        }
+
+        const height = coordinates.h ?? coordinates.height;
+        const point = toETRF([coordinates.lng, coordinates.lat, Number(height ?? 0)], frame, coordinates.epoch);
+
+        return {
+            valid: true,
+            coordinates: { lat: point[1], lng: point[0], ...(height !== undefined ? { h: point[2] } : {}) }
+        };
+    }
+
+    /**
+     * Return ETRS89 latlng from a latlng given as numbers or as text (see fromLatLng()), converted from ITRF or WGS84
+     * first where it has an `epoch` or `frame`, as { valid, coordinates }.
+     * @param {object|string} coordinates - The latlng to be read.
+     */
+    _readLatLng(coordinates) {
+        if (typeof coordinates === 'string' || typeof coordinates.lat === 'string' || typeof coordinates.lng === 'string') {
+            const latlng = this._parseLatLng(typeof coordinates === 'string' ? coordinates.trim() : `${coordinates.lat}, ${coordinates.lng}`);
+            if (latlng === null) {
+                return { valid: false, message: 'Invalid latlng.', code: 'INVALID_INPUT' };
+            }
+            coordinates = { ...(typeof coordinates === 'string' ? {} : coordinates), lat: latlng.lat, lng: latlng.lng };
+        }
+
+        if (coordinates.epoch !== undefined || coordinates.frame !== undefined) {
+            const etrs89 = Number.isFinite(coordinates.lat) && Number.isFinite(coordinates.lng)
+                ? this._toETRS89(coordinates)
+                : { valid: false, message: 'Invalid coordinates.', code: 'INVALID_INPUT' };
+            if (!etrs89.valid) {
+                return etrs89;
+            }
+            coordinates = etrs89.coordinates;
+        }
+
+        return { valid: true, coordinates: coordinates };
+    }
+
+    /**
+     * Return how a point was transformed between ETRS89 and a national grid: the method [OSTN15 | Helmert | none],
+     * the transformation type, the nominal accuracy of the method (metres) and, on British National Grid, the shift
+     * (metres) from the ETRS89 latlng projected with the National Grid parameters to the easting + northing.
+     * @param {integer} srid - The national grid [27700 | 29903 | 2157].
+     * @param {array} point - The easting + northing.
+     * @param {array} latlng - The ETRS89 longitude + latitude.
+     */
+    _getTransformation(srid, point, latlng) {
+        const { method, accuracy } = transformationMethods[srid];
+        const transformation = { method: method, type: this.options.type, accuracy: accuracy };
+        if (srid !== 27700) {
+            return transformation;
+        }
+
+        const projected = toProjected(latlng, projections['ETRS89-TM']);
+        return {
+            ...transformation,
+            shift: { ea: Number((point[0] - projected[0]).toFixed(3)), no: Number((point[1] - projected[1]).toFixed(3)) }
+        };
+    }
+
+    /**
+     * Test whether an ETRS89 latlng is covered by OSTN15: inside the transformation area, in its offshore extension,
+     * or outside (beyond the loaded grid, or in one of the no-data cells of the OSTN15/OSGM15 data file). The offshore
+     * extension + no-data cells are only known when the data file has been loaded: without it, points within the
+     * grid are `unknown` (which may be over France or far out to sea) rather than claimed to be inside.
+     * @param {object} coordinates - The latlng to be tested.
+     */
+    _checkCoverage(coordinates) {
+        // The grid is indexed by OSGB36 latlng, so the point is projected onto it as the transformation does
+        let coverage = grid !== null && project(grid, [coordinates.lng, coordinates.lat]) !== null ? 'inside' : 'outside';
+
+        if (coverage === 'inside' && geoid === null) {
+            coverage = 'unknown';
+        }
+        else if (coverage === 'inside') {
+            const [e, n] = this._transform(4326, 'ETRS89-TM', [coordinates.lng, coordinates.lat]).map(value => value / 1000);
+            const x = Math.min(Math.floor(e), geoid.columns - 2);
+            const y = Math.min(Math.floor(n), geoid.rows - 2);
+
+            // Grid nodes [SW, SE, NE, NW] surrounding the point (a shift interpolated from any no-data node is unusable)
+            const nodes = [y * geoid.columns + x, y * geoid.columns + x + 1, (y + 1) * geoid.columns + x + 1, (y + 1) * geoid.columns + x];
+            const nearest = nodes[(e - x < 0.5 ? (n - y < 0.5 ? 0 : 3) : (n - y < 0.5 ? 1 : 2))];
+
+            if (!(e >= 0 && e <= geoid.columns - 1 && n >= 0 && n <= geoid.rows - 1) || nodes.some(node => geoid.flags[node] === 0)) {
+                coverage = 'outside';
+            }
+            else if (geoid.flags[nearest] === verticalDatums.indexOf('Offshore')) {
+                coverage = 'offshore';
+            }
+        }
+
+        const isValid = coverage !== 'outside';
+        const message = isValid ? '' : 'Coordinates outside the OSTN15 transformation area.';
+
+        return { valid: isValid, message: message, coverage: coverage, ...(isValid ? {} : { code: 'OUT_OF_BOUNDS' }) };
+    }
+
+    /**
+     * Test whether the OSTN15 grid shift was applied to a point: whether the OSGB36 latlng of its British National
+     * Grid easting + northing falls within the loaded grid, so that a shift was interpolated from its nodes.
+     * @param {integer} srid - The national grid [27700 | 29903 | 2157].
+     * @param {array} point - The easting + northing.
+     */
+    _isShifted(srid, point) {
+        return srid === 27700 && grid !== null && getGridShift(grid, toGeographic(point, projections[27700])) !== null;
+    }
+
+    /**
+     * Return the OSGM15 geoid-ellipsoid separation (bilinearly interpolated from the 1km grid) and the vertical
+     * datum which applies at an ETRS89 latlng.
+     * @param {object} coordinates - The latlng at which the geoid height is required.
+     */
+    _getGeoidHeight(coordinates) {
+        if (geoid === null) {
+            return { valid: false, message: 'OSGM15 geoid model has not been loaded.', code: 'GRID_NOT_LOADED' };
+        }
+
+        // The model is gridded on ETRS89 coordinates projected with the National Grid parameters
+        const [e, n] = this._transform(4326, 'ETRS89-TM', [coordinates.lng, coordinates.lat]);
+
+        const x = Math.floor(e / 1000);
+        const y = Math.floor(n / 1000);
+
+        if (x < 0 || x >= geoid.columns - 1 || y < 0 || y >= geoid.rows - 1) {
+            return { valid: false, message: 'Coordinates outside the OSGM15 geoid model.', code: 'OUT_OF_BOUNDS' };
+        }
+
+        // Grid nodes [SW, SE, NE, NW] surrounding the point
+        const nodes = [y * geoid.columns + x, y * geoid.columns + x + 1, (y + 1) * geoid.columns + x + 1, (y + 1) * geoid.columns + x];
+        if (nodes.some(node => geoid.flags[node] === 0)) {
+            return { valid: false, message: 'Coordinates outside the OSGM15 geoid model.', code: 'OUT_OF_BOUNDS' };
+        }
+
+        const t = e / 1000 - x;
+        const u = n / 1000 - y;
+
+        const shift = (1 - t) * (1 - u) * geoid.heights[nodes[0]] + t * (1 - u) * geoid.heights[nodes[1]]
+            + t * u * geoid.heights[nodes[2]] + (1 - t) * u * geoid.heights[nodes[3]];
+
+        // The vertical datum is taken from the nearest grid node
+        const nearest = nodes[(t < 0.5 ? (u < 0.5 ? 0 : 3) : (u < 0.5 ? 1 : 2))];
+
+        return { valid: true, message: '', shift: shift, datum: verticalDatums[geoid.flags[nearest]] };
+    }
+
+    /**
+     * Test whether a GeoJSON object (Geometry, Feature or FeatureCollection) is well formed: features in an array,
+     * each with a geometry object (or null), and positions nested to the depth of each geometry type.
+     * @param {object} geojson - The GeoJSON object to be validated.
+     */
+    _checkGeoJSON(geojson) {
+        const isPositions = (coordinates, depth) => Array.isArray(coordinates) && (depth === 0
+            ? coordinates.length >= 2 && coordinates.every(value => typeof value === 'number')
+            : coordinates.every(item => isPositions(item, depth - 1)));
+
+        const isGeometry = (geometry) => {
+            if (geometry === null || typeof geometry !== 'object') {
+                return false;
+            }
+            if (geometry.type === 'GeometryCollection') {
+                return Array.isArray(geometry.geometries) && geometry.geometries.every(isGeometry);
+            }
+            return geometryDepths.hasOwnProperty(geometry.type) && isPositions(geometry.coordinates, geometryDepths[geometry.type]);
+        };
+
+        const isFeature = (feature) => feature !== null && typeof feature === 'object' && feature.type === 'Feature'
+            && (feature.geometry === null || isGeometry(feature.geometry));
+
+        const isValid = geojson.type === 'FeatureCollection' ? Array.isArray(geojson.features) && geojson.features.every(isFeature)
+            : geojson.type === 'Feature' ? isFeature(geojson)
+            : isGeometry(geojson);
+
+        if (!isValid) {
+            return { valid: false, message: 'Invalid GeoJSON: features, geometries or coordinates are missing or malformed.', code: 'INVALID_INPUT' };
+        }
+
+        return { valid: true, message: '' };
+    }
+
+    /**
+     * Return a transformed GeoJSON position, or null if the position is out of bounds (or its height cannot be
+     * converted).
+     * @param {array} position - The GeoJSON position [x, y, (z)] to be transformed.
+     * @param {string} direction - The transformation direction [toLatLng | fromLatLng].
+     * @param {integer} decimals - [optional] The specified number of decimal places.
+     * @param {boolean} heights - [optional] Convert the z value as a height, rather than copying it.
+     */
+    _transformPosition(position, direction, decimals, heights = false) {
+        const coordinates = direction === 'toLatLng'
+            ? { ea: position[0], no: position[1] }
+            : { lat: position[1], lng: position[0] };
+        if (heights && position.length > 2) {
+            coordinates.h = position[2];
+        }
+
+        if (!Number.isFinite(position[0]) || !Number.isFinite(position[1]) || !this._checkBounds(coordinates).valid) {
+            return null;
+        }
+
+        let point;
+        try {
+            point = direction === 'toLatLng' ? this.toLatLng(coordinates, decimals) : this.fromLatLng(coordinates, decimals);
+        } catch (error) {
+            if (error instanceof TransformError) {
+                return null;
+            }
+            throw error;
+        }
+
+        if (Object.keys(point).length === 0) {
+            return null;
+        }
+
+        const rest = coordinates.h !== undefined ? [point.h, ...position.slice(3)] : position.slice(2);
+        return direction === 'toLatLng'
+            ? [point.lng, point.lat, ...rest]
+            : [point.ea, point.no, ...rest];
+    }
+
+    /**
+     * Return a copy of a GeoJSON object with every position replaced, along with the index of any feature which
+     * could not be transformed (the geometry of which is set to null).
+     * @param {object} geojson - The GeoJSON object (Geometry, Feature or FeatureCollection, checked by _checkGeoJSON()) to be mapped.
+     * @param {function} transform - The function returning a replacement position (or null) for each position.
+     */
+    _mapGeoJSON(geojson, transform) {
+        const outOfBounds = [];
+
+        const mapPositions = (coordinates) => {
+            if (typeof coordinates[0] === 'number') {
+                return transform(coordinates);
+            }
+            const mapped = coordinates.map(mapPositions);
+            return mapped.includes(null) ? null : mapped;
+        };
+
+        const mapGeometry = (geometry) => {
+            if (geometry === null) {
+                return null;
+            }
+            const mapped = geometry.type === 'GeometryCollection'
+                ? { ...geometry, geometries: geometry.geometries.map(mapGeometry) }
+                : { ...geometry, coordinates: mapPositions(geometry.coordinates) };
+            if (mapped.coordinates === null || (mapped.geometries && mapped.geometries.includes(null))) {
+                return null;
+            }
+            return this._setBBox(mapped);
+        };
+
+        const mapFeature = (feature, index) => {
+            const geometry = mapGeometry(feature.geometry);
+            if (feature.geometry !== null && geometry === null) {
+                outOfBounds.push({ index: index, id: feature.id, message: 'Coordinates out of range.' });
+            }
+            return this._setBBox({ ...feature, geometry: geometry });
+        };
+
+        let mapped;
+        if (geojson.type === 'FeatureCollection') {
+            mapped = this._setBBox({ ...geojson, features: geojson.features.map(mapFeature) });
+        }
+        else if (geojson.type === 'Feature') {
+            mapped = mapFeature(geojson, 0);
+        }
+        else {
+            mapped = mapGeometry(geojson);
+            if (mapped === null) {
+                outOfBounds.push({ index: null, message: 'Coordinates out of range.' });
+            }
+        }
+
+        return { geojson: mapped, outOfBounds: outOfBounds };
+    }
+
+    /**
+     * Return a GeoJSON object with its bbox (if it has one) recomputed from its positions.
+     * @param {object} geojson - The GeoJSON object (Geometry, Feature or FeatureCollection).
+     */
+    _setBBox(geojson) {
+        if (!geojson.hasOwnProperty('bbox')) {
+            return geojson;
+        }
+
+        const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+        const extend = (coordinates) => {
+            if (typeof coordinates[0] === 'number') {
+                bbox[0] = Math.min(bbox[0], coordinates[0]);
+                bbox[1] = Math.min(bbox[1], coordinates[1]);
+                bbox[2] = Math.max(bbox[2], coordinates[0]);
+                bbox[3] = Math.max(bbox[3], coordinates[1]);
+            }
+            else {
+                coordinates.forEach(extend);
+            }
+        };
+        const visit = (object) => {
+            if (object === null) {
+                return;
+            }
+            if (object.type === 'FeatureCollection') {
+                object.features.forEach(visit);
+            }
+            else if (object.type === 'Feature') {
+                visit(object.geometry);
+            }
+            else if (object.type === 'GeometryCollection') {
+                object.geometries.forEach(visit);
+            }
+            else {
+                extend(object.coordinates);
+            }
+        };
+        visit(geojson);
+
+        if (bbox[0] === Infinity) {
+            const { bbox: _, ...rest } = geojson;
+            return rest;
+        }
+
+        return { ...geojson, bbox: bbox };
+    }
+
+    /**
+     * Return the OSTN15 coverage [inside | offshore | outside | unknown] at an ETRS89 latlng.
+     * @param {object} coordinates - The latlng to be tested.
+     */
+    getCoverage(coordinates) {
+        if (!Number.isFinite(coordinates.lat) || !Number.isFinite(coordinates.lng)) {
+            return this._fail('Invalid coordinates.', 'INVALID_INPUT');
+        }
+
+        return this._checkCoverage(coordinates).coverage;
     }
 
     /**
      * Return latlng from an input easting + northing.
      * @param {object} coordinates - The easting + northing to be transformed.
      * @param {integer} decimals - [optional] The specified number of decimal places.
+     * @param {string|object} format - [optional] Also return the latlng written as text (`formatted`) in a format
+     * [decimal | ddm | dms], or an object with the format type plus hemisphere [true | false] and precision options.
      */
-    toLatLng(coordinates, decimals = 7) {
+    toLatLng(coordinates, decimals = 7, format) {
         const test = this._checkBounds(coordinates)
         if (!test.valid) {
-            console.log(test.message);
-            return {};
+            return this._fail(test.message, test.code);
         }
 
-        const point = proj4('EPSG:27700', 'EPSG:4326', [coordinates.ea, coordinates.no]);
-        return {
+        const formatTest = format !== undefined ? this._checkFormat(format) : { valid: true };
+        if (!formatTest.valid) {
+            return this._fail(formatTest.message, formatTest.code);
+        }
+
+        const srid = coordinates.srid || 27700;
+
+        const ready = this._checkReady(srid);
+        if (!ready.valid) {
+            return this._fail(ready.message, ready.code);
+        }
+
+        const point = this._transform(srid, 4326, [coordinates.ea, coordinates.no]);
+        if (point === null) {
+            return this._fail('Coordinates outside the OSTN15 grid.', 'OUT_OF_BOUNDS');
+        }
+
+        // The OSTN15 shift only applies to British National Grid (Irish coordinates use a Helmert transformation)
+        const coverage = srid === 27700 ? this._checkCoverage({ lat: point[1], lng: point[0] }) : null;
+        if (coverage && !coverage.valid) {
+            return this._fail(coverage.message, coverage.code);
+        }
+
+        const result = {
             lat: Number(point[1].toFixed(decimals)),
-            lng: Number(point[0].toFixed(decimals))
+            lng: Number(point[0].toFixed(decimals)),
+            ...(format !== undefined ? { formatted: this._formatLatLng(point, format, decimals) } : {}),
+            ...(coverage ? { coverage: coverage.coverage } : {}),
+            transformation: this._getTransformation(srid, [coordinates.ea, coordinates.no], point),
+            shifted: this._isShifted(srid, [coordinates.ea, coordinates.no])
         };
+
+        // Orthometric (ODN) height to ETRS89 ellipsoidal height
+        const height = coordinates.h ?? coordinates.height;
+        if (height === undefined) {
+            return result;
+        }
+
+        const geoidHeight = this._getGeoidHeight({ lat: point[1], lng: point[0] });
+        if (!geoidHeight.valid) {
+            return this._fail(geoidHeight.message, geoidHeight.code);
+        }
+
+        return { ...result, h: Number((Number(height) + geoidHeight.shift).toFixed(3)), verticalDatum: geoidHeight.datum };
     }
 
     /**
      * Return easting + northing from an input latlng.
-     * @param {object} coordinates - The latlng to be transformed.
+     * @param {object|string} coordinates - The latlng to be transformed, with lat + lng as numbers or as text in any
+     * of the formats read by parseLatLng(), or the whole latlng as text. Latlngs from GNSS in ITRF or WGS84 can be
+     * given with the `epoch` of observation (and the `frame` they are in), to be converted to ETRS89 first.
      * @param {integer} decimals - [optional] The specified number of decimal places.
+     * @param {integer} srid - [optional] The target coordinate system [27700 (BNG) | 29903 (Irish Grid) | 2157 (ITM)].
      */
-    fromLatLng(coordinates, decimals = 2) {
-        const test = this._checkBounds(coordinates)
+    fromLatLng(coordinates, decimals = 2, srid = 27700) {
+        const latlng = this._readLatLng(coordinates);
+        if (!latlng.valid) {
+            return this._fail(latlng.message, latlng.code);
+        }
+        coordinates = latlng.coordinates;
+
+        const test = this._checkBounds(coordinates, srid)
         if (!test.valid) {
-            console.log(test.message);
-            return {};
+            return this._fail(test.message, test.code);
         }
 
-        const point = proj4('EPSG:4326', 'EPSG:27700', [coordinates.lng, coordinates.lat]);
-        return {
+        const ready = this._checkReady(srid);
+        if (!ready.valid) {
+            return this._fail(ready.message, ready.code);
+        }
+
+        const coverage = srid === 27700 ? this._checkCoverage(coordinates) : null;
+        if (coverage && !coverage.valid) {
+            return this._fail(coverage.message, coverage.code);
+        }
+
+        const point = this._transform(4326, srid, [coordinates.lng, coordinates.lat]);
+        if (point === null) {
+            return this._fail('Coordinates outside the OSTN15 grid.', 'OUT_OF_BOUNDS');
+        }
+
+        const result = {
             ea: Number(point[0].toFixed(decimals)),
-            no: Number(point[1].toFixed(decimals))
+            no: Number(point[1].toFixed(decimals)),
+            ...(srid === 27700 ? {} : { srid: srid }),
+            ...(coverage ? { coverage: coverage.coverage } : {}),
+            transformation: this._getTransformation(srid, point, [coordinates.lng, coordinates.lat]),
+            shifted: this._isShifted(srid, point)
+        };
+
+        // ETRS89 ellipsoidal height to orthometric (ODN) height
+        const height = coordinates.h ?? coordinates.height;
+        if (height === undefined) {
+            return result;
+        }
+
+        const geoidHeight = this._getGeoidHeight(coordinates);
+        if (!geoidHeight.valid) {
+            return this._fail(geoidHeight.message, geoidHeight.code);
+        }
+
+        return { ...result, h: Number((Number(height) - geoidHeight.shift).toFixed(3)), verticalDatum: geoidHeight.datum };
+    }
+
+    /**
+     * Return a point transformed between any two of the supported coordinate systems (see coordinateSystems). The
+     * point is transformed via ETRS89 latlng, with toLatLng() + fromLatLng() for the national grids, so the OSTN15
+     * shift is applied (and heights are converted with OSGM15) whenever British National Grid is involved.
+     * @param {object} point - The easting + northing (projected coordinate systems) or latlng (geographic coordinate
+     * systems) to be transformed, plus an optional height `h`: orthometric on the national grids, ellipsoidal otherwise.
+     * Latlngs in ITRF or WGS84 can be given with an `epoch` + `frame`, as for fromLatLng().
+     * @param {integer} fromSrid - The source coordinate system.
+     * @param {integer} toSrid - The target coordinate system.
+     * @param {integer} decimals - [optional] The specified number of decimal places (default 7 for latlng, 2 for
+     * easting + northing).
+     */
+    transform(point, fromSrid, toSrid, decimals) {
+        const source = coordinateSystems[fromSrid];
+        const target = coordinateSystems[toSrid];
+        if (!source || !target) {
+            return this._fail(`Unsupported coordinate system: ${source ? toSrid : fromSrid}.`, 'INVALID_INPUT');
+        }
+
+        decimals = decimals ?? (target.geographic ? 7 : 2);
+        const height = point.h ?? point.height;
+        const values = source.geographic ? [point.lng, point.lat] : [point.ea, point.no];
+        if (!values.every(Number.isFinite)) {
+            return this._fail(`Invalid coordinates: EPSG:${fromSrid} requires ${source.geographic ? 'lat + lng' : 'ea + no'}.`, 'INVALID_INPUT');
+        }
+
+        // Source coordinates to ETRS89 latlng
+        let latlng;
+        if (source.grid) {
+            latlng = this.toLatLng({ ea: values[0], no: values[1], srid: fromSrid, ...(height !== undefined ? { h: height } : {}) }, 12);
+            if (Object.keys(latlng).length === 0) {
+                return latlng;
+            }
+        }
+        else {
+            const [lng, lat] = source.geographic ? values : this._transform(fromSrid, 4326, values);
+            if (!(Math.abs(lat) <= 90 && Math.abs(lng) <= 180)) {
+                return this._fail('Coordinates out of range.', 'OUT_OF_BOUNDS');
+            }
+            latlng = { lat: lat, lng: lng, ...(height !== undefined ? { h: Number(height) } : {}) };
+
+            if (source.geographic && (point.epoch !== undefined || point.frame !== undefined)) {
+                const etrs89 = this._toETRS89({ ...latlng, epoch: point.epoch, frame: point.frame });
+                if (!etrs89.valid) {
+                    return this._fail(etrs89.message, etrs89.code);
+                }
+                latlng = etrs89.coordinates;
+            }
+        }
+
+        // ETRS89 latlng to target coordinates
+        let result;
+        if (target.grid) {
+            result = this.fromLatLng({ lat: latlng.lat, lng: latlng.lng, ...(latlng.h !== undefined ? { h: latlng.h } : {}) }, decimals, toSrid);
+            if (Object.keys(result).length === 0) {
+                return result;
+            }
+        }
+        else {
+            if (Math.abs(latlng.lat) > (target.maxLat ?? 90)) {
+                return this._fail('Coordinates out of range.', 'OUT_OF_BOUNDS');
+            }
+
+            const xy = target.geographic ? [latlng.lng, latlng.lat] : this._transform(4326, toSrid, [latlng.lng, latlng.lat]);
+            if (xy === null || !xy.every(Number.isFinite)) {
+                return this._fail('Coordinates out of range.', 'OUT_OF_BOUNDS');
+            }
+            result = {
+                ...(target.geographic
+                    ? { lat: Number(xy[1].toFixed(decimals)), lng: Number(xy[0].toFixed(decimals)) }
+                    : { ea: Number(xy[0].toFixed(decimals)), no: Number(xy[1].toFixed(decimals)) }),
+                ...(latlng.h !== undefined ? { h: Number(latlng.h.toFixed(3)) } : {})
+            };
+        }
+
+        const coverage = result.coverage ?? latlng.coverage;
+        const verticalDatum = result.verticalDatum ?? latlng.verticalDatum;
+        const transformation = combineTransformations(latlng.transformation, result.transformation);
+
+        return {
+            ...(target.geographic ? { lat: result.lat, lng: result.lng } : { ea: result.ea, no: result.no }),
+            ...(result.h !== undefined ? { h: result.h } : {}),
+            srid: toSrid,
+            ...(verticalDatum !== undefined ? { verticalDatum: verticalDatum } : {}),
+            ...(coverage !== undefined ? { coverage: coverage } : {}),
+            ...(transformation !== undefined ? { transformation: transformation } : {}),
+            shifted: Boolean(latlng.shifted || result.shifted)
+        };
+    }
+
+    /**
+     * Return a point transformed between ETRS89 and British National Grid both with OSTN15 and with the
+     * seven-parameter Helmert transformation (which can be out by up to 3.5m), and the difference between them in
+     * metres (Helmert minus OSTN15, along the grid axes), e.g. to audit data which may have been transformed with either.
+     * @param {object|string} coordinates - The easting + northing, or the latlng (as for fromLatLng()), to be transformed.
+     * @param {integer} decimals - [optional] The specified number of decimal places (default 7 for latlng, 2 for
+     * easting + northing).
+     */
+    compare(coordinates, decimals) {
+        const isProjected = typeof coordinates === 'object' && coordinates.hasOwnProperty('ea');
+        decimals = decimals ?? (isProjected ? 7 : 2);
+
+        let ostn15, helmert, coverage;
+        if (isProjected) {
+            const result = this.toLatLng({ ea: coordinates.ea, no: coordinates.no }, 12);
+            if (Object.keys(result).length === 0) {
+                return result;
+            }
+            ostn15 = [result.lng, result.lat];
+            helmert = unproject(grid, [coordinates.ea, coordinates.no], 'OSGB36-Helmert');
+            coverage = result.coverage;
+        }
+        else {
+            const latlng = this._readLatLng(coordinates);
+            if (!latlng.valid) {
+                return this._fail(latlng.message, latlng.code);
+            }
+            const result = this.fromLatLng(latlng.coordinates, 12);
+            if (Object.keys(result).length === 0) {
+                return result;
+            }
+            ostn15 = [result.ea, result.no];
+            helmert = project(grid, [latlng.coordinates.lng, latlng.coordinates.lat], 'OSGB36-Helmert');
+            coverage = result.coverage;
+        }
+
+        // The difference in metres, between latlngs as projected with the National Grid parameters
+        const [from, to] = isProjected
+            ? [ostn15, helmert].map(point => toProjected(point, projections['ETRS89-TM']))
+            : [ostn15, helmert];
+        const difference = [to[0] - from[0], to[1] - from[1]];
+
+        const toResult = point => isProjected
+            ? { lat: Number(point[1].toFixed(decimals)), lng: Number(point[0].toFixed(decimals)) }
+            : { ea: Number(point[0].toFixed(decimals)), no: Number(point[1].toFixed(decimals)) };
+
+        return {
+            ostn15: { ...toResult(ostn15), accuracy: transformationMethods[27700].accuracy },
+            helmert: { ...toResult(helmert), accuracy: transformationMethods['OSGB36-Helmert'].accuracy },
+            difference: {
+                ea: Number(difference[0].toFixed(3)),
+                no: Number(difference[1].toFixed(3)),
+                distance: Number(Math.hypot(...difference).toFixed(3))
+            },
+            coverage: coverage
+        };
+    }
+
+    /**
+     * Return the point scale factor and grid convergence at a location, computed with the Transverse Mercator
+     * parameters of the national grid. An ellipsoidal (ground) distance multiplied by the scale factor gives the grid
+     * distance, and a true bearing minus the convergence gives the grid bearing.
+     * @param {object|string} coordinates - The easting + northing, or the latlng (as for fromLatLng()), of the location.
+     * @param {integer} srid - [optional] The national grid [27700 (default) | 29903 (Irish Grid) | 2157 (ITM)], if not
+     * given by the coordinates.
+     */
+    getGridProperties(coordinates, srid = coordinates.srid || 27700) {
+        if (!coordinateSystems[srid]?.grid) {
+            return this._fail(`Unsupported coordinate system: ${srid}.`, 'INVALID_INPUT');
+        }
+        if (coordinates.srid !== undefined && coordinates.srid !== srid) {
+            return this._fail('Coordinates must be on the same national grid.', 'INVALID_INPUT');
+        }
+
+        const point = coordinates.hasOwnProperty('ea') ? { ea: coordinates.ea, no: coordinates.no, srid: srid } : this.fromLatLng(coordinates, 3, srid);
+        if (Object.keys(point).length === 0) {
+            return point;
+        }
+
+        const test = this._checkBounds(point, srid);
+        if (!test.valid) {
+            return this._fail(test.message, test.code);
+        }
+
+        const projection = projections[srid];
+        const properties = getGridProperties(toGeographic([point.ea, point.no], projection), projection);
+
+        return {
+            ea: point.ea,
+            no: point.no,
+            ...(srid === 27700 ? {} : { srid: srid }),
+            scaleFactor: Number(properties.scaleFactor.toFixed(9)),
+            convergence: Number(properties.convergence.toFixed(7))
+        };
+    }
+
+    /**
+     * Return the grid distance + bearing between two locations, with the geodesic distance + true bearing between
+     * them on the ellipsoid of the national grid (Airy 1830 for British National Grid), and the line scale factor
+     * relating the two distances (from the point scale factors at either end and the midpoint, by Simpson's rule).
+     * Bearings are initial bearings, in degrees.
+     * @param {object|string} from - The easting + northing, or the latlng (as for fromLatLng()), of the start point.
+     * @param {object|string} to - The easting + northing, or the latlng, of the end point.
+     * @param {integer} srid - [optional] The national grid [27700 (default) | 29903 (Irish Grid) | 2157 (ITM)], if not
+     * given by the coordinates.
+     */
+    getDistance(from, to, srid = from.srid || to.srid || 27700) {
+        if (!coordinateSystems[srid]?.grid) {
+            return this._fail(`Unsupported coordinate system: ${srid}.`, 'INVALID_INPUT');
+        }
+
+        const points = [];
+        for (const coordinates of [from, to]) {
+            if (coordinates.srid !== undefined && coordinates.srid !== srid) {
+                return this._fail('Coordinates must be on the same national grid.', 'INVALID_INPUT');
+            }
+            const point = coordinates.hasOwnProperty('ea') ? { ea: coordinates.ea, no: coordinates.no, srid: srid } : this.fromLatLng(coordinates, 6, srid);
+            if (Object.keys(point).length === 0) {
+                return point;
+            }
+            const test = this._checkBounds(point, srid);
+            if (!test.valid) {
+                return this._fail(test.message, test.code);
+            }
+            points.push(point);
+        }
+
+        const [start, end] = points;
+        const projection = projections[srid];
+        const properties = point => getGridProperties(toGeographic(point, projection), projection);
+        const scaleFactor = (properties([start.ea, start.no]).scaleFactor
+            + 4 * properties([(start.ea + end.ea) / 2, (start.no + end.no) / 2]).scaleFactor
+            + properties([end.ea, end.no]).scaleFactor) / 6;
+        const geodesic = getGeodesic(toGeographic([start.ea, start.no], projection), toGeographic([end.ea, end.no], projection), projection.ellipsoid);
+        const gridBearing = Math.atan2(end.ea - start.ea, end.no - start.no) * 180 / Math.PI;
+
+        return {
+            gridDistance: Number(Math.hypot(end.ea - start.ea, end.no - start.no).toFixed(3)),
+            geodesicDistance: Number(geodesic.distance.toFixed(3)),
+            scaleFactor: Number(scaleFactor.toFixed(9)),
+            gridBearing: Number(((gridBearing + 360) % 360).toFixed(7)),
+            trueBearing: Number(geodesic.bearing.toFixed(7)),
+            convergence: Number(properties([start.ea, start.no]).convergence.toFixed(7)),
+            ...(srid === 27700 ? {} : { srid: srid })
         };
     }
 
     /**
      * Return grid reference [plain | encoded | components] from an input easting + northing.
-     * @param {object} coordinates - The easting + northing to be converted.
+     * @param {object} coordinates - The easting + northing (British National Grid or Irish Grid) to be converted.
+     * @param {integer|string} precision - [optional] The number of figures [0 | 2 | 4 | 6 | 8 | 10], or an ecological
+     * format [hectad (10km) | quadrant (5km) | tetrad (2km)].
      */
-    toGridRef(coordinates) {
+    toGridRef(coordinates, precision = 10) {
+        if (![0, 2, 4, 6, 8, 10, 'hectad', 'quadrant', 'tetrad'].includes(precision)) {
+            return this._fail('Invalid grid reference precision.', 'INVALID_INPUT');
+        }
+
+        const srid = coordinates.srid || 27700;
+        if (srid !== 27700 && srid !== 29903) {
+            return this._fail('Grid references are only available for British National Grid and Irish Grid coordinates.', 'INVALID_INPUT');
+        }
+
         const test = this._checkBounds(coordinates)
         if (!test.valid) {
-            console.log(test.message);
-            return {};
+            return this._fail(test.message, test.code);
         }
 
         const prefixes = [
@@ -129,64 +1163,659 @@ export class OSTransform {
         const x = Math.floor(coordinates.ea / 100000);
         const y = Math.floor(coordinates.no / 100000);
 
-        const prefix = prefixes[y][x];
+        // Irish Grid references use a single letter for each 100km square (in the same 5x5 layout as GB's second letter)
+        const prefix = srid === 29903 ? 'VWXYZQRSTULMNOPFGHJKABCDE'[y * 5 + x] : prefixes[y][x];
+
+        const figures = (typeof precision === 'string' ? 2 : precision) / 2;
+
+        let e = Math.floor(coordinates.ea % 100000 / Math.pow(10, 5 - figures));
+        let n = Math.floor(coordinates.no % 100000 / Math.pow(10, 5 - figures));
 
-        let e = Math.floor(coordinates.ea % 100000);
-        let n = Math.floor(coordinates.no % 100000);
+        e = figures > 0 ? String(e).padStart(figures, '0') : '';
+        n = figures > 0 ? String(n).padStart(figures, '0') : '';
 
-        e = String(e).padStart(5, '0');
-        n = String(n).padStart(5, '0');
+        // Ecological formats are written without spaces, e.g. NY30 (hectad), NY30NE (quadrant), NY30X (tetrad)
+        if (typeof precision === 'string') {
+            const x = coordinates.ea % 10000;
+            const y = coordinates.no % 10000;
 
-        const text = `${prefix} ${e} ${n}`;
-        const html = `${prefix}&thinsp;${e}&thinsp;${n}`;
+            let suffix = '';
+            if (precision === 'quadrant') {
+                suffix = (y < 5000 ? 'S' : 'N') + (x < 5000 ? 'W' : 'E');
+            }
+            else if (precision === 'tetrad') {
+                suffix = 'ABCDEFGHIJKLMNPQRSTUVWXYZ'[Math.floor(x / 2000) * 5 + Math.floor(y / 2000)];
+            }
+
+            const text = `${prefix}${e}${n}${suffix}`;
+
+            return { text: text, html: text, letters: prefix, eastings: e, northings: n, ...(suffix ? { suffix: suffix } : {}) };
+        }
+
+        const text = [prefix, e, n].filter(Boolean).join(' ');
+        const html = [prefix, e, n].filter(Boolean).join('&thinsp;');
 
         return { text: text, html: html, letters: prefix, eastings: e, northings: n };
     }
 
     /**
-     * Return easting + northing from an input grid reference.
+     * Return easting + northing from an input grid reference (British National Grid or Irish Grid).
      * @param {string} gridref - The grid reference to be converted.
+     * @param {boolean} extent - [optional] Also return the square the grid reference refers to: its precision in
+     * metres, centre, bounding box and GeoJSON polygon.
      */
-    fromGridRef(gridref) {
+    fromGridRef(gridref, extent = false) {
         gridref = String(gridref).trim();
 
         const test = this._validateGridRef(gridref)
         if (!test.valid) {
-            console.log(test.message);
-            return {};
+            return this._fail(test.message, test.code);
         }
 
         const gridLetters = 'VWXYZQRSTULMNOPFGHJKABCDE';
 
-        const ref = gridref.toUpperCase().replace(/ /g, '');
+        const ref = test.letters;
 
-        const majorEasting = gridLetters.indexOf(ref[0]) % 5 * 500000 - 1000000;
-        const majorNorthing = Math.floor(gridLetters.indexOf(ref[0]) / 5) * 500000 - 500000;
+        let e, n;
+        if (test.srid === 29903) {
+            // Irish Grid: a single letter for the 100km square
+            e = gridLetters.indexOf(ref[0]) % 5 * 100000;
+            n = Math.floor(gridLetters.indexOf(ref[0]) / 5) * 100000;
+        }
+        else {
+            const majorEasting = gridLetters.indexOf(ref[0]) % 5 * 500000 - 1000000;
+            const majorNorthing = Math.floor(gridLetters.indexOf(ref[0]) / 5) * 500000 - 500000;
 
-        const minorEasting = gridLetters.indexOf(ref[1]) % 5 * 100000;
-        const minorNorthing = Math.floor(gridLetters.indexOf(ref[1]) / 5) * 100000;
+            const minorEasting = gridLetters.indexOf(ref[1]) % 5 * 100000;
+            const minorNorthing = Math.floor(gridLetters.indexOf(ref[1]) / 5) * 100000;
 
-        const i = (ref.length - 2) / 2;
+            e = majorEasting + minorEasting;
+            n = majorNorthing + minorNorthing;
+        }
+
+        const i = test.digits.length / 2;
         const m = Math.pow(10, 5 - i);
 
-        const e = majorEasting + minorEasting + (ref.substring(2, i + 2) * m);
-        const n = majorNorthing + minorNorthing + (ref.substring(i + 2) * m);
+        e += test.digits.substring(0, i) * m;
+        n += test.digits.substring(i) * m;
+
+        // Quadrant (5km) or DINTY tetrad (2km) within the hectad
+        if (test.suffix.length === 2) {
+            e += test.suffix[1] === 'E' ? 5000 : 0;
+            n += test.suffix[0] === 'N' ? 5000 : 0;
+        }
+        else if (test.suffix.length === 1) {
+            const index = 'ABCDEFGHIJKLMNPQRSTUVWXYZ'.indexOf(test.suffix);
+            e += Math.floor(index / 5) * 2000;
+            n += index % 5 * 2000;
+        }
+
+        const result = test.srid === 29903 ? { ea: e, no: n, srid: 29903 } : { ea: e, no: n };
 
-        return { ea: e, no: n };
+        return extent ? { ...result, ...this._getSquare(test, [e, n]) } : result;
     }
 
     /**
      * Return latlng from an input grid reference (convenience method).
      * @param {string} gridref - The grid reference to be converted.
      * @param {integer} decimals - [optional] The specified number of decimal places.
+     * @param {string|object} format - [optional] The format of the latlng written as text (see toLatLng()).
+     * @param {boolean} extent - [optional] Also return the square the grid reference refers to: its precision in
+     * metres, centre, bounding box and GeoJSON polygon (in latlng).
      */
-    gridRefToLatLng(gridref, decimals = 7) {
-        const coordinates = this.fromGridRef(gridref);
+    gridRefToLatLng(gridref, decimals = 7, format, extent = false) {
+        const coordinates = this.fromGridRef(gridref, extent);
 
         if (Object.keys(coordinates).length === 0) {
             return {};
         }
 
-        return this.toLatLng(coordinates, decimals);
+        const { ea, no, srid = 27700 } = coordinates;
+        const result = this.toLatLng({ ea: ea, no: no, ...(srid === 27700 ? {} : { srid: srid }) }, decimals, format);
+
+        if (!extent || Object.keys(result).length === 0) {
+            return result;
+        }
+
+        // The corners of the square are transformed without the bounds + coverage checks (which apply to its
+        // south-west corner above), so that squares on the edge of the grid can be drawn
+        const points = [ ...coordinates.geometry.coordinates[0], [ coordinates.centre.ea, coordinates.centre.no ] ]
+            .map(point => this._transform(srid, 4326, point));
+        if (points.some(point => point === null || !point.every(Number.isFinite))) {
+            return this._fail('Grid square outside the OSTN15 grid.', 'OUT_OF_BOUNDS');
+        }
+
+        const ring = points.slice(0, 5).map(point => [ Number(point[0].toFixed(decimals)), Number(point[1].toFixed(decimals)) ]);
+        const centre = points[5];
+
+        return {
+            ...result,
+            precision: coordinates.precision,
+            centre: { lat: Number(centre[1].toFixed(decimals)), lng: Number(centre[0].toFixed(decimals)) },
+            bbox: [
+                Math.min(...ring.map(point => point[0])), Math.min(...ring.map(point => point[1])),
+                Math.max(...ring.map(point => point[0])), Math.max(...ring.map(point => point[1]))
+            ],
+            geometry: { type: 'Polygon', coordinates: [ ring ] }
+        };
     }
+
+    /**
+     * Return latlng (rounded to the precision of the input), plus its format [decimal | ddm | dms] and precision, from
+     * text in decimal degrees, degrees + decimal minutes or degrees, minutes + seconds, with hemisphere letters or
+     * signed values, e.g. 54°25'29.3"N 2°58'04.6"W, N 54°25.488' W 2°58.076' or 54.42481, -2.9679374.
+     * @param {string} text - The text to be parsed.
+     */
+    parseLatLng(text) {
+        const latlng = this._parseLatLng(String(text ?? '').trim());
+        if (latlng === null) {
+            return this._fail('Invalid latlng.', 'INVALID_INPUT');
+        }
+
+        const { format, precision } = latlng;
+        return { lat: Number(latlng.lat.toFixed(precision)), lng: Number(latlng.lng.toFixed(precision)), format: format, precision: precision };
+    }
+
+    /**
+     * Return the type [gridref | en | latlng], normalised value and precision of a location typed or pasted in
+     * any of the usual ways: a grid reference (with any spacing, separators or case), an easting + northing pair,
+     * or a decimal degrees / degrees-minutes-seconds latlng. Notes in brackets and trailing punctuation are ignored.
+     * Pairs of numbers within the range of latitude + longitude are read as a latlng.
+     * @param {string} input - The text to be parsed, e.g. "ny 3729 0369", "337297,503695" or 54°25'29.3"N 2°58'04.6"W.
+     */
+    parseLocation(input) {
+        const text = String(input ?? '').replace(/\([^)]*\)/g, ' ').replace(/^[\s.,;:!?]+|[\s.,;:!?]+$/g, '')
+            .replace(/^(['"])(.*)\1$/, '$2').trim();
+
+        const gridref = this._parseGridRef(text);
+        if (gridref) {
+            return { type: 'gridref', ...gridref };
+        }
+
+        const latlng = this._parseLatLng(text);
+        if (latlng) {
+            const { format, precision } = latlng;
+            const value = { lat: Number(latlng.lat.toFixed(precision)), lng: Number(latlng.lng.toFixed(precision)) };
+            return { type: 'latlng', value: value, precision: precision, format: format };
+        }
+
+        const match = text.toUpperCase().match(/^(?:E\s*)?([0-9]+(?:\.[0-9]+)?)(?:\s*[,;/]\s*|\s+)(?:N\s*)?([0-9]+(?:\.[0-9]+)?)$/);
+        if (match) {
+            const precision = Math.max(...match.slice(1).map(value => value.includes('.') ? value.split('.')[1].length : 0));
+            return { type: 'en', value: { ea: Number(match[1]), no: Number(match[2]) }, precision: precision };
+        }
+
+        return this._fail('Unrecognised location: expected a grid reference, easting + northing or latlng.', 'INVALID_INPUT');
+    }
+
+    /**
+     * Return a transformed GeoJSON object (Geometry, Feature or FeatureCollection), plus a list of features which
+     * are out of bounds (and have their geometry set to null). Z values are copied unchanged, unless `heights` is set,
+     * when they are converted with OSGM15 as by toLatLng() + fromLatLng() (between orthometric heights on British
+     * National Grid and ETRS89 ellipsoidal heights), failing with GRID_NOT_LOADED without the geoid model.
+     * @param {object} geojson - The GeoJSON object to be transformed.
+     * @param {string} direction - [optional] The transformation direction [toLatLng | fromLatLng].
+     * @param {integer} decimals - [optional] The specified number of decimal places.
+     * @param {boolean} heights - [optional] Convert Z values as heights (default false).
+     */
+    transformGeoJSON(geojson, direction = 'fromLatLng', decimals, heights = false) {
+        if (!geojson || !geojsonTypes.includes(geojson.type) || !['toLatLng', 'fromLatLng'].includes(direction)) {
+            return this._fail('Invalid GeoJSON object or transformation direction.', 'INVALID_INPUT');
+        }
+        const valid = this._checkGeoJSON(geojson);
+        if (!valid.valid) {
+            return this._fail(valid.message, valid.code);
+        }
+        if (heights && geoid === null) {
+            return this._fail('OSGM15 geoid model has not been loaded.', 'GRID_NOT_LOADED');
+        }
+
+        const result = this._mapGeoJSON(geojson, position => this._transformPosition(position, direction, decimals, heights));
+
+        // Name the projected CRS (as per the 2008 GeoJSON specification) so that GIS software reads it correctly
+        if (result.geojson !== null && direction === 'fromLatLng') {
+            result.geojson.crs = { type: 'name', properties: { name: 'urn:ogc:def:crs:EPSG::27700' } };
+        }
+        else if (result.geojson !== null) {
+            delete result.geojson.crs;
+        }
+
+        return result;
+    }
+
+    /**
+     * Return the bbox enclosing a bbox transformed between latlng and a national grid. The edges of a latlng bbox are
+     * curved on the grid (and vice versa), so points are sampled along each edge rather than only at the corners, and
+     * the result is rounded outwards. A bbox extending beyond the permitted bounds is clamped to them (reported with
+     * `withinBounds: false`), or rejected when `clamp` is false.
+     * @param {array} bbox - The extent [minX, minY, maxX, maxY] to be transformed ([west, south, east, north] for latlng).
+     * @param {string} direction - [optional] The transformation direction [fromLatLng (default) | toLatLng].
+     * @param {object} options - [optional] The national grid (`srid` [27700 (default) | 29903 | 2157]), the number of
+     * segments each edge is divided into (`densify`, default 10), the decimal places (`decimals`, default 7 for latlng,
+     * 2 for easting + northing) and whether to clamp the bbox to the permitted bounds (`clamp`, default true) or fail.
+     */
+    transformBounds(bbox, direction = 'fromLatLng', options = {}) {
+        const { srid = 27700, densify = 10, clamp = true } = options;
+        const decimals = options.decimals ?? (direction === 'toLatLng' ? 7 : 2);
+
+        if (!['toLatLng', 'fromLatLng'].includes(direction) || ![27700, 29903, 2157].includes(srid)
+            || !Number.isInteger(densify) || densify < 1 || !Number.isInteger(decimals) || decimals < 0) {
+            return this._fail('Invalid bounds options.', 'INVALID_INPUT');
+        }
+        if (!Array.isArray(bbox) || bbox.length !== 4 || !bbox.every(Number.isFinite) || bbox[0] > bbox[2] || bbox[1] > bbox[3]) {
+            return this._fail('Invalid bbox: [minX, minY, maxX, maxY] is required.', 'INVALID_INPUT');
+        }
+        const ready = this._checkReady(srid);
+        if (!ready.valid) {
+            return this._fail(ready.message, ready.code);
+        }
+
+        const bounds = srid === 27700 ? this.options.maxBounds : {
+            projected: this.options.maxBoundsIreland.projected[srid],
+            geographic: this.options.maxBoundsIreland.geographic
+        };
+        const [sourceBounds, targetBounds] = direction === 'fromLatLng'
+            ? [bounds.geographic, bounds.projected]
+            : [bounds.projected, bounds.geographic];
+        const clip = (extent, limits) => [
+            Math.max(extent[0], limits[0][0]), Math.max(extent[1], limits[0][1]),
+            Math.min(extent[2], limits[1][0]), Math.min(extent[3], limits[1][1])
+        ];
+
+        const clipped = clip(bbox, sourceBounds);
+        let withinBounds = clipped.every((value, i) => value === bbox[i]);
+        if (clipped[0] > clipped[2] || clipped[1] > clipped[3] || (!withinBounds && !clamp)) {
+            return this._fail('Coordinates out of range.', 'OUT_OF_BOUNDS');
+        }
+
+        // Sample each edge of the clamped bbox, anticlockwise from the bottom-left corner
+        const [minX, minY, maxX, maxY] = clipped;
+        const corners = [[minX, minY], [maxX, minY], [maxX, maxY], [minX, maxY]];
+        const points = corners.flatMap((from, i) => {
+            const to = corners[(i + 1) % 4];
+            return Array.from({ length: densify }, (_, j) => [from[0] + (to[0] - from[0]) * j / densify, from[1] + (to[1] - from[1]) * j / densify]);
+        })
+            .map(point => direction === 'fromLatLng' ? this._transform(4326, srid, point) : this._transform(srid, 4326, point))
+            .filter(point => point !== null && point.every(Number.isFinite));
+        if (points.length === 0) {
+            return this._fail('Coordinates outside the OSTN15 grid.', 'OUT_OF_BOUNDS');
+        }
+
+        let extent = [
+            Math.min(...points.map(point => point[0])), Math.min(...points.map(point => point[1])),
+            Math.max(...points.map(point => point[0])), Math.max(...points.map(point => point[1]))
+        ];
+        const limited = clip(extent, targetBounds);
+        withinBounds = withinBounds && limited.every((value, i) => value === extent[i]);
+        if (!withinBounds && !clamp) {
+            return this._fail('Coordinates out of range.', 'OUT_OF_BOUNDS');
+        }
+        extent = limited;
+
+        const factor = 10 ** decimals;
+        return {
+            bbox: extent.map((value, i) => Number(((i < 2 ? Math.floor : Math.ceil)(value * factor) / factor).toFixed(decimals))),
+            srid: direction === 'fromLatLng' ? srid : 4326,
+            withinBounds: withinBounds
+        };
+    }
+
+    /**
+     * Return British National Grid lines and/or cells covering a bbox, as a GeoJSON FeatureCollection for map
+     * overlays. Lines are labelled with their figures (as in the margins of OS maps) and cells with their grid
+     * reference. Unless `projected` is set, the lines + cell edges are densified and transformed with OSTN15 to
+     * latlng, so that they curve correctly on a web map.
+     * @param {array} bbox - The extent [minX, minY, maxX, maxY] to be covered.
+     * @param {integer} interval - The grid interval in metres [100000 | 10000 | 1000 | 100].
+     * @param {object} options - [optional] The coordinate system of the bbox (`srid` [27700 (default) | 4326]), the
+     * features to return (`type` [lines | cells | both (default)]), the number of segments each line is divided into
+     * per interval (`densify`, default 10), the decimal places of the latlngs (`decimals`, default 7) and whether to
+     * return British National Grid coordinates instead of latlng (`projected`, default false).
+     */
+    getGrid(bbox, interval, options = {}) {
+        const { srid = 27700, type = 'both', densify = 10, decimals = 7, projected = false } = options;
+
+        if (![100000, 10000, 1000, 100].includes(interval)) {
+            return this._fail('Invalid grid interval: use 100000, 10000, 1000 or 100 metres.', 'INVALID_INPUT');
+        }
+        if (![27700, 4326].includes(srid) || !['lines', 'cells', 'both'].includes(type)
+            || !Number.isInteger(densify) || densify < 1) {
+            return this._fail('Invalid grid options.', 'INVALID_INPUT');
+        }
+        if (!Array.isArray(bbox) || bbox.length !== 4 || !bbox.every(Number.isFinite) || bbox[0] > bbox[2] || bbox[1] > bbox[3]) {
+            return this._fail('Invalid bbox: [minX, minY, maxX, maxY] is required.', 'INVALID_INPUT');
+        }
+        const ready = projected && srid === 27700 ? { valid: true } : this._checkReady();
+        if (!ready.valid) {
+            return this._fail(ready.message, ready.code);
+        }
+
+        // The extent in British National Grid, enclosing the curved edges of a latlng bbox
+        let extent = bbox;
+        if (srid === 4326) {
+            const bounds = this.transformBounds(bbox, 'fromLatLng', { densify: densify });
+            if (!bounds.bbox) {
+                return bounds;
+            }
+            extent = bounds.bbox;
+        }
+
+        // Snap the extent out to the grid interval, within the National Grid (or the OSTN15 grid, for latlng)
+        const [maxEa, maxNo] = [700000, projected ? 1300000 : 1250000];
+        const minE = Math.max(0, Math.floor(extent[0] / interval) * interval);
+        const minN = Math.max(0, Math.floor(extent[1] / interval) * interval);
+        const maxE = Math.min(maxEa, Math.max(Math.ceil(extent[2] / interval) * interval, minE + interval));
+        const maxN = Math.min(Math.floor(maxNo / interval) * interval, Math.max(Math.ceil(extent[3] / interval) * interval, minN + interval));
+        if (minE >= maxE || minN >= maxN) {
+            return this._fail('Coordinates out of range.', 'OUT_OF_BOUNDS');
+        }
+
+        const columns = (maxE - minE) / interval;
+        const rows = (maxN - minN) / interval;
+        const count = (type !== 'cells' ? columns + rows + 2 : 0) + (type !== 'lines' ? columns * rows : 0);
+        if (count > this.options.maxGridFeatures) {
+            return this._fail(`Too many grid features (${count}): use a larger interval or a smaller bbox.`, 'INVALID_INPUT');
+        }
+
+        // Positions along a line between two grid points, transformed to latlng unless projected (null where a
+        // position is outside the OSTN15 grid)
+        const toPositions = (from, to) => {
+            const steps = projected ? 1 : Math.round(Math.hypot(to[0] - from[0], to[1] - from[1]) / interval) * densify;
+            const positions = [];
+            for (let i = 0; i <= steps; i++) {
+                const point = [from[0] + (to[0] - from[0]) * i / steps, from[1] + (to[1] - from[1]) * i / steps];
+                if (projected) {
+                    positions.push(point);
+                    continue;
+                }
+                const latlng = this._transform(27700, 4326, point);
+                positions.push(latlng === null || !latlng.every(Number.isFinite)
+                    ? null
+                    : [Number(latlng[0].toFixed(decimals)), Number(latlng[1].toFixed(decimals))]);
+            }
+            return positions;
+        };
+
+        // A grid line, clipped to the parts which could be transformed
+        const toLine = (positions, properties) => {
+            const parts = [[]];
+            for (const position of positions) {
+                if (position === null) {
+                    parts.push([]);
+                }
+                else {
+                    parts[parts.length - 1].push(position);
+                }
+            }
+            const lines = parts.filter(part => part.length > 1);
+            if (lines.length === 0) {
+                return null;
+            }
+            return {
+                type: 'Feature',
+                properties: properties,
+                geometry: lines.length === 1
+                    ? { type: 'LineString', coordinates: lines[0] }
+                    : { type: 'MultiLineString', coordinates: lines }
+            };
+        };
+
+        // Figures of a grid line (within its 100km square), e.g. "37" for 1km or "372" for 100m lines
+        const figures = Math.max(2, 5 - Math.log10(interval));
+        const toLabel = value => String(Math.floor((value % 100000) / Math.pow(10, 5 - figures))).padStart(figures, '0');
+
+        const features = [];
+        if (type !== 'cells') {
+            for (let e = minE; e <= maxE; e += interval) {
+                features.push(toLine(toPositions([e, minN], [e, maxN]), { type: 'line', axis: 'easting', value: e, label: toLabel(e) }));
+            }
+            for (let n = minN; n <= maxN; n += interval) {
+                features.push(toLine(toPositions([minE, n], [maxE, n]), { type: 'line', axis: 'northing', value: n, label: toLabel(n) }));
+            }
+        }
+
+        if (type !== 'lines') {
+            const precision = { 100000: 0, 10000: 2, 1000: 4, 100: 6 }[interval];
+            for (let e = minE; e < maxE; e += interval) {
+                for (let n = minN; n < maxN; n += interval) {
+                    const corners = [[e, n], [e + interval, n], [e + interval, n + interval], [e, n + interval], [e, n]];
+                    const edges = corners.slice(0, 4).map((corner, i) => toPositions(corner, corners[i + 1]));
+                    if (edges.some(edge => edge.includes(null))) {
+                        continue;
+                    }
+                    features.push({
+                        type: 'Feature',
+                        properties: { type: 'cell', gridref: this.toGridRef({ ea: e, no: n }, precision).text },
+                        geometry: { type: 'Polygon', coordinates: [edges.flatMap((edge, i) => i === 0 ? edge : edge.slice(1))] }
+                    });
+                }
+            }
+        }
+
+        const geojson = this._setBBox({ type: 'FeatureCollection', features: features.filter(Boolean), bbox: [] });
+        if (projected) {
+            geojson.crs = { type: 'name', properties: { name: 'urn:ogc:def:crs:EPSG::27700' } };
+        }
+
+        return geojson;
+    }
+
+    /**
+     * Return the results of a list of operations (in order), with an error (and its code) in place of any result
+     * which fails.
+     * @param {array} operations - The operations to be run, e.g. [{ op: 'to-latlng', ea: 337297, no: 503695 }].
+     */
+    batch(operations) {
+        // Operations are run in strict mode, so that each failure is returned with its code rather than logged
+        const strict = this.options.strict;
+        this.options.strict = true;
+
+        try {
+            return operations.map(operation => this._runOperation(operation));
+        } finally {
+            this.options.strict = strict;
+        }
+    }
+
+    /**
+     * Return the result of a batch operation, as { result } or { error, code }.
+     * @param {object} operation - The operation to be run, e.g. { op: 'to-latlng', ea: 337297, no: 503695 }.
+     */
+    _runOperation(operation) {
+        const method = batchOperations[operation?.op];
+        if (!method) {
+            return { error: `Unknown operation: ${operation?.op}`, code: 'INVALID_INPUT' };
+        }
+
+        const missing = method.required.filter(key => operation[key] === undefined || operation[key] === '');
+        if (missing.length > 0) {
+            return { error: `Missing required parameters: ${missing.join(', ')}`, code: 'INVALID_INPUT' };
+        }
+
+        // Grid references and latlngs (which may be written in degrees, minutes + seconds) are validated when parsed
+        const invalid = method.required.filter(key => key !== 'gridref' && key !== 'lat' && key !== 'lng' && !Number.isFinite(Number(operation[key])));
+        if (invalid.length > 0) {
+            return { error: `Invalid numeric parameters: ${invalid.join(', ')}`, code: 'INVALID_INPUT' };
+        }
+
+        const invalidOptions = Object.keys(batchParameters).filter(key => operation[key] !== undefined && !batchParameters[key](operation[key]));
+        if (invalidOptions.length > 0) {
+            return { error: `Invalid parameters: ${invalidOptions.join(', ')}`, code: 'INVALID_INPUT' };
+        }
+
+        try {
+            return { result: method.run(this, operation) };
+        } catch (error) {
+            return { error: error.message, ...(error instanceof TransformError ? { code: error.code } : {}) };
+        }
+    }
+}
+
+/**
+ * Return the OSTN15/OSGM15 model (ETRS89 to OSGB36 easting + northing shifts, ETRS89 to ODN height shifts and height
+ * datum flags on a 1km grid) from the contents of the Ordnance Survey `OSTN15_OSGM15_DataFile.txt` file.
+ * @param {string} text - The contents of the data file.
+ */
+function readGeoidModel(text) {
+    const model = { columns: 701, rows: 1251 };
+    model.eShifts = new Float64Array(model.columns * model.rows);
+    model.nShifts = new Float64Array(model.columns * model.rows);
+    model.heights = new Float32Array(model.columns * model.rows);
+    model.flags = new Uint8Array(model.columns * model.rows);
+
+    // Point_ID,ETRS89_Easting,ETRS89_Northing,ETRS89_OSGB36_EShift,ETRS89_OSGB36_NShift,ETRS89_ODN_HeightShift,Height_Datum_Flag
+    for (const line of text.split('\n').slice(1)) {
+        const values = line.split(',');
+        if (values.length < 7) {
+            continue;
+        }
+        const index = Number(values[0]) - 1;
+        model.eShifts[index] = Number(values[3]);
+        model.nShifts[index] = Number(values[4]);
+        model.heights[index] = Number(values[5]);
+        model.flags[index] = Number(values[6]);
+    }
+
+    return model;
 }
+
+/**
+ * Coordinate systems supported by OSTransform.transform(), keyed by SRID. WGS84 is treated as equivalent to ETRS89,
+ * points on the national grids (`grid`) are transformed with toLatLng() + fromLatLng(), and `maxLat` limits the
+ * latitudes which can be projected.
+ */
+export const coordinateSystems = {
+    4326: { name: 'WGS 84', geographic: true },
+    4258: { name: 'ETRS89', geographic: true },
+    4937: { name: 'ETRS89 (3D)', geographic: true },
+    3857: { name: 'WGS 84 / Pseudo-Mercator', geographic: false, maxLat: 85.0511287798 },
+    25829: { name: 'ETRS89 / UTM zone 29N', geographic: false },
+    25830: { name: 'ETRS89 / UTM zone 30N', geographic: false },
+    25831: { name: 'ETRS89 / UTM zone 31N', geographic: false },
+    27700: { name: 'OSGB36 / British National Grid', geographic: false, grid: true },
+    29903: { name: 'TM75 / Irish Grid', geographic: false, grid: true },
+    2157: { name: 'IRENET95 / Irish Transverse Mercator', geographic: false, grid: true }
+};
+
+/**
+ * Methods used to transform between ETRS89 and each national grid, with their nominal accuracy (metres), plus the
+ * seven-parameter Helmert transformation which OSTN15 replaces for British National Grid. ITM is defined on ETRS89,
+ * so needs no transformation.
+ */
+export const transformationMethods = {
+    27700: { method: 'OSTN15', accuracy: 0.1 },
+    29903: { method: 'Helmert', accuracy: 1 },
+    2157: { method: 'none', accuracy: 0 },
+    'OSGB36-Helmert': { method: 'Helmert', accuracy: 3.5 }
+};
+
+/**
+ * Transformation types of OSTransform.options.type, by which the server and command-line tool check TRANSFORM_TYPE.
+ */
+export const transformationTypes = [ 'ostn15-gsb', 'ostn15-js' ];
+
+/**
+ * Return the transformation of a point transformed from one national grid to another via ETRS89 (the methods of
+ * both, with the sum of their accuracies), or of the one national grid involved.
+ */
+function combineTransformations(source, target) {
+    if (!source || !target) {
+        return source ?? target;
+    }
+    return {
+        method: `${source.method} + ${target.method}`,
+        type: source.type,
+        accuracy: Number((source.accuracy + target.accuracy).toFixed(3)),
+        ...(source.shift || target.shift ? { shift: source.shift ?? target.shift } : {})
+    };
+}
+
+/**
+ * Vertical datums, indexed by OSGM15 height datum flag.
+ */
+const verticalDatums = [
+    null, 'Newlyn', 'St Marys', 'Douglas02', 'Stornoway', 'St Kilda', 'Lerwick', 'Newlyn (Orkney)', 'Fair Isle',
+    'Flannan Isles', 'North Rona', 'Sule Skerry', 'Foula', 'Malin Head', 'Belfast', 'Offshore'
+];
+
+/**
+ * GeoJSON object types accepted by OSTransform.transformGeoJSON().
+ */
+const geojsonTypes = [
+    'Point', 'MultiPoint', 'LineString', 'MultiLineString', 'Polygon', 'MultiPolygon',
+    'GeometryCollection', 'Feature', 'FeatureCollection'
+];
+
+/**
+ * The depth to which the positions of each GeoJSON geometry type are nested (0 being a single position).
+ */
+const geometryDepths = { Point: 0, MultiPoint: 1, LineString: 1, MultiLineString: 2, Polygon: 2, MultiPolygon: 3 };
+
+/**
+ * Return a parameter (a number, or a number written as text) as a number, or NaN if it is neither.
+ * @param {*} value - The parameter.
+ */
+function toNumber(value) {
+    return typeof value === 'number' || (typeof value === 'string' && value.trim() !== '') ? Number(value) : NaN;
+}
+
+/**
+ * Checks of the optional parameters of batch operations, which would otherwise be read as NaN (and decimals of NaN
+ * as 0 by toFixed()).
+ */
+const batchParameters = {
+    decimals: value => Number.isInteger(toNumber(value)) && toNumber(value) >= 0 && toNumber(value) <= 100,
+    precision: value => Number.isInteger(toNumber(value)) || ['hectad', 'quadrant', 'tetrad'].includes(value),
+    h: value => Number.isFinite(toNumber(value)),
+    height: value => Number.isFinite(toNumber(value)),
+    epoch: value => Number.isFinite(toNumber(value))
+};
+
+/**
+ * Operations available to OSTransform.batch(), keyed by the name of the equivalent server route.
+ */
+const batchOperations = {
+    'to-latlng': {
+        required: ['ea', 'no'],
+        run: (transformer, input) => transformer.toLatLng(
+            {
+                ea: Number(input.ea), no: Number(input.no),
+                ...(input.srid ? { srid: Number(input.srid) } : {}),
+                ...((input.h ?? input.height) !== undefined ? { h: Number(input.h ?? input.height) } : {})
+            },
+            input.decimals !== undefined ? Number(input.decimals) : undefined,
+            input.format
+        )
+    },
+    'from-latlng': {
+        required: ['lat', 'lng'],
+        run: (transformer, input) => transformer.fromLatLng(
+            {
+                lat: input.lat, lng: input.lng,
+                ...((input.h ?? input.height) !== undefined ? { h: Number(input.h ?? input.height) } : {}),
+                ...(input.epoch !== undefined ? { epoch: Number(input.epoch) } : {}),
+                ...(input.frame !== undefined ? { frame: input.frame } : {})
+            },
+            input.decimals !== undefined ? Number(input.decimals) : undefined,
+            input.srid ? Number(input.srid) : undefined
+        )
+    },
+    'to-gridref': {
+        required: ['ea', 'no'],
+        run: (transformer, input) => transformer.toGridRef(
+            { ea: Number(input.ea), no: Number(input.no), ...(input.srid ? { srid: Number(input.srid) } : {}) },
+            input.precision !== undefined ? (isNaN(input.precision) ? input.precision : Number(input.precision)) : undefined
+        )
+    },
+    'from-gridref': {
+        required: ['gridref'],
+        run: (transformer, input) => transformer.fromGridRef(input.gridref)
+    },
+    'gridref-to-latlng': {
+        required: ['gridref'],
+        run: (transformer, input) => transformer.gridRefToLatLng(
+            input.gridref,
+            input.decimals !== undefined ? Number(input.decimals) : undefined
+        )
+    }
+};
@@ -0,0 +1,295 @@
+// wkt.js v0.5.0
+// WKT + EWKT geometry parsing and serialisation, and transformation with OSTransform (ES Module)
+import { TransformError, coordinateSystems } from './transform.js';
+
+/**
+ * Geometry types, by their WKT keyword: the GeoJSON geometry types plus the polyhedral surfaces of the Simple
+ * Features specification (read as lists of polygons).
+ */
+const wktTypes = {
+    POINT: 'Point',
+    LINESTRING: 'LineString',
+    POLYGON: 'Polygon',
+    MULTIPOINT: 'MultiPoint',
+    MULTILINESTRING: 'MultiLineString',
+    MULTIPOLYGON: 'MultiPolygon',
+    GEOMETRYCOLLECTION: 'GeometryCollection',
+    TRIANGLE: 'Triangle',
+    POLYHEDRALSURFACE: 'PolyhedralSurface',
+    TIN: 'TIN'
+};
+
+/**
+ * Depth of the coordinate arrays of each geometry type (0 for a single position).
+ */
+const depths = {
+    Point: 0, LineString: 1, MultiPoint: 1, Polygon: 2, MultiLineString: 2, Triangle: 2,
+    MultiPolygon: 3, PolyhedralSurface: 3, TIN: 3
+};
+
+/**
+ * Number of values in each position of each dimension.
+ */
+const dimensions = { XY: 2, XYZ: 3, XYM: 3, XYZM: 4 };
+
+/**
+ * Return the geometry of a WKT or EWKT string (e.g. `SRID=27700;POINT(337297 503695)`), as { srid, dimension,
+ * geometry }: `srid` is the SRID of EWKT (or null), `dimension` [XY | XYZ | XYM | XYZM] is given by the Z/M tag (or,
+ * without one, by the number of values in each position) and `geometry` is a GeoJSON geometry, with positions of
+ * [x, y, (z), (m)]. Triangles, polyhedral surfaces and TINs are read with GeoJSON-style coordinates (a polygon, or a
+ * list of polygons). Throws a TransformError if the text is not valid WKT.
+ * @param {string} text - The WKT or EWKT string.
+ */
+export function parseWKT(text) {
+    if (typeof text !== 'string') {
+        throw new TransformError('Invalid WKT: expected a string.', 'INVALID_INPUT');
+    }
+
+    let srid = null;
+    const ewkt = text.match(/^\s*SRID\s*=\s*(\d+)\s*;/i);
+    if (ewkt) {
+        srid = Number(ewkt[1]);
+        text = text.slice(ewkt[0].length);
+    }
+
+    const tokens = text.toUpperCase().match(/[A-Z]+|[-+]?(?:\d+\.?\d*|\.\d+)(?:E[-+]?\d+)?|[(),]|\S/g) || [];
+    let i = 0;
+    let dimension = null;
+
+    const fail = (expected) => {
+        const found = i < tokens.length ? `"${tokens[i]}"` : 'the end';
+        throw new TransformError(`Invalid WKT: expected ${expected} but found ${found}.`, 'INVALID_INPUT');
+    };
+
+    const expect = (token) => {
+        if (tokens[i] !== token) {
+            fail(`"${token}"`);
+        }
+        i++;
+    };
+
+    // The dimension of the first position (or tag) applies to the whole geometry
+    const setDimension = (value) => {
+        if (dimension === null) {
+            dimension = value;
+        }
+        else if (dimension !== value) {
+            throw new TransformError(`Invalid WKT: mixed dimensions (${dimension} and ${value}).`, 'INVALID_INPUT');
+        }
+    };
+
+    const readPosition = () => {
+        const position = [];
+        while (i < tokens.length && /^[-+.\d]/.test(tokens[i])) {
+            position.push(Number(tokens[i++]));
+        }
+        if (position.length < 2 || position.length > 4) {
+            fail('a position of 2 to 4 numbers');
+        }
+        if (dimension === null) {
+            setDimension(position.length === 2 ? 'XY' : position.length === 3 ? 'XYZ' : 'XYZM');
+        }
+        else if (position.length !== dimensions[dimension]) {
+            throw new TransformError(`Invalid WKT: positions of ${dimension} should have ${dimensions[dimension]} values.`, 'INVALID_INPUT');
+        }
+        return position;
+    };
+
+    // A list in parentheses, of values read by readItem
+    const readList = (readItem) => {
+        expect('(');
+        const items = [ readItem() ];
+        while (tokens[i] === ',') {
+            i++;
+            items.push(readItem());
+        }
+        expect(')');
+        return items;
+    };
+
+    // Coordinates nested to a depth (see depths), or EMPTY
+    const readCoordinates = (depth, type) => {
+        if (tokens[i] === 'EMPTY') {
+            i++;
+            return [];
+        }
+        if (depth === 0) {
+            return readList(readPosition)[0];
+        }
+        // Points of a MultiPoint can be given with or without their own parentheses
+        if (type === 'MultiPoint') {
+            return readList(() => tokens[i] === '(' ? readList(readPosition)[0] : readPosition());
+        }
+        // Polyhedral surfaces + TINs are lists of polygons or triangles
+        const itemType = depth === 3 ? 'Polygon' : depth === 2 ? 'LineString' : null;
+        return readList(() => itemType ? readCoordinates(depth - 1, itemType) : readPosition());
+    };
+
+    const readGeometry = () => {
+        let keyword = tokens[i++] || '';
+        let tag = null;
+
+        // A Z/M tag may follow the keyword (ISO WKT) or be attached to it (EWKT, e.g. POINTM)
+        const attached = keyword.match(/^(.+?)(ZM|Z|M)$/);
+        if (!wktTypes[keyword] && attached && wktTypes[attached[1]]) {
+            [ , keyword, tag ] = attached;
+        }
+        else if ([ 'Z', 'M', 'ZM' ].includes(tokens[i])) {
+            tag = tokens[i++];
+        }
+        if (!wktTypes[keyword]) {
+            i--;
+            fail('a geometry type');
+        }
+        if (tag) {
+            setDimension(tag === 'ZM' ? 'XYZM' : `XY${tag}`);
+        }
+
+        const type = wktTypes[keyword];
+        if (type === 'GeometryCollection') {
+            if (tokens[i] === 'EMPTY') {
+                i++;
+                return { type: type, geometries: [] };
+            }
+            return { type: type, geometries: readList(readGeometry) };
+        }
+        return { type: type, coordinates: readCoordinates(depths[type], type) };
+    };
+
+    const geometry = readGeometry();
+    if (i < tokens.length) {
+        fail('the end');
+    }
+
+    return { srid: srid, dimension: dimension || 'XY', geometry: geometry };
+}
+
+/**
+ * Return the WKT of a geometry, or EWKT if it is given an SRID. EWKT is written as by PostGIS (ST_AsEWKT), with M
+ * geometries tagged (e.g. `SRID=4326;POINTM(-2.9679374 54.42481 5)`) and Z geometries untagged, and WKT as ISO WKT
+ * (e.g. `POINT Z (337297 503695 120)`).
+ * @param {object} geometry - The GeoJSON geometry (or Triangle, PolyhedralSurface or TIN, as read by parseWKT).
+ * @param {object} options - [optional] The SRID (`srid`), and the dimension of the positions (`dimension` [XY | XYZ |
+ * XYM | XYZM], default from the first position).
+ */
+export function formatWKT(geometry, options = {}) {
+    if (!geometry || (!depths.hasOwnProperty(geometry.type) && geometry.type !== 'GeometryCollection')) {
+        throw new TransformError('Invalid geometry: expected a GeoJSON geometry.', 'INVALID_INPUT');
+    }
+
+    const first = (geometry) => {
+        if (geometry.type === 'GeometryCollection') {
+            return geometry.geometries.map(first).find(Boolean);
+        }
+        let coordinates = geometry.coordinates;
+        while (Array.isArray(coordinates) && Array.isArray(coordinates[0])) {
+            coordinates = coordinates[0];
+        }
+        return coordinates && coordinates.length > 0 ? coordinates : undefined;
+    };
+
+    const position = first(geometry);
+    const dimension = options.dimension || (position && position.length >= 4 ? 'XYZM' : position && position.length === 3 ? 'XYZ' : 'XY');
+    if (!dimensions[dimension]) {
+        throw new TransformError(`Invalid dimension: ${dimension} (expected XY, XYZ, XYM or XYZM).`, 'INVALID_INPUT');
+    }
+
+    const ewkt = options.srid !== undefined && options.srid !== null;
+    const tag = dimension.slice(2);
+    const keywords = Object.fromEntries(Object.entries(wktTypes).map(([ keyword, type ]) => [ type, keyword ]));
+
+    const formatCoordinates = (coordinates, depth) => {
+        if (coordinates.length === 0) {
+            return 'EMPTY';
+        }
+        if (depth === 0) {
+            return `(${coordinates.slice(0, dimensions[dimension]).join(' ')})`;
+        }
+        const items = depth === 1
+            ? coordinates.map(position => position.slice(0, dimensions[dimension]).join(' '))
+            : coordinates.map(item => formatCoordinates(item, depth - 1));
+        return `(${items.join(',')})`;
+    };
+
+    const formatGeometry = (geometry) => {
+        const keyword = ewkt
+            ? keywords[geometry.type] + (tag === 'M' ? 'M' : '')
+            : keywords[geometry.type] + (tag ? ` ${tag} ` : '');
+        const body = geometry.type === 'GeometryCollection'
+            ? (geometry.geometries.length > 0 ? `(${geometry.geometries.map(formatGeometry).join(',')})` : 'EMPTY')
+            : formatCoordinates(geometry.coordinates, depths[geometry.type]);
+        return (body === 'EMPTY' ? `${keyword.trimEnd()} ` : keyword) + body;
+    };
+
+    return (ewkt ? `SRID=${options.srid};` : '') + formatGeometry(geometry);
+}
+
+/**
+ * Return a copy of a geometry with every position replaced.
+ * @param {object} geometry - The geometry (as read by parseWKT).
+ * @param {function} transform - The function returning a replacement for each position.
+ */
+function mapPositions(geometry, transform) {
+    if (geometry.type === 'GeometryCollection') {
+        return { ...geometry, geometries: geometry.geometries.map(member => mapPositions(member, transform)) };
+    }
+
+    const map = (coordinates, depth) => depth === 0
+        ? (coordinates.length > 0 ? transform(coordinates) : coordinates)
+        : coordinates.map(item => map(item, depth - 1));
+
+    return { ...geometry, coordinates: map(geometry.coordinates, depths[geometry.type]) };
+}
+
+/**
+ * Return a WKT or EWKT geometry transformed between two of the supported coordinate systems, as EWKT with the target
+ * SRID ({ wkt, srid }). Each position is transformed as by transform(), so the OSTN15 shift is applied (via toLatLng()
+ * + fromLatLng()) whenever British National Grid is involved. Z values are copied unchanged (as are M values), unless
+ * `heights` is set, when they are converted with OSGM15 as by transform() (failing with GRID_NOT_LOADED without the
+ * geoid model). Geographic coordinates are read and written as x = longitude, y = latitude. Throws a TransformError
+ * if any position is out of bounds (or its height cannot be converted), as a geometry cannot be returned in part.
+ * @param {OSTransform} transformer - The transformer.
+ * @param {string} text - The WKT or EWKT geometry.
+ * @param {object} options - [optional] The source SRID (`from`, required if the text is not EWKT), the target SRID
+ * (`to`, default 27700 from a geographic coordinate system, otherwise 4326), the decimal places (`decimals`) and
+ * whether to convert Z values as heights (`heights`, default false).
+ */
+export function transformWKT(transformer, text, options = {}) {
+    const { srid, dimension, geometry } = parseWKT(text);
+
+    if (srid !== null && options.from !== undefined && srid !== options.from) {
+        throw new TransformError(`Conflicting SRIDs: ${srid} (EWKT) and ${options.from} (from).`, 'INVALID_INPUT');
+    }
+
+    const from = srid ?? options.from;
+    if (from === undefined) {
+        throw new TransformError('Missing SRID: use EWKT (e.g. SRID=27700;POINT(337297 503695)) or give the source SRID.', 'INVALID_INPUT');
+    }
+
+    const source = coordinateSystems[from];
+    if (!source) {
+        throw new TransformError(`Unsupported coordinate system: ${from}.`, 'INVALID_INPUT');
+    }
+    const to = options.to ?? (source.geographic ? 27700 : 4326);
+    const target = coordinateSystems[to];
+    if (!target) {
+        throw new TransformError(`Unsupported coordinate system: ${to}.`, 'INVALID_INPUT');
+    }
+
+    // Z values may be converted along with each position (between orthometric heights on the national grids and
+    // ellipsoidal heights otherwise), whereas M values are measures, always kept as they are
+    const hasZ = Boolean(options.heights) && (dimension === 'XYZ' || dimension === 'XYZM');
+
+    const transformed = mapPositions(geometry, position => {
+        const [ x, y, ...rest ] = position;
+        const coordinates = source.geographic ? { lat: y, lng: x } : { ea: x, no: y };
+        const point = transformer.transform(hasZ ? { ...coordinates, h: rest[0] } : coordinates, from, to, options.decimals);
+        if (Object.keys(point).length === 0) {
+            throw new TransformError('Coordinates out of range.', 'OUT_OF_BOUNDS');
+        }
+        const values = hasZ ? [ point.h, ...rest.slice(1) ] : rest;
+        return target.geographic ? [ point.lng, point.lat, ...values ] : [ point.ea, point.no, ...values ];
+    });
+
+    return { wkt: formatWKT(transformed, { srid: to, dimension: dimension }), srid: to };
+}